@@ -0,0 +1,371 @@
+/**
+ * @file WebGLMath {@link AABB} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported AABB */
+/**
+ * An axis-aligned box, given by its minimum and maximum corners.
+ * <BR> An empty box, with min greater than max, can be grown to contain points using [expandByPoint]{@link AABB#expandByPoint}.
+ */
+class AABB {
+  /**
+   * Creates a box. Without parameters, the box is empty.
+   * @param {Vec3 | Object} [min] - The minimum corner (properties x, y, z are used).
+   * @param {Vec3 | Object} [max] - The maximum corner (properties x, y, z are used).
+   */
+  constructor(min, max){
+    /**
+     * @name AABB#min
+     * @description The corner with the smallest coordinates.
+     * @type Vec3
+     */
+    this.min = new Vec3();
+    /**
+     * @name AABB#max
+     * @description The corner with the largest coordinates.
+     * @type Vec3
+     */
+    this.max = new Vec3();
+    if(min === undefined) {
+      this.setEmpty();
+    } else {
+      this.set(min, max);
+    }
+  }
+
+  /**
+   * @method clone
+   * @memberof AABB
+   * @description Creates a copy.
+   * @return {AABB} A new instance with identical contents.
+   */
+  clone() {
+    return new AABB(this.min, this.max);
+  }
+
+  /**
+   * @method set
+   * @memberof AABB
+   * @description Sets the corners.
+   * @param {Vec3 | Object} min - The minimum corner (properties x, y, z are used).
+   * @param {Vec3 | Object} max - The maximum corner (properties x, y, z are used).
+   * @return {AABB} this
+   */
+  set(min, max) {
+    this.min.set(min);
+    this.max.set(max);
+    return this;
+  }
+
+  /**
+   * @method setEmpty
+   * @memberof AABB
+   * @description Makes the box empty, containing no points.
+   * @return {AABB} this
+   */
+  setEmpty() {
+    this.min.storage.fill(Infinity);
+    this.max.storage.fill(-Infinity);
+    return this;
+  }
+
+  /**
+   * @method isEmpty
+   * @memberof AABB
+   * @description Tests whether the box is empty.
+   * @return {Boolean} true if min is greater than max along any axis
+   */
+  isEmpty() {
+    return this.min.storage[0] > this.max.storage[0] ||
+           this.min.storage[1] > this.max.storage[1] ||
+           this.min.storage[2] > this.max.storage[2];
+  }
+
+  /**
+   * @method expandByPoint
+   * @memberof AABB
+   * @description Grows the box to contain a point.
+   * @param {Vec3} p - The point.
+   * @return {AABB} this
+   */
+  expandByPoint(p) {
+    for(let i=0; i<3; i++) {
+      this.min.storage[i] = Math.min(this.min.storage[i], p.storage[i]);
+      this.max.storage[i] = Math.max(this.max.storage[i], p.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setFromPoints
+   * @memberof AABB
+   * @description Sets the box to the smallest one containing all points of an array.
+   * @param {Vec3Array} points - The points.
+   * @return {AABB} this
+   */
+  setFromPoints(points) {
+    this.setEmpty();
+    const p = points.storage;
+    for(let j=0; j<p.length; j+=3) {
+      for(let i=0; i<3; i++) {
+        this.min.storage[i] = Math.min(this.min.storage[i], p[j+i]);
+        this.max.storage[i] = Math.max(this.max.storage[i], p[j+i]);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method getCenter
+   * @memberof AABB
+   * @description Computes the center of the box.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the center
+   */
+  getCenter(result) {
+    result = result || new Vec3();
+    return result.setSum(this.min, this.max).mul(0.5);
+  }
+
+  /**
+   * @method getHalfExtents
+   * @memberof AABB
+   * @description Computes the half extents of the box, the distances of the faces from the center.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the half extents
+   */
+  getHalfExtents(result) {
+    result = result || new Vec3();
+    return result.setDifference(this.max, this.min).mul(0.5);
+  }
+
+  /**
+   * @method transform
+   * @memberof AABB
+   * @description Transforms the box by an affine transformation, in place. The result is the smallest axis-aligned box containing the transformed box.
+   * @param {Mat4} m - The transformation matrix.
+   * @return {AABB} this
+   */
+  transform(m) {
+    const s = m.storage;
+    const min = this.min.storage;
+    const max = this.max.storage;
+    const minX = min[0], minY = min[1], minZ = min[2];
+    const maxX = max[0], maxY = max[1], maxZ = max[2];
+    for(let j=0; j<3; j++) {
+      // coordinate j of the transformed box, extremal along every input axis
+      const ax = s[4*j], ay = s[4*j+1], az = s[4*j+2];
+      min[j] = s[4*j+3] + Math.min(ax * minX, ax * maxX) + Math.min(ay * minY, ay * maxY) + Math.min(az * minZ, az * maxZ);
+      max[j] = s[4*j+3] + Math.max(ax * minX, ax * maxX) + Math.max(ay * minY, ay * maxY) + Math.max(az * minZ, az * maxZ);
+    }
+    return this;
+  }
+
+  /**
+   * @method containsPoint
+   * @memberof AABB
+   * @description Tests whether a point is inside the box.
+   * @param {Vec3} p - The point.
+   * @return {Boolean} true if the point is inside or on the boundary
+   */
+  containsPoint(p) {
+    return p.storage[0] >= this.min.storage[0] && p.storage[0] <= this.max.storage[0] &&
+           p.storage[1] >= this.min.storage[1] && p.storage[1] <= this.max.storage[1] &&
+           p.storage[2] >= this.min.storage[2] && p.storage[2] <= this.max.storage[2];
+  }
+
+  /**
+   * @method closestPoint
+   * @memberof AABB
+   * @description Finds the point of the box closest to a given point. Points inside are their own closest points.
+   * @param {Vec3} p - The point.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the closest point
+   */
+  closestPoint(p, result) {
+    result = result || new Vec3();
+    return result.setClamped(p, this.min, this.max);
+  }
+
+  /**
+   * @method distanceToPoint
+   * @memberof AABB
+   * @description Computes the distance of a point from the box, zero inside.
+   * @param {Vec3} p - The point.
+   * @return {Number} the distance
+   */
+  distanceToPoint(p) {
+    let squaredDistance = 0;
+    for(let i=0; i<3; i++) {
+      const outside = Math.max(this.min.storage[i] - p.storage[i], 0, p.storage[i] - this.max.storage[i]);
+      squaredDistance += outside * outside;
+    }
+    return Math.sqrt(squaredDistance);
+  }
+
+  /**
+   * @method distanceToAABB
+   * @memberof AABB
+   * @description Computes the distance between two boxes, zero if they intersect.
+   * @param {AABB} aabb - The other box.
+   * @return {Number} the distance
+   */
+  distanceToAABB(aabb) {
+    let squaredDistance = 0;
+    for(let i=0; i<3; i++) {
+      const gap = Math.max(this.min.storage[i] - aabb.max.storage[i], 0, aabb.min.storage[i] - this.max.storage[i]);
+      squaredDistance += gap * gap;
+    }
+    return Math.sqrt(squaredDistance);
+  }
+
+  /**
+   * @method distanceToOBB
+   * @memberof AABB
+   * @description Computes the distance between the box and an oriented box, zero if they intersect.
+   * @param {OBB} obb - The oriented box.
+   * @return {Number} the distance
+   */
+  distanceToOBB(obb) {
+    return OBB.convexDistance(this, obb);
+  }
+
+  /**
+   * @method distanceToTriangle
+   * @memberof AABB
+   * @description Computes the distance between the box and a triangle, zero if they intersect.
+   * @param {Triangle} triangle - The triangle.
+   * @return {Number} the distance
+   */
+  distanceToTriangle(triangle) {
+    return OBB.convexDistance(this, triangle);
+  }
+
+  /**
+   * @method projectionCenter
+   * @memberof AABB
+   * @description Projects the center of the box onto an axis, for separating axis tests.
+   * @param {Number} x - The x coordinate of the axis direction.
+   * @param {Number} y - The y coordinate of the axis direction.
+   * @param {Number} z - The z coordinate of the axis direction.
+   * @return {Number} the dot product of the center and the axis
+   */
+  projectionCenter(x, y, z) {
+    return ((this.min.storage[0] + this.max.storage[0]) * x +
+            (this.min.storage[1] + this.max.storage[1]) * y +
+            (this.min.storage[2] + this.max.storage[2]) * z) * 0.5;
+  }
+
+  /**
+   * @method projectionRadius
+   * @memberof AABB
+   * @description Computes half the length of the projection of the box onto an axis, for separating axis tests.
+   * @param {Number} x - The x coordinate of the axis direction.
+   * @param {Number} y - The y coordinate of the axis direction.
+   * @param {Number} z - The z coordinate of the axis direction.
+   * @return {Number} the projection radius, in units of the axis direction length
+   */
+  projectionRadius(x, y, z) {
+    return ((this.max.storage[0] - this.min.storage[0]) * Math.abs(x) +
+            (this.max.storage[1] - this.min.storage[1]) * Math.abs(y) +
+            (this.max.storage[2] - this.min.storage[2]) * Math.abs(z)) * 0.5;
+  }
+
+  /**
+   * @method getSeparatingAxes
+   * @memberof AABB
+   * @description Returns the candidate separating axes of the box, the coordinate axes, which are both face normals and edge directions. See {@link OBB.separatingAxisTest}.
+   * @return {Float32Array} the coordinates of the axes
+   */
+  getSeparatingAxes() {
+    AABB.unitAxes = AABB.unitAxes || new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    return AABB.unitAxes;
+  }
+
+  /**
+   * @method getVertices
+   * @memberof AABB
+   * @description Computes the coordinates of the eight corners of the box, for distance queries. See {@link OBB.convexDistance}. The returned array is allocated at the first call, and overwritten by later calls.
+   * @return {Float32Array} the coordinates of the corners
+   */
+  getVertices() {
+    this.vertices = this.vertices || new Float32Array(24);
+    const min = this.min.storage;
+    const max = this.max.storage;
+    let i = 0;
+    // corner x + 2y + 4z is at the maximum along the axes where x, y or z is 1
+    for(let z=0; z<2; z++) {
+      for(let y=0; y<2; y++) {
+        for(let x=0; x<2; x++) {
+          this.vertices[i++] = x ? max[0] : min[0];
+          this.vertices[i++] = y ? max[1] : min[1];
+          this.vertices[i++] = z ? max[2] : min[2];
+        }
+      }
+    }
+    return this.vertices;
+  }
+
+  /**
+   * @method intersectsAABB
+   * @memberof AABB
+   * @description Tests whether two boxes overlap.
+   * @param {AABB} aabb - The other box.
+   * @return {Boolean} true if the boxes intersect
+   */
+  intersectsAABB(aabb) {
+    return this.min.storage[0] <= aabb.max.storage[0] && this.max.storage[0] >= aabb.min.storage[0] &&
+           this.min.storage[1] <= aabb.max.storage[1] && this.max.storage[1] >= aabb.min.storage[1] &&
+           this.min.storage[2] <= aabb.max.storage[2] && this.max.storage[2] >= aabb.min.storage[2];
+  }
+
+  /**
+   * @method intersectsPlane
+   * @memberof AABB
+   * @description Tests whether the box is cut by a plane.
+   * @param {Plane} plane - The plane.
+   * @return {Boolean} true if the box intersects the plane
+   */
+  intersectsPlane(plane) {
+    return plane.intersectsConvex(this);
+  }
+
+  /**
+   * @method intersectsSphere
+   * @memberof AABB
+   * @description Tests whether the box overlaps a sphere.
+   * @param {Sphere} sphere - The sphere.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsSphere(sphere) {
+    return sphere.intersectsAABB(this);
+  }
+
+  /**
+   * @method intersectsOBB
+   * @memberof AABB
+   * @description Tests whether the box overlaps an oriented box.
+   * @param {OBB} obb - The oriented box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsOBB(obb) {
+    return OBB.separatingAxisTest(this, obb);
+  }
+
+  /**
+   * @method intersectsTriangle
+   * @memberof AABB
+   * @description Tests whether the box overlaps a triangle.
+   * @param {Triangle} triangle - The triangle.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsTriangle(triangle) {
+    return OBB.separatingAxisTest(this, triangle);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = AABB;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file WebGLMath {@link BVec1} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported BVec1 */
+/** A boolean, stored as a 32-bit integer wrapped as a single-element vector. May reflect an GLSL bool uniform variable. */
+class BVec1{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (false). Non-zero values are stored as 1.
+   * @param {BVec1 | Object | Boolean} [u=false] - Any object (property x), or a value.
+   */
+  constructor(u){
+    /**
+     * @name BVec1#storage
+     * @description 1-element typed array for coordinate storage.
+     * @type Int32Array
+     */
+    this.storage = new Int32Array([
+      (u && u.x || Number(u).valueOf() || 0) ? 1 : 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof BVec1
+   * @description Creates a copy.
+   * @return {BVec1} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(BVec1.prototype);
+    result.storage = new Int32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof BVec1
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or boolean values. Without parameters, sets (false). Non-zero values are stored as 1.
+   * @param {BVec1 | Object | Boolean} [u=false] - Any object (property x), or a value.
+   * @return {BVec1} this
+   */
+  set(u) {
+    this.storage[0] = (u && u.x || Number(u).valueOf() || 0) ? 1 : 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof BVec1
+   * @description Sets the value of the vector to a WebGL bool uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform1iv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name BVec1#x
+ * @description Alias for storage[0], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec1.prototype, 'x', {
+  get: function() { return this.storage[0] !== 0; },
+  set: function(value) { this.storage[0] = value ? 1 : 0; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = BVec1;
+}
@@ -0,0 +1,89 @@
+/**
+ * @file WebGLMath {@link BVec2} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported BVec2 */
+/**
+ * Two-element vector of booleans, stored as 32-bit integers. May reflect an GLSL bvec2 uniform variable.
+ */
+class BVec2{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (false, false). Non-zero values are stored as 1.
+   * @param {BVec2 | Object | Boolean} [u=false] - Any object (properties x, y are interpreted as coordinates, if given), or a value for coordinate x.
+   * @param {Boolean} [v=false] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   */
+  constructor(u, v){
+    /**
+     * @name BVec2#storage
+     * @description 2-element typed array for coordinate storage.
+     * @type Int32Array
+     */
+    this.storage = new Int32Array([
+      (u && u.x || Number(u).valueOf() || 0) ? 1 : 0,
+      (u && u.y || Number(v).valueOf() || 0) ? 1 : 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof BVec2
+   * @description Creates a copy.
+   * @return {BVec2} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(BVec2.prototype);
+    result.storage = new Int32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof BVec2
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or boolean values. Without parameters, sets (false, false). Non-zero values are stored as 1.
+   * @param {BVec2 | Object | Boolean} [u=false] - Any object (properties x, y are interpreted as coordinates, if given), or a value for coordinate x.
+   * @param {Boolean} [v=false] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @return {BVec2} this
+   */
+  set(u, v) {
+    this.storage[0] = (u && u.x || Number(u).valueOf() || 0) ? 1 : 0;
+    this.storage[1] = (u && u.y || Number(v).valueOf() || 0) ? 1 : 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof BVec2
+   * @description Sets the value of the vector to a WebGL bvec2 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform2iv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name BVec2#x
+ * @description Alias for storage[0], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec2.prototype, 'x', {
+  get: function() { return this.storage[0] !== 0; },
+  set: function(value) { this.storage[0] = value ? 1 : 0; }
+});
+
+/**
+ * @name BVec2#y
+ * @description Alias for storage[1], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec2.prototype, 'y', {
+  get: function() { return this.storage[1] !== 0; },
+  set: function(value) { this.storage[1] = value ? 1 : 0; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = BVec2;
+}
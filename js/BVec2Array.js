@@ -0,0 +1,80 @@
+/**
+ * @file WebGLMath BVec2Array class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported BVec2Array */
+/**
+ * Array of two-element vectors of booleans, stored as 32-bit integers. May reflect an GLSL array-of-bvec2s uniform variable.
+ * <BR> Individual [BVec2]{@link BVec2} elements are available through the [at]{@link BVec2Array#at} method.
+ * Bulk methods of {@link VecArray} are available, storing their results as integers, which are not converted to 0 or 1.
+ * @extends VecArray
+ */
+class BVec2Array extends VecArray{
+  /**
+   * Creates an array of vectors.
+   * @param {Number | Array} size - The number of BVec2 elements in the array, or an array of 2n elements.
+   */
+  constructor(size){
+    super();
+    this.length = size.length/2 || size;
+    this.storage = new Int32Array(size.length && size || size * 2);
+  }
+
+  /**
+   * @method at
+   * @memberof BVec2Array
+   * @description Returns a new BVec2 object that captures an element of the array. The new vector is a view on the original data, not a copy.
+   * @param index {Number} - Index of the element.
+   * @return {BVec2} new view on one of the array's elements
+   */
+  at(index){
+    const result = Object.create(BVec2.prototype);
+    result.storage = this.storage.subarray(index*2, index*2+2);
+    return result;
+  }
+
+  /**
+   * @method subarray
+   * @memberof BVec2Array
+   * @description Returns a new BVec2Array object that captures a subrange of the array. The new array is a view on the original data, not a copy.
+   * @param {Number} [begin=0] - Element to begin at. The offset is inclusive. The whole array will be cloned if this value is not specified.
+   * @param {Number} [end=length] - Element to end at. The offset is exclusive. If not specified, all elements from the one specified by begin to the end of the array are included in the new view.
+   * @return {BVec2Array} new view on some of the array's elements
+   */
+  subarray(begin, end){
+    const result = Object.create(BVec2Array.prototype);
+    result.storage = this.storage.subarray(begin*2, end*2);
+    result.length  = result.storage.length/2;
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof BVec2Array
+   * @description Sets the value of the vector array from another WebGLMath vector or vector array object, or an array of booleans or numbers.
+   * @param {boolean[] | number[] | Object } data - Input data.
+   */
+  set(data){
+    const source = data.storage || data;
+    for(let i=0; i<source.length; i++) {
+      this.storage[i] = source[i] ? 1 : 0;
+    }
+  }
+
+  /**
+   * @method commit
+   * @memberof BVec2Array
+   * @description Sets the value of the vector array to a WebGL bvec2 array uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform2iv(uniformLocation, this.storage);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = BVec2Array;
+}
@@ -0,0 +1,117 @@
+/**
+ * @file WebGLMath {@link BVec4} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported BVec4 */
+/**
+ * Four-element vector of booleans, stored as 32-bit integers. May reflect an GLSL bvec4 uniform variable.
+ */
+class BVec4{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (false, false, false, false). Non-zero values are stored as 1.
+   * @param {BVec4 | Object | Boolean} [u=false] - Any object (properties x, y, z, w are interpreted as coordinates, if given), or a value for coordinate x.
+   * @param {Boolean} [v=false] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Boolean} [s=false] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @param {Boolean} [t=false] - Ignored if u.w is defined. Otherwise, the value for coordinate w.
+   */
+  constructor(u, v, s, t){
+    /**
+     * @name BVec4#storage
+     * @description 4-element typed array for coordinate storage.
+     * @type Int32Array
+     */
+    this.storage = new Int32Array([
+      (u && u.x || Number(u).valueOf() || 0) ? 1 : 0,
+      (u && u.y || Number(v).valueOf() || 0) ? 1 : 0,
+      (u && u.z || Number(s).valueOf() || 0) ? 1 : 0,
+      (u && u.w || Number(t).valueOf() || 0) ? 1 : 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof BVec4
+   * @description Creates a copy.
+   * @return {BVec4} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(BVec4.prototype);
+    result.storage = new Int32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof BVec4
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or boolean values. Without parameters, sets (false, false, false, false). Non-zero values are stored as 1.
+   * @param {BVec4 | Object | Boolean} [u=false] - Any object (properties x, y, z, w are interpreted as coordinates, if given), or a value for coordinate x.
+   * @param {Boolean} [v=false] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Boolean} [s=false] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @param {Boolean} [t=false] - Ignored if u.w is defined. Otherwise, the value for coordinate w.
+   * @return {BVec4} this
+   */
+  set(u, v, s, t) {
+    this.storage[0] = (u && u.x || Number(u).valueOf() || 0) ? 1 : 0;
+    this.storage[1] = (u && u.y || Number(v).valueOf() || 0) ? 1 : 0;
+    this.storage[2] = (u && u.z || Number(s).valueOf() || 0) ? 1 : 0;
+    this.storage[3] = (u && u.w || Number(t).valueOf() || 0) ? 1 : 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof BVec4
+   * @description Sets the value of the vector to a WebGL bvec4 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform4iv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name BVec4#x
+ * @description Alias for storage[0], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec4.prototype, 'x', {
+  get: function() { return this.storage[0] !== 0; },
+  set: function(value) { this.storage[0] = value ? 1 : 0; }
+});
+
+/**
+ * @name BVec4#y
+ * @description Alias for storage[1], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec4.prototype, 'y', {
+  get: function() { return this.storage[1] !== 0; },
+  set: function(value) { this.storage[1] = value ? 1 : 0; }
+});
+
+/**
+ * @name BVec4#z
+ * @description Alias for storage[2], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec4.prototype, 'z', {
+  get: function() { return this.storage[2] !== 0; },
+  set: function(value) { this.storage[2] = value ? 1 : 0; }
+});
+
+/**
+ * @name BVec4#w
+ * @description Alias for storage[3], converted to a boolean.
+ * @type Boolean
+ */
+Object.defineProperty(BVec4.prototype, 'w', {
+  get: function() { return this.storage[3] !== 0; },
+  set: function(value) { this.storage[3] = value ? 1 : 0; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = BVec4;
+}
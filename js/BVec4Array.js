@@ -0,0 +1,80 @@
+/**
+ * @file WebGLMath BVec4Array class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported BVec4Array */
+/**
+ * Array of four-element vectors of booleans, stored as 32-bit integers. May reflect an GLSL array-of-bvec4s uniform variable.
+ * <BR> Individual [BVec4]{@link BVec4} elements are available through the [at]{@link BVec4Array#at} method.
+ * Bulk methods of {@link VecArray} are available, storing their results as integers, which are not converted to 0 or 1.
+ * @extends VecArray
+ */
+class BVec4Array extends VecArray{
+  /**
+   * Creates an array of vectors.
+   * @param {Number | Array} size - The number of BVec4 elements in the array, or an array of 4n elements.
+   */
+  constructor(size){
+    super();
+    this.length = size.length/4 || size;
+    this.storage = new Int32Array(size.length && size || size * 4);
+  }
+
+  /**
+   * @method at
+   * @memberof BVec4Array
+   * @description Returns a new BVec4 object that captures an element of the array. The new vector is a view on the original data, not a copy.
+   * @param index {Number} - Index of the element.
+   * @return {BVec4} new view on one of the array's elements
+   */
+  at(index){
+    const result = Object.create(BVec4.prototype);
+    result.storage = this.storage.subarray(index*4, index*4+4);
+    return result;
+  }
+
+  /**
+   * @method subarray
+   * @memberof BVec4Array
+   * @description Returns a new BVec4Array object that captures a subrange of the array. The new array is a view on the original data, not a copy.
+   * @param {Number} [begin=0] - Element to begin at. The offset is inclusive. The whole array will be cloned if this value is not specified.
+   * @param {Number} [end=length] - Element to end at. The offset is exclusive. If not specified, all elements from the one specified by begin to the end of the array are included in the new view.
+   * @return {BVec4Array} new view on some of the array's elements
+   */
+  subarray(begin, end){
+    const result = Object.create(BVec4Array.prototype);
+    result.storage = this.storage.subarray(begin*4, end*4);
+    result.length  = result.storage.length/4;
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof BVec4Array
+   * @description Sets the value of the vector array from another WebGLMath vector or vector array object, or an array of booleans or numbers.
+   * @param {boolean[] | number[] | Object } data - Input data.
+   */
+  set(data){
+    const source = data.storage || data;
+    for(let i=0; i<source.length; i++) {
+      this.storage[i] = source[i] ? 1 : 0;
+    }
+  }
+
+  /**
+   * @method commit
+   * @memberof BVec4Array
+   * @description Sets the value of the vector array to a WebGL bvec4 array uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform4iv(uniformLocation, this.storage);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = BVec4Array;
+}
@@ -0,0 +1,240 @@
+/**
+ * @file WebGLMath {@link BufferLayout} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported BufferLayout */
+/**
+ * Memory layout of a struct in a uniform or storage buffer, computed from a declarative description, without a WebGL context.
+ * <BR> The description is an object, with member names as keys. Values are WebGLMath types, e.g. <code>Vec3</code> or <code>Mat4</code> (<code>Number</code> stands for float), nested description objects for structs, or arrays given as <code>[Vec4Array, 8]</code> or <code>[lightDescription, 4]</code>.
+ * <BR> Member descriptors have the same form as those reflected by {@link ProgramReflection} for uniform blocks, with byte <code>offset</code>, <code>arrayStride</code> and <code>matrixStride</code>, element count as <code>size</code>, and <code>columnCount</code>, so they can also be used with [UniformBuffer#attach]{@link UniformBuffer#attach}. They also have the <code>alignment</code> and <code>byteLength</code> of the member. Struct members have a <code>members</code> array, with offsets relative to the struct.
+ * <BR> Objects with properties matching the members can be packed into an ArrayBuffer, e.g. for WebGL uniform buffers, or WebGPU uniform and storage buffers.
+ * @example
+ * const layout = new BufferLayout({
+ *   viewProjMatrix : Mat4,
+ *   lights : [{ position : Vec3, intensity : Number }, 4],
+ *   weights : [Vec1Array, 8]
+ * }, "std140");
+ * const data = layout.pack({ viewProjMatrix : camera.viewProjMatrix, lights : lights, weights : weights });
+ */
+class BufferLayout {
+  /**
+   * Computes the layout of a struct.
+   * @param {Object} description - Member types by member name.
+   * @param {String} [packing="std140"] - The layout rules, "std140" or "std430".
+   */
+  constructor(description, packing){
+    packing = packing || "std140";
+    if(packing !== "std140" && packing !== "std430") {
+      throw new Error(`Unknown buffer layout ${packing}. Use std140 or std430.`);
+    }
+    /**
+     * @name BufferLayout#packing
+     * @description The layout rules, "std140" or "std430".
+     * @type String
+     */
+    this.packing = packing;
+    const struct = this.layoutStruct(description);
+    /**
+     * @name BufferLayout#members
+     * @description Member descriptors, in declaration order.
+     * @type Object[]
+     */
+    this.members = struct.members;
+    /**
+     * @name BufferLayout#alignment
+     * @description The base alignment of the struct, in bytes.
+     * @type Number
+     */
+    this.alignment = struct.alignment;
+    /**
+     * @name BufferLayout#byteLength
+     * @description The size of the struct, in bytes, padded to a multiple of its alignment.
+     * @type Number
+     */
+    this.byteLength = struct.byteLength;
+  }
+
+  // computes member descriptors, alignment and size of a struct description
+  layoutStruct(description) {
+    const members = [];
+    let offset = 0;
+    let alignment = 4;
+    for(const name of Object.keys(description)) {
+      const member = this.layoutMember(name, description[name]);
+      offset = BufferLayout.roundUp(offset, member.alignment);
+      member.offset = offset;
+      offset += member.byteLength;
+      alignment = Math.max(alignment, member.alignment);
+      members.push(member);
+    }
+    if(this.packing === "std140") {
+      alignment = BufferLayout.roundUp(alignment, 16);
+    }
+    return {
+      members : members,
+      alignment : alignment,
+      byteLength : BufferLayout.roundUp(offset, alignment)
+    };
+  }
+
+  // computes the descriptor of a member, without its offset
+  layoutMember(name, type) {
+    let size = 1;
+    let isArray = false;
+    if(Array.isArray(type)) {
+      [type, size] = type;
+      isArray = true;
+    }
+    if(typeof type === "object") {
+      const struct = this.layoutStruct(type);
+      return {
+        name : name,
+        size : size,
+        arrayStride : isArray ? struct.byteLength : 0,
+        matrixStride : 0,
+        columnCount : 1,
+        members : struct.members,
+        alignment : struct.alignment,
+        byteLength : struct.byteLength * size
+      };
+    }
+    const typeInfo = BufferLayout.getTypeInfo(type);
+    isArray = isArray || typeInfo.isArray;
+    const rows = typeInfo.elementLength / typeInfo.columnCount;
+    // vectors of 3 components are aligned as vectors of 4
+    let alignment = rows === 1 ? 4 : rows === 2 ? 8 : 16;
+    if(this.packing === "std140" && (isArray || typeInfo.columnCount > 1)) {
+      alignment = 16;
+    }
+    const matrixStride = typeInfo.columnCount > 1 ? BufferLayout.roundUp(rows * 4, alignment) : 0;
+    const elementStride = typeInfo.columnCount > 1 ? typeInfo.columnCount * matrixStride : BufferLayout.roundUp(rows * 4, alignment);
+    return {
+      name : name,
+      type : type,
+      size : size,
+      arrayStride : isArray ? elementStride : 0,
+      matrixStride : matrixStride,
+      columnCount : typeInfo.columnCount,
+      elementLength : typeInfo.elementLength,
+      storageType : typeInfo.storageType,
+      alignment : alignment,
+      byteLength : isArray ? elementStride * size : typeInfo.columnCount > 1 ? elementStride : rows * 4
+    };
+  }
+
+  /**
+   * @method getMember
+   * @memberof BufferLayout
+   * @description Finds the descriptor of a member by its path, e.g. <code>"lights.position"</code>. Offsets of struct members are relative to the struct.
+   * @param {String} path - Member names separated by dots.
+   * @return {Object | undefined} The member descriptor, if it exists.
+   */
+  getMember(path) {
+    let members = this.members;
+    let member;
+    for(const name of path.split('.')) {
+      member = members && members.find(m => m.name === name);
+      if(member === undefined) {
+        return undefined;
+      }
+      members = member.members;
+    }
+    return member;
+  }
+
+  /**
+   * @method pack
+   * @memberof BufferLayout
+   * @description Writes the properties of an object matching the members into an ArrayBuffer. Values can be WebGLMath vectors, matrices and arrays, typed or plain arrays of numbers, numbers, objects for structs, and arrays of objects for arrays of structs. Members without a matching property, or with an undefined or null one, are left unchanged, as are the missing elements of arrays of structs.
+   * @param {Object} values - The object with properties matching the members.
+   * @param {ArrayBuffer} [data] - The buffer to write into. A new one, of [byteLength]{@link BufferLayout#byteLength} bytes, is created if not given.
+   * @param {Number} [byteOffset=0] - The offset of the struct in the buffer, in bytes. Must be a multiple of 4.
+   * @return {ArrayBuffer} the buffer written into
+   */
+  pack(values, data, byteOffset) {
+    data = data || new ArrayBuffer(this.byteLength);
+    const views = {
+      Float32Array : new Float32Array(data),
+      Int32Array : new Int32Array(data),
+      Uint32Array : new Uint32Array(data)
+    };
+    BufferLayout.packStruct(this.members, values, views, (byteOffset || 0) / 4);
+    return data;
+  }
+
+  // writes struct members into the views of a buffer, from a word offset
+  static packStruct(members, values, views, offset) {
+    for(const member of members) {
+      const value = values[member.name];
+      if(value === undefined || value === null) {
+        continue;
+      }
+      const memberOffset = offset + member.offset / 4;
+      if(member.members) {
+        if(member.arrayStride) {
+          for(let i=0; i<member.size && i<value.length; i++) {
+            // missing array elements, e.g. of sparse arrays, are left unchanged
+            if(value[i] === undefined || value[i] === null) {
+              continue;
+            }
+            BufferLayout.packStruct(member.members, value[i], views, memberOffset + i * member.arrayStride / 4);
+          }
+        } else {
+          BufferLayout.packStruct(member.members, value, views, memberOffset);
+        }
+        continue;
+      }
+      const target = views[member.storageType];
+      if(typeof value === "number") {
+        target[memberOffset] = value;
+        continue;
+      }
+      // matrices are written as columns, array elements after each other, both padded in the buffer
+      const source = value.storage || value;
+      const chunkLength = member.elementLength / member.columnCount;
+      const chunkStride = (member.matrixStride || member.arrayStride) / 4;
+      const length = Math.min(source.length, member.size * member.elementLength);
+      for(let i=0, j=memberOffset; i<length; i+=chunkLength, j+=chunkStride) {
+        for(let k=0; k<chunkLength; k++) {
+          target[j+k] = source[i+k];
+        }
+      }
+    }
+  }
+
+  /**
+   * @method getTypeInfo
+   * @memberof BufferLayout
+   * @static
+   * @description Describes a WebGLMath type, based on its class name, so that the class need not be functional, e.g. in node.js without the rest of the library.
+   * @param {Function} type - A WebGLMath vector, matrix, or array class, or Number for float.
+   * @return {Object} An object with properties isArray, elementLength (number of scalars in an element), columnCount, and storageType (the name of the typed array class of its storage).
+   */
+  static getTypeInfo(type) {
+    if(type === Number) {
+      return { isArray : false, elementLength : 1, columnCount : 1, storageType : "Float32Array" };
+    }
+    const match = typeof type === "function" && type.name.match(/^([IUB]?)(Vec|Mat)(\d)(?:x(\d))?(Array)?$/);
+    if(!match || (match[1] && match[2] === "Mat") || (match[4] && match[2] === "Vec")) {
+      throw new Error(`Type ${type && type.name || type} cannot be laid out in a buffer. Use WebGLMath vector, matrix, or array types, Number, or struct description objects.`);
+    }
+    const [, scalarType, kind, n, rows, array] = match;
+    return {
+      isArray : array !== undefined,
+      elementLength : kind === "Mat" ? n * (rows || n) : Number(n),
+      columnCount : kind === "Mat" ? Number(n) : 1,
+      storageType : scalarType === "U" ? "Uint32Array" : scalarType ? "Int32Array" : "Float32Array"
+    };
+  }
+
+  // rounds a byte offset up to a multiple of an alignment
+  static roundUp(offset, alignment) {
+    return Math.ceil(offset / alignment) * alignment;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = BufferLayout;
+}
@@ -0,0 +1,139 @@
+/**
+ * @file WebGLMath {@link Camera} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Camera */
+/**
+ * Base class of cameras, computing view and projection matrices from a position, a viewing direction and an aspect ratio.
+ * <BR> The projection is set by the lens subclasses {@link PerspectiveCamera} and {@link OrthographicCamera}. The pose can be set directly through [position]{@link Camera#position} and [ahead]{@link Camera#ahead}, or by a controller like {@link OrbitController} or {@link FreeFlyController}. After changing any of them, [update]{@link Camera#update} recomputes the matrices. It allocates no memory, so it can be called every frame.
+ * <BR> As a {@link UniformProvider}, it reflects the members <code>mat4 viewProjMatrix</code>, <code>mat4 viewMatrix</code>, <code>mat4 projMatrix</code>, <code>mat4 rayDirMatrix</code> and <code>vec3 position</code> of the uniform structs whose names are given to the constructor.
+ * @extends UniformProvider
+ */
+class Camera extends UniformProvider {
+  /**
+   * Creates a camera at the origin, looking along the negative z axis, with identity projection.
+   * @param {...String} glslStructNames - The names of the uniform structs in the shaders, which have the camera matrices and position as their members.
+   */
+  constructor(...glslStructNames){
+    super(...glslStructNames);
+    /**
+     * @name Camera#position
+     * @description The position of the camera in world space.
+     * @type Vec3
+     */
+    this.position = new Vec3(0, 0, 0);
+    /**
+     * @name Camera#ahead
+     * @description The viewing direction in world space. Need not be normalized. While it is parallel to [up]{@link Camera#up}, [update]{@link Camera#update} keeps the previous view matrix.
+     * @type Vec3
+     */
+    this.ahead = new Vec3(0, 0, -1);
+    /**
+     * @name Camera#up
+     * @description The world space direction that appears upwards on the screen.
+     * @type Vec3
+     */
+    this.up = new Vec3(0, 1, 0);
+    /**
+     * @name Camera#aspect
+     * @description Aspect ratio of the viewport, width over height.
+     * @type Number
+     */
+    this.aspect = 1;
+    /**
+     * @name Camera#viewMatrix
+     * @description Transformation from world space to view space, computed by [update]{@link Camera#update}.
+     * @type Mat4
+     */
+    this.viewMatrix = new Mat4();
+    /**
+     * @name Camera#projMatrix
+     * @description Projection from view space to clip space, computed by [update]{@link Camera#update} in lens subclasses.
+     * @type Mat4
+     */
+    this.projMatrix = new Mat4();
+    /**
+     * @name Camera#viewProjMatrix
+     * @description Transformation from world space to clip space, the product of the view and projection matrices, computed by [update]{@link Camera#update}.
+     * @type Mat4
+     */
+    this.viewProjMatrix = new Mat4();
+    /**
+     * @name Camera#rayDirMatrix
+     * @description Transformation from normalized device coordinates to world space directions, computed by [update]{@link Camera#update}. For a perspective camera, the homogeneous point <code>(x, y, 1, 1)</code> on the far plane is transformed into the direction of the ray through the pixel, up to a positive factor, e.g. for ray casting in a full-screen quad shader. It is the inverse of the view-projection matrix, with the camera translation removed.
+     * @type Mat4
+     */
+    this.rayDirMatrix = new Mat4();
+    /**
+     * @name Camera#frustum
+     * @description The view frustum in world space, computed by [update]{@link Camera#update}, e.g. for skipping the drawing of invisible objects.
+     * @type Frustum
+     */
+    this.frustum = new Frustum();
+    // point looked at, created once to avoid per-frame allocation
+    this.lookAtTarget = new Vec3();
+  }
+
+  /**
+   * @method setAspectRatio
+   * @memberof Camera
+   * @description Sets the aspect ratio of the viewport. Takes effect at the next [update]{@link Camera#update}.
+   * @param {Number} aspect - Aspect ratio, width over height.
+   * @return {Camera} this
+   */
+  setAspectRatio(aspect) {
+    this.aspect = aspect;
+    return this;
+  }
+
+  /**
+   * @method resize
+   * @memberof Camera
+   * @description Sets the aspect ratio from the size of the viewport, e.g. in the resize event handler of the canvas. A zero width or height, e.g. of a minimized window, is ignored. Takes effect at the next [update]{@link Camera#update}.
+   * @param {Number} width - Width of the viewport.
+   * @param {Number} height - Height of the viewport.
+   * @return {Camera} this
+   */
+  resize(width, height) {
+    if(width > 0 && height > 0) {
+      this.aspect = width / height;
+    }
+    return this;
+  }
+
+  /**
+   * @method updateProjMatrix
+   * @memberof Camera
+   * @description Computes the projection matrix. Overridden by lens subclasses. The base class leaves the projection matrix unchanged, so a custom projection can be set into it directly.
+   * @return {Camera} this
+   */
+  updateProjMatrix() {
+    return this;
+  }
+
+  /**
+   * @method update
+   * @memberof Camera
+   * @description Computes all matrices from the position, viewing direction, up direction and lens parameters. Allocates no memory. If the viewing direction is parallel to the up direction, the view matrix is left unchanged.
+   * @return {Camera} this
+   */
+  update() {
+    // the view is undefined if ahead is parallel to up
+    this.lookAtTarget.setVectorProduct(this.ahead, this.up);
+    if(this.lookAtTarget.length() > 0) {
+      this.lookAtTarget.setSum(this.position, this.ahead);
+      this.viewMatrix.setLookAt(this.position, this.lookAtTarget, this.up);
+    }
+    this.updateProjMatrix();
+    this.viewProjMatrix.set(this.viewMatrix).mul(this.projMatrix);
+    this.rayDirMatrix.set().translate(this.position).mul(this.viewProjMatrix).invert();
+    this.frustum.setFromMatrix(this.viewProjMatrix);
+    return this;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Camera;
+}
@@ -0,0 +1,343 @@
+/**
+ * @file WebGLMath {@link DualQuat} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported DualQuat */
+/**
+ * Unit dual quaternion of 32-bit floats representing a rigid transformation, i.e. a rotation followed by a translation. May reflect an GLSL vec4[2] uniform variable, with the real part in the first, and the dual part in the second element.
+ * <BR> Composition follows the same convention as {@link Quat} and {@link Mat4}: transformations apply to row vectors, so <code>a.mul(b)</code> is the transformation <code>a</code> followed by the transformation <code>b</code>.
+ * <BR> The real and dual parts are available as {@link Quat} views through the [real]{@link DualQuat#real} and [dual]{@link DualQuat#dual} properties.
+ */
+class DualQuat {
+  /**
+   * Creates a dual quaternion. Without parameters, initializes the identity transformation.
+   * @param {DualQuat | Mat4 | Quat | Object} [u=identity] - Dual quaternion to copy, rigid transformation matrix to convert, or rotation quaternion (properties x, y, z, w are interpreted as coordinates).
+   * @param {Vec3 | Object} [t=(0, 0, 0)] - Ignored unless u is a rotation. Translation applied after the rotation (properties x, y, z are interpreted as coordinates, if given).
+   */
+  constructor(u, t){
+    /**
+     * @name DualQuat#storage
+     * @description 8-element typed array for coordinate storage, real part first.
+     * @type Float32Array
+     */
+    this.storage = new Float32Array(8);
+    /**
+     * @name DualQuat#real
+     * @description View on the real part, representing the rotation.
+     * @type Quat
+     */
+    this.real = Object.create(Quat.prototype);
+    this.real.storage = this.storage.subarray(0, 4);
+    /**
+     * @name DualQuat#dual
+     * @description View on the dual part, encoding the translation.
+     * @type Quat
+     */
+    this.dual = Object.create(Quat.prototype);
+    this.dual.storage = this.storage.subarray(4, 8);
+    this.set(u, t);
+  }
+
+  /**
+   * @method clone
+   * @memberof DualQuat
+   * @description Creates a copy.
+   * @return {DualQuat} A new instance with identical contents.
+   */
+  clone() {
+    return new DualQuat(this);
+  }
+
+  /**
+   * @method set
+   * @memberof DualQuat
+   * @description Simulates operator <code>=</code>. Sets the dual quaternion from another one, a rigid transformation matrix, or a rotation and a translation. Without parameters, sets the identity transformation.
+   * @param {DualQuat | Mat4 | Quat | Object} [u=identity] - Dual quaternion to copy, rigid transformation matrix to convert, or rotation quaternion (properties x, y, z, w are interpreted as coordinates).
+   * @param {Vec3 | Object} [t=(0, 0, 0)] - Ignored unless u is a rotation. Translation applied after the rotation (properties x, y, z are interpreted as coordinates, if given).
+   * @return {DualQuat} this
+   */
+  set(u, t) {
+    if(u && u.storage && u.storage.length === 8) {
+      this.storage.set(u.storage);
+      return this;
+    }
+    if(u && u.storage && u.storage.length === 16) {
+      return this.setFromMat4(u);
+    }
+    return this.setRotationTranslation(u, t);
+  }
+
+  /**
+   * @method setRotationTranslation
+   * @memberof DualQuat
+   * @description Sets the dual quaternion to a rotation followed by a translation.
+   * @param {Quat | Object} [q=identity] - Unit quaternion of the rotation (properties x, y, z, w are interpreted as coordinates).
+   * @param {Vec3 | Object} [t=(0, 0, 0)] - Translation (properties x, y, z are interpreted as coordinates, if given).
+   * @return {DualQuat} this
+   */
+  setRotationTranslation(q, t) {
+    const rx = q && q.x || 0;
+    const ry = q && q.y || 0;
+    const rz = q && q.z || 0;
+    const rw = q ? (q.w || 0) : 1;
+    const tx = t && t.x || 0;
+    const ty = t && t.y || 0;
+    const tz = t && t.z || 0;
+    this.storage[0] = rx;
+    this.storage[1] = ry;
+    this.storage[2] = rz;
+    this.storage[3] = rw;
+    // dual = 0.5 * (t, 0) * r (Hamilton)
+    this.storage[4] = 0.5 * ( rw * tx + ty * rz - tz * ry);
+    this.storage[5] = 0.5 * ( rw * ty + tz * rx - tx * rz);
+    this.storage[6] = 0.5 * ( rw * tz + tx * ry - ty * rx);
+    this.storage[7] = 0.5 * (-tx * rx - ty * ry - tz * rz);
+    return this;
+  }
+
+  /**
+   * @method setFromMat4
+   * @memberof DualQuat
+   * @description Sets the dual quaternion to the rigid transformation of a matrix. The upper left 3x3 part of the matrix is assumed to be orthonormal, and its last column to be (0, 0, 0, 1).
+   * @param {Mat4} m - The rigid transformation matrix.
+   * @return {DualQuat} this
+   */
+  setFromMat4(m) {
+    this.real.setFromMat4(m);
+    return this.setRotationTranslation(this.real, {
+      x: m.storage[ 3],
+      y: m.storage[ 7],
+      z: m.storage[11]});
+  }
+
+  /**
+   * @method getTranslation
+   * @memberof DualQuat
+   * @description Computes the translation of the rigid transformation.
+   * @param {Vec3} [result=new Vec3()] - Vector to store the result in.
+   * @return {Vec3} the translation vector
+   */
+  getTranslation(result) {
+    result = result || new Vec3();
+    const rx = this.storage[0], ry = this.storage[1], rz = this.storage[2], rw = this.storage[3];
+    const dx = this.storage[4], dy = this.storage[5], dz = this.storage[6], dw = this.storage[7];
+    // t = 2 * (dual * conjugate(real)).xyz (Hamilton)
+    result.storage[0] = 2 * (rw * dx - dw * rx + ry * dz - rz * dy);
+    result.storage[1] = 2 * (rw * dy - dw * ry + rz * dx - rx * dz);
+    result.storage[2] = 2 * (rw * dz - dw * rz + rx * dy - ry * dx);
+    return result;
+  }
+
+  /**
+   * @method mul
+   * @memberof DualQuat
+   * @description Composes this transformation with another one, applied after it, overwriting this dual quaternion with the result. Matches {@link Mat4#mul} of the equivalent matrices.
+   * @param {DualQuat} q - The transformation to apply after this one.
+   * @return {DualQuat} this
+   */
+  mul(q) {
+    return this.setProduct(this, q);
+  }
+
+  /**
+   * @method premul
+   * @memberof DualQuat
+   * @description Composes this transformation with another one, applied before it, overwriting this dual quaternion with the result. Matches {@link Mat4#premul} of the equivalent matrices.
+   * @param {DualQuat} q - The transformation to apply before this one.
+   * @return {DualQuat} this
+   */
+  premul(q) {
+    return this.setProduct(q, this);
+  }
+
+  /**
+   * @method times
+   * @memberof DualQuat
+   * @description Composes this transformation with another one, applied after it, returning the result in a new instance. See {@link DualQuat#mul} for an in-place version.
+   * @param {DualQuat} q - The transformation to apply after this one.
+   * @return {DualQuat} the composed transformation
+   */
+  times(q) {
+    return new DualQuat().setProduct(this, q);
+  }
+
+  /**
+   * @method setProduct
+   * @memberof DualQuat
+   * @description Sets this dual quaternion to the composition of two transformations, b applied first, then c. Any of the arguments may be this dual quaternion.
+   * @param {DualQuat} b - The transformation applied first.
+   * @param {DualQuat} c - The transformation applied second.
+   * @return {DualQuat} this
+   */
+  setProduct(b, c) {
+    const brx = b.storage[0], bry = b.storage[1], brz = b.storage[2], brw = b.storage[3];
+    const bdx = b.storage[4], bdy = b.storage[5], bdz = b.storage[6], bdw = b.storage[7];
+    const crx = c.storage[0], cry = c.storage[1], crz = c.storage[2], crw = c.storage[3];
+    const cdx = c.storage[4], cdy = c.storage[5], cdz = c.storage[6], cdw = c.storage[7];
+    // real = cr * br, dual = cr * bd + cd * br (Hamilton)
+    this.storage[0] = crw * brx + crx * brw + cry * brz - crz * bry;
+    this.storage[1] = crw * bry - crx * brz + cry * brw + crz * brx;
+    this.storage[2] = crw * brz + crx * bry - cry * brx + crz * brw;
+    this.storage[3] = crw * brw - crx * brx - cry * bry - crz * brz;
+    this.storage[4] = crw * bdx + crx * bdw + cry * bdz - crz * bdy +
+                      cdw * brx + cdx * brw + cdy * brz - cdz * bry;
+    this.storage[5] = crw * bdy - crx * bdz + cry * bdw + crz * bdx +
+                      cdw * bry - cdx * brz + cdy * brw + cdz * brx;
+    this.storage[6] = crw * bdz + crx * bdy - cry * bdx + crz * bdw +
+                      cdw * brz + cdx * bry - cdy * brx + cdz * brw;
+    this.storage[7] = crw * bdw - crx * bdx - cry * bdy - crz * bdz +
+                      cdw * brw - cdx * brx - cdy * bry - cdz * brz;
+    return this;
+  }
+
+  /**
+   * @method normalize
+   * @memberof DualQuat
+   * @description Scales the dual quaternion so that the real part has unit length, and removes the component of the dual part parallel to the real part, so that the result is a valid rigid transformation.
+   * @return {DualQuat} this
+   */
+  normalize() {
+    const l = this.real.length();
+    for(let i=0; i<8; i++) {
+      this.storage[i] /= l;
+    }
+    const d = this.real.dot(this.dual);
+    this.storage[4] -= this.storage[0] * d;
+    this.storage[5] -= this.storage[1] * d;
+    this.storage[6] -= this.storage[2] * d;
+    this.storage[7] -= this.storage[3] * d;
+    return this;
+  }
+
+  /**
+   * @method setDlb
+   * @memberof DualQuat
+   * @description Sets this dual quaternion to the dual quaternion linear blend (DLB) of transformations, as used in dual quaternion skinning. Antipodal real parts are flipped to the hemisphere of the first one, so blending takes the shorter path.
+   * @param {DualQuat[]} dualQuats - The transformations to blend.
+   * @param {Number[]} weights - The blend weights, one for every transformation.
+   * @return {DualQuat} this
+   */
+  setDlb(dualQuats, weights) {
+    const r0 = dualQuats[0].storage;
+    const result = [0, 0, 0, 0, 0, 0, 0, 0];
+    for(let j=0; j<dualQuats.length; j++) {
+      const q = dualQuats[j].storage;
+      const hemisphere = r0[0] * q[0] + r0[1] * q[1] + r0[2] * q[2] + r0[3] * q[3];
+      const w = (hemisphere < 0) ? -weights[j] : weights[j];
+      for(let i=0; i<8; i++) {
+        result[i] += q[i] * w;
+      }
+    }
+    this.storage.set(result);
+    return this.normalize();
+  }
+
+  /**
+   * @method setSclerp
+   * @memberof DualQuat
+   * @description Sets this dual quaternion to the screw linear interpolation (ScLERP) of two unit dual quaternions, along the shorter path. The rotation and translation are interpolated together, as a single screw motion with constant velocity.
+   * @param {DualQuat} b - Transformation at t = 0.
+   * @param {DualQuat} c - Transformation at t = 1.
+   * @param {Number} t - Interpolation parameter.
+   * @return {DualQuat} this
+   */
+  setSclerp(b, c, t) {
+    const brx = b.storage[0], bry = b.storage[1], brz = b.storage[2], brw = b.storage[3];
+    const bdx = b.storage[4], bdy = b.storage[5], bdz = b.storage[6], bdw = b.storage[7];
+    const sign = (b.real.dot(c.real) < 0) ? -1 : 1;
+    const crx = c.storage[0] * sign, cry = c.storage[1] * sign, crz = c.storage[2] * sign, crw = c.storage[3] * sign;
+    const cdx = c.storage[4] * sign, cdy = c.storage[5] * sign, cdz = c.storage[6] * sign, cdw = c.storage[7] * sign;
+    // difference transformation from b to c: e = c * conjugate(b) (Hamilton)
+    const erx = -crw * brx + crx * brw - cry * brz + crz * bry;
+    const ery = -crw * bry + crx * brz + cry * brw - crz * brx;
+    const erz = -crw * brz - crx * bry + cry * brx + crz * brw;
+    const erw =  crw * brw + crx * brx + cry * bry + crz * brz;
+    const edx = -crw * bdx + crx * bdw - cry * bdz + crz * bdy +
+                -cdw * brx + cdx * brw - cdy * brz + cdz * bry;
+    const edy = -crw * bdy + crx * bdz + cry * bdw - crz * bdx +
+                -cdw * bry + cdx * brz + cdy * brw - cdz * brx;
+    const edz = -crw * bdz - crx * bdy + cry * bdx + crz * bdw +
+                -cdw * brz - cdx * bry + cdy * brx + cdz * brw;
+    const edw =  crw * bdw + crx * bdx + cry * bdy + crz * bdz +
+                 cdw * brw + cdx * brx + cdy * bry + cdz * brz;
+    // raise e to the power t using its screw parameters
+    const sinHalf = Math.sqrt(erx * erx + ery * ery + erz * erz);
+    let prx, pry, prz, prw, pdx, pdy, pdz, pdw;
+    if(sinHalf < 0.00001) {
+      // pure translation
+      prx = 0; pry = 0; prz = 0; prw = 1;
+      pdx = edx * t; pdy = edy * t; pdz = edz * t; pdw = 0;
+    } else {
+      const halfAngle = Math.atan2(sinHalf, erw);
+      const halfPitch = -edw / sinHalf;
+      const lx = erx / sinHalf, ly = ery / sinHalf, lz = erz / sinHalf;
+      const mx = (edx - halfPitch * erw * lx) / sinHalf;
+      const my = (edy - halfPitch * erw * ly) / sinHalf;
+      const mz = (edz - halfPitch * erw * lz) / sinHalf;
+      const sinHalfT = Math.sin(halfAngle * t);
+      const cosHalfT = Math.cos(halfAngle * t);
+      const halfPitchT = halfPitch * t;
+      prx = sinHalfT * lx; pry = sinHalfT * ly; prz = sinHalfT * lz; prw = cosHalfT;
+      pdx = sinHalfT * mx + halfPitchT * cosHalfT * lx;
+      pdy = sinHalfT * my + halfPitchT * cosHalfT * ly;
+      pdz = sinHalfT * mz + halfPitchT * cosHalfT * lz;
+      pdw = -halfPitchT * sinHalfT;
+    }
+    // result = p * b (Hamilton), i.e. b followed by the partial difference
+    this.storage[0] = prw * brx + prx * brw + pry * brz - prz * bry;
+    this.storage[1] = prw * bry - prx * brz + pry * brw + prz * brx;
+    this.storage[2] = prw * brz + prx * bry - pry * brx + prz * brw;
+    this.storage[3] = prw * brw - prx * brx - pry * bry - prz * brz;
+    this.storage[4] = prw * bdx + prx * bdw + pry * bdz - prz * bdy +
+                      pdw * brx + pdx * brw + pdy * brz - pdz * bry;
+    this.storage[5] = prw * bdy - prx * bdz + pry * bdw + prz * bdx +
+                      pdw * bry - pdx * brz + pdy * brw + pdz * brx;
+    this.storage[6] = prw * bdz + prx * bdy - pry * bdx + prz * bdw +
+                      pdw * brz + pdx * bry - pdy * brx + pdz * brw;
+    this.storage[7] = prw * bdw - prx * bdx - pry * bdy - prz * bdz +
+                      pdw * brw - pdx * brx - pdy * bry - pdz * brz;
+    return this;
+  }
+
+  /**
+   * @method sclerp
+   * @memberof DualQuat
+   * @description Screw linear interpolation from this transformation towards another one, overwriting this dual quaternion with the result. See {@link DualQuat#setSclerp}.
+   * @param {DualQuat} q - Transformation at t = 1.
+   * @param {Number} t - Interpolation parameter.
+   * @return {DualQuat} this
+   */
+  sclerp(q, t) {
+    return this.setSclerp(this, q, t);
+  }
+
+  /**
+   * @method storeInVec4Array
+   * @memberof DualQuat
+   * @description Copies the dual quaternion into two consecutive elements of a {@link Vec4Array}, real part first. Useful for filling the bone array of dual quaternion skinning.
+   * @param {Vec4Array} array - The array to write to.
+   * @param {Number} [index=0] - Index of the dual quaternion in the array. Elements 2*index and 2*index+1 of the array are overwritten.
+   * @return {DualQuat} this
+   */
+  storeInVec4Array(array, index) {
+    array.storage.set(this.storage, (index || 0) * 8);
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof DualQuat
+   * @description Sets the value of the dual quaternion to a WebGL vec4[2] uniform variable.
+   * @param {WebGLRenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform4fv(uniformLocation, this.storage);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = DualQuat;
+}
@@ -0,0 +1,102 @@
+/**
+ * @file WebGLMath {@link FreeFlyController} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported FreeFlyController */
+/**
+ * Moves a {@link Camera} like a first-person flying observer, turning it with yaw and pitch angles, and moving it relative to its viewing direction. The world y axis is considered to point upwards.
+ * <BR> The controller is driven by abstract input deltas, e.g. mouse movement and key states scaled by sensitivity and frame time, passed to [rotate]{@link FreeFlyController#rotate} and [move]{@link FreeFlyController#move}. Calling [update]{@link FreeFlyController#update} once per frame then sets the camera orientation and updates the camera matrices, without allocating memory.
+ */
+class FreeFlyController {
+  /**
+   * Creates a controller that keeps the camera's current position and viewing direction.
+   * @param {Camera} camera - The camera to be moved.
+   */
+  constructor(camera){
+    /**
+     * @name FreeFlyController#camera
+     * @description The camera moved by the controller.
+     * @type Camera
+     */
+    this.camera = camera;
+    /**
+     * @name FreeFlyController#maxPitch
+     * @description Upper limit of the absolute value of the pitch angle, keeping the camera from looking straight up or down.
+     * @type Number
+     */
+    this.maxPitch = Math.PI / 2 - 0.01;
+    const x = camera.ahead.x;
+    const y = camera.ahead.y;
+    const z = camera.ahead.z;
+    /**
+     * @name FreeFlyController#yaw
+     * @description Heading of the camera around the vertical axis, in radians. At zero, the camera looks along the negative z axis. Positive angles turn to the left.
+     * @type Number
+     */
+    this.yaw = Math.atan2(-x, -z);
+    /**
+     * @name FreeFlyController#pitch
+     * @description Elevation angle of the viewing direction above the horizontal plane, in radians.
+     * @type Number
+     */
+    this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, Math.atan2(y, Math.sqrt(x * x + z * z))));
+  }
+
+  /**
+   * @method rotate
+   * @memberof FreeFlyController
+   * @description Turns the camera. The pitch angle is clamped to [-maxPitch, maxPitch].
+   * @param {Number} deltaYaw - Angle to add to the yaw angle, in radians. Positive values turn to the left.
+   * @param {Number} deltaPitch - Angle to add to the pitch angle, in radians. Positive values turn upwards.
+   * @return {FreeFlyController} this
+   */
+  rotate(deltaYaw, deltaPitch) {
+    this.yaw += deltaYaw;
+    this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.pitch + deltaPitch));
+    return this;
+  }
+
+  /**
+   * @method move
+   * @memberof FreeFlyController
+   * @description Moves the camera position, relative to the current yaw and pitch angles.
+   * @param {Number} deltaForward - Displacement along the viewing direction.
+   * @param {Number} [deltaRight=0] - Displacement to the right, parallel to the horizontal plane.
+   * @param {Number} [deltaUp=0] - Displacement along the world y axis.
+   * @return {FreeFlyController} this
+   */
+  move(deltaForward, deltaRight, deltaUp) {
+    deltaRight = deltaRight || 0;
+    deltaUp = deltaUp || 0;
+    const sinYaw = Math.sin(this.yaw);
+    const cosYaw = Math.cos(this.yaw);
+    const cosPitch = Math.cos(this.pitch);
+    const p = this.camera.position.storage;
+    p[0] += -sinYaw * cosPitch * deltaForward + cosYaw * deltaRight;
+    p[1] += Math.sin(this.pitch) * deltaForward + deltaUp;
+    p[2] += -cosYaw * cosPitch * deltaForward - sinYaw * deltaRight;
+    return this;
+  }
+
+  /**
+   * @method update
+   * @memberof FreeFlyController
+   * @description Sets the viewing direction of the camera, then calls its [update]{@link Camera#update} method. Allocates no memory.
+   * @return {FreeFlyController} this
+   */
+  update() {
+    const cosPitch = Math.cos(this.pitch);
+    this.camera.ahead.set(
+      -Math.sin(this.yaw) * cosPitch,
+      Math.sin(this.pitch),
+      -Math.cos(this.yaw) * cosPitch);
+    this.camera.update();
+    return this;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = FreeFlyController;
+}
@@ -0,0 +1,217 @@
+/**
+ * @file WebGLMath {@link Frustum} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Frustum */
+/**
+ * The view volume of a camera, bounded by six planes with normals facing inwards, for view-frustum culling.
+ * <BR> Classification methods return one of [Frustum.OUTSIDE]{@link Frustum.OUTSIDE}, [Frustum.INTERSECTING]{@link Frustum.INTERSECTING} and [Frustum.INSIDE]{@link Frustum.INSIDE}. Tests are conservative: a primitive outside the frustum, but not entirely behind any single plane, e.g. near a corner, is classified as intersecting.
+ */
+class Frustum {
+  /**
+   * Creates a frustum. Its planes are all set to the xz plane facing upwards, until set by [setFromMatrix]{@link Frustum#setFromMatrix}.
+   * @param {Mat4} [m] - The view-projection matrix to extract the planes from.
+   */
+  constructor(m){
+    /**
+     * @name Frustum#planes
+     * @description The left, right, bottom, top, near and far planes, with normals facing inwards.
+     * @type Plane[]
+     */
+    this.planes = [new Plane(), new Plane(), new Plane(), new Plane(), new Plane(), new Plane()];
+    if(m) {
+      this.setFromMatrix(m);
+    }
+  }
+
+  /**
+   * @name Frustum.OUTSIDE
+   * @description Classification result for primitives entirely outside the frustum.
+   * @type Number
+   */
+  static get OUTSIDE() { return 0; }
+  /**
+   * @name Frustum.INTERSECTING
+   * @description Classification result for primitives cut by the boundary of the frustum.
+   * @type Number
+   */
+  static get INTERSECTING() { return 1; }
+  /**
+   * @name Frustum.INSIDE
+   * @description Classification result for primitives entirely inside the frustum.
+   * @type Number
+   */
+  static get INSIDE() { return 2; }
+
+  /**
+   * @method setFromMatrix
+   * @memberof Frustum
+   * @description Extracts the planes from a view-projection matrix, or from a projection matrix to get them in view space. Allocates no memory. If the matrix has an infinite far plane, the far plane is set to contain the whole space.
+   * @param {Mat4} m - The view-projection matrix, for row vectors multiplied from the right.
+   * @param {Boolean} [reversedZ=false] - Whether the matrix is a reversed-Z projection, mapping to normalized device z coordinates in the [0, 1] range, like the ones set by [Mat4#setPerspectiveReversedZ]{@link Mat4#setPerspectiveReversedZ}.
+   * @return {Frustum} this
+   */
+  setFromMatrix(m, reversedZ) {
+    // clip coordinate j of a point is its dot product with column j of the matrix, which is storage[4*j] to storage[4*j+3]
+    const s = m.storage;
+    this.setPlane(0, s[12] + s[0], s[13] + s[1], s[14] + s[ 2], s[15] + s[ 3]);
+    this.setPlane(1, s[12] - s[0], s[13] - s[1], s[14] - s[ 2], s[15] - s[ 3]);
+    this.setPlane(2, s[12] + s[4], s[13] + s[5], s[14] + s[ 6], s[15] + s[ 7]);
+    this.setPlane(3, s[12] - s[4], s[13] - s[5], s[14] - s[ 6], s[15] - s[ 7]);
+    if(reversedZ) {
+      this.setPlane(4, s[12] - s[8], s[13] - s[9], s[14] - s[10], s[15] - s[11]);
+      this.setPlane(5, s[8], s[9], s[10], s[11]);
+    } else {
+      this.setPlane(4, s[12] + s[8], s[13] + s[9], s[14] + s[10], s[15] + s[11]);
+      this.setPlane(5, s[12] - s[8], s[13] - s[9], s[14] - s[10], s[15] - s[11]);
+    }
+    return this;
+  }
+
+  // sets a plane from unnormalized coefficients, or to contain everything if the normal is zero
+  setPlane(index, a, b, c, d) {
+    const plane = this.planes[index];
+    const length = Math.sqrt(a * a + b * b + c * c);
+    if(length < 1e-12) {
+      plane.normal.set(0, 0, 0);
+      plane.d = Infinity;
+      return;
+    }
+    plane.normal.set(a / length, b / length, c / length);
+    plane.d = d / length;
+  }
+
+  /**
+   * @method containsPoint
+   * @memberof Frustum
+   * @description Tests whether a point is inside the frustum.
+   * @param {Vec3} p - The point.
+   * @return {Boolean} true if the point is inside or on the boundary
+   */
+  containsPoint(p) {
+    for(let k=0; k<6; k++) {
+      const plane = this.planes[k];
+      if(plane.distanceToPoint(p) < 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // classifies the sphere with the given center coordinates and radius
+  classifySphereAt(x, y, z, radius) {
+    let result = Frustum.INSIDE;
+    for(let k=0; k<6; k++) {
+      const plane = this.planes[k];
+      const distance = plane.normal.storage[0] * x + plane.normal.storage[1] * y + plane.normal.storage[2] * z + plane.d;
+      if(distance < -radius) {
+        return Frustum.OUTSIDE;
+      }
+      if(distance < radius) {
+        result = Frustum.INTERSECTING;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @method classifySphere
+   * @memberof Frustum
+   * @description Classifies a sphere as inside, outside, or intersecting the frustum.
+   * @param {Sphere} sphere - The sphere.
+   * @return {Number} Frustum.OUTSIDE, Frustum.INTERSECTING or Frustum.INSIDE
+   */
+  classifySphere(sphere) {
+    const c = sphere.center.storage;
+    return this.classifySphereAt(c[0], c[1], c[2], sphere.radius);
+  }
+
+  /**
+   * @method classifyConvex
+   * @memberof Frustum
+   * @description Classifies a box or a triangle as inside, outside, or intersecting the frustum.
+   * @param {AABB | OBB | Triangle} primitive - The box or triangle.
+   * @return {Number} Frustum.OUTSIDE, Frustum.INTERSECTING or Frustum.INSIDE
+   */
+  classifyConvex(primitive) {
+    let result = Frustum.INSIDE;
+    for(let k=0; k<6; k++) {
+      const plane = this.planes[k];
+      const n = plane.normal.storage;
+      const distance = primitive.projectionCenter(n[0], n[1], n[2]) + plane.d;
+      const radius = primitive.projectionRadius(n[0], n[1], n[2]);
+      if(distance < -radius) {
+        return Frustum.OUTSIDE;
+      }
+      if(distance < radius) {
+        result = Frustum.INTERSECTING;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @method classifyAABB
+   * @memberof Frustum
+   * @description Classifies an axis-aligned box as inside, outside, or intersecting the frustum.
+   * @param {AABB} aabb - The box.
+   * @return {Number} Frustum.OUTSIDE, Frustum.INTERSECTING or Frustum.INSIDE
+   */
+  classifyAABB(aabb) {
+    return this.classifyConvex(aabb);
+  }
+
+  /**
+   * @method classifyPoints
+   * @memberof Frustum
+   * @description Classifies a point cloud as inside, outside, or intersecting the frustum. It is inside if all points are inside, and outside if all points are behind the same plane.
+   * @param {Vec3Array} points - The points.
+   * @return {Number} Frustum.OUTSIDE, Frustum.INTERSECTING or Frustum.INSIDE
+   */
+  classifyPoints(points) {
+    const p = points.storage;
+    let result = Frustum.INSIDE;
+    for(let k=0; k<6; k++) {
+      const plane = this.planes[k];
+      const n = plane.normal.storage;
+      let insideCount = 0;
+      for(let i=0; i<p.length; i+=3) {
+        if(n[0] * p[i] + n[1] * p[i+1] + n[2] * p[i+2] + plane.d >= 0) {
+          insideCount++;
+        }
+      }
+      if(insideCount === 0) {
+        return Frustum.OUTSIDE;
+      }
+      if(insideCount < p.length / 3) {
+        result = Frustum.INTERSECTING;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @method computeVisibility
+   * @memberof Frustum
+   * @description Tests an array of bounding spheres against the frustum, writing 1 into the mask for spheres at least partially inside, and 0 for spheres outside. Allocates no memory.
+   * @param {Uint8Array | Number[]} mask - Array to store the visibility of every sphere in. Its length must be at least that of spheres.
+   * @param {Vec4Array} spheres - Bounding spheres, with the center in x, y, z and the radius in w.
+   * @return {Number} the number of visible spheres
+   */
+  computeVisibility(mask, spheres) {
+    const s = spheres.storage;
+    let visibleCount = 0;
+    for(let i=0, j=0; j<s.length; i++, j+=4) {
+      const visible = this.classifySphereAt(s[j], s[j+1], s[j+2], s[j+3]) !== Frustum.OUTSIDE;
+      mask[i] = visible ? 1 : 0;
+      visibleCount += mask[i];
+    }
+    return visibleCount;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Frustum;
+}
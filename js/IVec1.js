@@ -0,0 +1,73 @@
+/**
+ * @file WebGLMath {@link IVec1} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported IVec1 */
+/** A 32-bit signed integer wrapped as a single-element vector. May reflect an GLSL int uniform variable. */
+class IVec1{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (0). Values are truncated to integers.
+   * @param {IVec1 | Object | Number} [u=0] - Any object (property x), or a numerical value.
+   */
+  constructor(u){
+    /**
+     * @name IVec1#storage
+     * @description 1-element typed array for coordinate storage.
+     * @type Int32Array
+     */
+    this.storage = new Int32Array([
+      u && u.x || Number(u).valueOf() || 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof IVec1
+   * @description Creates a copy.
+   * @return {IVec1} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(IVec1.prototype);
+    result.storage = new Int32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof IVec1
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or number values. Without parameters, sets (0). Values are truncated to integers.
+   * @param {IVec1 | Object | Number} [u=0] - Any object (property x), or a numerical value.
+   * @return {IVec1} this
+   */
+  set(u) {
+    this.storage[0] = u && u.x || Number(u).valueOf() || 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof IVec1
+   * @description Sets the value of the vector to a WebGL int uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform1iv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name IVec1#x
+ * @description Alias for storage[0];
+ * @type Number
+ */
+Object.defineProperty(IVec1.prototype, 'x', {
+  get: function() { return this.storage[0]; },
+  set: function(value) { this.storage[0] = value; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = IVec1;
+}
@@ -0,0 +1,103 @@
+/**
+ * @file WebGLMath {@link IVec3} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported IVec3 */
+/**
+ * Three-element vector of 32-bit signed integers. May reflect an GLSL ivec3 uniform variable.
+ */
+class IVec3{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (0, 0, 0). Values are truncated to integers.
+   * @param {IVec3 | Object | Number} [u=0] - Any object (properties x, y, z are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   */
+  constructor(u, v, s){
+    /**
+     * @name IVec3#storage
+     * @description 3-element typed array for coordinate storage.
+     * @type Int32Array
+     */
+    this.storage = new Int32Array([
+      u && u.x || Number(u).valueOf() || 0,
+      u && u.y || Number(v).valueOf() || 0,
+      u && u.z || Number(s).valueOf() || 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof IVec3
+   * @description Creates a copy.
+   * @return {IVec3} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(IVec3.prototype);
+    result.storage = new Int32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof IVec3
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or number values. Without parameters, sets (0, 0, 0). Values are truncated to integers.
+   * @param {IVec3 | Object | Number} [u=0] - Any object (properties x, y, z are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @return {IVec3} this
+   */
+  set(u, v, s) {
+    this.storage[0] = u && u.x || Number(u).valueOf() || 0;
+    this.storage[1] = u && u.y || Number(v).valueOf() || 0;
+    this.storage[2] = u && u.z || Number(s).valueOf() || 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof IVec3
+   * @description Sets the value of the vector to a WebGL ivec3 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform3iv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name IVec3#x
+ * @description Alias for storage[0];
+ * @type Number
+ */
+Object.defineProperty(IVec3.prototype, 'x', {
+  get: function() { return this.storage[0]; },
+  set: function(value) { this.storage[0] = value; }
+});
+
+/**
+ * @name IVec3#y
+ * @description Alias for storage[1];
+ * @type Number
+ */
+Object.defineProperty(IVec3.prototype, 'y', {
+  get: function() { return this.storage[1]; },
+  set: function(value) { this.storage[1] = value; }
+});
+
+/**
+ * @name IVec3#z
+ * @description Alias for storage[2];
+ * @type Number
+ */
+Object.defineProperty(IVec3.prototype, 'z', {
+  get: function() { return this.storage[2]; },
+  set: function(value) { this.storage[2] = value; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = IVec3;
+}
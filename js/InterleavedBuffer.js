@@ -0,0 +1,195 @@
+/**
+ * @file WebGLMath {@link InterleavedBuffer} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported InterleavedBuffer */
+/**
+ * Vertex data of several attributes interleaved in a single ArrayBuffer, one vertex after the other, e.g. for faster vertex fetching on mobile GPUs.
+ * <BR> The description is an object, with attribute names as keys, and vector types as values, e.g. <code>Vec3</code>, <code>IVec4</code> or <code>UVec1</code>. Components are stored as 32-bit floats or integers by default. Other component types can be given as <code>[type, typedArrayClass]</code>: for float vectors, integers are normalized, e.g. <code>[Vec4, Uint8Array]</code> stores a color in four bytes, with 255 standing for 1. Integer vectors can also be stored in fewer bytes, e.g. <code>[UVec4, Uint8Array]</code> for joint indices.
+ * <BR> Attributes are placed in declaration order, at offsets that are multiples of 4 bytes. Individual vertex attributes are available through the [at]{@link InterleavedBuffer#at} method, whole attribute streams can be copied in with [setStream]{@link InterleavedBuffer#setStream}.
+ * <BR> It can be given to a {@link VertexInput} in place of vertex arrays, under any name, which then binds its attributes by their names.
+ * @example
+ * const mesh = new InterleavedBuffer({
+ *   vertexPosition : Vec3,
+ *   vertexNormal : Vec3,
+ *   vertexTexCoord : Vec2,
+ *   vertexColor : [Vec4, Uint8Array]
+ * }, 1024);
+ * mesh.setStream("vertexPosition", positions);
+ * mesh.at("vertexColor", 0).set(255, 128, 0, 255);
+ */
+class InterleavedBuffer {
+  /**
+   * Lays out the attributes, and creates a zero-filled buffer for the vertices.
+   * @param {Object} description - Vector types, or arrays of a vector type and a typed array class, by attribute name.
+   * @param {Number} vertexCount - The number of vertices.
+   * @param {Number} [stride] - The distance between consecutive vertices in bytes. It must be a multiple of 4, not greater than 255, and not less than the size of the attributes of a vertex, which is the default.
+   */
+  constructor(description, vertexCount, stride){
+    /**
+     * @name InterleavedBuffer#attributes
+     * @description Attribute layouts by name, with the vector <code>type</code>, byte <code>offset</code> within the vertex, <code>componentCount</code>, the typed array class of the components as <code>storageType</code>, and whether they are <code>normalized</code> integers, or <code>isInteger</code> for integer vectors, and the vector class of the views returned by [at]{@link InterleavedBuffer#at} as <code>viewType</code>.
+     * @type Object
+     */
+    this.attributes = {};
+    let offset = 0;
+    for(const name of Object.keys(description)) {
+      let type = description[name];
+      let storageType;
+      if(Array.isArray(type)) {
+        [type, storageType] = type;
+      }
+      const typeInfo = BufferLayout.getTypeInfo(type);
+      const isInteger = typeInfo.storageType !== "Float32Array";
+      storageType = storageType || { Float32Array, Int32Array, Uint32Array }[typeInfo.storageType];
+      if(type === Number || typeInfo.isArray || typeInfo.columnCount > 1 || type.name.startsWith("B") ||
+        InterleavedBuffer.getGlTypeName(storageType) === undefined || (isInteger && storageType === Float32Array)) {
+        throw new Error(`Vertex attribute ${name} cannot be interleaved as ${type.name} with ${storageType && storageType.name} components. Use Vec, IVec or UVec types, optionally with an integer typed array class, e.g. [Vec4, Uint8Array] for normalized colors.`);
+      }
+      offset = BufferLayout.roundUp(offset, 4);
+      const normalized = !isInteger && storageType !== Float32Array;
+      // normalized components are viewed as the integers they are stored as
+      const viewType = !normalized ? type : storageType.name.startsWith("U") ?
+        [UVec1, UVec2, UVec3, UVec4][typeInfo.elementLength - 1] :
+        [IVec1, IVec2, IVec3, IVec4][typeInfo.elementLength - 1];
+      this.attributes[name] = {
+        name : name,
+        type : type,
+        offset : offset,
+        componentCount : typeInfo.elementLength,
+        storageType : storageType,
+        normalized : normalized,
+        isInteger : isInteger,
+        viewType : viewType
+      };
+      offset += typeInfo.elementLength * storageType.BYTES_PER_ELEMENT;
+    }
+    const packedStride = BufferLayout.roundUp(offset, 4);
+    stride = stride || packedStride;
+    if(stride < packedStride || stride > 255 || stride % 4 !== 0) {
+      throw new Error(`Stride ${stride} is invalid for the interleaved attributes. It must be a multiple of 4 between ${packedStride} and 255.`);
+    }
+    /**
+     * @name InterleavedBuffer#stride
+     * @description The distance between consecutive vertices in bytes.
+     * @type Number
+     */
+    this.stride = stride;
+    /**
+     * @name InterleavedBuffer#vertexCount
+     * @description The number of vertices.
+     * @type Number
+     */
+    this.vertexCount = vertexCount;
+    /**
+     * @name InterleavedBuffer#data
+     * @description The interleaved vertex data.
+     * @type ArrayBuffer
+     */
+    this.data = new ArrayBuffer(stride * vertexCount);
+  }
+
+  /**
+   * @method at
+   * @memberof InterleavedBuffer
+   * @description Returns a new vector object that captures an attribute of a vertex. The new vector is a view on the interleaved data, not a copy. Views of normalized attributes are integer vectors, e.g. a <code>UVec4</code> for a <code>[Vec4, Uint8Array]</code> attribute, holding the integer values, e.g. 255 for 1, so that their methods compute with integers.
+   * @param {String} name - The name of the attribute.
+   * @param {Number} index - Index of the vertex.
+   * @return {Vec1 | Vec2 | Vec3 | Vec4 | IVec1 | IVec2 | IVec3 | IVec4 | UVec1 | UVec2 | UVec3 | UVec4} new view on the attribute of the vertex
+   */
+  at(name, index) {
+    const attribute = this.attributes[name];
+    const result = Object.create(attribute.viewType.prototype);
+    result.storage = new attribute.storageType(this.data, index * this.stride + attribute.offset, attribute.componentCount);
+    return result;
+  }
+
+  /**
+   * @method setStream
+   * @memberof InterleavedBuffer
+   * @description Copies the values of an attribute for consecutive vertices, starting with the first one, from a tightly packed array. For normalized attributes, values are given as floats, clamped to [0, 1], or [-1, 1] for signed types, and converted to integers.
+   * @param {String} name - The name of the attribute.
+   * @param {Vec1Array | Vec2Array | Vec3Array | Vec4Array | IVec1Array | IVec2Array | IVec3Array | IVec4Array | UVec1Array | UVec2Array | UVec3Array | UVec4Array | Number[]} source - Array of values, with as many components per vertex as the attribute. Values beyond the last vertex are ignored.
+   * @return {InterleavedBuffer} this
+   */
+  setStream(name, source) {
+    const attribute = this.attributes[name];
+    const values = source.storage || source;
+    const target = new attribute.storageType(this.data);
+    const bytesPerElement = attribute.storageType.BYTES_PER_ELEMENT;
+    const elementStride = this.stride / bytesPerElement;
+    const n = attribute.componentCount;
+    const vertexCount = Math.min(this.vertexCount, Math.floor(values.length / n));
+    // normalized integers map their maximum value to 1
+    const signed = !attribute.storageType.name.startsWith("U");
+    const maxValue = Math.pow(2, bytesPerElement * 8 - (signed ? 1 : 0)) - 1;
+    for(let i=0, j=attribute.offset / bytesPerElement; i<vertexCount*n; i+=n, j+=elementStride) {
+      for(let k=0; k<n; k++) {
+        target[j+k] = attribute.normalized ?
+          Math.round(Math.min(Math.max(values[i+k], signed ? -1 : 0), 1) * maxValue) :
+          values[i+k];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method getVertexAttribPointer
+   * @memberof InterleavedBuffer
+   * @description Returns the parameters of the <code>vertexAttribPointer</code> call, or the <code>vertexAttribIPointer</code> call for integer vectors, that binds an attribute.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {String} name - The name of the attribute.
+   * @return {Object} An object with properties size (the number of components), type (the WebGL component type), normalized, stride, offset, and isInteger (true if <code>vertexAttribIPointer</code> should be used).
+   */
+  getVertexAttribPointer(gl, name) {
+    const attribute = this.attributes[name];
+    return {
+      size : attribute.componentCount,
+      type : gl[InterleavedBuffer.getGlTypeName(attribute.storageType)],
+      normalized : attribute.normalized,
+      stride : this.stride,
+      offset : attribute.offset,
+      isInteger : attribute.isInteger
+    };
+  }
+
+  /**
+   * @method vertexAttribPointer
+   * @memberof InterleavedBuffer
+   * @description Enables and sets up a vertex attribute array to read an attribute from the buffer object bound to <code>gl.ARRAY_BUFFER</code>, which should contain the [data]{@link InterleavedBuffer#data}.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {String} name - The name of the attribute.
+   * @param {Number} location - The location of the vertex attribute in the program.
+   * @return {InterleavedBuffer} this
+   */
+  vertexAttribPointer(gl, name, location) {
+    const pointer = this.getVertexAttribPointer(gl, name);
+    gl.enableVertexAttribArray(location);
+    if(pointer.isInteger) {
+      gl.vertexAttribIPointer(location, pointer.size, pointer.type, pointer.stride, pointer.offset);
+    } else {
+      gl.vertexAttribPointer(location, pointer.size, pointer.type, pointer.normalized, pointer.stride, pointer.offset);
+    }
+    return this;
+  }
+
+  // returns the name of the WebGL type constant for a typed array class, or undefined if it has none
+  static getGlTypeName(storageType) {
+    switch(storageType) {
+      case Float32Array : return "FLOAT";
+      case Int8Array    : return "BYTE";
+      case Uint8Array   : return "UNSIGNED_BYTE";
+      case Int16Array   : return "SHORT";
+      case Uint16Array  : return "UNSIGNED_SHORT";
+      case Int32Array   : return "INT";
+      case Uint32Array  : return "UNSIGNED_INT";
+    }
+    return undefined;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = InterleavedBuffer;
+}
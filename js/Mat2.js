@@ -0,0 +1,237 @@
+/**
+ * @file WebGLMath {@link Mat2} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat2 */
+/**
+ * Two-by-two matrix of 32-bit floats. May reflect an GLSL mat2 uniform variable.
+ * <BR> Uses column-major internal representation for WebGL compatibility but offers a row-major external interface through constructor parametrization and element indexes.
+ * Transformation methods [scale]{@link Mat2#scale} and [rotate]{@link Mat2#rotate} assume row vectors and multiplication with the matrix from the right.
+ */
+class Mat2 { 
+  /**
+   * Creates a matrix.
+   * @description  Without parameters, initializes the identity matrix.
+   * @param {Mat2 | Array | number} [m=identity] - Matrix to copy elements from, or array of elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0. 
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   */
+  constructor(m0, m1, m2, m3){
+    /**
+     * @name Mat2#storage
+     * @description 4-element typed array for matrix storage.
+     * @type Float32Array
+     */
+    /*jshint unused:false*/
+    this.storage = new Float32Array(4);
+    this.set.apply(this, arguments);
+  }
+
+  /**
+   * @method clone
+   * @memberof Mat2 
+   * @description Creates a copy.
+   * @return {Mat2} A new instance with identical contents.
+   */
+  clone() {
+    const copy = Object.create(Mat2.prototype);
+    copy.storage = new Float32Array(this.storage);
+    return copy;
+  }
+
+  /**
+   * @method set
+   * @memberof Mat2  
+   * @description Sets the matrix elements from another matrix or array, given in row-major format. Without parameters, sets the indentity matrix.
+   * @param {Mat2 | Array | number} [m=identity] - Matrix to copy elements from, or array of elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0. 
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   * @return {Mat2} this
+   */
+  set(m, m01, m10, m11) {
+    /*jshint unused:false*/  
+    this.storage[0]  =  dft(m !== 0 && m && m[0],   arguments[0] ,  1);
+    this.storage[2]  =                m && m[1] || arguments[1] || 0;
+    this.storage[1]  =                m && m[2] || arguments[2] || 0;
+    this.storage[3]  =  dft(m !== 0 && m && m[3],   arguments[3] ,  1);
+    return this;
+  }
+
+  /**
+   * @method premul
+   * @memberof Mat2  
+   * @description Multiplies the matrix with another matrix from the left, overwriting this matrix with the result.
+   * @param {Mat2} m - Matrix to multiply with.
+   * @return {Mat2} this
+   */
+  premul(m) {
+    const n00 = this.storage[0];
+    const n01 = this.storage[2];
+    const n10 = this.storage[1];
+    const n11 = this.storage[3];
+    const m00 = m.storage[0];
+    const m01 = m.storage[2];
+    const m10 = m.storage[1];
+    const m11 = m.storage[3];
+    this.storage[0] = (m00 * n00) + (m01 * n10);
+    this.storage[1] = (m10 * n00) + (m11 * n10);
+    this.storage[2] = (m00 * n01) + (m01 * n11);
+    this.storage[3] = (m10 * n01) + (m11 * n11);
+    return this;
+  }
+
+  /**
+   * @method mul
+   * @memberof Mat2  
+   * @description Multiplies the matrix with another matrix from the right, overwriting this matrix with the result.
+   * @param {Mat2} m - Matrix to multiply with.
+   * @return {Mat2} this
+   */
+  mul(m) {
+    const m00 = this.storage[0];
+    const m01 = this.storage[2];
+    const m10 = this.storage[1];
+    const m11 = this.storage[3];
+    const n00 = m.storage[0];
+    const n01 = m.storage[2];
+    const n10 = m.storage[1];
+    const n11 = m.storage[3];
+    this.storage[0] = (m00 * n00) + (m01 * n10);
+    this.storage[1] = (m10 * n00) + (m11 * n10);
+    this.storage[2] = (m00 * n01) + (m01 * n11);
+    this.storage[3] = (m10 * n01) + (m11 * n11);
+    return this;
+  }
+
+  /**
+   * @method scale
+   * @memberof Mat2  
+   * @description Multiplies the matrix with a scaling transformation matrix from the right, overwriting this matrix with the result.
+   * @param {Vec2 | Object | Number} [u=1] - Any object (properties x, y are interpreted as scaling factors along the respective axes, if given), or a numerical value for scaling factor along x.
+   * @param {Number} [v=1] - Ignored if u.y is defined. Otherwise, the value for the scaling factor along y. Defaults to the value of parameter u, if it is a number.
+   * @return {Mat2} this
+   */
+  scale(u, v) {
+    const sx = dft(u !== 0 && u && u.x, Number(u).valueOf(), 1);
+    const sy = dft(u !== 0 && u && u.y, Number(v).valueOf(), Number(u).valueOf(), 1);
+    this.storage[0] *= sx;
+    this.storage[1] *= sx;
+    this.storage[2] *= sy;
+    this.storage[3] *= sy;
+    return this;  
+  }
+
+  /**
+   * @method rotate
+   * @memberof Mat2  
+   * @description Multiplies the matrix with a rotation transformation matrix from the right, overwriting this matrix with the result.
+   * @param {Number} angle - Rotation angle in radians. Positive rotation is counterclockwise in the plane where x points right and y points up.
+   * @return {Mat2} this
+   */
+  rotate(angle) {
+    const cosa = Math.cos(angle);
+    const sina = Math.sin(angle);
+    const t0 = this.storage[0] * cosa - this.storage[2] * sina;
+    const t2 = this.storage[0] * sina + this.storage[2] * cosa;
+    const t1 = this.storage[1] * cosa - this.storage[3] * sina;
+    const t3 = this.storage[1] * sina + this.storage[3] * cosa;
+    this.storage[0] = t0;
+    this.storage[2] = t2;
+    this.storage[1] = t1;
+    this.storage[3] = t3;
+    return this;  
+  }
+
+  /**
+   * @method transpose
+   * @memberof Mat2  
+   * @description Transposes the matrix in place, overwriting this matrix with the result.
+   * @return {Mat2} this
+   */
+  transpose() {
+    const temp = this.storage[2];
+    this.storage[2] = this.storage[1];
+    this.storage[1] = temp;
+    return this;  
+  }
+
+  /**
+   * @method tryInvert
+   * @memberof Mat2
+   * @description Inverts the matrix in place, overwriting this matrix with the result, if it is invertible. A singular matrix is left unchanged.
+   * @return {Boolean} true if the matrix was inverted, false if it is singular
+   */
+  tryInvert() {
+    const a00 = this.storage[0];
+    const a01 = this.storage[2];
+    const a10 = this.storage[1];
+    const a11 = this.storage[3];
+    const det = a00 * a11 - a01 * a10;
+    const invDet = 1.0 / det;
+    if (!isFinite(invDet)) {
+      return false;
+    }
+    this.storage[0] =  a11 * invDet;
+    this.storage[2] = -a01 * invDet;
+    this.storage[1] = -a10 * invDet;
+    this.storage[3] =  a00 * invDet;
+    return true;
+  }
+
+  /**
+   * @method invert
+   * @memberof Mat2  
+   * @description Inverts the matrix in place, overwriting this matrix with the result. A singular matrix is left unchanged, which is reported by a console warning, only for the first singular Mat2 inverted. Use [tryInvert]{@link Mat2#tryInvert} to find out whether the matrix was inverted.
+   * @return {Mat2} this
+   */
+  invert() {
+    if(!this.tryInvert() && !Mat2.singularReported) {
+      console.warn("Trying to invert a singular Mat2, which is left unchanged. Further singular Mat2s are not reported, use tryInvert to detect them.");
+      Mat2.singularReported = true;
+    }
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat2  
+   * @description Sets the value of the matrix to a WebGL mat2 uniform variable.
+   * @param {WebGLRenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix2fv(uniformLocation, false, this.storage);
+  }
+
+  /**
+   * @method print
+   * @memberof Mat2
+   * @description Pretty prints the matrix contents on the console.
+   */
+  print(){
+    console.table({
+      row0:{column0:this.storage[0], column1:this.storage[2]},
+      row1:{column0:this.storage[1], column1:this.storage[3]}
+    }); 
+  }
+}
+
+(function() {
+  for(let i=0; i<2; i++){
+    for(let j=0; j<2; j++){     
+      const columnMajorIndex = j + 2*i;
+      Object.defineProperty(Mat2.prototype, i + 2*j, {
+        get: function() { return this.storage[columnMajorIndex]; },
+        set: function(value) { this.storage[columnMajorIndex] = value; }
+      });
+    }
+  }
+})();
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat2;
+}
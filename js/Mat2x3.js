@@ -0,0 +1,92 @@
+/**
+ * @file WebGLMath {@link Mat2x3} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat2x3 */
+/**
+ * Matrix of 32-bit floats with two columns and three rows. May reflect an GLSL mat2x3 uniform variable.
+ * <BR> Uses column-major internal representation for WebGL compatibility but offers a row-major external interface through constructor parametrization and element indexes.
+ * @extends MatNxM
+ */
+class Mat2x3 extends MatNxM {
+  /**
+   * Creates a matrix.
+   * @description  Without parameters, initializes the matrix with ones in the main diagonal and zeros elsewhere.
+   * @param {Mat2x3 | Array | number} [m] - Matrix to copy elements from, or array of 6 elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0.
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   * @param {number} [m20=0] - Matrix element in the row 2, column 0.
+   * @param {number} [m21=0] - Matrix element in the row 2, column 1.
+   */
+  constructor(m00, m01, m10, m11, m20, m21){
+    super();
+    /**
+     * @name Mat2x3#storage
+     * @description 6-element typed array for matrix storage.
+     * @type Float32Array
+     */
+    /*jshint unused:false*/
+    this.storage = new Float32Array(6);
+    this.set.apply(this, arguments);
+  }
+
+  /**
+   * @name Mat2x3#rowCount
+   * @description The number of rows, 3.
+   * @type Number
+   */
+  get rowCount() {
+    return 3;
+  }
+
+  /**
+   * @name Mat2x3#columnCount
+   * @description The number of columns, 2.
+   * @type Number
+   */
+  get columnCount() {
+    return 2;
+  }
+
+  /**
+   * @method transposed
+   * @memberof Mat2x3
+   * @description Transposes the matrix, and returns the result in a new instance.
+   * @return {Mat3x2} the transposed matrix
+   */
+  transposed() {
+    const result = Object.create(Mat3x2.prototype);
+    result.storage = new Float32Array(6);
+    return result.setTransposed(this);
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat2x3
+   * @description Sets the value of the matrix to a WebGL mat2x3 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix2x3fv(uniformLocation, false, this.storage);
+  }
+}
+
+(function() {
+  for(let i=0; i<2; i++){
+    for(let j=0; j<3; j++){
+      const columnMajorIndex = j + 3*i;
+      Object.defineProperty(Mat2x3.prototype, i + 2*j, {
+        get: function() { return this.storage[columnMajorIndex]; },
+        set: function(value) { this.storage[columnMajorIndex] = value; }
+      });
+    }
+  }
+})();
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat2x3;
+}
@@ -0,0 +1,395 @@
+/**
+ * @file WebGLMath {@link Mat3} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat3 */
+/**
+ * Three-by-three matrix of 32-bit floats. May reflect an GLSL mat3 uniform variable.
+ * <BR> Uses column-major internal representation for WebGL compatibility but offers a row-major external interface through constructor parametrization and element indexes.
+ * Transformation methods [scale]{@link Mat3#scale} and [rotate]{@link Mat3#rotate} treat the matrix as a 3D linear transformation (e.g. a normal matrix), while [translate]{@link Mat3#translate} treats it as a 2D homogeneous transformation (e.g. a texture coordinate transformation). All of them assume row vectors and multiplication with the matrix from the right.
+ */
+class Mat3 { 
+  /**
+   * Creates a matrix.
+   * @description  Without parameters, initializes the identity matrix.
+   * @param {Mat3 | Array | number} [m=identity] - Matrix to copy elements from, or array of elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m02=0] - Matrix element in the row 0, column 2.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0. 
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   * @param {number} [m12=0] - Matrix element in the row 1, column 2.
+   * @param {number} [m20=0] - Matrix element in the row 2, column 0. 
+   * @param {number} [m21=0] - Matrix element in the row 2, column 1.
+   * @param {number} [m22=1] - Matrix element in the row 2, column 2.
+   */
+  constructor(m0, m1, m2, m3, m4, m5, m6, m7, m8){
+    /**
+     * @name Mat3#storage
+     * @description 9-element typed array for matrix storage.
+     * @type Float32Array
+     */
+    /*jshint unused:false*/
+    this.storage = new Float32Array(9);
+    this.set.apply(this, arguments);
+  }
+
+  /**
+   * @method clone
+   * @memberof Mat3 
+   * @description Creates a copy.
+   * @return {Mat3} A new instance with identical contents.
+   */
+  clone() {
+    const copy = Object.create(Mat3.prototype);
+    copy.storage = new Float32Array(this.storage);
+    return copy;
+  }
+
+  /**
+   * @method set
+   * @memberof Mat3  
+   * @description Sets the matrix elements from another matrix or array, given in row-major format. Without parameters, sets the indentity matrix.
+   * @param {Mat3 | Array | number} [m=identity] - Matrix to copy elements from, or array of elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m02=0] - Matrix element in the row 0, column 2.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0. 
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   * @param {number} [m12=0] - Matrix element in the row 1, column 2.
+   * @param {number} [m20=0] - Matrix element in the row 2, column 0. 
+   * @param {number} [m21=0] - Matrix element in the row 2, column 1.
+   * @param {number} [m22=1] - Matrix element in the row 2, column 2.
+   * @return {Mat3} this
+   */
+  set(m, m01, m02, m10, m11, m12, m20, m21, m22) {
+    /*jshint unused:false*/  
+    this.storage[0]  =  dft(m !== 0 && m && m[0],   arguments[0] ,  1);
+    this.storage[3]  =                m && m[1] || arguments[1] || 0;
+    this.storage[6]  =                m && m[2] || arguments[2] || 0;
+    this.storage[1]  =                m && m[3] || arguments[3] || 0;
+    this.storage[4]  =  dft(m !== 0 && m && m[4],   arguments[4] ,  1);
+    this.storage[7]  =                m && m[5] || arguments[5] || 0;
+    this.storage[2]  =                m && m[6] || arguments[6] || 0;
+    this.storage[5]  =                m && m[7] || arguments[7] || 0;
+    this.storage[8]  =  dft(m !== 0 && m && m[8],   arguments[8] ,  1);
+    return this;
+  }
+
+  /**
+   * @method premul
+   * @memberof Mat3  
+   * @description Multiplies the matrix with another matrix from the left, overwriting this matrix with the result.
+   * @param {Mat3} m - Matrix to multiply with.
+   * @return {Mat3} this
+   */
+  premul(m) {
+    const n00 = this.storage[0];
+    const n01 = this.storage[3];
+    const n02 = this.storage[6];
+    const n10 = this.storage[1];
+    const n11 = this.storage[4];
+    const n12 = this.storage[7];
+    const n20 = this.storage[2];
+    const n21 = this.storage[5];
+    const n22 = this.storage[8];
+    const m00 = m.storage[0];
+    const m01 = m.storage[3];
+    const m02 = m.storage[6];
+    const m10 = m.storage[1];
+    const m11 = m.storage[4];
+    const m12 = m.storage[7];
+    const m20 = m.storage[2];
+    const m21 = m.storage[5];
+    const m22 = m.storage[8];
+    this.storage[0] = (m00 * n00) + (m01 * n10) + (m02 * n20);
+    this.storage[1] = (m10 * n00) + (m11 * n10) + (m12 * n20);
+    this.storage[2] = (m20 * n00) + (m21 * n10) + (m22 * n20);
+    this.storage[3] = (m00 * n01) + (m01 * n11) + (m02 * n21);
+    this.storage[4] = (m10 * n01) + (m11 * n11) + (m12 * n21);
+    this.storage[5] = (m20 * n01) + (m21 * n11) + (m22 * n21);
+    this.storage[6] = (m00 * n02) + (m01 * n12) + (m02 * n22);
+    this.storage[7] = (m10 * n02) + (m11 * n12) + (m12 * n22);
+    this.storage[8] = (m20 * n02) + (m21 * n12) + (m22 * n22);
+    return this;
+  }
+
+  /**
+   * @method mul
+   * @memberof Mat3  
+   * @description Multiplies the matrix with another matrix from the right, overwriting this matrix with the result.
+   * @param {Mat3} m - Matrix to multiply with.
+   * @return {Mat3} this
+   */
+  mul(m) {
+    const m00 = this.storage[0];
+    const m01 = this.storage[3];
+    const m02 = this.storage[6];
+    const m10 = this.storage[1];
+    const m11 = this.storage[4];
+    const m12 = this.storage[7];
+    const m20 = this.storage[2];
+    const m21 = this.storage[5];
+    const m22 = this.storage[8];
+    const n00 = m.storage[0];
+    const n01 = m.storage[3];
+    const n02 = m.storage[6];
+    const n10 = m.storage[1];
+    const n11 = m.storage[4];
+    const n12 = m.storage[7];
+    const n20 = m.storage[2];
+    const n21 = m.storage[5];
+    const n22 = m.storage[8];
+    this.storage[0] = (m00 * n00) + (m01 * n10) + (m02 * n20);
+    this.storage[1] = (m10 * n00) + (m11 * n10) + (m12 * n20);
+    this.storage[2] = (m20 * n00) + (m21 * n10) + (m22 * n20);
+    this.storage[3] = (m00 * n01) + (m01 * n11) + (m02 * n21);
+    this.storage[4] = (m10 * n01) + (m11 * n11) + (m12 * n21);
+    this.storage[5] = (m20 * n01) + (m21 * n11) + (m22 * n21);
+    this.storage[6] = (m00 * n02) + (m01 * n12) + (m02 * n22);
+    this.storage[7] = (m10 * n02) + (m11 * n12) + (m12 * n22);
+    this.storage[8] = (m20 * n02) + (m21 * n12) + (m22 * n22);
+    return this;
+  }
+
+  /**
+   * @method scale
+   * @memberof Mat3  
+   * @description Multiplies the matrix with a scaling transformation matrix from the right, overwriting this matrix with the result. For a 2D homogeneous transformation, give the scaling factors in an object without the z property, or use 1 for s.
+   * @param {Vec3 | Vec2 | Object | Number} [u=1] - Any object (properties x, y, z are interpreted as scaling factors along the respective axes, if given), or a numerical value for scaling factor along x.
+   * @param {Number} [v=1] - Ignored if u.y is defined. Otherwise, the value for the scaling factor along y. Defaults to the value of parameter u, if it is a number.
+   * @param {Number} [s=1] - Ignored if u.z is defined. Otherwise, the value for the scaling factor along z. Defaults to the value of parameter u, if it is a number.
+   * @return {Mat3} this
+   */
+  scale(u, v, s) {
+    const sx = dft(u !== 0 && u && u.x, Number(u).valueOf(), 1);
+    const sy = dft(u !== 0 && u && u.y, Number(v).valueOf(), Number(u).valueOf(), 1);
+    const sz = dft(u !== 0 && u && u.z, Number(s).valueOf(), Number(u).valueOf(), 1);
+    this.storage[0] *= sx;
+    this.storage[1] *= sx;
+    this.storage[2] *= sx;
+    this.storage[3] *= sy;
+    this.storage[4] *= sy;
+    this.storage[5] *= sy;
+    this.storage[6] *= sz;
+    this.storage[7] *= sz;
+    this.storage[8] *= sz;
+    return this;  
+  }
+
+  /**
+   * @method rotate
+   * @memberof Mat3  
+   * @description Multiplies the matrix with a rotation transformation matrix from the right, overwriting this matrix with the result. Rotates around z if no axis is given, which is also a rotation in the xy plane for a 2D homogeneous transformation.
+   * @param {Number} angle - Rotation angle in radians. A right-handed coordinate system is assumed, meaning positive rotation around axis z rotates counterclockwise in the plane where x points right and y points up.
+   * @param {Vec3 | Object | Number} [u=0] - Any object (properties x, y, z are interpreted as rotation axis elements, if given), or a numerical value for rotation axis element x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for rotation axis element y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for rotation axis element z.
+   * @return {Mat3} this
+   */
+  rotate(angle, u, v, s) {
+    let x = u && u.x || Number(u).valueOf() || 0;
+    let y = u && u.y || Number(v).valueOf() || 0;
+    let z = u && u.z || Number(s).valueOf() || 0;
+    const axisLength2 = x*x + y*y + z*z;
+    if(axisLength2 < 0.0001){
+      x=0; y=0; z=1;
+    } else if(axisLength2 < 0.999 || axisLength2 > 1.001) {
+      const axisLength = Math.sqrt(axisLength2);
+      x /= axisLength;
+      y /= axisLength;
+      z /= axisLength;
+    }
+    const cosa = Math.cos(angle);
+    const sina = Math.sin(angle);
+    const C = 1.0 - cosa;
+    const m11 = x * x * C + cosa;
+    const m21 = x * y * C - z * sina;
+    const m31 = x * z * C + y * sina;
+    const m12 = y * x * C + z * sina;
+    const m22 = y * y * C + cosa;
+    const m32 = y * z * C - x * sina;
+    const m13 = z * x * C - y * sina;
+    const m23 = z * y * C + x * sina;
+    const m33 = z * z * C + cosa;
+    const t0 = this.storage[0] * m11 + this.storage[3] * m21 + this.storage[6] * m31;
+    const t3 = this.storage[0] * m12 + this.storage[3] * m22 + this.storage[6] * m32;
+    const t6 = this.storage[0] * m13 + this.storage[3] * m23 + this.storage[6] * m33;
+    const t1 = this.storage[1] * m11 + this.storage[4] * m21 + this.storage[7] * m31;
+    const t4 = this.storage[1] * m12 + this.storage[4] * m22 + this.storage[7] * m32;
+    const t7 = this.storage[1] * m13 + this.storage[4] * m23 + this.storage[7] * m33;
+    const t2 = this.storage[2] * m11 + this.storage[5] * m21 + this.storage[8] * m31;
+    const t5 = this.storage[2] * m12 + this.storage[5] * m22 + this.storage[8] * m32;
+    const t8 = this.storage[2] * m13 + this.storage[5] * m23 + this.storage[8] * m33;
+    this.storage[0] = t0;
+    this.storage[3] = t3;
+    this.storage[6] = t6;
+    this.storage[1] = t1;
+    this.storage[4] = t4;
+    this.storage[7] = t7;
+    this.storage[2] = t2;
+    this.storage[5] = t5;
+    this.storage[8] = t8;
+    return this;  
+  }
+
+  /**
+   * @method translate
+   * @memberof Mat3  
+   * @description Multiplies the matrix, considered a 2D homogeneous transformation, with a translation transformation matrix from the right, overwriting this matrix with the result.
+   * @param {Vec2 | Object | Number} [u=0] - Any object (properties x, y are interpreted as translation vector elements, if given), or a numerical value for translation along x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for translation along y.
+   * @return {Mat3} this
+   */
+  translate(u, v) {
+    const x = u && u.x || Number(u).valueOf() || 0;
+    const y = u && u.y || Number(v).valueOf() || 0;
+    this.storage[0] += this.storage[6] * x;
+    this.storage[3] += this.storage[6] * y;
+    this.storage[1] += this.storage[7] * x;
+    this.storage[4] += this.storage[7] * y;
+    this.storage[2] += this.storage[8] * x;
+    this.storage[5] += this.storage[8] * y;
+    return this;      
+  }
+
+  /**
+   * @method transpose
+   * @memberof Mat3  
+   * @description Transposes the matrix in place, overwriting this matrix with the result.
+   * @return {Mat3} this
+   */
+  transpose() {
+    let temp = this.storage[3];
+    this.storage[3] = this.storage[1];
+    this.storage[1] = temp;
+    temp = this.storage[6];
+    this.storage[6] = this.storage[2];
+    this.storage[2] = temp;
+    temp = this.storage[7];
+    this.storage[7] = this.storage[5];
+    this.storage[5] = temp;
+    return this;  
+  }
+
+  /**
+   * @method tryInvert
+   * @memberof Mat3
+   * @description Inverts the matrix in place, overwriting this matrix with the result, if it is invertible. A singular matrix is left unchanged.
+   * @return {Boolean} true if the matrix was inverted, false if it is singular
+   */
+  tryInvert() {
+    const a00 = this.storage[0];
+    const a01 = this.storage[3];
+    const a02 = this.storage[6];
+    const a10 = this.storage[1];
+    const a11 = this.storage[4];
+    const a12 = this.storage[7];
+    const a20 = this.storage[2];
+    const a21 = this.storage[5];
+    const a22 = this.storage[8];
+    const c00 = a11 * a22 - a12 * a21;
+    const c01 = a12 * a20 - a10 * a22;
+    const c02 = a10 * a21 - a11 * a20;
+    const det = a00 * c00 + a01 * c01 + a02 * c02;
+    const invDet = 1.0 / det;
+    if (!isFinite(invDet)) {
+      return false;
+    }
+    this.storage[0] = c00 * invDet;
+    this.storage[3] = (a02 * a21 - a01 * a22) * invDet;
+    this.storage[6] = (a01 * a12 - a02 * a11) * invDet;
+    this.storage[1] = c01 * invDet;
+    this.storage[4] = (a00 * a22 - a02 * a20) * invDet;
+    this.storage[7] = (a02 * a10 - a00 * a12) * invDet;
+    this.storage[2] = c02 * invDet;
+    this.storage[5] = (a01 * a20 - a00 * a21) * invDet;
+    this.storage[8] = (a00 * a11 - a01 * a10) * invDet;
+    return true;
+  }
+
+  /**
+   * @method invert
+   * @memberof Mat3  
+   * @description Inverts the matrix in place, overwriting this matrix with the result. A singular matrix is left unchanged, which is reported by a console warning, only for the first singular Mat3 inverted. Use [tryInvert]{@link Mat3#tryInvert} to find out whether the matrix was inverted.
+   * @return {Mat3} this
+   */
+  invert() {
+    if(!this.tryInvert() && !Mat3.singularReported) {
+      console.warn("Trying to invert a singular Mat3, which is left unchanged. Further singular Mat3s are not reported, use tryInvert to detect them.");
+      Mat3.singularReported = true;
+    }
+    return this;
+  }
+
+  /**
+   * @method setNormalMatrix
+   * @memberof Mat3
+   * @description Sets this matrix to the normal matrix of a transformation, the inverse transpose of its upper left 3x3 part. If that part is singular, its cofactor matrix is used instead, which still transforms normals of non-degenerate surfaces into the correct directions.
+   * @param {Mat4 | Mat3} m - The transformation matrix. May be this matrix.
+   * @return {Mat3} this
+   */
+  setNormalMatrix(m) {
+    const n = (m.storage.length === 9) ? 3 : 4;
+    // aRC is the element in row R, column C
+    const a00 = m.storage[0], a01 = m.storage[n  ], a02 = m.storage[2*n  ];
+    const a10 = m.storage[1], a11 = m.storage[n+1], a12 = m.storage[2*n+1];
+    const a20 = m.storage[2], a21 = m.storage[n+2], a22 = m.storage[2*n+2];
+    const c00 = a11 * a22 - a12 * a21;
+    const c01 = a12 * a20 - a10 * a22;
+    const c02 = a10 * a21 - a11 * a20;
+    const det = a00 * c00 + a01 * c01 + a02 * c02;
+    const invDet = 1.0 / det;
+    const f = isFinite(invDet) ? invDet : 1.0;
+    this.storage[0] = c00 * f;
+    this.storage[3] = c01 * f;
+    this.storage[6] = c02 * f;
+    this.storage[1] = (a02 * a21 - a01 * a22) * f;
+    this.storage[4] = (a00 * a22 - a02 * a20) * f;
+    this.storage[7] = (a01 * a20 - a00 * a21) * f;
+    this.storage[2] = (a01 * a12 - a02 * a11) * f;
+    this.storage[5] = (a02 * a10 - a00 * a12) * f;
+    this.storage[8] = (a00 * a11 - a01 * a10) * f;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat3  
+   * @description Sets the value of the matrix to a WebGL mat3 uniform variable.
+   * @param {WebGLRenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix3fv(uniformLocation, false, this.storage);
+  }
+
+  /**
+   * @method print
+   * @memberof Mat3
+   * @description Pretty prints the matrix contents on the console.
+   */
+  print(){
+    console.table({
+      row0:{column0:this.storage[0], column1:this.storage[3], column2:this.storage[6]},
+      row1:{column0:this.storage[1], column1:this.storage[4], column2:this.storage[7]},
+      row2:{column0:this.storage[2], column1:this.storage[5], column2:this.storage[8]}
+    }); 
+  }
+}
+
+(function() {
+  for(let i=0; i<3; i++){
+    for(let j=0; j<3; j++){     
+      const columnMajorIndex = j + 3*i;
+      Object.defineProperty(Mat3.prototype, i + 3*j, {
+        get: function() { return this.storage[columnMajorIndex]; },
+        set: function(value) { this.storage[columnMajorIndex] = value; }
+      });
+    }
+  }
+})();
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat3;
+}
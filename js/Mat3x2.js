@@ -0,0 +1,92 @@
+/**
+ * @file WebGLMath {@link Mat3x2} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat3x2 */
+/**
+ * Matrix of 32-bit floats with three columns and two rows. May reflect an GLSL mat3x2 uniform variable.
+ * <BR> Uses column-major internal representation for WebGL compatibility but offers a row-major external interface through constructor parametrization and element indexes.
+ * @extends MatNxM
+ */
+class Mat3x2 extends MatNxM {
+  /**
+   * Creates a matrix.
+   * @description  Without parameters, initializes the matrix with ones in the main diagonal and zeros elsewhere.
+   * @param {Mat3x2 | Array | number} [m] - Matrix to copy elements from, or array of 6 elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m02=0] - Matrix element in the row 0, column 2.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0.
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   * @param {number} [m12=0] - Matrix element in the row 1, column 2.
+   */
+  constructor(m00, m01, m02, m10, m11, m12){
+    super();
+    /**
+     * @name Mat3x2#storage
+     * @description 6-element typed array for matrix storage.
+     * @type Float32Array
+     */
+    /*jshint unused:false*/
+    this.storage = new Float32Array(6);
+    this.set.apply(this, arguments);
+  }
+
+  /**
+   * @name Mat3x2#rowCount
+   * @description The number of rows, 2.
+   * @type Number
+   */
+  get rowCount() {
+    return 2;
+  }
+
+  /**
+   * @name Mat3x2#columnCount
+   * @description The number of columns, 3.
+   * @type Number
+   */
+  get columnCount() {
+    return 3;
+  }
+
+  /**
+   * @method transposed
+   * @memberof Mat3x2
+   * @description Transposes the matrix, and returns the result in a new instance.
+   * @return {Mat2x3} the transposed matrix
+   */
+  transposed() {
+    const result = Object.create(Mat2x3.prototype);
+    result.storage = new Float32Array(6);
+    return result.setTransposed(this);
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat3x2
+   * @description Sets the value of the matrix to a WebGL mat3x2 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix3x2fv(uniformLocation, false, this.storage);
+  }
+}
+
+(function() {
+  for(let i=0; i<3; i++){
+    for(let j=0; j<2; j++){
+      const columnMajorIndex = j + 2*i;
+      Object.defineProperty(Mat3x2.prototype, i + 3*j, {
+        get: function() { return this.storage[columnMajorIndex]; },
+        set: function(value) { this.storage[columnMajorIndex] = value; }
+      });
+    }
+  }
+})();
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat3x2;
+}
@@ -0,0 +1,74 @@
+/**
+ * @file WebGLMath Mat3x2Array class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat3x2Array */
+/**
+ * Array of matrices of 32-bit floats with three columns and two rows. May reflect an GLSL array-of-mat3x2s uniform variable.
+ * <BR> Individual [Mat3x2]{@link Mat3x2} elements are available through the [at]{@link Mat3x2Array#at} method.
+ */
+class Mat3x2Array{ 
+  /**
+   * Creates a matrix array.
+   * @param {Number} size - The number of Mat3x2 elements in the array.
+   */
+  constructor(size){
+    this.length = size;
+    this.storage = new Float32Array(size * 6);
+  }
+
+  /**
+   * @method at
+   * @memberof Mat3x2Array  
+   * @description Returns a new Mat3x2 object that captures an element of the array. The new matrix is a view on the original data, not a copy.
+   * @param index {Number} - Index of the element.
+   * @return {Mat3x2} new view on one of the array's elements
+   */
+  at(index){
+    const result = Object.create(Mat3x2.prototype);
+    result.storage = this.storage.subarray(index*6, index*6+6);
+    return result;  
+  }
+
+  /**
+   * @method subarray
+   * @memberof Mat3x2Array  
+   * @description Returns a new Mat3x2Array object that captures a subrange of the array. The new array is a view on the original data, not a copy.
+   * @param {Number} [begin=0] - Element to begin at. The offset is inclusive. The whole array will be cloned if this value is not specified.
+   * @param {Number} [end=length] - Element to end at. The offset is exclusive. If not specified, all elements from the one specified by begin to the end of the array are included in the new view.
+   * @return {Mat3x2Array} new view on some of the array's elements
+   */
+  subarray(begin, end){
+    const result = Object.create(Mat3x2Array.prototype);
+    result.storage = this.storage.subarray(begin*6, end*6);
+    result.length  = result.storage.length/6;
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof Mat3x2Array  
+   * @description Sets the value of the matrix array from another WebGLMath vector, vector array, matrix, or matrix array object, or an array of numbers.
+   * @param {number[] | Object } data - Input data.
+   */
+  set(data){
+    this.storage.set(data.storage || data);
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat3x2Array  
+   * @description Copies the value of the matrix array to a WebGL mat3x2 array uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix3x2fv(uniformLocation, false, this.storage);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat3x2Array;
+}
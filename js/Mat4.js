@@ -303,6 +303,272 @@ class Mat4 {
     return this;  
   }
 
+  /**
+   * @method setFromEuler
+   * @memberof Mat4
+   * @description Sets the matrix to the composition of three rotations around coordinate axes. Equivalent to three calls to {@link Mat4#rotate} on the identity matrix.
+   * @param {Number} first - Angle of the first rotation in radians.
+   * @param {Number} second - Angle of the second rotation in radians.
+   * @param {Number} third - Angle of the third rotation in radians.
+   * @param {String} [order='XYZ'] - Axes of the three rotations, in the order they are applied, all about the fixed axes of the original frame. Any of the twelve Tait-Bryan or proper Euler orders, e.g. 'ZYX' or 'ZXZ'.
+   * @return {Mat4} this
+   */
+  setFromEuler(first, second, third, order) {
+    order = order || 'XYZ';
+    if(!/^[XYZ]{3}$/.test(order) || order[0] === order[1] || order[1] === order[2]) {
+      throw new Error(`Invalid Euler angle order '${order}'.`);
+    }
+    const angles = [first, second, third];
+    this.set();
+    for(let n=0; n<3; n++) {
+      const axis = order.charCodeAt(n) - 88; // 'X' is 88
+      this.rotate(angles[n], axis === 0 ? 1 : 0, axis === 1 ? 1 : 0, axis === 2 ? 1 : 0);
+    }
+    return this;
+  }
+
+  /**
+   * @method getEuler
+   * @memberof Mat4
+   * @description Decomposes the rotation in the upper left 3x3 part of the matrix into three rotations around coordinate axes, so that {@link Mat4#setFromEuler} with the same order reproduces it. The matrix is assumed to be orthonormal. The second angle is in [-&pi;/2, &pi;/2] for Tait-Bryan orders, and in [0, &pi;] for proper Euler orders. In gimbal lock, when only the sum or difference of the first and third angles is determined, the third angle is set to zero.
+   * @param {String} [order='XYZ'] - Axes of the three rotations, in the order they are applied, all about the fixed axes of the original frame. Any of the twelve Tait-Bryan or proper Euler orders, e.g. 'ZYX' or 'ZXZ'.
+   * @param {Vec3} [result=new Vec3()] - Vector to store the first, second and third angles in, as coordinates x, y, and z.
+   * @return {Vec3} the angles in radians
+   */
+  getEuler(order, result) {
+    order = order || 'XYZ';
+    if(!/^[XYZ]{3}$/.test(order) || order[0] === order[1] || order[1] === order[2]) {
+      throw new Error(`Invalid Euler angle order '${order}'.`);
+    }
+    result = result || new Vec3();
+    const i = order.charCodeAt(0) - 88;
+    const j = order.charCodeAt(1) - 88;
+    const k = 3 - i - j;
+    // +1 if axes i, j, k are in cyclic order
+    const parity = (j === (i + 1) % 3) ? 1 : -1;
+    // r(a, b) is the rotation matrix element in column vector convention
+    const r = (a, b) => this.storage[4 * a + b];
+    let first, second, third;
+    if(order[0] !== order[2]) {
+      const sinSecond = -parity * r(k, i);
+      const cosSecond = Math.sqrt(r(i, i) * r(i, i) + r(j, i) * r(j, i));
+      second = Math.atan2(sinSecond, cosSecond);
+      if(cosSecond < 0.000001) {
+        first = Math.atan2(-parity * r(j, k), r(j, j));
+        third = 0;
+      } else {
+        first = Math.atan2(parity * r(k, j), r(k, k));
+        third = Math.atan2(parity * r(j, i), r(i, i));
+      }
+    } else {
+      const cosSecond = r(i, i);
+      const sinSecond = Math.sqrt(r(i, j) * r(i, j) + r(i, k) * r(i, k));
+      second = Math.atan2(sinSecond, cosSecond);
+      if(sinSecond < 0.000001) {
+        first = Math.atan2(-parity * r(j, k), r(j, j));
+        third = 0;
+      } else {
+        first = Math.atan2(r(i, j), parity * r(i, k));
+        third = Math.atan2(r(j, i), -parity * r(k, i));
+      }
+    }
+    result.storage[0] = first;
+    result.storage[1] = second;
+    result.storage[2] = third;
+    return result;
+  }
+
+  /**
+   * @method decompose
+   * @memberof Mat4
+   * @description Decomposes the matrix into a scaling, followed by a rotation, followed by a translation, so that <code>new Mat4().scale(scale).rotateByQuat(rotation).translate(translation)</code> reproduces it. Mirroring is represented by a negative x scale factor. If the matrix has a shearing or projective component, or a zero scale factor, it cannot be decomposed this way: false is returned, and the outputs are not modified.
+   * @param {Vec3} translation - Vector to store the translation in.
+   * @param {Quat | Mat4} rotation - Quaternion or matrix to store the rotation in.
+   * @param {Vec3} scale - Vector to store the scale factors in.
+   * @return {Boolean} true if the matrix could be decomposed, false if it has shearing, projective, or degenerate components.
+   */
+  decompose(translation, rotation, scale) {
+    if(Math.abs(this.storage[12]) > 0.0001 ||
+       Math.abs(this.storage[13]) > 0.0001 ||
+       Math.abs(this.storage[14]) > 0.0001 ||
+       Math.abs(this.storage[15] - 1) > 0.0001) {
+      return false;
+    }
+    // rows of the upper left 3x3 part are scaled rotation axes
+    let r00 = this.storage[ 0], r01 = this.storage[ 4], r02 = this.storage[ 8];
+    let r10 = this.storage[ 1], r11 = this.storage[ 5], r12 = this.storage[ 9];
+    let r20 = this.storage[ 2], r21 = this.storage[ 6], r22 = this.storage[10];
+    let sx = Math.sqrt(r00 * r00 + r01 * r01 + r02 * r02);
+    const sy = Math.sqrt(r10 * r10 + r11 * r11 + r12 * r12);
+    const sz = Math.sqrt(r20 * r20 + r21 * r21 + r22 * r22);
+    if(sx < 0.000001 || sy < 0.000001 || sz < 0.000001) {
+      return false;
+    }
+    r00 /= sx; r01 /= sx; r02 /= sx;
+    r10 /= sy; r11 /= sy; r12 /= sy;
+    r20 /= sz; r21 /= sz; r22 /= sz;
+    if(Math.abs(r00 * r10 + r01 * r11 + r02 * r12) > 0.0001 ||
+       Math.abs(r00 * r20 + r01 * r21 + r02 * r22) > 0.0001 ||
+       Math.abs(r10 * r20 + r11 * r21 + r12 * r22) > 0.0001) {
+      return false;
+    }
+    if(r00 * (r11 * r22 - r12 * r21) - r01 * (r10 * r22 - r12 * r20) + r02 * (r10 * r21 - r11 * r20) < 0) {
+      sx = -sx;
+      r00 = -r00; r01 = -r01; r02 = -r02;
+    }
+    translation.storage[0] = this.storage[ 3];
+    translation.storage[1] = this.storage[ 7];
+    translation.storage[2] = this.storage[11];
+    scale.storage[0] = sx;
+    scale.storage[1] = sy;
+    scale.storage[2] = sz;
+    const m = (rotation.storage.length === 16) ? rotation : new Mat4();
+    m.storage[ 0] = r00; m.storage[ 4] = r01; m.storage[ 8] = r02; m.storage[12] = 0;
+    m.storage[ 1] = r10; m.storage[ 5] = r11; m.storage[ 9] = r12; m.storage[13] = 0;
+    m.storage[ 2] = r20; m.storage[ 6] = r21; m.storage[10] = r22; m.storage[14] = 0;
+    m.storage[ 3] =   0; m.storage[ 7] =   0; m.storage[11] =   0; m.storage[15] = 1;
+    if(m !== rotation) {
+      rotation.setFromMat4(m);
+    }
+    return true;
+  }
+
+  /**
+   * @method compose
+   * @memberof Mat4
+   * @description Sets the matrix to a scaling, followed by a rotation, followed by a translation. Reverses {@link Mat4#decompose}.
+   * @param {Vec3 | Object} translation - Translation (properties x, y, z are interpreted as coordinates).
+   * @param {Quat | Mat4} rotation - Rotation quaternion, or matrix with the rotation in its upper left 3x3 part.
+   * @param {Vec3 | Object} scale - Scale factors (properties x, y, z are interpreted as coordinates).
+   * @return {Mat4} this
+   */
+  compose(translation, rotation, scale) {
+    if(rotation.storage.length === 4) {
+      this.setFromQuat(rotation);
+    } else {
+      this.storage.set(rotation.storage);
+      this.storage[ 3] = 0;
+      this.storage[ 7] = 0;
+      this.storage[11] = 0;
+      this.storage[12] = 0;
+      this.storage[13] = 0;
+      this.storage[14] = 0;
+      this.storage[15] = 1;
+    }
+    const sx = dft(scale.x, 1);
+    const sy = dft(scale.y, 1);
+    const sz = dft(scale.z, 1);
+    this.storage[ 0] *= sx;
+    this.storage[ 4] *= sx;
+    this.storage[ 8] *= sx;
+    this.storage[ 1] *= sy;
+    this.storage[ 5] *= sy;
+    this.storage[ 9] *= sy;
+    this.storage[ 2] *= sz;
+    this.storage[ 6] *= sz;
+    this.storage[10] *= sz;
+    this.storage[ 3] = translation.x || 0;
+    this.storage[ 7] = translation.y || 0;
+    this.storage[11] = translation.z || 0;
+    return this;
+  }
+
+  /**
+   * @method setFromQuat
+   * @memberof Mat4
+   * @description Sets the matrix to the rotation represented by a unit quaternion, with no translation.
+   * @param {Quat} q - The rotation quaternion.
+   * @return {Mat4} this
+   */
+  setFromQuat(q) {
+    const x = q.storage[0];
+    const y = q.storage[1];
+    const z = q.storage[2];
+    const w = q.storage[3];
+    this.storage[ 0] = 1 - 2 * (y * y + z * z);
+    this.storage[ 1] =     2 * (x * y - z * w);
+    this.storage[ 2] =     2 * (x * z + y * w);
+    this.storage[ 3] = 0;
+    this.storage[ 4] =     2 * (x * y + z * w);
+    this.storage[ 5] = 1 - 2 * (x * x + z * z);
+    this.storage[ 6] =     2 * (y * z - x * w);
+    this.storage[ 7] = 0;
+    this.storage[ 8] =     2 * (x * z - y * w);
+    this.storage[ 9] =     2 * (y * z + x * w);
+    this.storage[10] = 1 - 2 * (x * x + y * y);
+    this.storage[11] = 0;
+    this.storage[12] = 0;
+    this.storage[13] = 0;
+    this.storage[14] = 0;
+    this.storage[15] = 1;
+    return this;
+  }
+
+  /**
+   * @method setFromDualQuat
+   * @memberof Mat4
+   * @description Sets the matrix to the rigid transformation represented by a unit dual quaternion.
+   * @param {DualQuat} dq - The rigid transformation.
+   * @return {Mat4} this
+   */
+  setFromDualQuat(dq) {
+    this.setFromQuat(dq.real);
+    Mat4.dualQuatTranslation = Mat4.dualQuatTranslation || new Vec3();
+    const t = dq.getTranslation(Mat4.dualQuatTranslation);
+    this.storage[ 3] = t.storage[0];
+    this.storage[ 7] = t.storage[1];
+    this.storage[11] = t.storage[2];
+    return this;
+  }
+
+  /**
+   * @method rotateByQuat
+   * @memberof Mat4
+   * @description Multiplies the matrix with the rotation matrix of a unit quaternion from the right, overwriting this matrix with the result. Equivalent to {@link Mat4#rotate} with the axis and angle of the quaternion.
+   * @param {Quat} q - The rotation quaternion.
+   * @return {Mat4} this
+   */
+  rotateByQuat(q) {
+    const x = q.storage[0];
+    const y = q.storage[1];
+    const z = q.storage[2];
+    const w = q.storage[3];
+    const m11 = 1 - 2 * (y * y + z * z);
+    const m21 =     2 * (x * y - z * w);
+    const m31 =     2 * (x * z + y * w);
+    const m12 =     2 * (x * y + z * w);
+    const m22 = 1 - 2 * (x * x + z * z);
+    const m32 =     2 * (y * z - x * w);
+    const m13 =     2 * (x * z - y * w);
+    const m23 =     2 * (y * z + x * w);
+    const m33 = 1 - 2 * (x * x + y * y);
+    const t0  = this.storage[ 0] * m11 + this.storage[ 4] * m21 + this.storage[ 8] * m31;
+    const t4  = this.storage[ 0] * m12 + this.storage[ 4] * m22 + this.storage[ 8] * m32;
+    const t8  = this.storage[ 0] * m13 + this.storage[ 4] * m23 + this.storage[ 8] * m33;
+    const t1  = this.storage[ 1] * m11 + this.storage[ 5] * m21 + this.storage[ 9] * m31;
+    const t5  = this.storage[ 1] * m12 + this.storage[ 5] * m22 + this.storage[ 9] * m32;
+    const t9  = this.storage[ 1] * m13 + this.storage[ 5] * m23 + this.storage[ 9] * m33;
+    const t2  = this.storage[ 2] * m11 + this.storage[ 6] * m21 + this.storage[10] * m31;
+    const t6  = this.storage[ 2] * m12 + this.storage[ 6] * m22 + this.storage[10] * m32;
+    const t10 = this.storage[ 2] * m13 + this.storage[ 6] * m23 + this.storage[10] * m33;
+    const t3  = this.storage[ 3] * m11 + this.storage[ 7] * m21 + this.storage[11] * m31;
+    const t7  = this.storage[ 3] * m12 + this.storage[ 7] * m22 + this.storage[11] * m32;
+    const t11 = this.storage[ 3] * m13 + this.storage[ 7] * m23 + this.storage[11] * m33;
+    this.storage[ 0] = t0 ;
+    this.storage[ 4] = t4 ;
+    this.storage[ 8] = t8 ;
+    this.storage[ 1] = t1 ;
+    this.storage[ 5] = t5 ;
+    this.storage[ 9] = t9 ;
+    this.storage[ 2] = t2 ;
+    this.storage[ 6] = t6 ;
+    this.storage[10] = t10;
+    this.storage[ 3] = t3 ;
+    this.storage[ 7] = t7 ;
+    this.storage[11] = t11;
+    return this;
+  }
+
   /**
    * @method translate
    * @memberof Mat4  
@@ -331,6 +597,290 @@ class Mat4 {
     return this;      
   }
 
+  /**
+   * @method setPerspective
+   * @memberof Mat4  
+   * @description Sets this matrix to a perspective projection transformation, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right, like all others in this library. Points between the near and far clipping planes get normalized device z coordinates in the [-1, 1] range of WebGL, with -1 at the near plane.
+   * @param {Number} fovy - Vertical field of view angle in radians.
+   * @param {Number} aspect - Aspect ratio of the viewport, width over height.
+   * @param {Number} near - Distance of the near clipping plane, positive.
+   * @param {Number} far - Distance of the far clipping plane, greater than near.
+   * @return {Mat4} this
+   */
+  setPerspective(fovy, aspect, near, far) {
+    const yScale = 1.0 / Math.tan(fovy * 0.5);
+    this.storage.fill(0);
+    this.storage[ 0] = yScale / aspect;
+    this.storage[ 5] = yScale;
+    this.storage[10] = (far + near) / (near - far);
+    this.storage[11] = 2 * far * near / (near - far);
+    this.storage[14] = -1;
+    return this;
+  }
+
+  /**
+   * @method setPerspectiveInfinite
+   * @memberof Mat4  
+   * @description Sets this matrix to a perspective projection transformation without a far clipping plane, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right. Points beyond the near clipping plane get normalized device z coordinates in the [-1, 1) range of WebGL, with -1 at the near plane, approaching 1 at infinity.
+   * @param {Number} fovy - Vertical field of view angle in radians.
+   * @param {Number} aspect - Aspect ratio of the viewport, width over height.
+   * @param {Number} near - Distance of the near clipping plane, positive.
+   * @return {Mat4} this
+   */
+  setPerspectiveInfinite(fovy, aspect, near) {
+    const yScale = 1.0 / Math.tan(fovy * 0.5);
+    this.storage.fill(0);
+    this.storage[ 0] = yScale / aspect;
+    this.storage[ 5] = yScale;
+    this.storage[10] = -1;
+    this.storage[11] = -2 * near;
+    this.storage[14] = -1;
+    return this;
+  }
+
+  /**
+   * @method setPerspectiveReversedZ
+   * @memberof Mat4  
+   * @description Sets this matrix to a reversed-Z perspective projection transformation, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right. Points between the near and far clipping planes get normalized device z coordinates in the [0, 1] range, with 1 at the near plane and 0 at the far plane. Use it with a depth test passing greater values, and a depth buffer cleared to 0.
+   * @param {Number} fovy - Vertical field of view angle in radians.
+   * @param {Number} aspect - Aspect ratio of the viewport, width over height.
+   * @param {Number} near - Distance of the near clipping plane, positive.
+   * @param {Number} far - Distance of the far clipping plane, greater than near.
+   * @return {Mat4} this
+   */
+  setPerspectiveReversedZ(fovy, aspect, near, far) {
+    const yScale = 1.0 / Math.tan(fovy * 0.5);
+    this.storage.fill(0);
+    this.storage[ 0] = yScale / aspect;
+    this.storage[ 5] = yScale;
+    this.storage[10] = near / (far - near);
+    this.storage[11] = far * near / (far - near);
+    this.storage[14] = -1;
+    return this;
+  }
+
+  /**
+   * @method setPerspectiveInfiniteReversedZ
+   * @memberof Mat4  
+   * @description Sets this matrix to a reversed-Z perspective projection transformation without a far clipping plane, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right. Points beyond the near clipping plane get normalized device z coordinates in the (0, 1] range, with 1 at the near plane, approaching 0 at infinity. Use it with a depth test passing greater values, and a depth buffer cleared to 0.
+   * @param {Number} fovy - Vertical field of view angle in radians.
+   * @param {Number} aspect - Aspect ratio of the viewport, width over height.
+   * @param {Number} near - Distance of the near clipping plane, positive.
+   * @return {Mat4} this
+   */
+  setPerspectiveInfiniteReversedZ(fovy, aspect, near) {
+    const yScale = 1.0 / Math.tan(fovy * 0.5);
+    this.storage.fill(0);
+    this.storage[ 0] = yScale / aspect;
+    this.storage[ 5] = yScale;
+    this.storage[11] = near;
+    this.storage[14] = -1;
+    return this;
+  }
+
+  /**
+   * @method setFrustum
+   * @memberof Mat4  
+   * @description Sets this matrix to a possibly off-center perspective projection transformation, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right. The viewing frustum is given by the edges of its cross section at the near plane. Points between the near and far clipping planes get normalized device z coordinates in the [-1, 1] range of WebGL, with -1 at the near plane.
+   * @param {Number} left - The x coordinate of the left edge at the near plane.
+   * @param {Number} right - The x coordinate of the right edge at the near plane.
+   * @param {Number} bottom - The y coordinate of the bottom edge at the near plane.
+   * @param {Number} top - The y coordinate of the top edge at the near plane.
+   * @param {Number} near - Distance of the near clipping plane, positive.
+   * @param {Number} far - Distance of the far clipping plane, greater than near.
+   * @return {Mat4} this
+   */
+  setFrustum(left, right, bottom, top, near, far) {
+    this.storage.fill(0);
+    this.storage[ 0] = 2 * near / (right - left);
+    this.storage[ 2] = (right + left) / (right - left);
+    this.storage[ 5] = 2 * near / (top - bottom);
+    this.storage[ 6] = (top + bottom) / (top - bottom);
+    this.storage[10] = (far + near) / (near - far);
+    this.storage[11] = 2 * far * near / (near - far);
+    this.storage[14] = -1;
+    return this;
+  }
+
+  /**
+   * @method setOrthographic
+   * @memberof Mat4  
+   * @description Sets this matrix to an orthographic projection transformation, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right. The view volume is an axis-aligned box. Points inside get normalized device coordinates in the [-1, 1] range of WebGL, with z = -1 at the near plane.
+   * @param {Number} left - The x coordinate of the left side of the view volume.
+   * @param {Number} right - The x coordinate of the right side of the view volume.
+   * @param {Number} bottom - The y coordinate of the bottom side of the view volume.
+   * @param {Number} top - The y coordinate of the top side of the view volume.
+   * @param {Number} near - Distance of the near clipping plane.
+   * @param {Number} far - Distance of the far clipping plane.
+   * @return {Mat4} this
+   */
+  setOrthographic(left, right, bottom, top, near, far) {
+    this.storage.fill(0);
+    this.storage[ 0] = 2 / (right - left);
+    this.storage[ 3] = (right + left) / (left - right);
+    this.storage[ 5] = 2 / (top - bottom);
+    this.storage[ 7] = (top + bottom) / (bottom - top);
+    this.storage[10] = 2 / (near - far);
+    this.storage[11] = (far + near) / (near - far);
+    this.storage[15] = 1;
+    return this;
+  }
+
+  /**
+   * @method setOrthographicReversedZ
+   * @memberof Mat4  
+   * @description Sets this matrix to a reversed-Z orthographic projection transformation, for a camera looking along the negative z axis in a right-handed view space. The transformation is meant for row vectors multiplied with the matrix from the right. Points inside the view volume get normalized device x and y coordinates in the [-1, 1] range, and z coordinates in the [0, 1] range, with 1 at the near plane and 0 at the far plane.
+   * @param {Number} left - The x coordinate of the left side of the view volume.
+   * @param {Number} right - The x coordinate of the right side of the view volume.
+   * @param {Number} bottom - The y coordinate of the bottom side of the view volume.
+   * @param {Number} top - The y coordinate of the top side of the view volume.
+   * @param {Number} near - Distance of the near clipping plane.
+   * @param {Number} far - Distance of the far clipping plane.
+   * @return {Mat4} this
+   */
+  setOrthographicReversedZ(left, right, bottom, top, near, far) {
+    this.storage.fill(0);
+    this.storage[ 0] = 2 / (right - left);
+    this.storage[ 3] = (right + left) / (left - right);
+    this.storage[ 5] = 2 / (top - bottom);
+    this.storage[ 7] = (top + bottom) / (bottom - top);
+    this.storage[10] = 1 / (far - near);
+    this.storage[11] = far / (far - near);
+    this.storage[15] = 1;
+    return this;
+  }
+
+  /**
+   * @method setLookAt
+   * @memberof Mat4  
+   * @description Sets this matrix to a view transformation, which transforms world space row vectors, multiplied with the matrix from the right, to the view space of a camera at eye, looking at target. In view space, the camera looks along the negative z axis, x points to the right and y upwards.
+   * @param {Vec3 | Object} eye - The camera position in world space (properties x, y, z are used).
+   * @param {Vec3 | Object} target - A point in world space the camera looks at (properties x, y, z are used).
+   * @param {Vec3 | Object} up - A world space direction that should appear upwards in view space. Must not be parallel to the viewing direction (properties x, y, z are used).
+   * @return {Mat4} this
+   */
+  setLookAt(eye, target, up) {
+    this.setInverseLookAt(eye, target, up);
+    const ex = this.storage[ 3];
+    const ey = this.storage[ 7];
+    const ez = this.storage[11];
+    // the inverse of the orthonormal rotation part is its transpose
+    this.transpose();
+    this.storage[ 3] = -(ex * this.storage[0] + ey * this.storage[1] + ez * this.storage[ 2]);
+    this.storage[ 7] = -(ex * this.storage[4] + ey * this.storage[5] + ez * this.storage[ 6]);
+    this.storage[11] = -(ex * this.storage[8] + ey * this.storage[9] + ez * this.storage[10]);
+    this.storage[12] = 0;
+    this.storage[13] = 0;
+    this.storage[14] = 0;
+    return this;
+  }
+
+  /**
+   * @method setInverseLookAt
+   * @memberof Mat4  
+   * @description Sets this matrix to the camera-to-world transformation of a camera at eye, looking at target, which is the inverse of the view transformation set by [setLookAt]{@link Mat4#setLookAt}. Its rows are the right, up, and backward directions, and the position of the camera, for row vectors multiplied with the matrix from the right.
+   * @param {Vec3 | Object} eye - The camera position in world space (properties x, y, z are used).
+   * @param {Vec3 | Object} target - A point in world space the camera looks at (properties x, y, z are used).
+   * @param {Vec3 | Object} up - A world space direction that should appear upwards in view space. Must not be parallel to the viewing direction (properties x, y, z are used).
+   * @return {Mat4} this
+   */
+  setInverseLookAt(eye, target, up) {
+    let aheadX = target.x - eye.x;
+    let aheadY = target.y - eye.y;
+    let aheadZ = target.z - eye.z;
+    const aheadLength = Math.sqrt(aheadX * aheadX + aheadY * aheadY + aheadZ * aheadZ);
+    aheadX /= aheadLength;
+    aheadY /= aheadLength;
+    aheadZ /= aheadLength;
+    let rightX = aheadY * up.z - aheadZ * up.y;
+    let rightY = aheadZ * up.x - aheadX * up.z;
+    let rightZ = aheadX * up.y - aheadY * up.x;
+    const rightLength = Math.sqrt(rightX * rightX + rightY * rightY + rightZ * rightZ);
+    rightX /= rightLength;
+    rightY /= rightLength;
+    rightZ /= rightLength;
+    this.storage[ 0] = rightX;
+    this.storage[ 4] = rightY;
+    this.storage[ 8] = rightZ;
+    this.storage[12] = 0;
+    this.storage[ 1] = rightY * aheadZ - rightZ * aheadY;
+    this.storage[ 5] = rightZ * aheadX - rightX * aheadZ;
+    this.storage[ 9] = rightX * aheadY - rightY * aheadX;
+    this.storage[13] = 0;
+    this.storage[ 2] = -aheadX;
+    this.storage[ 6] = -aheadY;
+    this.storage[10] = -aheadZ;
+    this.storage[14] = 0;
+    this.storage[ 3] = eye.x;
+    this.storage[ 7] = eye.y;
+    this.storage[11] = eye.z;
+    this.storage[15] = 1;
+    return this;
+  }
+
+  /**
+   * @method getViewRight
+   * @memberof Mat4  
+   * @description Extracts the world space right direction of the camera from this matrix, considered to be a rigid view transformation, like one set by [setLookAt]{@link Mat4#setLookAt}.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the right direction
+   */
+  getViewRight(result) {
+    result = result || new Vec3();
+    result.storage[0] = this.storage[0];
+    result.storage[1] = this.storage[1];
+    result.storage[2] = this.storage[2];
+    return result;
+  }
+
+  /**
+   * @method getViewUp
+   * @memberof Mat4  
+   * @description Extracts the world space up direction of the camera from this matrix, considered to be a rigid view transformation, like one set by [setLookAt]{@link Mat4#setLookAt}.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the up direction
+   */
+  getViewUp(result) {
+    result = result || new Vec3();
+    result.storage[0] = this.storage[4];
+    result.storage[1] = this.storage[5];
+    result.storage[2] = this.storage[6];
+    return result;
+  }
+
+  /**
+   * @method getViewAhead
+   * @memberof Mat4  
+   * @description Extracts the world space viewing direction of the camera from this matrix, considered to be a rigid view transformation, like one set by [setLookAt]{@link Mat4#setLookAt}.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the viewing direction
+   */
+  getViewAhead(result) {
+    result = result || new Vec3();
+    result.storage[0] = -this.storage[ 8];
+    result.storage[1] = -this.storage[ 9];
+    result.storage[2] = -this.storage[10];
+    return result;
+  }
+
+  /**
+   * @method getViewPosition
+   * @memberof Mat4  
+   * @description Extracts the world space position of the camera from this matrix, considered to be a rigid view transformation, like one set by [setLookAt]{@link Mat4#setLookAt}.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the camera position
+   */
+  getViewPosition(result) {
+    result = result || new Vec3();
+    const tx = this.storage[ 3];
+    const ty = this.storage[ 7];
+    const tz = this.storage[11];
+    result.storage[0] = -(tx * this.storage[0] + ty * this.storage[4] + tz * this.storage[ 8]);
+    result.storage[1] = -(tx * this.storage[1] + ty * this.storage[5] + tz * this.storage[ 9]);
+    result.storage[2] = -(tx * this.storage[2] + ty * this.storage[6] + tz * this.storage[10]);
+    return result;
+  }
+
   /**
    * @method transpose
    * @memberof Mat4  
@@ -360,12 +910,39 @@ class Mat4 {
   }
 
   /**
-   * @method invert
-   * @memberof Mat4  
-   * @description Inverts the matrix in place, overwriting this matrix with the result.
+   * @method determinant
+   * @memberof Mat4
+   * @description Computes the determinant of the matrix.
+   * @return {Number} the determinant
+   */
+  determinant() {
+    Mat4.adjugateStorage = Mat4.adjugateStorage || new Float32Array(16);
+    return this.computeAdjugate(Mat4.adjugateStorage);
+  }
+
+  /**
+   * @method trace
+   * @memberof Mat4
+   * @description Computes the trace, the sum of diagonal elements, of the matrix.
+   * @return {Number} the trace
+   */
+  trace() {
+    return this.storage[0] + this.storage[5] + this.storage[10] + this.storage[15];
+  }
+
+  /**
+   * @method adjugate
+   * @memberof Mat4
+   * @description Sets the matrix to its adjugate, the transpose of its cofactor matrix, in place. For invertible matrices, this is the inverse multiplied by the determinant, but it is also defined for singular matrices.
    * @return {Mat4} this
    */
-  invert() {
+  adjugate() {
+    this.computeAdjugate(this.storage);
+    return this;
+  }
+
+  // writes the adjugate into result, which may be this.storage, and returns the determinant
+  computeAdjugate(result) {
     const a00 = this.storage[0];
     const a01 = this.storage[1];
     const a02 = this.storage[2];
@@ -394,28 +971,92 @@ class Mat4 {
     const b09 = m101 * m202 - m102 * m201;
     const m010 = m101 * m203 - m103 * m201;
     const m011 = m102 * m203 - m103 * m202;
-    const det =
-        (b00 * m011 - b01 * m010 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06);
-    if (det === 0.0) {
-        return this;
+    result[0] = m001 * m011 - m002 * m010 + m003 * b09;
+    result[1] = -a01 * m011 + a02 * m010 - a03 * b09;
+    result[2] = m201 * b05 - m202 * b04 + m203 * b03;
+    result[3] = -m101 * b05 + m102 * b04 - m103 * b03;
+    result[4] = -m000 * m011 + m002 * b08 - m003 * b07;
+    result[5] = a00 * m011 - a02 * b08 + a03 * b07;
+    result[6] = -m200 * b05 + m202 * b02 - m203 * b01;
+    result[7] = m100 * b05 - m102 * b02 + m103 * b01;
+    result[8] = m000 * m010 - m001 * b08 + m003 * b06;
+    result[9] = -a00 * m010 + a01 * b08 - a03 * b06;
+    result[10] = m200 * b04 - m201 * b02 + m203 * b00;
+    result[11] = -m100 * b04 + m101 * b02 - m103 * b00;
+    result[12] = -m000 * b09 + m001 * b07 - m002 * b06;
+    result[13] = a00 * b09 - a01 * b07 + a02 * b06;
+    result[14] = -m200 * b03 + m201 * b01 - m202 * b00;
+    result[15] = m100 * b03 - m101 * b01 + m102 * b00;
+    return (b00 * m011 - b01 * m010 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06);
+  }
+
+  /**
+   * @method tryInvert
+   * @memberof Mat4
+   * @description Inverts the matrix in place, overwriting this matrix with the result, if it is invertible. A singular matrix is left unchanged.
+   * @return {Boolean} true if the matrix was inverted, false if it is singular
+   */
+  tryInvert() {
+    Mat4.adjugateStorage = Mat4.adjugateStorage || new Float32Array(16);
+    const invDet = 1.0 / this.computeAdjugate(Mat4.adjugateStorage);
+    if (!isFinite(invDet)) {
+      return false;
+    }
+    for(let i=0; i<16; i++) {
+      this.storage[i] = Mat4.adjugateStorage[i] * invDet;
     }
+    return true;
+  }
+
+  /**
+   * @method invert
+   * @memberof Mat4  
+   * @description Inverts the matrix in place, overwriting this matrix with the result. A singular matrix is left unchanged, which is reported by a console warning, only for the first singular Mat4 inverted. Use [tryInvert]{@link Mat4#tryInvert} to find out whether the matrix was inverted.
+   * @return {Mat4} this
+   */
+  invert() {
+    if(!this.tryInvert() && !Mat4.singularReported) {
+      console.warn("Trying to invert a singular Mat4, which is left unchanged. Further singular Mat4s are not reported, use tryInvert to detect them.");
+      Mat4.singularReported = true;
+    }
+    return this;
+  }
+
+  /**
+   * @method setNormalMatrix
+   * @memberof Mat4
+   * @description Sets this matrix to the normal matrix of a transformation, the inverse transpose of its upper left 3x3 part, with no translation. If that part is singular, its cofactor matrix is used instead, which still transforms normals of non-degenerate surfaces into the correct directions.
+   * @param {Mat4 | Mat3} m - The transformation matrix. May be this matrix.
+   * @return {Mat4} this
+   */
+  setNormalMatrix(m) {
+    const n = (m.storage.length === 9) ? 3 : 4;
+    // aRC is the element in row R, column C
+    const a00 = m.storage[0], a01 = m.storage[n  ], a02 = m.storage[2*n  ];
+    const a10 = m.storage[1], a11 = m.storage[n+1], a12 = m.storage[2*n+1];
+    const a20 = m.storage[2], a21 = m.storage[n+2], a22 = m.storage[2*n+2];
+    const c00 = a11 * a22 - a12 * a21;
+    const c01 = a12 * a20 - a10 * a22;
+    const c02 = a10 * a21 - a11 * a20;
+    const det = a00 * c00 + a01 * c01 + a02 * c02;
     const invDet = 1.0 / det;
-    this.storage[0] = (m001 * m011 - m002 * m010 + m003 * b09) * invDet;
-    this.storage[1] = (-a01 * m011 + a02 * m010 - a03 * b09) * invDet;
-    this.storage[2] = (m201 * b05 - m202 * b04 + m203 * b03) * invDet;
-    this.storage[3] = (-m101 * b05 + m102 * b04 - m103 * b03) * invDet;
-    this.storage[4] = (-m000 * m011 + m002 * b08 - m003 * b07) * invDet;
-    this.storage[5] = (a00 * m011 - a02 * b08 + a03 * b07) * invDet;
-    this.storage[6] = (-m200 * b05 + m202 * b02 - m203 * b01) * invDet;
-    this.storage[7] = (m100 * b05 - m102 * b02 + m103 * b01) * invDet;
-    this.storage[8] = (m000 * m010 - m001 * b08 + m003 * b06) * invDet;
-    this.storage[9] = (-a00 * m010 + a01 * b08 - a03 * b06) * invDet;
-    this.storage[10] = (m200 * b04 - m201 * b02 + m203 * b00) * invDet;
-    this.storage[11] = (-m100 * b04 + m101 * b02 - m103 * b00) * invDet;
-    this.storage[12] = (-m000 * b09 + m001 * b07 - m002 * b06) * invDet;
-    this.storage[13] = (a00 * b09 - a01 * b07 + a02 * b06) * invDet;
-    this.storage[14] = (-m200 * b03 + m201 * b01 - m202 * b00) * invDet;
-    this.storage[15] = (m100 * b03 - m101 * b01 + m102 * b00) * invDet;
+    const f = isFinite(invDet) ? invDet : 1.0;
+    this.storage[ 0] = c00 * f;
+    this.storage[ 4] = c01 * f;
+    this.storage[ 8] = c02 * f;
+    this.storage[12] = 0;
+    this.storage[ 1] = (a02 * a21 - a01 * a22) * f;
+    this.storage[ 5] = (a00 * a22 - a02 * a20) * f;
+    this.storage[ 9] = (a01 * a20 - a00 * a21) * f;
+    this.storage[13] = 0;
+    this.storage[ 2] = (a01 * a12 - a02 * a11) * f;
+    this.storage[ 6] = (a02 * a10 - a00 * a12) * f;
+    this.storage[10] = (a00 * a11 - a01 * a10) * f;
+    this.storage[14] = 0;
+    this.storage[ 3] = 0;
+    this.storage[ 7] = 0;
+    this.storage[11] = 0;
+    this.storage[15] = 1;
     return this;
   }
 
@@ -6,6 +6,7 @@
 /**
  * Array of four by four matrices of 32-bit floats. May reflect an GLSL array-of-mat4s uniform variable.
  * <BR> Individual [Mat4]{@link Mat4} elements are available through the index operator [].
+ * Methods are available for optimized bulk processing.
  */
 class Mat4Array{ 
   /**
@@ -41,6 +42,7 @@ class Mat4Array{
   subarray(begin, end){
     const result = Object.create(Mat4Array.prototype);
     result.storage = this.storage.subarray(begin*16, end*16);
+    result.length  = result.storage.length/16;
     return result;
   }
 
@@ -54,6 +56,217 @@ class Mat4Array{
     this.storage.set(data.storage || data);
   }
 
+  /**
+   * @method setIdentity
+   * @memberof Mat4Array
+   * @description Sets all matrices in the array to the identity matrix.
+   * @return {Mat4Array} this
+   */
+  setIdentity() {
+    this.storage.fill(0);
+    for(let i=0; i<this.storage.length; i+=16) {
+      this.storage[i   ] = 1;
+      this.storage[i+ 5] = 1;
+      this.storage[i+10] = 1;
+      this.storage[i+15] = 1;
+    }
+    return this;
+  }
+
+  /**
+   * @method mul
+   * @memberof Mat4Array
+   * @description Fills this array with the matrix products of elements of the argument arrays. Either argument may also be a single {@link Mat4}, which is then multiplied with every element of the other one. See also [mulAll]{@link Mat4Array#mulAll} and [premulAll]{@link Mat4Array#premulAll}.
+   * @param {Mat4Array | Mat4} b - Array of first factors, multiplied from the left. Its length must be identical to this array's length.
+   * @param {Mat4Array | Mat4} c - Array of second factors, multiplied from the right. Its length must be identical to this array's length.
+   * @return {Mat4Array} this
+   */
+  mul(b, c) {
+    const bStride = (b.storage.length === 16) ? 0 : 16;
+    const cStride = (c.storage.length === 16) ? 0 : 16;
+    for(let i=0, j=0, k=0; i<this.storage.length; i+=16, j+=bStride, k+=cStride) {
+      const m00 = b.storage[j+0];
+      const m01 = b.storage[j+4];
+      const m02 = b.storage[j+8];
+      const m03 = b.storage[j+12];
+      const m10 = b.storage[j+1];
+      const m11 = b.storage[j+5];
+      const m12 = b.storage[j+9];
+      const m13 = b.storage[j+13];
+      const m20 = b.storage[j+2];
+      const m21 = b.storage[j+6];
+      const m22 = b.storage[j+10];
+      const m23 = b.storage[j+14];
+      const m30 = b.storage[j+3];
+      const m31 = b.storage[j+7];
+      const m32 = b.storage[j+11];
+      const m33 = b.storage[j+15];
+      const n00 = c.storage[k+0];
+      const n01 = c.storage[k+4];
+      const n02 = c.storage[k+8];
+      const n03 = c.storage[k+12];
+      const n10 = c.storage[k+1];
+      const n11 = c.storage[k+5];
+      const n12 = c.storage[k+9];
+      const n13 = c.storage[k+13];
+      const n20 = c.storage[k+2];
+      const n21 = c.storage[k+6];
+      const n22 = c.storage[k+10];
+      const n23 = c.storage[k+14];
+      const n30 = c.storage[k+3];
+      const n31 = c.storage[k+7];
+      const n32 = c.storage[k+11];
+      const n33 = c.storage[k+15];
+      this.storage[i+0] = (m00 * n00) + (m01 * n10) + (m02 * n20) + (m03 * n30);
+      this.storage[i+1] = (m10 * n00) + (m11 * n10) + (m12 * n20) + (m13 * n30);
+      this.storage[i+2] = (m20 * n00) + (m21 * n10) + (m22 * n20) + (m23 * n30);
+      this.storage[i+3] = (m30 * n00) + (m31 * n10) + (m32 * n20) + (m33 * n30);
+      this.storage[i+4] = (m00 * n01) + (m01 * n11) + (m02 * n21) + (m03 * n31);
+      this.storage[i+5] = (m10 * n01) + (m11 * n11) + (m12 * n21) + (m13 * n31);
+      this.storage[i+6] = (m20 * n01) + (m21 * n11) + (m22 * n21) + (m23 * n31);
+      this.storage[i+7] = (m30 * n01) + (m31 * n11) + (m32 * n21) + (m33 * n31);
+      this.storage[i+8] = (m00 * n02) + (m01 * n12) + (m02 * n22) + (m03 * n32);
+      this.storage[i+9] = (m10 * n02) + (m11 * n12) + (m12 * n22) + (m13 * n32);
+      this.storage[i+10] = (m20 * n02) + (m21 * n12) + (m22 * n22) + (m23 * n32);
+      this.storage[i+11] = (m30 * n02) + (m31 * n12) + (m32 * n22) + (m33 * n32);
+      this.storage[i+12] = (m00 * n03) + (m01 * n13) + (m02 * n23) + (m03 * n33);
+      this.storage[i+13] = (m10 * n03) + (m11 * n13) + (m12 * n23) + (m13 * n33);
+      this.storage[i+14] = (m20 * n03) + (m21 * n13) + (m22 * n23) + (m23 * n33);
+      this.storage[i+15] = (m30 * n03) + (m31 * n13) + (m32 * n23) + (m33 * n33);
+    }
+    return this;
+  }
+
+  /**
+   * @method mulAll
+   * @memberof Mat4Array
+   * @description Multiplies all argument array elements with a matrix from the right, storing the result in this array.
+   * @param {Mat4Array} b - Array of first factors. Its length must be identical to this array's length.
+   * @param {Mat4} c - Second factor.
+   * @return {Mat4Array} this
+   */
+  mulAll(b, c) {
+    return this.mul(b, c);
+  }
+
+  /**
+   * @method premulAll
+   * @memberof Mat4Array
+   * @description Multiplies all argument array elements with a matrix from the left, storing the result in this array.
+   * @param {Mat4Array} b - Array of second factors. Its length must be identical to this array's length.
+   * @param {Mat4} c - First factor.
+   * @return {Mat4Array} this
+   */
+  premulAll(b, c) {
+    return this.mul(c, b);
+  }
+
+  /**
+   * @method transpose
+   * @memberof Mat4Array
+   * @description Fills this array with the transposes of matrices in the argument array.
+   * @param {Mat4Array} b - Array of matrices to transpose. Its length must be identical to this array's length. May be this array.
+   * @return {Mat4Array} this
+   */
+  transpose(b) {
+    for(let i=0; i<this.storage.length; i+=16) {
+      for(let r=0; r<4; r++) {
+        this.storage[i + r*5] = b.storage[i + r*5];
+        for(let c=r+1; c<4; c++) {
+          const temp = b.storage[i + c*4 + r];
+          this.storage[i + c*4 + r] = b.storage[i + r*4 + c];
+          this.storage[i + r*4 + c] = temp;
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method invert
+   * @memberof Mat4Array
+   * @description Fills this array with the inverses of matrices in the argument array. Singular matrices are copied unchanged, and reported like by [Mat4#invert]{@link Mat4#invert}.
+   * @param {Mat4Array} b - Array of matrices to invert. Its length must be identical to this array's length. May be this array.
+   * @return {Mat4Array} this
+   */
+  invert(b) {
+    const m = new Mat4();
+    for(let i=0; i<this.storage.length; i+=16) {
+      for(let k=0; k<16; k++) {
+        m.storage[k] = b.storage[i+k];
+      }
+      this.storage.set(m.invert().storage, i);
+    }
+    return this;
+  }
+
+  /**
+   * @method setNormalMatrices
+   * @memberof Mat4Array
+   * @description Fills this array with the normal matrices of the transformations in the argument array. See {@link Mat4#setNormalMatrix}.
+   * @param {Mat4Array} b - Array of transformation matrices. Its length must be identical to this array's length. May be this array.
+   * @return {Mat4Array} this
+   */
+  setNormalMatrices(b) {
+    const m = new Mat4();
+    for(let i=0; i<this.storage.length; i+=16) {
+      for(let k=0; k<16; k++) {
+        m.storage[k] = b.storage[i+k];
+      }
+      this.storage.set(m.setNormalMatrix(m).storage, i);
+    }
+    return this;
+  }
+
+  /**
+   * @method compose
+   * @memberof Mat4Array
+   * @description Fills this array with transformations composed of a scaling, followed by a rotation, followed by a translation, with parameters taken from the argument arrays. See {@link Mat4#compose}.
+   * @param {Vec3Array} translations - Array of translations. Its length must be identical to this array's length.
+   * @param {Vec4Array | Vec3Array} rotations - Array of rotations, either as unit quaternions, or as Euler angles in the given order. Its length must be identical to this array's length.
+   * @param {Vec3Array} [scales] - Array of scale factors. Its length must be identical to this array's length. If omitted, no scaling is applied.
+   * @param {String} [order='XYZ'] - Rotation order of Euler angles. Ignored if rotations are quaternions. See {@link Mat4#setFromEuler}.
+   * @return {Mat4Array} this
+   */
+  compose(translations, rotations, scales, order) {
+    const fromEuler = (rotations.storage.length * 4 !== this.storage.length);
+    const q = new Quat();
+    for(let i=0, j=0, k=0; i<this.storage.length; i+=16, j+=3) {
+      if(fromEuler) {
+        q.setFromEuler(rotations.storage[j], rotations.storage[j+1], rotations.storage[j+2], order);
+      } else {
+        q.storage[0] = rotations.storage[k++];
+        q.storage[1] = rotations.storage[k++];
+        q.storage[2] = rotations.storage[k++];
+        q.storage[3] = rotations.storage[k++];
+      }
+      const x = q.storage[0];
+      const y = q.storage[1];
+      const z = q.storage[2];
+      const w = q.storage[3];
+      const sx = scales ? scales.storage[j  ] : 1;
+      const sy = scales ? scales.storage[j+1] : 1;
+      const sz = scales ? scales.storage[j+2] : 1;
+      this.storage[i   ] = (1 - 2 * (y * y + z * z)) * sx;
+      this.storage[i+ 1] =     2 * (x * y - z * w)  * sy;
+      this.storage[i+ 2] =     2 * (x * z + y * w)  * sz;
+      this.storage[i+ 3] = translations.storage[j  ];
+      this.storage[i+ 4] =     2 * (x * y + z * w)  * sx;
+      this.storage[i+ 5] = (1 - 2 * (x * x + z * z)) * sy;
+      this.storage[i+ 6] =     2 * (y * z - x * w)  * sz;
+      this.storage[i+ 7] = translations.storage[j+1];
+      this.storage[i+ 8] =     2 * (x * z - y * w)  * sx;
+      this.storage[i+ 9] =     2 * (y * z + x * w)  * sy;
+      this.storage[i+10] = (1 - 2 * (x * x + y * y)) * sz;
+      this.storage[i+11] = translations.storage[j+2];
+      this.storage[i+12] = 0;
+      this.storage[i+13] = 0;
+      this.storage[i+14] = 0;
+      this.storage[i+15] = 1;
+    }
+    return this;
+  }
+
   /**
    * @method commit
    * @memberof Mat4Array  
@@ -0,0 +1,98 @@
+/**
+ * @file WebGLMath {@link Mat4x3} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat4x3 */
+/**
+ * Matrix of 32-bit floats with four columns and three rows. May reflect an GLSL mat4x3 uniform variable.
+ * <BR> Uses column-major internal representation for WebGL compatibility but offers a row-major external interface through constructor parametrization and element indexes.
+ * @extends MatNxM
+ */
+class Mat4x3 extends MatNxM {
+  /**
+   * Creates a matrix.
+   * @description  Without parameters, initializes the matrix with ones in the main diagonal and zeros elsewhere.
+   * @param {Mat4x3 | Array | number} [m] - Matrix to copy elements from, or array of 12 elements in row-major format, or matrix element in row 0, column 0.
+   * @param {number} [m01=0] - Matrix element in the row 0, column 1.
+   * @param {number} [m02=0] - Matrix element in the row 0, column 2.
+   * @param {number} [m03=0] - Matrix element in the row 0, column 3.
+   * @param {number} [m10=0] - Matrix element in the row 1, column 0.
+   * @param {number} [m11=1] - Matrix element in the row 1, column 1.
+   * @param {number} [m12=0] - Matrix element in the row 1, column 2.
+   * @param {number} [m13=0] - Matrix element in the row 1, column 3.
+   * @param {number} [m20=0] - Matrix element in the row 2, column 0.
+   * @param {number} [m21=0] - Matrix element in the row 2, column 1.
+   * @param {number} [m22=1] - Matrix element in the row 2, column 2.
+   * @param {number} [m23=0] - Matrix element in the row 2, column 3.
+   */
+  constructor(m00, m01, m02, m03, m10, m11, m12, m13, m20, m21, m22, m23){
+    super();
+    /**
+     * @name Mat4x3#storage
+     * @description 12-element typed array for matrix storage.
+     * @type Float32Array
+     */
+    /*jshint unused:false*/
+    this.storage = new Float32Array(12);
+    this.set.apply(this, arguments);
+  }
+
+  /**
+   * @name Mat4x3#rowCount
+   * @description The number of rows, 3.
+   * @type Number
+   */
+  get rowCount() {
+    return 3;
+  }
+
+  /**
+   * @name Mat4x3#columnCount
+   * @description The number of columns, 4.
+   * @type Number
+   */
+  get columnCount() {
+    return 4;
+  }
+
+  /**
+   * @method transposed
+   * @memberof Mat4x3
+   * @description Transposes the matrix, and returns the result in a new instance.
+   * @return {Mat3x4} the transposed matrix
+   */
+  transposed() {
+    const result = Object.create(Mat3x4.prototype);
+    result.storage = new Float32Array(12);
+    return result.setTransposed(this);
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat4x3
+   * @description Sets the value of the matrix to a WebGL mat4x3 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix4x3fv(uniformLocation, false, this.storage);
+  }
+}
+
+(function() {
+  for(let i=0; i<4; i++){
+    for(let j=0; j<3; j++){
+      const columnMajorIndex = j + 3*i;
+      Object.defineProperty(Mat4x3.prototype, i + 4*j, {
+        get: function() { return this.storage[columnMajorIndex]; },
+        set: function(value) { this.storage[columnMajorIndex] = value; }
+      });
+    }
+  }
+})();
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat4x3;
+}
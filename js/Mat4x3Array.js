@@ -0,0 +1,74 @@
+/**
+ * @file WebGLMath Mat4x3Array class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Mat4x3Array */
+/**
+ * Array of matrices of 32-bit floats with four columns and three rows. May reflect an GLSL array-of-mat4x3s uniform variable.
+ * <BR> Individual [Mat4x3]{@link Mat4x3} elements are available through the [at]{@link Mat4x3Array#at} method.
+ */
+class Mat4x3Array{ 
+  /**
+   * Creates a matrix array.
+   * @param {Number} size - The number of Mat4x3 elements in the array.
+   */
+  constructor(size){
+    this.length = size;
+    this.storage = new Float32Array(size * 12);
+  }
+
+  /**
+   * @method at
+   * @memberof Mat4x3Array  
+   * @description Returns a new Mat4x3 object that captures an element of the array. The new matrix is a view on the original data, not a copy.
+   * @param index {Number} - Index of the element.
+   * @return {Mat4x3} new view on one of the array's elements
+   */
+  at(index){
+    const result = Object.create(Mat4x3.prototype);
+    result.storage = this.storage.subarray(index*12, index*12+12);
+    return result;  
+  }
+
+  /**
+   * @method subarray
+   * @memberof Mat4x3Array  
+   * @description Returns a new Mat4x3Array object that captures a subrange of the array. The new array is a view on the original data, not a copy.
+   * @param {Number} [begin=0] - Element to begin at. The offset is inclusive. The whole array will be cloned if this value is not specified.
+   * @param {Number} [end=length] - Element to end at. The offset is exclusive. If not specified, all elements from the one specified by begin to the end of the array are included in the new view.
+   * @return {Mat4x3Array} new view on some of the array's elements
+   */
+  subarray(begin, end){
+    const result = Object.create(Mat4x3Array.prototype);
+    result.storage = this.storage.subarray(begin*12, end*12);
+    result.length  = result.storage.length/12;
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof Mat4x3Array  
+   * @description Sets the value of the matrix array from another WebGLMath vector, vector array, matrix, or matrix array object, or an array of numbers.
+   * @param {number[] | Object } data - Input data.
+   */
+  set(data){
+    this.storage.set(data.storage || data);
+  }
+
+  /**
+   * @method commit
+   * @memberof Mat4x3Array  
+   * @description Copies the value of the matrix array to a WebGL mat4x3 array uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniformMatrix4x3fv(uniformLocation, false, this.storage);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Mat4x3Array;
+}
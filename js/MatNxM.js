@@ -0,0 +1,185 @@
+/**
+ * @file WebGLMath MatNxM class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported MatNxM */
+/**
+ * A base class for all non-square matrices, gathering methods that share the same implementation in all matrix subclasses.
+ * <BR> Subclasses are named after their GLSL counterparts: a <code>MatCxR</code> has C columns and R rows, like a GLSL <code>matCxR</code>.
+ * Like [Mat4]{@link Mat4}, they use column-major internal representation for WebGL compatibility, but offer a row-major external interface through constructor parametrization and element indexes.
+ * Row vectors and multiplication with the matrix from the right are assumed.
+ */
+class MatNxM {
+  /**
+   * Creates empty object.
+   */
+  constructor(){
+  }
+
+  /**
+   * @method clone
+   * @memberof MatNxM
+   * @description Creates a copy.
+   * @return {MatNxM} A new instance of the same class with identical contents.
+   */
+  clone() {
+    const copy = Object.create(Object.getPrototypeOf(this));
+    copy.storage = new Float32Array(this.storage);
+    return copy;
+  }
+
+  /**
+   * @method set
+   * @memberof MatNxM
+   * @description Sets the matrix elements from another matrix of the same shape or an array, given in row-major format. Without parameters, sets ones in the main diagonal and zeros elsewhere.
+   * @param {MatNxM | Array | number} [m] - Matrix to copy elements from, or array of elements in row-major format, or matrix element in row 0, column 0.
+   * @param {...number} [elements] - Further matrix elements in row-major order, if m is a number.
+   * @return {MatNxM} this
+   */
+  set(m) {
+    const rowCount = this.rowCount;
+    const columnCount = this.columnCount;
+    for(let i=0; i<rowCount; i++) {
+      for(let j=0; j<columnCount; j++) {
+        const rowMajorIndex = i*columnCount + j;
+        if(i === j) {
+          this.storage[j*rowCount + i] = dft(m !== 0 && m && m[rowMajorIndex], arguments[rowMajorIndex], 1);
+        } else {
+          this.storage[j*rowCount + i] = m && m[rowMajorIndex] || arguments[rowMajorIndex] || 0;
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method mul
+   * @memberof MatNxM
+   * @description Multiplies the matrix with a square matrix from the right, overwriting this matrix with the result. The size of the square matrix must be equal to the column count of this matrix.
+   * @param {Mat2 | Mat3 | Mat4} m - Matrix to multiply with.
+   * @return {MatNxM} this
+   */
+  mul(m) {
+    const rowCount = this.rowCount;
+    const columnCount = this.columnCount;
+    if(m.storage.length !== columnCount * columnCount) {
+      throw new Error(`Cannot multiply a matrix with ${columnCount} columns with a matrix of ${m.storage.length} elements from the right in place.`);
+    }
+    for(let i=0; i<rowCount; i++) {
+      const a0 = this.storage[i];
+      const a1 = this.storage[rowCount + i];
+      const a2 = (columnCount > 2) ? this.storage[2*rowCount + i] : 0;
+      const a3 = (columnCount > 3) ? this.storage[3*rowCount + i] : 0;
+      for(let j=0; j<columnCount; j++) {
+        const k = j*columnCount;
+        this.storage[j*rowCount + i] =
+          a0 * m.storage[k] + 
+          a1 * m.storage[k+1] +
+          ((columnCount > 2) ? a2 * m.storage[k+2] : 0) +
+          ((columnCount > 3) ? a3 * m.storage[k+3] : 0);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method premul
+   * @memberof MatNxM
+   * @description Multiplies the matrix with a square matrix from the left, overwriting this matrix with the result. The size of the square matrix must be equal to the row count of this matrix.
+   * @param {Mat2 | Mat3 | Mat4} m - Matrix to multiply with.
+   * @return {MatNxM} this
+   */
+  premul(m) {
+    const rowCount = this.rowCount;
+    const columnCount = this.columnCount;
+    if(m.storage.length !== rowCount * rowCount) {
+      throw new Error(`Cannot multiply a matrix with ${rowCount} rows with a matrix of ${m.storage.length} elements from the left in place.`);
+    }
+    for(let j=0; j<columnCount; j++) {
+      const k = j*rowCount;
+      const a0 = this.storage[k];
+      const a1 = this.storage[k+1];
+      const a2 = (rowCount > 2) ? this.storage[k+2] : 0;
+      const a3 = (rowCount > 3) ? this.storage[k+3] : 0;
+      for(let i=0; i<rowCount; i++) {
+        this.storage[k + i] =
+          m.storage[i] * a0 +
+          m.storage[rowCount + i] * a1 +
+          ((rowCount > 2) ? m.storage[2*rowCount + i] * a2 : 0) +
+          ((rowCount > 3) ? m.storage[3*rowCount + i] * a3 : 0);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method setProduct
+   * @memberof MatNxM
+   * @description Fast. Multiplies two matrices, storing the result in this matrix. The column count of b must be equal to the row count of c, and the result must have the shape of this matrix: as many rows as b, and as many columns as c. Neither b nor c may be this matrix.
+   * @param {MatNxM | Mat2 | Mat3 | Mat4} b - Left operand, with as many rows as this matrix.
+   * @param {MatNxM | Mat2 | Mat3 | Mat4} c - Right operand, with as many columns as this matrix.
+   * @return {MatNxM} this
+   */
+  setProduct(b, c) {
+    const rowCount = this.rowCount;
+    const columnCount = this.columnCount;
+    const innerCount = b.storage.length / rowCount;
+    if(!Number.isInteger(innerCount) || c.storage.length !== innerCount * columnCount) {
+      throw new Error(`Cannot store the product of matrices with ${b.storage.length} and ${c.storage.length} elements in a matrix with ${rowCount} rows and ${columnCount} columns.`);
+    }
+    for(let i=0; i<rowCount; i++) {
+      for(let j=0; j<columnCount; j++) {
+        let sum = 0;
+        for(let k=0; k<innerCount; k++) {
+          sum += b.storage[k*rowCount + i] * c.storage[j*innerCount + k];
+        }
+        this.storage[j*rowCount + i] = sum;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method setTransposed
+   * @memberof MatNxM
+   * @description Fast. Transposes the argument matrix, storing the result in this matrix. The argument must have as many rows as this matrix has columns, and vice versa. The argument may not be this matrix.
+   * @param {MatNxM} m - The matrix to transpose.
+   * @return {MatNxM} this
+   */
+  setTransposed(m) {
+    const rowCount = this.rowCount;
+    const columnCount = this.columnCount;
+    if(m.rowCount !== columnCount || m.columnCount !== rowCount) {
+      throw new Error(`Cannot store the transpose of a matrix with ${m.rowCount} rows and ${m.columnCount} columns in a matrix with ${rowCount} rows and ${columnCount} columns.`);
+    }
+    for(let i=0; i<rowCount; i++) {
+      for(let j=0; j<columnCount; j++) {
+        this.storage[j*rowCount + i] = m.storage[i*columnCount + j];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @method print
+   * @memberof MatNxM
+   * @description Pretty prints the matrix contents on the console.
+   */
+  print(){
+    const rows = {};
+    for(let i=0; i<this.rowCount; i++) {
+      const row = {};
+      for(let j=0; j<this.columnCount; j++) {
+        row["column" + j] = this.storage[j*this.rowCount + i];
+      }
+      rows["row" + i] = row;
+    }
+    console.table(rows); 
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = MatNxM;
+}
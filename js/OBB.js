@@ -0,0 +1,486 @@
+/**
+ * @file WebGLMath {@link OBB} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported OBB */
+/**
+ * An oriented box, given by its center, three orthonormal axes and the half extents along them.
+ * <BR> The axes are stored contiguously in [axes]{@link OBB#axes}, and are also accessible as the Vec3 views [axisX]{@link OBB#axisX}, [axisY]{@link OBB#axisY} and [axisZ]{@link OBB#axisZ}.
+ */
+class OBB {
+  /**
+   * Creates a box. Without parameters, the box is the cube between (-1, -1, -1) and (1, 1, 1).
+   * @param {Vec3 | Object} [center] - The center (properties x, y, z are used).
+   * @param {Vec3 | Object} [halfExtents] - The half extents along the axes (properties x, y, z are used).
+   * @param {Quat | Mat4} [rotation] - The rotation of the box. Axis-aligned if not given.
+   */
+  constructor(center, halfExtents, rotation){
+    /**
+     * @name OBB#center
+     * @description The center of the box.
+     * @type Vec3
+     */
+    this.center = new Vec3();
+    /**
+     * @name OBB#halfExtents
+     * @description Distances of the faces from the center, along the three axes.
+     * @type Vec3
+     */
+    this.halfExtents = new Vec3();
+    /**
+     * @name OBB#axes
+     * @description Coordinates of the three unit length axes of the box, in world space.
+     * @type Float32Array
+     */
+    this.axes = new Float32Array(9);
+    /**
+     * @name OBB#axisX
+     * @description The local x axis of the box, a view on [axes]{@link OBB#axes}.
+     * @type Vec3
+     */
+    this.axisX = Object.create(Vec3.prototype);
+    this.axisX.storage = this.axes.subarray(0, 3);
+    /**
+     * @name OBB#axisY
+     * @description The local y axis of the box, a view on [axes]{@link OBB#axes}.
+     * @type Vec3
+     */
+    this.axisY = Object.create(Vec3.prototype);
+    this.axisY.storage = this.axes.subarray(3, 6);
+    /**
+     * @name OBB#axisZ
+     * @description The local z axis of the box, a view on [axes]{@link OBB#axes}.
+     * @type Vec3
+     */
+    this.axisZ = Object.create(Vec3.prototype);
+    this.axisZ.storage = this.axes.subarray(6, 9);
+    this.set(center, halfExtents || {x:1, y:1, z:1}, rotation);
+  }
+
+  /**
+   * @method clone
+   * @memberof OBB
+   * @description Creates a copy.
+   * @return {OBB} A new instance with identical contents.
+   */
+  clone() {
+    const result = new OBB(this.center, this.halfExtents);
+    result.axes.set(this.axes);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof OBB
+   * @description Sets the center, the half extents and the rotation of the box.
+   * @param {Vec3 | Object} center - The center (properties x, y, z are used).
+   * @param {Vec3 | Object} halfExtents - The half extents along the axes (properties x, y, z are used).
+   * @param {Quat | Mat4} [rotation] - The rotation of the box. If a Mat4 is given, the axes are its normalized rows, i.e. scaling is ignored. Axis-aligned if not given.
+   * @return {OBB} this
+   */
+  set(center, halfExtents, rotation) {
+    this.center.set(center);
+    this.halfExtents.set(halfExtents);
+    this.setIdentityAxes();
+    if(rotation instanceof Quat) {
+      this.axisX.rotateByQuat(rotation);
+      this.axisY.rotateByQuat(rotation);
+      this.axisZ.rotateByQuat(rotation);
+    } else if(rotation) {
+      this.axisX.xyz0mul(rotation).normalize();
+      this.axisY.xyz0mul(rotation).normalize();
+      this.axisZ.xyz0mul(rotation).normalize();
+    }
+    return this;
+  }
+
+  // aligns the axes with the coordinate axes
+  setIdentityAxes() {
+    this.axes.fill(0);
+    this.axes[0] = 1;
+    this.axes[4] = 1;
+    this.axes[8] = 1;
+  }
+
+  /**
+   * @method setFromAABB
+   * @memberof OBB
+   * @description Sets this box to an axis-aligned box transformed by a transformation without shearing, e.g. the bounding box of a mesh in model space transformed by the model matrix.
+   * @param {AABB} aabb - The axis-aligned box.
+   * @param {Mat4} [m] - The transformation matrix. The identity is used if not given.
+   * @return {OBB} this
+   */
+  setFromAABB(aabb, m) {
+    aabb.getCenter(this.center);
+    aabb.getHalfExtents(this.halfExtents);
+    this.setIdentityAxes();
+    if(m) {
+      this.transform(m);
+    }
+    return this;
+  }
+
+  /**
+   * @method transform
+   * @memberof OBB
+   * @description Transforms the box by an affine transformation without shearing, in place.
+   * @param {Mat4} m - The transformation matrix.
+   * @return {OBB} this
+   */
+  transform(m) {
+    const s = m.storage;
+    const a = this.axes;
+    this.center.xyz1mul(m);
+    for(let i=0; i<9; i+=3) {
+      const x = a[i] * s[0] + a[i+1] * s[1] + a[i+2] * s[ 2];
+      const y = a[i] * s[4] + a[i+1] * s[5] + a[i+2] * s[ 6];
+      const z = a[i] * s[8] + a[i+1] * s[9] + a[i+2] * s[10];
+      const scale = Math.sqrt(x * x + y * y + z * z);
+      a[i  ] = x / scale;
+      a[i+1] = y / scale;
+      a[i+2] = z / scale;
+      this.halfExtents.storage[i / 3] *= scale;
+    }
+    return this;
+  }
+
+  /**
+   * @method containsPoint
+   * @memberof OBB
+   * @description Tests whether a point is inside the box.
+   * @param {Vec3} p - The point.
+   * @return {Boolean} true if the point is inside or on the boundary
+   */
+  containsPoint(p) {
+    return this.distanceToPoint(p) === 0;
+  }
+
+  /**
+   * @method closestPoint
+   * @memberof OBB
+   * @description Finds the point of the box closest to a given point. Points inside are their own closest points.
+   * @param {Vec3} p - The point.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the closest point
+   */
+  closestPoint(p, result) {
+    result = result || new Vec3();
+    const c = this.center.storage;
+    const a = this.axes;
+    const dx = p.storage[0] - c[0];
+    const dy = p.storage[1] - c[1];
+    const dz = p.storage[2] - c[2];
+    let x = c[0], y = c[1], z = c[2];
+    for(let i=0; i<3; i++) {
+      const h = this.halfExtents.storage[i];
+      const local = Math.max(-h, Math.min(h, dx * a[3*i] + dy * a[3*i+1] + dz * a[3*i+2]));
+      x += local * a[3*i];
+      y += local * a[3*i+1];
+      z += local * a[3*i+2];
+    }
+    return result.set(x, y, z);
+  }
+
+  /**
+   * @method distanceToPoint
+   * @memberof OBB
+   * @description Computes the distance of a point from the box, zero inside.
+   * @param {Vec3} p - The point.
+   * @return {Number} the distance
+   */
+  distanceToPoint(p) {
+    const c = this.center.storage;
+    const a = this.axes;
+    const dx = p.storage[0] - c[0];
+    const dy = p.storage[1] - c[1];
+    const dz = p.storage[2] - c[2];
+    let squaredDistance = 0;
+    for(let i=0; i<3; i++) {
+      const outside = Math.max(0, Math.abs(dx * a[3*i] + dy * a[3*i+1] + dz * a[3*i+2]) - this.halfExtents.storage[i]);
+      squaredDistance += outside * outside;
+    }
+    return Math.sqrt(squaredDistance);
+  }
+
+  /**
+   * @method distanceToAABB
+   * @memberof OBB
+   * @description Computes the distance between the box and an axis-aligned box, zero if they intersect.
+   * @param {AABB} aabb - The axis-aligned box.
+   * @return {Number} the distance
+   */
+  distanceToAABB(aabb) {
+    return OBB.convexDistance(this, aabb);
+  }
+
+  /**
+   * @method distanceToOBB
+   * @memberof OBB
+   * @description Computes the distance between two oriented boxes, zero if they intersect.
+   * @param {OBB} obb - The other box.
+   * @return {Number} the distance
+   */
+  distanceToOBB(obb) {
+    return OBB.convexDistance(this, obb);
+  }
+
+  /**
+   * @method distanceToTriangle
+   * @memberof OBB
+   * @description Computes the distance between the box and a triangle, zero if they intersect.
+   * @param {Triangle} triangle - The triangle.
+   * @return {Number} the distance
+   */
+  distanceToTriangle(triangle) {
+    return OBB.convexDistance(this, triangle);
+  }
+
+  /**
+   * @method projectionCenter
+   * @memberof OBB
+   * @description Projects the center of the box onto an axis, for separating axis tests.
+   * @param {Number} x - The x coordinate of the axis direction.
+   * @param {Number} y - The y coordinate of the axis direction.
+   * @param {Number} z - The z coordinate of the axis direction.
+   * @return {Number} the dot product of the center and the axis
+   */
+  projectionCenter(x, y, z) {
+    return this.center.storage[0] * x + this.center.storage[1] * y + this.center.storage[2] * z;
+  }
+
+  /**
+   * @method projectionRadius
+   * @memberof OBB
+   * @description Computes half the length of the projection of the box onto an axis, for separating axis tests.
+   * @param {Number} x - The x coordinate of the axis direction.
+   * @param {Number} y - The y coordinate of the axis direction.
+   * @param {Number} z - The z coordinate of the axis direction.
+   * @return {Number} the projection radius, in units of the axis direction length
+   */
+  projectionRadius(x, y, z) {
+    const a = this.axes;
+    const h = this.halfExtents.storage;
+    return h[0] * Math.abs(a[0] * x + a[1] * y + a[2] * z) +
+           h[1] * Math.abs(a[3] * x + a[4] * y + a[5] * z) +
+           h[2] * Math.abs(a[6] * x + a[7] * y + a[8] * z);
+  }
+
+  /**
+   * @method getSeparatingAxes
+   * @memberof OBB
+   * @description Returns the candidate separating axes of the box, its three axes, which are both face normals and edge directions. See {@link OBB.separatingAxisTest}.
+   * @return {Float32Array} the coordinates of the axes
+   */
+  getSeparatingAxes() {
+    return this.axes;
+  }
+
+  /**
+   * @method getVertices
+   * @memberof OBB
+   * @description Computes the coordinates of the eight corners of the box, for distance queries. See {@link OBB.convexDistance}. The returned array is allocated at the first call, and overwritten by later calls.
+   * @return {Float32Array} the coordinates of the corners
+   */
+  getVertices() {
+    this.vertices = this.vertices || new Float32Array(24);
+    const c = this.center.storage;
+    const a = this.axes;
+    const h = this.halfExtents.storage;
+    let i = 0;
+    // corner x + 2y + 4z is on the positive side of the axes where x, y or z is 1
+    for(let z=-1; z<2; z+=2) {
+      for(let y=-1; y<2; y+=2) {
+        for(let x=-1; x<2; x+=2) {
+          for(let j=0; j<3; j++) {
+            this.vertices[i++] = c[j] + x * h[0] * a[j] + y * h[1] * a[3+j] + z * h[2] * a[6+j];
+          }
+        }
+      }
+    }
+    return this.vertices;
+  }
+
+  /**
+   * @method intersectsPlane
+   * @memberof OBB
+   * @description Tests whether the box is cut by a plane.
+   * @param {Plane} plane - The plane.
+   * @return {Boolean} true if the box intersects the plane
+   */
+  intersectsPlane(plane) {
+    return plane.intersectsConvex(this);
+  }
+
+  /**
+   * @method intersectsSphere
+   * @memberof OBB
+   * @description Tests whether the box overlaps a sphere.
+   * @param {Sphere} sphere - The sphere.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsSphere(sphere) {
+    return sphere.intersectsOBB(this);
+  }
+
+  /**
+   * @method intersectsAABB
+   * @memberof OBB
+   * @description Tests whether the box overlaps an axis-aligned box.
+   * @param {AABB} aabb - The axis-aligned box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsAABB(aabb) {
+    return OBB.separatingAxisTest(this, aabb);
+  }
+
+  /**
+   * @method intersectsOBB
+   * @memberof OBB
+   * @description Tests whether two oriented boxes overlap.
+   * @param {OBB} obb - The other box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsOBB(obb) {
+    return OBB.separatingAxisTest(this, obb);
+  }
+
+  /**
+   * @method intersectsTriangle
+   * @memberof OBB
+   * @description Tests whether the box overlaps a triangle.
+   * @param {Triangle} triangle - The triangle.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsTriangle(triangle) {
+    return OBB.separatingAxisTest(this, triangle);
+  }
+
+  /**
+   * @method separatingAxisTest
+   * @memberof OBB
+   * @static
+   * @description Tests whether two convex primitives overlap, by searching for an axis their projections onto are disjoint. Candidate axes are the face normals of both primitives, and the cross products of their edge directions.
+   * @param {AABB | OBB | Triangle} a - The first primitive.
+   * @param {AABB | OBB | Triangle} b - The second primitive.
+   * @return {Boolean} true if they intersect
+   */
+  static separatingAxisTest(a, b) {
+    // triangles list their normal and three in-plane edge normals as face normals, followed by their three edge directions
+    const axesA = a.getSeparatingAxes();
+    const axesB = b.getSeparatingAxes();
+    const faceEndA = (a instanceof Triangle) ? 12 : 9;
+    const faceEndB = (b instanceof Triangle) ? 12 : 9;
+    const edgeOffsetA = (a instanceof Triangle) ? 12 : 0;
+    const edgeOffsetB = (b instanceof Triangle) ? 12 : 0;
+    for(let i=0; i<faceEndA; i+=3) {
+      if(OBB.separatedAlong(a, b, axesA[i], axesA[i+1], axesA[i+2])) {
+        return false;
+      }
+    }
+    for(let i=0; i<faceEndB; i+=3) {
+      if(OBB.separatedAlong(a, b, axesB[i], axesB[i+1], axesB[i+2])) {
+        return false;
+      }
+    }
+    for(let i=edgeOffsetA; i<edgeOffsetA+9; i+=3) {
+      for(let j=edgeOffsetB; j<edgeOffsetB+9; j+=3) {
+        const x = axesA[i+1] * axesB[j+2] - axesA[i+2] * axesB[j+1];
+        const y = axesA[i+2] * axesB[j  ] - axesA[i  ] * axesB[j+2];
+        const z = axesA[i  ] * axesB[j+1] - axesA[i+1] * axesB[j  ];
+        // parallel edges give no axis, but are covered by the face normals
+        if(x * x + y * y + z * z < 1e-12) {
+          continue;
+        }
+        if(OBB.separatedAlong(a, b, x, y, z)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // tests whether the projections of two convex primitives onto an axis are disjoint
+  static separatedAlong(a, b, x, y, z) {
+    return Math.abs(a.projectionCenter(x, y, z) - b.projectionCenter(x, y, z)) >
+      a.projectionRadius(x, y, z) + b.projectionRadius(x, y, z);
+  }
+
+  /**
+   * @method convexDistance
+   * @memberof OBB
+   * @static
+   * @description Computes the distance between two convex primitives, which is zero if they intersect. Otherwise, the closest points are found among the vertices of one primitive and the other primitive, and the pairs of edges.
+   * @param {AABB | OBB | Triangle} a - The first primitive.
+   * @param {AABB | OBB | Triangle} b - The second primitive.
+   * @return {Number} the distance
+   */
+  static convexDistance(a, b) {
+    if(OBB.separatingAxisTest(a, b)) {
+      return 0;
+    }
+    // box corners are connected along the axes, see getVertices
+    OBB.boxEdges = OBB.boxEdges || new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 0, 2, 1, 3, 4, 6, 5, 7, 0, 4, 1, 5, 2, 6, 3, 7]);
+    OBB.triangleEdges = OBB.triangleEdges || new Uint8Array([0, 1, 1, 2, 2, 0]);
+    OBB.vertex = OBB.vertex || new Vec3();
+    const verticesA = a.getVertices();
+    const verticesB = b.getVertices();
+    const edgesA = (a instanceof Triangle) ? OBB.triangleEdges : OBB.boxEdges;
+    const edgesB = (b instanceof Triangle) ? OBB.triangleEdges : OBB.boxEdges;
+    let distance = Infinity;
+    for(let i=0; i<verticesA.length; i+=3) {
+      distance = Math.min(distance, b.distanceToPoint(OBB.vertex.set(verticesA[i], verticesA[i+1], verticesA[i+2])));
+    }
+    for(let i=0; i<verticesB.length; i+=3) {
+      distance = Math.min(distance, a.distanceToPoint(OBB.vertex.set(verticesB[i], verticesB[i+1], verticesB[i+2])));
+    }
+    for(let i=0; i<edgesA.length; i+=2) {
+      for(let j=0; j<edgesB.length; j+=2) {
+        distance = Math.min(distance, OBB.segmentDistance(
+          verticesA, 3 * edgesA[i], 3 * edgesA[i+1],
+          verticesB, 3 * edgesB[j], 3 * edgesB[j+1]));
+      }
+    }
+    return distance;
+  }
+
+  // computes the distance between segments pq and rs, given by the offsets of their endpoints in coordinate arrays
+  static segmentDistance(vp, p, q, vr, r, s) {
+    const d1x = vp[q] - vp[p], d1y = vp[q+1] - vp[p+1], d1z = vp[q+2] - vp[p+2];
+    const d2x = vr[s] - vr[r], d2y = vr[s+1] - vr[r+1], d2z = vr[s+2] - vr[r+2];
+    const ox = vp[p] - vr[r], oy = vp[p+1] - vr[r+1], oz = vp[p+2] - vr[r+2];
+    const a = d1x * d1x + d1y * d1y + d1z * d1z;
+    const e = d2x * d2x + d2y * d2y + d2z * d2z;
+    const b = d1x * d2x + d1y * d2y + d1z * d2z;
+    const c = d1x * ox + d1y * oy + d1z * oz;
+    const f = d2x * ox + d2y * oy + d2z * oz;
+    const clamp = x => Math.max(0, Math.min(1, x));
+    // parameters of the closest points along the segments, for degenerate segments too
+    let u = 0, v = 0;
+    if(a < 1e-12) {
+      v = (e < 1e-12) ? 0 : clamp(f / e);
+    } else if(e < 1e-12) {
+      u = clamp(-c / a);
+    } else {
+      const denominator = a * e - b * b;
+      u = (denominator > 1e-12) ? clamp((b * f - c * e) / denominator) : 0;
+      v = (b * u + f) / e;
+      if(v < 0) {
+        v = 0;
+        u = clamp(-c / a);
+      } else if(v > 1) {
+        v = 1;
+        u = clamp((b - c) / a);
+      }
+    }
+    const x = ox + d1x * u - d2x * v;
+    const y = oy + d1y * u - d2y * v;
+    const z = oz + d1z * u - d2z * v;
+    return Math.sqrt(x * x + y * y + z * z);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = OBB;
+}
@@ -0,0 +1,154 @@
+/**
+ * @file WebGLMath {@link OrbitController} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported OrbitController */
+/**
+ * Moves a {@link Camera} on a sphere around a target point, always looking at the target. The world y axis is considered to point upwards.
+ * <BR> The controller is driven by abstract input deltas, e.g. mouse movement scaled by some sensitivity, passed to [rotate]{@link OrbitController#rotate}, [zoom]{@link OrbitController#zoom} and [pan]{@link OrbitController#pan}. Calling [update]{@link OrbitController#update} once per frame then sets the camera pose and updates the camera matrices, without allocating memory.
+ */
+class OrbitController {
+  /**
+   * Creates a controller that keeps the camera's current position. The camera is turned to look at the target at the first [update]{@link OrbitController#update}.
+   * @param {Camera} camera - The camera to be moved.
+   * @param {Vec3 | Object} [target] - The point to orbit around (properties x, y, z are used). The origin if not given.
+   */
+  constructor(camera, target){
+    /**
+     * @name OrbitController#camera
+     * @description The camera moved by the controller.
+     * @type Camera
+     */
+    this.camera = camera;
+    /**
+     * @name OrbitController#target
+     * @description The point the camera orbits around and looks at.
+     * @type Vec3
+     */
+    this.target = new Vec3(target);
+    /**
+     * @name OrbitController#minDistance
+     * @description Lower limit of the distance, enforced by [zoom]{@link OrbitController#zoom}.
+     * @type Number
+     */
+    this.minDistance = 0.01;
+    /**
+     * @name OrbitController#maxDistance
+     * @description Upper limit of the distance, enforced by [zoom]{@link OrbitController#zoom}.
+     * @type Number
+     */
+    this.maxDistance = Infinity;
+    /**
+     * @name OrbitController#maxPitch
+     * @description Upper limit of the absolute value of the pitch angle, keeping the camera from passing over the poles.
+     * @type Number
+     */
+    this.maxPitch = Math.PI / 2 - 0.01;
+
+    let x = camera.position.x - this.target.x;
+    let y = camera.position.y - this.target.y;
+    let z = camera.position.z - this.target.z;
+    let distance = Math.sqrt(x * x + y * y + z * z);
+    if(distance === 0) { // camera at the target, keep its viewing direction
+      x = -camera.ahead.x;
+      y = -camera.ahead.y;
+      z = -camera.ahead.z;
+      distance = 1;
+    }
+    /**
+     * @name OrbitController#distance
+     * @description Distance of the camera from the target.
+     * @type Number
+     */
+    this.distance = distance;
+    /**
+     * @name OrbitController#yaw
+     * @description Rotation angle of the camera around the vertical axis through the target, in radians. At zero, the camera is on the positive z side of the target. Positive angles rotate counterclockwise, viewed from above.
+     * @type Number
+     */
+    this.yaw = Math.atan2(x, z);
+    /**
+     * @name OrbitController#pitch
+     * @description Elevation angle of the camera above the horizontal plane through the target, in radians.
+     * @type Number
+     */
+    this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, Math.atan2(y, Math.sqrt(x * x + z * z))));
+  }
+
+  /**
+   * @method rotate
+   * @memberof OrbitController
+   * @description Rotates the camera around the target. The pitch angle is clamped to [-maxPitch, maxPitch].
+   * @param {Number} deltaYaw - Angle to add to the yaw angle, in radians.
+   * @param {Number} deltaPitch - Angle to add to the pitch angle, in radians. Positive values move the camera upwards.
+   * @return {OrbitController} this
+   */
+  rotate(deltaYaw, deltaPitch) {
+    this.yaw += deltaYaw;
+    this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.pitch + deltaPitch));
+    return this;
+  }
+
+  /**
+   * @method zoom
+   * @memberof OrbitController
+   * @description Multiplies the distance from the target by a factor, clamping it to [minDistance, maxDistance]. As distance does not affect the image of an {@link OrthographicCamera}, its view volume height is scaled by the same factor.
+   * @param {Number} factor - Factor to scale the distance with. Values below one move the camera closer.
+   * @return {OrbitController} this
+   */
+  zoom(factor) {
+    const distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.distance * factor));
+    if(this.camera instanceof OrthographicCamera) {
+      this.camera.height *= distance / this.distance;
+    }
+    this.distance = distance;
+    return this;
+  }
+
+  /**
+   * @method pan
+   * @memberof OrbitController
+   * @description Moves the target, and the camera with it, parallel to the image plane.
+   * @param {Number} deltaRight - Displacement to the right, in units of the distance from the target.
+   * @param {Number} deltaUp - Displacement upwards on the screen, in units of the distance from the target.
+   * @return {OrbitController} this
+   */
+  pan(deltaRight, deltaUp) {
+    const sinYaw = Math.sin(this.yaw);
+    const cosYaw = Math.cos(this.yaw);
+    const sinPitch = Math.sin(this.pitch);
+    const cosPitch = Math.cos(this.pitch);
+    const r = deltaRight * this.distance;
+    const u = deltaUp * this.distance;
+    this.target.storage[0] += r * cosYaw - u * sinYaw * sinPitch;
+    this.target.storage[1] += u * cosPitch;
+    this.target.storage[2] -= r * sinYaw + u * cosYaw * sinPitch;
+    return this;
+  }
+
+  /**
+   * @method update
+   * @memberof OrbitController
+   * @description Sets the position and viewing direction of the camera, then calls its [update]{@link Camera#update} method. Allocates no memory.
+   * @return {OrbitController} this
+   */
+  update() {
+    const cosPitch = Math.cos(this.pitch);
+    const x = Math.sin(this.yaw) * cosPitch;
+    const y = Math.sin(this.pitch);
+    const z = Math.cos(this.yaw) * cosPitch;
+    this.camera.ahead.set(-x, -y, -z);
+    this.camera.position.set(
+      this.target.x + x * this.distance,
+      this.target.y + y * this.distance,
+      this.target.z + z * this.distance);
+    this.camera.update();
+    return this;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = OrbitController;
+}
@@ -0,0 +1,56 @@
+/**
+ * @file WebGLMath {@link OrthographicCamera} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported OrthographicCamera */
+/**
+ * A camera with an orthographic projection, viewing a box centered on the viewing direction. The height of the box is set directly, its width follows from the aspect ratio.
+ * <BR> All rays of an orthographic camera are parallel to [ahead]{@link Camera#ahead}, so the [rayDirMatrix]{@link Camera#rayDirMatrix} transforms normalized device coordinates to points relative to the camera position, rather than to directions.
+ * @extends Camera
+ */
+class OrthographicCamera extends Camera {
+  /**
+   * Creates an orthographic camera at the origin, looking along the negative z axis.
+   * @param {...String} glslStructNames - The names of the uniform structs in the shaders, which have the camera matrices and position as their members.
+   */
+  constructor(...glslStructNames){
+    super(...glslStructNames);
+    /**
+     * @name OrthographicCamera#height
+     * @description Height of the view volume in world space units.
+     * @type Number
+     */
+    this.height = 2;
+    /**
+     * @name OrthographicCamera#near
+     * @description Distance of the near clipping plane.
+     * @type Number
+     */
+    this.near = 0.1;
+    /**
+     * @name OrthographicCamera#far
+     * @description Distance of the far clipping plane, greater than near.
+     * @type Number
+     */
+    this.far = 1000;
+  }
+
+  /**
+   * @method updateProjMatrix
+   * @memberof OrthographicCamera
+   * @description Computes the orthographic projection matrix from the height of the view volume, the aspect ratio and the clipping distances.
+   * @return {OrthographicCamera} this
+   */
+  updateProjMatrix() {
+    const halfHeight = this.height * 0.5;
+    const halfWidth = halfHeight * this.aspect;
+    this.projMatrix.setOrthographic(-halfWidth, halfWidth, -halfHeight, halfHeight, this.near, this.far);
+    return this;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = OrthographicCamera;
+}
@@ -0,0 +1,53 @@
+/**
+ * @file WebGLMath {@link PerspectiveCamera} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported PerspectiveCamera */
+/**
+ * A camera with a perspective projection, defined by a vertical field of view and near and far clipping distances.
+ * @extends Camera
+ */
+class PerspectiveCamera extends Camera {
+  /**
+   * Creates a perspective camera at the origin, looking along the negative z axis.
+   * @param {...String} glslStructNames - The names of the uniform structs in the shaders, which have the camera matrices and position as their members.
+   */
+  constructor(...glslStructNames){
+    super(...glslStructNames);
+    /**
+     * @name PerspectiveCamera#fovy
+     * @description Vertical field of view angle in radians.
+     * @type Number
+     */
+    this.fovy = Math.PI / 3;
+    /**
+     * @name PerspectiveCamera#near
+     * @description Distance of the near clipping plane, positive.
+     * @type Number
+     */
+    this.near = 0.1;
+    /**
+     * @name PerspectiveCamera#far
+     * @description Distance of the far clipping plane, greater than near.
+     * @type Number
+     */
+    this.far = 1000;
+  }
+
+  /**
+   * @method updateProjMatrix
+   * @memberof PerspectiveCamera
+   * @description Computes the perspective projection matrix from the field of view, the aspect ratio and the clipping distances.
+   * @return {PerspectiveCamera} this
+   */
+  updateProjMatrix() {
+    this.projMatrix.setPerspective(this.fovy, this.aspect, this.near, this.far);
+    return this;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = PerspectiveCamera;
+}
@@ -0,0 +1,266 @@
+/**
+ * @file WebGLMath {@link Plane} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Plane */
+/**
+ * A plane, the set of points p for which <code>normal·p + d = 0</code>. The signed distance of points is positive on the side the normal points to.
+ */
+class Plane {
+  /**
+   * Creates a plane. Without parameters, the plane is the xz plane, facing upwards.
+   * @param {Vec3 | Object} [normal] - The unit length normal (properties x, y, z are used).
+   * @param {Number} [d=0] - The negated signed distance of the origin from the plane.
+   */
+  constructor(normal, d){
+    /**
+     * @name Plane#normal
+     * @description The normal of the plane. Unit length, unless set otherwise, in which case [normalize]{@link Plane#normalize} should be called before computing distances.
+     * @type Vec3
+     */
+    this.normal = new Vec3();
+    /**
+     * @name Plane#d
+     * @description The constant term of the plane equation, the negated signed distance of the origin from the plane.
+     * @type Number
+     */
+    this.d = 0;
+    this.set(normal || {y:1}, d);
+  }
+
+  /**
+   * @method clone
+   * @memberof Plane
+   * @description Creates a copy.
+   * @return {Plane} A new instance with identical contents.
+   */
+  clone() {
+    return new Plane(this.normal, this.d);
+  }
+
+  /**
+   * @method set
+   * @memberof Plane
+   * @description Sets the coefficients of the plane equation.
+   * @param {Vec3 | Object} normal - The unit length normal (properties x, y, z are used).
+   * @param {Number} [d=0] - The constant term.
+   * @return {Plane} this
+   */
+  set(normal, d) {
+    this.normal.set(normal);
+    this.d = Number(d).valueOf() || 0;
+    return this;
+  }
+
+  /**
+   * @method setFromPointAndNormal
+   * @memberof Plane
+   * @description Sets the plane to pass through a point, with a given normal, which is normalized.
+   * @param {Vec3} point - A point on the plane.
+   * @param {Vec3 | Object} normal - The normal (properties x, y, z are used).
+   * @return {Plane} this
+   */
+  setFromPointAndNormal(point, normal) {
+    this.normal.set(normal).normalize();
+    this.d = -this.normal.dot(point);
+    return this;
+  }
+
+  /**
+   * @method setFromPoints
+   * @memberof Plane
+   * @description Sets the plane to pass through three points. The normal faces the side from which the points appear in counterclockwise order.
+   * @param {Vec3} a - First point.
+   * @param {Vec3} b - Second point.
+   * @param {Vec3} c - Third point.
+   * @return {Plane} this
+   */
+  setFromPoints(a, b, c) {
+    const e1x = b.storage[0] - a.storage[0];
+    const e1y = b.storage[1] - a.storage[1];
+    const e1z = b.storage[2] - a.storage[2];
+    const e2x = c.storage[0] - a.storage[0];
+    const e2y = c.storage[1] - a.storage[1];
+    const e2z = c.storage[2] - a.storage[2];
+    this.normal.set(
+      e1y * e2z - e1z * e2y,
+      e1z * e2x - e1x * e2z,
+      e1x * e2y - e1y * e2x).normalize();
+    this.d = -this.normal.dot(a);
+    return this;
+  }
+
+  /**
+   * @method normalize
+   * @memberof Plane
+   * @description Scales the coefficients of the plane equation so that the normal becomes unit length. The plane itself is not changed.
+   * @return {Plane} this
+   */
+  normalize() {
+    const length = this.normal.length();
+    this.normal.storage[0] /= length;
+    this.normal.storage[1] /= length;
+    this.normal.storage[2] /= length;
+    this.d /= length;
+    return this;
+  }
+
+  /**
+   * @method transform
+   * @memberof Plane
+   * @description Transforms the plane by an invertible affine transformation, in place. The normal is transformed by the inverse transpose of the linear part, and normalized.
+   * @param {Mat4} m - The transformation matrix.
+   * @return {Plane} this
+   */
+  transform(m) {
+    const n = this.normal.storage;
+    const s = m.storage;
+    // a point on the plane, transformed
+    const px = -this.d * n[0];
+    const py = -this.d * n[1];
+    const pz = -this.d * n[2];
+    const tx = px * s[0] + py * s[1] + pz * s[ 2] + s[ 3];
+    const ty = px * s[4] + py * s[5] + pz * s[ 6] + s[ 7];
+    const tz = px * s[8] + py * s[9] + pz * s[10] + s[11];
+    // normal times the cofactor matrix of the linear part, which is its inverse transpose times its determinant
+    const c00 = s[5] * s[10] - s[9] * s[6];
+    const c01 = s[9] * s[ 2] - s[1] * s[10];
+    const c02 = s[1] * s[ 6] - s[5] * s[ 2];
+    const c10 = s[8] * s[ 6] - s[4] * s[10];
+    const c11 = s[0] * s[10] - s[8] * s[ 2];
+    const c12 = s[4] * s[ 2] - s[0] * s[ 6];
+    const c20 = s[4] * s[ 9] - s[8] * s[ 5];
+    const c21 = s[8] * s[ 1] - s[0] * s[ 9];
+    const c22 = s[0] * s[ 5] - s[4] * s[ 1];
+    const determinant = s[0] * c00 + s[4] * c01 + s[8] * c02;
+    const nx = (n[0] * c00 + n[1] * c10 + n[2] * c20) * determinant;
+    const ny = (n[0] * c01 + n[1] * c11 + n[2] * c21) * determinant;
+    const nz = (n[0] * c02 + n[1] * c12 + n[2] * c22) * determinant;
+    this.normal.set(nx, ny, nz).normalize();
+    this.d = -this.normal.dot(tx, ty, tz);
+    return this;
+  }
+
+  /**
+   * @method distanceToPoint
+   * @memberof Plane
+   * @description Computes the signed distance of a point from the plane, positive on the side the normal points to.
+   * @param {Vec3} p - The point.
+   * @return {Number} the signed distance
+   */
+  distanceToPoint(p) {
+    return this.normal.dot(p) + this.d;
+  }
+
+  /**
+   * @method closestPoint
+   * @memberof Plane
+   * @description Projects a point onto the plane.
+   * @param {Vec3} p - The point.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the closest point of the plane
+   */
+  closestPoint(p, result) {
+    result = result || new Vec3();
+    const distance = this.distanceToPoint(p);
+    result.storage[0] = p.storage[0] - this.normal.storage[0] * distance;
+    result.storage[1] = p.storage[1] - this.normal.storage[1] * distance;
+    result.storage[2] = p.storage[2] - this.normal.storage[2] * distance;
+    return result;
+  }
+
+  /**
+   * @method intersectsPlane
+   * @memberof Plane
+   * @description Tests whether two planes intersect, i.e. they are not parallel, or they coincide.
+   * @param {Plane} plane - The other plane.
+   * @return {Boolean} true if the planes intersect
+   */
+  intersectsPlane(plane) {
+    const cosAngle = this.normal.dot(plane.normal);
+    if(Math.abs(cosAngle) < 1 - 1e-6) {
+      return true;
+    }
+    return Math.abs(this.d - Math.sign(cosAngle) * plane.d) < 1e-6;
+  }
+
+  /**
+   * @method intersectsSphere
+   * @memberof Plane
+   * @description Tests whether the plane cuts a sphere.
+   * @param {Sphere} sphere - The sphere.
+   * @return {Boolean} true if the plane intersects the sphere
+   */
+  intersectsSphere(sphere) {
+    return Math.abs(this.distanceToPoint(sphere.center)) <= sphere.radius;
+  }
+
+  /**
+   * @method intersectsConvex
+   * @memberof Plane
+   * @description Tests whether the plane cuts a box or a triangle.
+   * @param {AABB | OBB | Triangle} primitive - The box or triangle.
+   * @return {Boolean} true if the plane intersects the primitive
+   */
+  intersectsConvex(primitive) {
+    return this.distanceToConvex(primitive) === 0;
+  }
+
+  /**
+   * @method distanceToConvex
+   * @memberof Plane
+   * @description Computes the signed distance of a box or a triangle from the plane, which is zero if the plane cuts it, and negative if it is on the side opposite to the normal.
+   * @param {AABB | OBB | Triangle} primitive - The box or triangle.
+   * @return {Number} the signed distance
+   */
+  distanceToConvex(primitive) {
+    const n = this.normal.storage;
+    const distance = primitive.projectionCenter(n[0], n[1], n[2]) + this.d;
+    const radius = primitive.projectionRadius(n[0], n[1], n[2]);
+    if(distance > radius) {
+      return distance - radius;
+    } else if(distance < -radius) {
+      return distance + radius;
+    }
+    return 0;
+  }
+
+  /**
+   * @method intersectsAABB
+   * @memberof Plane
+   * @description Tests whether the plane cuts an axis-aligned box.
+   * @param {AABB} aabb - The box.
+   * @return {Boolean} true if the plane intersects the box
+   */
+  intersectsAABB(aabb) {
+    return this.intersectsConvex(aabb);
+  }
+
+  /**
+   * @method intersectsOBB
+   * @memberof Plane
+   * @description Tests whether the plane cuts an oriented box.
+   * @param {OBB} obb - The box.
+   * @return {Boolean} true if the plane intersects the box
+   */
+  intersectsOBB(obb) {
+    return this.intersectsConvex(obb);
+  }
+
+  /**
+   * @method intersectsTriangle
+   * @memberof Plane
+   * @description Tests whether the plane cuts a triangle.
+   * @param {Triangle} triangle - The triangle.
+   * @return {Boolean} true if the plane intersects the triangle
+   */
+  intersectsTriangle(triangle) {
+    return this.intersectsConvex(triangle);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Plane;
+}
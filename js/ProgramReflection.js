@@ -8,7 +8,12 @@
 class ProgramReflection {
   /**
    * Extracts descriptions of uniform inputs from a WebGL program. The inputs should be organized in uniform structs,
-   * the names of which indicate where the member fields should be set from. 
+   * the names of which indicate where the member fields should be set from.
+   * <BR> Members of nested structs, e.g. <code>scene.material.albedo</code>, are reflected as properties of nested objects (<code>material.albedo</code> in the provider of <code>scene</code>).
+   * Arrays of structs, e.g. <code>lights[2].position</code>, are reflected as an array property (<code>lights</code>) of objects with the struct members as properties. Arrays of arrays, e.g. <code>float weights[2][3]</code>, are not reflected.
+   * <BR> Uniforms not declared in a struct are only reflected in objects that list their names in their glslUniformNames property.
+   * <BR> Active vertex attributes are reflected in attributeDescriptors, by name, with their type, location, and the number of components and columns, e.g. for binding vertex arrays with a {@link VertexInput}.
+   * <BR> Members of uniform blocks, which should be declared with the std140 layout, are reflected in objects listing the block name (not the instance name) in their glslStructNames property. Such objects own a {@link UniformBuffer} for every block, in their uniformBuffers property. Every block name is assigned a uniform buffer binding point, shared by all programs, so a block needs to be uploaded only once for all programs using it.
    * @param {WebGL2RenderingContext} gl - The WebGL context.
    * @param {WebGLProgram} glProgram - The WebGL program.
    */
@@ -17,31 +22,126 @@ class ProgramReflection {
     this.glProgram = glProgram;
 
     this.uniformDescriptors = {};
+    this.looseUniformDescriptors = {};
+    this.uniformBlockDescriptors = {};
+    this.attributeDescriptors = {};
+
+    const nAttributes = gl.getProgramParameter(this.glProgram, gl.ACTIVE_ATTRIBUTES);
+    for(let i=0; i<nAttributes; i++){
+      const glAttribute = gl.getActiveAttrib(this.glProgram, i);
+      const location = gl.getAttribLocation(this.glProgram, glAttribute.name);
+      // built-in inputs like gl_VertexID have no location
+      if(location < 0) {
+        continue;
+      }
+      this.attributeDescriptors[glAttribute.name] = {
+        name: glAttribute.name,
+        type: glAttribute.type,
+        size: glAttribute.size,
+        location: location,
+        componentCount: ProgramReflection.getComponentCount(gl, glAttribute.type),
+        columnCount: ProgramReflection.getColumnCount(gl, glAttribute.type),
+        isInteger: ProgramReflection.isInteger(gl, glAttribute.type)
+      };
+    }
 
-  	// for all uniforms used in glProgram
   	const nUniforms = gl.getProgramParameter(this.glProgram, gl.ACTIVE_UNIFORMS);
-  	for(let i=0; i<nUniforms; i++){ 
-  	  const glUniform = gl.getActiveUniform(this.glProgram, i); 
-  	  // separate struct name (if exists) and unqualified uniform name
-  	  const nameParts = glUniform.name.split('.');
-  	  const uniformName = nameParts[nameParts.length - 1];
-  	  const structName = nameParts[nameParts.length - 2];
 
-      if(!structName) { continue; }
+    // uniform blocks, with the layout of their members (WebGL2 only)
+    const nUniformBlocks = gl.ACTIVE_UNIFORM_BLOCKS ? gl.getProgramParameter(this.glProgram, gl.ACTIVE_UNIFORM_BLOCKS) : 0;
+    const blocks = [];
+    let blockIndices, offsets, arrayStrides, matrixStrides;
+    if(nUniformBlocks > 0) {
+      const uniformIndices = [];
+      for(let i=0; i<nUniforms; i++){
+        uniformIndices.push(i);
+      }
+      blockIndices = gl.getActiveUniforms(this.glProgram, uniformIndices, gl.UNIFORM_BLOCK_INDEX);
+      offsets = gl.getActiveUniforms(this.glProgram, uniformIndices, gl.UNIFORM_OFFSET);
+      arrayStrides = gl.getActiveUniforms(this.glProgram, uniformIndices, gl.UNIFORM_ARRAY_STRIDE);
+      matrixStrides = gl.getActiveUniforms(this.glProgram, uniformIndices, gl.UNIFORM_MATRIX_STRIDE);
+    }
+    for(let b=0; b<nUniformBlocks; b++){
+      const blockName = gl.getActiveUniformBlockName(this.glProgram, b);
+      const blockDesc = {
+        name: blockName,
+        size: gl.getActiveUniformBlockParameter(this.glProgram, b, gl.UNIFORM_BLOCK_DATA_SIZE),
+        binding: ProgramReflection.getUniformBlockBinding(gl, blockName),
+        uniforms: []
+      };
+      gl.uniformBlockBinding(this.glProgram, b, blockDesc.binding);
+      blocks.push(blockDesc);
+      this.uniformBlockDescriptors[blockName] = blockDesc;
+    }
 
-      this.uniformDescriptors[structName] = this.uniformDescriptors[structName] || [];
-      this.uniformDescriptors[structName].push({
+  	// for all uniforms used in glProgram
+  	for(let i=0; i<nUniforms; i++){ 
+  	  const glUniform = gl.getActiveUniform(this.glProgram, i); 
+      const block = blockIndices && blocks[blockIndices[i]];
+      // members of blocks with an instance name are qualified by the block name, e.g. Camera.position
+      let qualifiedName = glUniform.name;
+      if(block) {
+        const blockPrefix = block.name.replace(/\[\d+\]$/, "") + ".";
+        if(qualifiedName.startsWith(blockPrefix)) {
+          qualifiedName = qualifiedName.substring(blockPrefix.length);
+        }
+      }
+  	  // separate struct name (if exists), the path of nested struct members and array elements, and unqualified uniform name
+  	  const nameMatches = qualifiedName.split('.').map(namePart => namePart.match(/^(\w+)(?:\[(\d+)\])?$/));
+      // arrays of arrays, e.g. weights[0][0], are not reflected
+      if(nameMatches.includes(null)) {
+        continue;
+      }
+      const path = [];
+      for(const [, memberName, index] of nameMatches) {
+        path.push(memberName);
+        if(index !== undefined) {
+          path.push(Number(index));
+        }
+      }
+      // array uniforms are reported as their first element, e.g. weights[0]
+      if(typeof path[path.length - 1] === "number") {
+        path.pop();
+      }
+      const uniformName = path.pop();
+      if(block) {
+        block.uniforms.push({
+          name: uniformName,
+          path: path,
+          type: glUniform.type,
+          size: glUniform.size,
+          offset: offsets[i],
+          arrayStride: arrayStrides[i],
+          matrixStride: matrixStrides[i],
+          columnCount: ProgramReflection.getColumnCount(gl, glUniform.type)
+        });
+        continue;
+      }
+      const uniformDesc = {
         name: uniformName,
+        path: path,
         type: glUniform.type,
         size: glUniform.size,
         location: gl.getUniformLocation(this.glProgram, glUniform.name)
-      });
+      };
+
+      if(path.length === 0) {
+        this.looseUniformDescriptors[uniformName] = uniformDesc;
+        continue;
+      }
+      // an array of structs is provided by the object responsible for the array name
+      const structName = typeof path[1] === "number" ? path[0] : path.shift();
+
+      this.uniformDescriptors[structName] = this.uniformDescriptors[structName] || [];
+      this.uniformDescriptors[structName].push(uniformDesc);
     }
   }
   
   /**
-   * Creates properties into a target object, or verifies their types if they already exist. The properties have types matching the uniform inputs used in the program. Only those uniforms are reflected what are declared in a struct, whose name is in target.glslStructNames.
-   * @param {UniformProvider} target - An object that should gain new properties. It must have the glslStructNames property, which must be an array of string names for the uniform structs to be reflected.
+   * Creates properties into a target object, or verifies their types if they already exist. Existing properties of matching types are kept, with their values, so that objects assigned before reflection, and references to them, remain valid. A {@link Quat} also matches a <code>vec4</code> uniform. A {@link DualQuat} also matches a <code>vec4[2]</code> uniform. The properties have types matching the uniform inputs used in the program. Only those uniforms are reflected what are declared in a struct or a uniform block, whose name is in target.glslStructNames, or are declared outside of structs with a name in target.glslUniformNames.
+   * Members of nested structs and arrays of structs are created as properties of nested objects and arrays, which are also created if they do not exist.
+   * For uniform blocks, a {@link UniformBuffer} is created in target.uniformBuffers, if it does not exist, and the properties are attached to it.
+   * @param {UniformProvider} target - An object that should gain new properties. It must have the glslStructNames property, which must be an array of string names for the uniform structs to be reflected. It may have the glslUniformNames property, an array of names of uniforms outside of structs to be reflected.
    */  
   definePropertiesMatchingUniforms(target){
     for(const structName of target.glslStructNames) {
@@ -50,34 +150,88 @@ class ProgramReflection {
         continue;
       }
       for(const uniformDesc of this.uniformDescriptors[structName]) {
-        let reflectionVariable = ProgramReflection.makeVar(this.gl, uniformDesc.type, uniformDesc.size);
-
-        if(uniformDesc.name in target){ // if reflection property already exists, check compatibility
-          const existingVariable = target[uniformDesc.name];
-          if(existingVariable.constructor !== reflectionVariable.constructor ||
-            (existingVariable.storage && existingVariable.storage.length) !== 
-            (reflectionVariable.storage && reflectionVariable.storage.length)){
-            throw new Error(`Trying to reflect uniform ${uniformDesc.name} as a ${reflectionVariable.constructor.name} with element count ${reflectionVariable.storage.length}, but it already exists in the target object as a ${(existingVariable.constructor && existingVariable.constructor.name || "UNKNOWN")} with element count ${(existingVariable.storage && existingVariable.storage.length || "UNKNOWN")}.`);
-          }
-        }
-        Object.defineProperty(target, uniformDesc.name, {
-          get: () => reflectionVariable,
-          set: arg => {
-            if(typeof reflectionVariable !== "number") {
-              reflectionVariable.set(arg); 
-            } else {
-              reflectionVariable = Number(arg);
-            }
-          },
-          configurable : true
-        } );
+        this.definePropertyMatchingUniform(target, uniformDesc);
+      }
+    }
+    for(const structName of target.glslStructNames) {
+      const blockDesc = this.uniformBlockDescriptors[structName];
+      if(blockDesc === undefined){
+        continue;
+      }
+      let uniformBuffer = target.uniformBuffers[structName];
+      if(uniformBuffer === undefined) {
+        uniformBuffer = target.uniformBuffers[structName] = new UniformBuffer(blockDesc.size);
+      } else if(uniformBuffer.data.byteLength !== blockDesc.size) {
+        throw new Error(`Trying to reflect uniform block ${structName} with size ${blockDesc.size}, but the target object already has a buffer for it with size ${uniformBuffer.data.byteLength}. Declare the block identically, with the std140 layout, in all programs.`);
+      }
+      for(const uniformDesc of blockDesc.uniforms) {
+        uniformBuffer.attach(this.definePropertyMatchingUniform(target, uniformDesc), uniformDesc);
+      }
+    }
+    for(const uniformName of target.glslUniformNames || []) {
+      // Skip uniform provided by the target if the program does not need it.
+      if(this.looseUniformDescriptors[uniformName] === undefined){
+        continue;
+      }
+      this.definePropertyMatchingUniform(target, this.looseUniformDescriptors[uniformName]);
+    }
+  }
+
+  /**
+   * Creates a single property into a target object, or verifies its type if it already exists, in which case the existing value is kept. Creates the nested objects and arrays on the uniform's path if they do not exist.
+   * @param {UniformProvider} target - An object that should gain the new property.
+   * @param {Object} uniformDesc - The uniform descriptor, as extracted by the constructor.
+   * @return {Object} The reflection variable of the property.
+   */
+  definePropertyMatchingUniform(target, uniformDesc){
+    // floats in uniform blocks are reflected as Vec1 objects, which can be placed in the buffer
+    let reflectionVariable =
+      (uniformDesc.offset !== undefined && uniformDesc.type === this.gl.FLOAT && uniformDesc.size === 1) ?
+      new Vec1() :
+      ProgramReflection.makeVar(this.gl, uniformDesc.type, uniformDesc.size);
+
+    // find or create the object (nested struct or array element) that should own the property
+    let owner = target;
+    for(let i=0; i<uniformDesc.path.length; i++) {
+      const key = uniformDesc.path[i];
+      if(!(key in owner)) {
+        owner[key] = (typeof uniformDesc.path[i+1] === "number") ? [] : {};
+      }
+      owner = owner[key];
+    }
+
+    if(uniformDesc.name in owner){ // if reflection property already exists, check compatibility
+      const existingVariable = owner[uniformDesc.name];
+      // quaternions commit as vec4s, dual quaternions as vec4[2]s, which the element count check below ensures
+      const isQuatForVec4 = existingVariable instanceof Quat && reflectionVariable instanceof Vec4;
+      const isDualQuatForVec4Array = existingVariable instanceof DualQuat && reflectionVariable instanceof Vec4Array;
+      if((existingVariable.constructor !== reflectionVariable.constructor && !isQuatForVec4 && !isDualQuatForVec4Array) ||
+        (existingVariable.storage && existingVariable.storage.length) !== 
+        (reflectionVariable.storage && reflectionVariable.storage.length)){
+        throw new Error(`Trying to reflect uniform ${uniformDesc.name} as a ${reflectionVariable.constructor.name} with element count ${reflectionVariable.storage.length}, but it already exists in the target object as a ${(existingVariable.constructor && existingVariable.constructor.name || "UNKNOWN")} with element count ${(existingVariable.storage && existingVariable.storage.length || "UNKNOWN")}.`);
       }
+      // keep the existing object, so that its value and references to it remain valid
+      reflectionVariable = existingVariable;
     }
+    Object.defineProperty(owner, uniformDesc.name, {
+      get: () => reflectionVariable,
+      set: arg => {
+        if(typeof reflectionVariable !== "number") {
+          reflectionVariable.set(arg); 
+        } else {
+          reflectionVariable = Number(arg);
+        }
+      },
+      configurable : true
+    } );
+    return reflectionVariable;
   }
   
   /**
    * Sets values of all uniforms from the properties of the given objects.
-   * @param {...UniformProvider} uniformProviders - Objects with properties matching the names and the types of the uniforms to be set. Their glslStructNames property must list uniform struct names they are responsible for setting.
+   * Uniform blocks are uploaded, if changed, and bound from the {@link UniformBuffer} of the responsible object.
+   * <BR> Uniforms named in the optional shadowedUniformNames property of an object are not set from it. Neither are the uniform blocks with such a member bound from it.
+   * @param {...UniformProvider} uniformProviders - Objects with properties matching the names and the types of the uniforms to be set. Their glslStructNames property must list uniform struct names they are responsible for setting. Their optional glslUniformNames property lists the names of uniforms outside of structs they are responsible for setting.
    */
   draw(...uniformProviders) { 
     const gl = this.gl;
@@ -85,21 +239,64 @@ class ProgramReflection {
     let textureUnitCount = 0;
 
     for(const provider of uniformProviders){
+      const shadowedNames = provider.shadowedUniformNames || [];
       for(const structName of provider.glslStructNames) {
+        const blockDesc = this.uniformBlockDescriptors[structName];
+        // providers not reflected by this program have no buffer for the block
+        if(blockDesc !== undefined && provider.uniformBuffers[structName] !== undefined &&
+           !ProgramReflection.hasShadowedMember(blockDesc, shadowedNames)) {
+          provider.uniformBuffers[structName].commit(gl, blockDesc.binding);
+        }
         if(this.uniformDescriptors[structName] === undefined) { continue; }
         for(const uniformDesc of this.uniformDescriptors[structName]) {
-          if(typeof provider[uniformDesc.name] !== "number"){
-            provider[uniformDesc.name].commit(gl, uniformDesc.location, textureUnitCount);
-          } else {
-            gl.uniform1f(uniformDesc.location, provider[uniformDesc.name]);
-          }
-          //  keep track of texture units used
-          if( ProgramReflection.isSampler(gl, uniformDesc.type) ){ 
-            textureUnitCount += uniformDesc.size;
-          }
+          if(shadowedNames.includes(uniformDesc.name)) { continue; }
+          textureUnitCount += this.commitUniform(provider, uniformDesc, textureUnitCount);
         }
       }
+      if(!provider.glslUniformNames) { continue; }
+      for(const uniformName of provider.glslUniformNames) {
+        if(this.looseUniformDescriptors[uniformName] === undefined || shadowedNames.includes(uniformName)) { continue; }
+        textureUnitCount += this.commitUniform(provider, this.looseUniformDescriptors[uniformName], textureUnitCount);
+      }
+    }
+  }
+
+  // true if a member of the block is left to a nearer provider, so that the block is not bound from this one
+  static hasShadowedMember(blockDesc, shadowedNames) {
+    if(shadowedNames.length === 0) {
+      return false;
+    }
+    for(const uniformDesc of blockDesc.uniforms) {
+      if(shadowedNames.includes(uniformDesc.name)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Sets the value of a single uniform from the matching property of an object.
+   * @param {UniformProvider} provider - The object with the property matching the uniform.
+   * @param {Object} uniformDesc - The uniform descriptor, as extracted by the constructor.
+   * @param {Number} textureUnitCount - The number of texture units already used by the program.
+   * @return {Number} The number of texture units used by the uniform.
+   */
+  commitUniform(provider, uniformDesc, textureUnitCount) {
+    const gl = this.gl;
+    let owner = provider;
+    for(const key of uniformDesc.path) {
+      owner = owner[key];
+    }
+    if(typeof owner[uniformDesc.name] !== "number"){
+      owner[uniformDesc.name].commit(gl, uniformDesc.location, textureUnitCount);
+    } else {
+      gl.uniform1f(uniformDesc.location, owner[uniformDesc.name]);
+    }
+    //  keep track of texture units used
+    if( ProgramReflection.isSampler(gl, uniformDesc.type) ){ 
+      return uniformDesc.size;
     }
+    return 0;
   }
 
   /**
@@ -110,7 +307,7 @@ class ProgramReflection {
    * @param {WebGL2RenderingContext} gl - The rendering context.
    * @param {Number} type - The numeric type of the uniform, i.e. a value of a type identifier property in the rendering context.
    * @param {Number} arraySize - The number of elements in the uniform, if it is an array. Otherwise, it must be 1.
-   * @return {Vec1 | Vec1Array | Vec2 | Vec2Array | Vec3 | Vec3Array | Vec4 | Vec4Array | Mat4 | Mat4Array | Sampler2D | Sampler2DArray | SamplerCube | SamplerCubeArray | Sampler3D | Sampler3DArray | Sampler2DArrayTexture | Sampler2DArrayTextureArray} The new reflection object.
+   * @return {Vec1 | Vec1Array | Vec2 | Vec2Array | Vec3 | Vec3Array | Vec4 | Vec4Array | Mat2 | Mat2Array | Mat3 | Mat3Array | Mat4 | Mat4Array | Mat2x3 | Mat2x3Array | Mat2x4 | Mat2x4Array | Mat3x2 | Mat3x2Array | Mat3x4 | Mat3x4Array | Mat4x2 | Mat4x2Array | Mat4x3 | Mat4x3Array | IVec1 | IVec1Array | IVec2 | IVec2Array | IVec3 | IVec3Array | IVec4 | IVec4Array | UVec1 | UVec1Array | UVec2 | UVec2Array | UVec3 | UVec3Array | UVec4 | UVec4Array | BVec1 | BVec1Array | BVec2 | BVec2Array | BVec3 | BVec3Array | BVec4 | BVec4Array | Sampler2D | Sampler2DArray | SamplerCube | SamplerCubeArray | Sampler3D | Sampler3DArray | Sampler2DArrayTexture | Sampler2DArrayTextureArray} The new reflection object.
    */  
   static makeVar(gl, type, arraySize) {
     if(arraySize === 1) {
@@ -119,7 +316,27 @@ class ProgramReflection {
         case gl.FLOAT_VEC2   : return new Vec2();
         case gl.FLOAT_VEC3   : return new Vec3();
         case gl.FLOAT_VEC4   : return new Vec4();
+        case gl.FLOAT_MAT2   : return new Mat2();
+        case gl.FLOAT_MAT3   : return new Mat3();
         case gl.FLOAT_MAT4   : return new Mat4();
+        case gl.FLOAT_MAT2x3 : return new Mat2x3();
+        case gl.FLOAT_MAT2x4 : return new Mat2x4();
+        case gl.FLOAT_MAT3x2 : return new Mat3x2();
+        case gl.FLOAT_MAT3x4 : return new Mat3x4();
+        case gl.FLOAT_MAT4x2 : return new Mat4x2();
+        case gl.FLOAT_MAT4x3 : return new Mat4x3();
+        case gl.INT          : return new IVec1();
+        case gl.INT_VEC2     : return new IVec2();
+        case gl.INT_VEC3     : return new IVec3();
+        case gl.INT_VEC4     : return new IVec4();
+        case gl.UNSIGNED_INT : return new UVec1();
+        case gl.UNSIGNED_INT_VEC2 : return new UVec2();
+        case gl.UNSIGNED_INT_VEC3 : return new UVec3();
+        case gl.UNSIGNED_INT_VEC4 : return new UVec4();
+        case gl.BOOL         : return new BVec1();
+        case gl.BOOL_VEC2    : return new BVec2();
+        case gl.BOOL_VEC3    : return new BVec3();
+        case gl.BOOL_VEC4    : return new BVec4();
         case gl.UNSIGNED_INT_SAMPLER_2D: 
         case gl.INT_SAMPLER_2D:
         case gl.SAMPLER_2D_SHADOW:
@@ -142,7 +359,27 @@ class ProgramReflection {
         case gl.FLOAT_VEC2   : return new Vec2Array(arraySize);
         case gl.FLOAT_VEC3   : return new Vec3Array(arraySize);
         case gl.FLOAT_VEC4   : return new Vec4Array(arraySize);
+        case gl.FLOAT_MAT2   : return new Mat2Array(arraySize);
+        case gl.FLOAT_MAT3   : return new Mat3Array(arraySize);
         case gl.FLOAT_MAT4   : return new Mat4Array(arraySize);
+        case gl.FLOAT_MAT2x3 : return new Mat2x3Array(arraySize);
+        case gl.FLOAT_MAT2x4 : return new Mat2x4Array(arraySize);
+        case gl.FLOAT_MAT3x2 : return new Mat3x2Array(arraySize);
+        case gl.FLOAT_MAT3x4 : return new Mat3x4Array(arraySize);
+        case gl.FLOAT_MAT4x2 : return new Mat4x2Array(arraySize);
+        case gl.FLOAT_MAT4x3 : return new Mat4x3Array(arraySize);
+        case gl.INT          : return new IVec1Array(arraySize);
+        case gl.INT_VEC2     : return new IVec2Array(arraySize);
+        case gl.INT_VEC3     : return new IVec3Array(arraySize);
+        case gl.INT_VEC4     : return new IVec4Array(arraySize);
+        case gl.UNSIGNED_INT : return new UVec1Array(arraySize);
+        case gl.UNSIGNED_INT_VEC2 : return new UVec2Array(arraySize);
+        case gl.UNSIGNED_INT_VEC3 : return new UVec3Array(arraySize);
+        case gl.UNSIGNED_INT_VEC4 : return new UVec4Array(arraySize);
+        case gl.BOOL         : return new BVec1Array(arraySize);
+        case gl.BOOL_VEC2    : return new BVec2Array(arraySize);
+        case gl.BOOL_VEC3    : return new BVec3Array(arraySize);
+        case gl.BOOL_VEC4    : return new BVec4Array(arraySize);
         case gl.UNSIGNED_INT_SAMPLER_2D: 
         case gl.INT_SAMPLER_2D:
         case gl.SAMPLER_2D_SHADOW:
@@ -162,6 +399,107 @@ class ProgramReflection {
     }
   }
 
+  /**
+   * @method getUniformBlockBinding
+   * @memberof ProgramReflection
+   * @static
+   * @description Returns the uniform buffer binding point of a uniform block name. Binding points are assigned in the order block names are first encountered, so that blocks with the same name use the same binding point in all programs. Throws an error if the binding point is not supported by the rendering context, i.e. if there are more distinct block names than <code>MAX_UNIFORM_BUFFER_BINDINGS</code>.
+   * @param {WebGL2RenderingContext} gl - The rendering context.
+   * @param {String} blockName - The name of the uniform block.
+   * @return {Number} The index of the binding point.
+   */
+  static getUniformBlockBinding(gl, blockName) {
+    ProgramReflection.uniformBlockBindings = ProgramReflection.uniformBlockBindings || {};
+    const bindings = ProgramReflection.uniformBlockBindings;
+    if(!(blockName in bindings)) {
+      bindings[blockName] = Object.keys(bindings).length;
+    }
+    const maxBindings = gl.getParameter(gl.MAX_UNIFORM_BUFFER_BINDINGS);
+    if(bindings[blockName] >= maxBindings) {
+      throw new Error(`Trying to assign binding point ${bindings[blockName]} to uniform block ${blockName}, but the rendering context only supports ${maxBindings}. Use fewer distinct uniform block names.`);
+    }
+    return bindings[blockName];
+  }
+
+  /**
+   * @method getComponentCount
+   * @memberof ProgramReflection
+   * @static
+   * @description Returns the number of scalar components for a numerical WebGL type ID of a vector or scalar, or the number of rows for a matrix type.
+   * @param {WebGL2RenderingContext} gl - The rendering context.
+   * @param {Number} type - The numeric type of the uniform or attribute, i.e. a value of a type identifier property in the rendering context.
+   * @return {Number} The number of components in a column.
+   */
+  static getComponentCount(gl, type){
+    switch(type) {
+      case gl.FLOAT_VEC2   :
+      case gl.INT_VEC2     :
+      case gl.UNSIGNED_INT_VEC2 :
+      case gl.BOOL_VEC2    :
+      case gl.FLOAT_MAT2   :
+      case gl.FLOAT_MAT3x2 :
+      case gl.FLOAT_MAT4x2 : return 2;
+      case gl.FLOAT_VEC3   :
+      case gl.INT_VEC3     :
+      case gl.UNSIGNED_INT_VEC3 :
+      case gl.BOOL_VEC3    :
+      case gl.FLOAT_MAT3   :
+      case gl.FLOAT_MAT2x3 :
+      case gl.FLOAT_MAT4x3 : return 3;
+      case gl.FLOAT_VEC4   :
+      case gl.INT_VEC4     :
+      case gl.UNSIGNED_INT_VEC4 :
+      case gl.BOOL_VEC4    :
+      case gl.FLOAT_MAT4   :
+      case gl.FLOAT_MAT2x4 :
+      case gl.FLOAT_MAT3x4 : return 4;
+    }
+    return 1;
+  }
+
+  /**
+   * @method getColumnCount
+   * @memberof ProgramReflection
+   * @static
+   * @description Returns the number of columns for a numerical WebGL type ID of a matrix uniform, or 1 for other types.
+   * @param {WebGL2RenderingContext} gl - The rendering context.
+   * @param {Number} type - The numeric type of the uniform, i.e. a value of a type identifier property in the rendering context.
+   * @return {Number} The number of columns.
+   */
+  static getColumnCount(gl, type){
+    switch(type) {
+      case gl.FLOAT_MAT2   :
+      case gl.FLOAT_MAT2x3 :
+      case gl.FLOAT_MAT2x4 : return 2;
+      case gl.FLOAT_MAT3   :
+      case gl.FLOAT_MAT3x2 :
+      case gl.FLOAT_MAT3x4 : return 3;
+      case gl.FLOAT_MAT4   :
+      case gl.FLOAT_MAT4x2 :
+      case gl.FLOAT_MAT4x3 : return 4;
+    }
+    return 1;
+  }
+
+  /**
+   * @method isInteger
+   * @memberof ProgramReflection
+   * @static
+   * @description Returns true if type is a numerical WebGL type ID of a signed or unsigned integer scalar or vector, e.g. of an attribute that needs to be set with <code>vertexAttribIPointer</code>.
+   * @param {WebGL2RenderingContext} gl - The rendering context.
+   * @param {Number} type - The numeric type of the uniform or attribute, i.e. a value of a type identifier property in the rendering context.
+   */
+  static isInteger(gl, type){
+    return  type === gl.INT ||
+            type === gl.INT_VEC2 ||
+            type === gl.INT_VEC3 ||
+            type === gl.INT_VEC4 ||
+            type === gl.UNSIGNED_INT ||
+            type === gl.UNSIGNED_INT_VEC2 ||
+            type === gl.UNSIGNED_INT_VEC3 ||
+            type === gl.UNSIGNED_INT_VEC4;
+  }
+
   /**
    * @method isSampler
    * @memberof ProgramReflection
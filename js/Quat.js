@@ -0,0 +1,423 @@
+/**
+ * @file WebGLMath {@link Quat} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Quat */
+/**
+ * Unit quaternion of 32-bit floats representing a 3D rotation. May reflect an GLSL vec4 uniform variable, with the vector part in coordinates x, y, z, and the scalar part in coordinate w.
+ * <BR> Composition follows the same convention as {@link Mat4}: rotations apply to row vectors, so <code>a.mul(b)</code> is the rotation <code>a</code> followed by the rotation <code>b</code>, and matches <code>new Mat4().setFromQuat(a).mul(new Mat4().setFromQuat(b))</code>. In terms of the Hamilton product, this is <code>b&middot;a</code>.
+ * <BR> Euler angle orders are given as strings like <code>'XYZ'</code> or <code>'ZXZ'</code>, listing the axes of the elementary rotations in the order they are applied, all about the fixed axes of the original frame. The angles are given in the same order.
+ */
+class Quat {
+  /**
+   * Creates a quaternion. Without parameters, initializes the identity rotation (0, 0, 0, 1).
+   * @param {Quat | Vec4 | Object | Number} [u=0] - Any object (properties x, y, z, w are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @param {Number} [t=1] - Ignored if u.w is defined. Otherwise, the value for coordinate w.
+   */
+  constructor(u, v, s, t){
+    /**
+     * @name Quat#storage
+     * @description 4-element typed array for coordinate storage.
+     * @type Float32Array
+     */
+    this.storage = new Float32Array([
+      u && u.x || Number(u).valueOf() || 0,
+      u && u.y || Number(v).valueOf() || 0,
+      u && u.z || Number(s).valueOf() || 0,
+      dft(u !== 0 && u && u.w, Number(t).valueOf(), 1)
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof Quat
+   * @description Creates a copy.
+   * @return {Quat} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(Quat.prototype);
+    result.storage = new Float32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof Quat
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another quaternion, or number values. Without parameters, sets the identity rotation (0, 0, 0, 1).
+   * @param {Quat | Vec4 | Object | Number} [u=0] - Any object (properties x, y, z, w are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @param {Number} [t=1] - Ignored if u.w is defined. Otherwise, the value for coordinate w.
+   * @return {Quat} this
+   */
+  set(u, v, s, t) {
+    this.storage[0] = u && u.x || Number(u).valueOf() || 0;
+    this.storage[1] = u && u.y || Number(v).valueOf() || 0;
+    this.storage[2] = u && u.z || Number(s).valueOf() || 0;
+    this.storage[3] = dft(u !== 0 && u && u.w, Number(t).valueOf(), 1);
+    return this;
+  }
+
+  /**
+   * @method setAxisAngle
+   * @memberof Quat
+   * @description Sets the quaternion to a rotation around an arbitrary axis. Like {@link Mat4#rotate}, the axis is normalized, and defaults to the z axis if it is too short.
+   * @param {Number} angle - Angle of rotation in radians.
+   * @param {Vec3 | Object | Number} [u=0] - Any object (properties x, y, z are interpreted as axis coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @return {Quat} this
+   */
+  setAxisAngle(angle, u, v, s) {
+    let x = u && u.x || Number(u).valueOf() || 0;
+    let y = u && u.y || Number(v).valueOf() || 0;
+    let z = u && u.z || Number(s).valueOf() || 0;
+    const axisLength2 = x*x + y*y + z*z;
+    if(axisLength2 < 0.0001){
+      x=0; y=0; z=1;
+    } else if(axisLength2 < 0.999 || axisLength2 > 1.001) {
+      const axisLength = Math.sqrt(axisLength2);
+      x /= axisLength;
+      y /= axisLength;
+      z /= axisLength;
+    }
+    const sinHalf = Math.sin(angle * 0.5);
+    this.storage[0] = x * sinHalf;
+    this.storage[1] = y * sinHalf;
+    this.storage[2] = z * sinHalf;
+    this.storage[3] = Math.cos(angle * 0.5);
+    return this;
+  }
+
+  /**
+   * @method setFromEuler
+   * @memberof Quat
+   * @description Sets the quaternion to the composition of three rotations around coordinate axes.
+   * @param {Number} first - Angle of the first rotation in radians.
+   * @param {Number} second - Angle of the second rotation in radians.
+   * @param {Number} third - Angle of the third rotation in radians.
+   * @param {String} [order='XYZ'] - Axes of the three rotations, in the order they are applied. Any of the twelve Tait-Bryan or proper Euler orders, e.g. 'ZYX' or 'ZXZ'.
+   * @return {Quat} this
+   */
+  setFromEuler(first, second, third, order) {
+    order = order || 'XYZ';
+    if(!/^[XYZ]{3}$/.test(order) || order[0] === order[1] || order[1] === order[2]) {
+      throw new Error(`Invalid Euler angle order '${order}'.`);
+    }
+    this.storage.set([0, 0, 0, 1]);
+    const angles = [first, second, third];
+    for(let i=0; i<3; i++) {
+      const axis = order.charCodeAt(i) - 88; // 'X' is 88
+      const sinHalf = Math.sin(angles[i] * 0.5);
+      const cosHalf = Math.cos(angles[i] * 0.5);
+      // this = r * this (Hamilton), where r has a single nonzero vector coordinate
+      const a = axis;
+      const b = (axis + 1) % 3;
+      const c = (axis + 2) % 3;
+      const qa = this.storage[a];
+      const qb = this.storage[b];
+      const qc = this.storage[c];
+      const qw = this.storage[3];
+      this.storage[a] = cosHalf * qa + sinHalf * qw;
+      this.storage[b] = cosHalf * qb - sinHalf * qc;
+      this.storage[c] = cosHalf * qc + sinHalf * qb;
+      this.storage[3] = cosHalf * qw - sinHalf * qa;
+    }
+    return this;
+  }
+
+  /**
+   * @method setFromMat4
+   * @memberof Quat
+   * @description Sets the quaternion to the rotation in the upper left 3x3 part of a matrix. The matrix is assumed to be orthonormal, i.e. without scaling, shearing, or mirroring.
+   * @param {Mat4} m - The rotation matrix.
+   * @return {Quat} this
+   */
+  setFromMat4(m) {
+    // r[i][j] = storage[4*i + j] is the rotation matrix in column vector convention
+    const r00 = m.storage[ 0], r01 = m.storage[ 1], r02 = m.storage[ 2];
+    const r10 = m.storage[ 4], r11 = m.storage[ 5], r12 = m.storage[ 6];
+    const r20 = m.storage[ 8], r21 = m.storage[ 9], r22 = m.storage[10];
+    const trace = r00 + r11 + r22;
+    let f;
+    if(trace > 0) {
+      f = 0.5 / Math.sqrt(trace + 1.0);
+      this.storage[0] = (r21 - r12) * f;
+      this.storage[1] = (r02 - r20) * f;
+      this.storage[2] = (r10 - r01) * f;
+      this.storage[3] = 0.25 / f;
+    } else if(r00 > r11 && r00 > r22) {
+      f = 0.5 / Math.sqrt(1.0 + r00 - r11 - r22);
+      this.storage[0] = 0.25 / f;
+      this.storage[1] = (r01 + r10) * f;
+      this.storage[2] = (r02 + r20) * f;
+      this.storage[3] = (r21 - r12) * f;
+    } else if(r11 > r22) {
+      f = 0.5 / Math.sqrt(1.0 + r11 - r00 - r22);
+      this.storage[0] = (r01 + r10) * f;
+      this.storage[1] = 0.25 / f;
+      this.storage[2] = (r12 + r21) * f;
+      this.storage[3] = (r02 - r20) * f;
+    } else {
+      f = 0.5 / Math.sqrt(1.0 + r22 - r00 - r11);
+      this.storage[0] = (r02 + r20) * f;
+      this.storage[1] = (r12 + r21) * f;
+      this.storage[2] = 0.25 / f;
+      this.storage[3] = (r10 - r01) * f;
+    }
+    return this;
+  }
+
+  /**
+   * @method mul
+   * @memberof Quat
+   * @description Composes this rotation with another one, applied after it, overwriting this quaternion with the result. Matches {@link Mat4#mul} of the equivalent matrices.
+   * @param {Quat} q - The rotation to apply after this one.
+   * @return {Quat} this
+   */
+  mul(q) {
+    return this.setProduct(this, q);
+  }
+
+  /**
+   * @method premul
+   * @memberof Quat
+   * @description Composes this rotation with another one, applied before it, overwriting this quaternion with the result. Matches {@link Mat4#premul} of the equivalent matrices.
+   * @param {Quat} q - The rotation to apply before this one.
+   * @return {Quat} this
+   */
+  premul(q) {
+    return this.setProduct(q, this);
+  }
+
+  /**
+   * @method times
+   * @memberof Quat
+   * @description Composes this rotation with another one, applied after it, returning the result in a new instance. See {@link Quat#mul} for an in-place version.
+   * @param {Quat} q - The rotation to apply after this one.
+   * @return {Quat} the composed rotation
+   */
+  times(q) {
+    return new Quat().setProduct(this, q);
+  }
+
+  /**
+   * @method setProduct
+   * @memberof Quat
+   * @description Sets this quaternion to the composition of two rotations, b applied first, then c. This is the Hamilton product c&middot;b. Any of the arguments may be this quaternion.
+   * @param {Quat} b - The rotation applied first.
+   * @param {Quat} c - The rotation applied second.
+   * @return {Quat} this
+   */
+  setProduct(b, c) {
+    const bx = b.storage[0], by = b.storage[1], bz = b.storage[2], bw = b.storage[3];
+    const cx = c.storage[0], cy = c.storage[1], cz = c.storage[2], cw = c.storage[3];
+    this.storage[0] = cw * bx + cx * bw + cy * bz - cz * by;
+    this.storage[1] = cw * by - cx * bz + cy * bw + cz * bx;
+    this.storage[2] = cw * bz + cx * by - cy * bx + cz * bw;
+    this.storage[3] = cw * bw - cx * bx - cy * by - cz * bz;
+    return this;
+  }
+
+  /**
+   * @method conjugate
+   * @memberof Quat
+   * @description Negates the vector part. For unit quaternions, this is the inverse rotation.
+   * @return {Quat} this
+   */
+  conjugate() {
+    this.storage[0] = -this.storage[0];
+    this.storage[1] = -this.storage[1];
+    this.storage[2] = -this.storage[2];
+    return this;
+  }
+
+  /**
+   * @method invert
+   * @memberof Quat
+   * @description Inverts the quaternion, also for non-unit length. Throws an error for the zero quaternion.
+   * @return {Quat} this
+   */
+  invert() {
+    const l2 = this.dot(this);
+    if(l2 === 0) {
+      throw new Error("Cannot invert zero quaternion.");
+    }
+    this.storage[0] /= -l2;
+    this.storage[1] /= -l2;
+    this.storage[2] /= -l2;
+    this.storage[3] /= l2;
+    return this;
+  }
+
+  /**
+   * @method dot
+   * @memberof Quat
+   * @description Computes the four-dimensional dot product with another quaternion.
+   * @param {Quat} q - The other quaternion.
+   * @return {Number}
+   */
+  dot(q) {
+    return this.storage[0] * q.storage[0] +
+           this.storage[1] * q.storage[1] +
+           this.storage[2] * q.storage[2] +
+           this.storage[3] * q.storage[3];
+  }
+
+  /**
+   * @method length
+   * @memberof Quat
+   * @description Computes the length.
+   * @return {Number} Length of the quaternion as a four-element vector.
+   */
+  length() {
+    return Math.sqrt(this.dot(this));
+  }
+
+  /**
+   * @method normalize
+   * @memberof Quat
+   * @description Scales the quaternion to unit length.
+   * @return {Quat} this
+   */
+  normalize() {
+    const l = this.length();
+    this.storage[0] /= l;
+    this.storage[1] /= l;
+    this.storage[2] /= l;
+    this.storage[3] /= l;
+    return this;
+  }
+
+  /**
+   * @method setNlerp
+   * @memberof Quat
+   * @description Sets this quaternion to the normalized linear interpolation of two rotations, along the shorter arc. Faster than {@link Quat#setSlerp}, but the angular velocity is not constant.
+   * @param {Quat} b - Rotation at t = 0.
+   * @param {Quat} c - Rotation at t = 1.
+   * @param {Number} t - Interpolation parameter.
+   * @return {Quat} this
+   */
+  setNlerp(b, c, t) {
+    const tc = (b.dot(c) < 0) ? -t : t;
+    const tb = 1.0 - t;
+    this.storage[0] = b.storage[0] * tb + c.storage[0] * tc;
+    this.storage[1] = b.storage[1] * tb + c.storage[1] * tc;
+    this.storage[2] = b.storage[2] * tb + c.storage[2] * tc;
+    this.storage[3] = b.storage[3] * tb + c.storage[3] * tc;
+    return this.normalize();
+  }
+
+  /**
+   * @method nlerp
+   * @memberof Quat
+   * @description Normalized linear interpolation from this rotation towards another one, overwriting this quaternion with the result. See {@link Quat#setNlerp}.
+   * @param {Quat} q - Rotation at t = 1.
+   * @param {Number} t - Interpolation parameter.
+   * @return {Quat} this
+   */
+  nlerp(q, t) {
+    return this.setNlerp(this, q, t);
+  }
+
+  /**
+   * @method setSlerp
+   * @memberof Quat
+   * @description Sets this quaternion to the spherical linear interpolation of two unit quaternions, along the shorter arc. Falls back to {@link Quat#setNlerp} for nearly identical rotations.
+   * @param {Quat} b - Rotation at t = 0.
+   * @param {Quat} c - Rotation at t = 1.
+   * @param {Number} t - Interpolation parameter.
+   * @return {Quat} this
+   */
+  setSlerp(b, c, t) {
+    let cosOmega = b.dot(c);
+    let sign = 1.0;
+    if(cosOmega < 0) {
+      cosOmega = -cosOmega;
+      sign = -1.0;
+    }
+    if(cosOmega > 0.9995) {
+      return this.setNlerp(b, c, t);
+    }
+    const omega = Math.acos(cosOmega);
+    const sinOmega = Math.sin(omega);
+    const tb = Math.sin((1.0 - t) * omega) / sinOmega;
+    const tc = Math.sin(t * omega) / sinOmega * sign;
+    this.storage[0] = b.storage[0] * tb + c.storage[0] * tc;
+    this.storage[1] = b.storage[1] * tb + c.storage[1] * tc;
+    this.storage[2] = b.storage[2] * tb + c.storage[2] * tc;
+    this.storage[3] = b.storage[3] * tb + c.storage[3] * tc;
+    return this;
+  }
+
+  /**
+   * @method slerp
+   * @memberof Quat
+   * @description Spherical linear interpolation from this rotation towards another one, overwriting this quaternion with the result. See {@link Quat#setSlerp}.
+   * @param {Quat} q - Rotation at t = 1.
+   * @param {Number} t - Interpolation parameter.
+   * @return {Quat} this
+   */
+  slerp(q, t) {
+    return this.setSlerp(this, q, t);
+  }
+
+  /**
+   * @method commit
+   * @memberof Quat
+   * @description Sets the value of the quaternion to a WebGL vec4 uniform variable.
+   * @param {WebGLRenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform4fv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name Quat#x
+ * @description Alias for storage[0];
+ * @type Number
+ */
+Object.defineProperty(Quat.prototype, 'x', {
+  get: function() { return this.storage[0]; },
+  set: function(value) { this.storage[0] = value; }
+});
+
+/**
+ * @name Quat#y
+ * @description Alias for storage[1];
+ * @type Number
+ */
+Object.defineProperty(Quat.prototype, 'y', {
+  get: function() { return this.storage[1]; },
+  set: function(value) { this.storage[1] = value; }
+});
+
+/**
+ * @name Quat#z
+ * @description Alias for storage[2];
+ * @type Number
+ */
+Object.defineProperty(Quat.prototype, 'z', {
+  get: function() { return this.storage[2]; },
+  set: function(value) { this.storage[2] = value; }
+});
+
+/**
+ * @name Quat#w
+ * @description Alias for storage[3];
+ * @type Number
+ */
+Object.defineProperty(Quat.prototype, 'w', {
+  get: function() { return this.storage[3]; },
+  set: function(value) { this.storage[3] = value; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Quat;
+}
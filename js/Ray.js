@@ -0,0 +1,396 @@
+/**
+ * @file WebGLMath {@link Ray} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Ray */
+/**
+ * A half-line starting at an origin, in a unit length direction.
+ * <BR> Intersection tests with primitives record the nearest hit in front of the origin into a {@link RayHit}, if it is nearer than the hit already recorded there. They return true if a hit was recorded.
+ */
+class Ray {
+  /**
+   * Creates a ray. Without parameters, the ray starts at the origin and points along the negative z axis.
+   * @param {Vec3 | Object} [origin] - The starting point (properties x, y, z are used).
+   * @param {Vec3 | Object} [direction] - The direction, normalized by the constructor (properties x, y, z are used).
+   */
+  constructor(origin, direction){
+    /**
+     * @name Ray#origin
+     * @description The starting point of the ray.
+     * @type Vec3
+     */
+    this.origin = new Vec3();
+    /**
+     * @name Ray#direction
+     * @description The unit length direction of the ray.
+     * @type Vec3
+     */
+    this.direction = new Vec3();
+    this.set(origin, direction || {z:-1});
+  }
+
+  /**
+   * @method clone
+   * @memberof Ray
+   * @description Creates a copy.
+   * @return {Ray} A new instance with identical contents.
+   */
+  clone() {
+    return new Ray(this.origin, this.direction);
+  }
+
+  /**
+   * @method set
+   * @memberof Ray
+   * @description Sets the origin and the direction, normalizing the direction.
+   * @param {Vec3 | Object} origin - The starting point (properties x, y, z are used).
+   * @param {Vec3 | Object} direction - The direction (properties x, y, z are used).
+   * @return {Ray} this
+   */
+  set(origin, direction) {
+    this.origin.set(origin);
+    this.direction.set(direction).normalize();
+    return this;
+  }
+
+  /**
+   * @method setFromNdc
+   * @memberof Ray
+   * @description Sets the ray to start on the near plane of a camera, and pass through a point given in normalized device coordinates. Works for both perspective and orthographic projections, including those with an infinite far plane.
+   * @param {Number} x - The x coordinate in normalized device coordinates, -1 on the left edge of the viewport and 1 on the right edge.
+   * @param {Number} y - The y coordinate in normalized device coordinates, -1 on the bottom edge of the viewport and 1 on the top edge.
+   * @param {Mat4} m - The inverse of the view-projection matrix.
+   * @return {Ray} this
+   */
+  setFromNdc(x, y, m) {
+    const s = m.storage;
+    // homogeneous points on the near and far planes
+    const nx = x * s[0] + y * s[1] - s[ 2] + s[ 3];
+    const ny = x * s[4] + y * s[5] - s[ 6] + s[ 7];
+    const nz = x * s[8] + y * s[9] - s[10] + s[11];
+    const nw = x * s[12] + y * s[13] - s[14] + s[15];
+    const fx = x * s[0] + y * s[1] + s[ 2] + s[ 3];
+    const fy = x * s[4] + y * s[5] + s[ 6] + s[ 7];
+    const fz = x * s[8] + y * s[9] + s[10] + s[11];
+    const fw = x * s[12] + y * s[13] + s[14] + s[15];
+    this.origin.set(nx / nw, ny / nw, nz / nw);
+    // the difference of the points after the homogeneous division, scaled by |nw * fw| to allow fw = 0
+    const sign = Math.sign(nw);
+    this.direction.set(
+      (fx * nw - nx * fw) * sign,
+      (fy * nw - ny * fw) * sign,
+      (fz * nw - nz * fw) * sign).normalize();
+    return this;
+  }
+
+  /**
+   * @method setFromPixel
+   * @memberof Ray
+   * @description Sets the ray to start on the near plane of a camera, and pass through a pixel, e.g. for picking objects with the mouse. Works for both perspective and orthographic projections.
+   * @param {Number} x - The x pixel coordinate, from the left edge of the canvas, e.g. event.offsetX of a mouse event.
+   * @param {Number} y - The y pixel coordinate, downwards from the top edge of the canvas, e.g. event.offsetY of a mouse event.
+   * @param {Mat4} m - The inverse of the view-projection matrix.
+   * @param {Vec4 | Number[]} viewport - The x, y, width and height of the viewport, in the same pixel coordinates, e.g. [0, 0, canvas.clientWidth, canvas.clientHeight].
+   * @return {Ray} this
+   */
+  setFromPixel(x, y, m, viewport) {
+    Ray.ndc = Ray.ndc || new Vec3();
+    Ray.ndc.set(x, y, 0);
+    Vec3.viewportToNdc(Ray.ndc.storage, viewport);
+    return this.setFromNdc(Ray.ndc.storage[0], Ray.ndc.storage[1], m);
+  }
+
+  /**
+   * @method transform
+   * @memberof Ray
+   * @description Transforms the ray by an affine transformation, in place, normalizing the transformed direction. Hit distances are measured in the transformed space.
+   * @param {Mat4} m - The transformation matrix.
+   * @return {Ray} this
+   */
+  transform(m) {
+    this.origin.xyz1mul(m);
+    this.direction.xyz0mul(m).normalize();
+    return this;
+  }
+
+  /**
+   * @method at
+   * @memberof Ray
+   * @description Computes the point at a given distance along the ray.
+   * @param {Number} t - The distance from the origin.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the point
+   */
+  at(t, result) {
+    result = result || new Vec3();
+    result.storage[0] = this.origin.storage[0] + this.direction.storage[0] * t;
+    result.storage[1] = this.origin.storage[1] + this.direction.storage[1] * t;
+    result.storage[2] = this.origin.storage[2] + this.direction.storage[2] * t;
+    return result;
+  }
+
+  /**
+   * @method closestPoint
+   * @memberof Ray
+   * @description Finds the point of the ray closest to a given point.
+   * @param {Vec3} p - The point.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the closest point
+   */
+  closestPoint(p, result) {
+    return this.at(Math.max(0, this.rayDistanceOf(p)), result);
+  }
+
+  /**
+   * @method distanceToPoint
+   * @memberof Ray
+   * @description Computes the distance of a point from the ray.
+   * @param {Vec3} p - The point.
+   * @return {Number} the distance
+   */
+  distanceToPoint(p) {
+    const o = this.origin.storage;
+    const d = this.direction.storage;
+    const t = Math.max(0, this.rayDistanceOf(p));
+    const dx = o[0] + d[0] * t - p.storage[0];
+    const dy = o[1] + d[1] * t - p.storage[1];
+    const dz = o[2] + d[2] * t - p.storage[2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  // signed distance of the projection of point p along the ray
+  rayDistanceOf(p) {
+    const o = this.origin.storage;
+    const d = this.direction.storage;
+    return (p.storage[0] - o[0]) * d[0] + (p.storage[1] - o[1]) * d[1] + (p.storage[2] - o[2]) * d[2];
+  }
+
+  // records a hit at distance t with the given normal, if it is nearer than the one in hit
+  recordHit(hit, t, nx, ny, nz) {
+    if(t < 0 || t >= hit.t) {
+      return false;
+    }
+    hit.t = t;
+    this.at(t, hit.point);
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    hit.normal.set(nx / length, ny / length, nz / length);
+    return true;
+  }
+
+  /**
+   * @method intersectPlane
+   * @memberof Ray
+   * @description Intersects the ray with a plane. Rays parallel to the plane do not hit it.
+   * @param {Plane} plane - The plane.
+   * @param {RayHit} hit - The hit record to update.
+   * @return {Boolean} true if a hit nearer than hit.t was found and recorded
+   */
+  intersectPlane(plane, hit) {
+    const n = plane.normal.storage;
+    const denominator = this.direction.dot(plane.normal);
+    if(denominator === 0) {
+      return false;
+    }
+    const t = -(this.origin.dot(plane.normal) + plane.d) / denominator;
+    return this.recordHit(hit, t, n[0], n[1], n[2]);
+  }
+
+  /**
+   * @method intersectSphere
+   * @memberof Ray
+   * @description Intersects the ray with a sphere. If the origin is inside the sphere, the exit point is found.
+   * @param {Sphere} sphere - The sphere.
+   * @param {RayHit} hit - The hit record to update.
+   * @return {Boolean} true if a hit nearer than hit.t was found and recorded
+   */
+  intersectSphere(sphere, hit) {
+    const o = this.origin.storage;
+    const c = sphere.center.storage;
+    const ox = o[0] - c[0];
+    const oy = o[1] - c[1];
+    const oz = o[2] - c[2];
+    const b = this.direction.dot(ox, oy, oz);
+    const discriminant = b * b - (ox * ox + oy * oy + oz * oz) + sphere.radius * sphere.radius;
+    if(discriminant < 0) {
+      return false;
+    }
+    const root = Math.sqrt(discriminant);
+    const t = (-b - root >= 0) ? -b - root : -b + root;
+    const d = this.direction.storage;
+    return this.recordHit(hit, t, ox + d[0] * t, oy + d[1] * t, oz + d[2] * t);
+  }
+
+  /**
+   * @method intersectAABB
+   * @memberof Ray
+   * @description Intersects the ray with an axis-aligned box, using the slab test. If the origin is inside the box, the exit point is found.
+   * @param {AABB} aabb - The box.
+   * @param {RayHit} hit - The hit record to update.
+   * @return {Boolean} true if a hit nearer than hit.t was found and recorded
+   */
+  intersectAABB(aabb, hit) {
+    const o = this.origin.storage;
+    const d = this.direction.storage;
+    let tNear = -Infinity;
+    let tFar = Infinity;
+    let nearAxis = 0;
+    let farAxis = 0;
+    for(let i=0; i<3; i++) {
+      const min = aabb.min.storage[i];
+      const max = aabb.max.storage[i];
+      if(d[i] === 0) {
+        if(o[i] < min || o[i] > max) {
+          return false;
+        }
+        continue;
+      }
+      const t1 = (min - o[i]) / d[i];
+      const t2 = (max - o[i]) / d[i];
+      if(Math.min(t1, t2) > tNear) {
+        tNear = Math.min(t1, t2);
+        nearAxis = i;
+      }
+      if(Math.max(t1, t2) < tFar) {
+        tFar = Math.max(t1, t2);
+        farAxis = i;
+      }
+    }
+    if(tNear > tFar) {
+      return false;
+    }
+    // the normal faces against the ray at the entry point, and along it at the exit point
+    const axis = (tNear >= 0) ? nearAxis : farAxis;
+    const sign = (tNear >= 0) ? -Math.sign(d[axis]) : Math.sign(d[axis]);
+    return this.recordHit(hit, (tNear >= 0) ? tNear : tFar,
+      axis === 0 ? sign : 0, axis === 1 ? sign : 0, axis === 2 ? sign : 0);
+  }
+
+  /**
+   * @method intersectOBB
+   * @memberof Ray
+   * @description Intersects the ray with an oriented box, using the slab test in the frame of the box. If the origin is inside the box, the exit point is found.
+   * @param {OBB} obb - The box.
+   * @param {RayHit} hit - The hit record to update.
+   * @return {Boolean} true if a hit nearer than hit.t was found and recorded
+   */
+  intersectOBB(obb, hit) {
+    const o = this.origin.storage;
+    const c = obb.center.storage;
+    const axes = obb.axes;
+    const ox = o[0] - c[0];
+    const oy = o[1] - c[1];
+    const oz = o[2] - c[2];
+    let tNear = -Infinity;
+    let tFar = Infinity;
+    let nearAxis = 0;
+    let farAxis = 0;
+    let nearSign = 0;
+    let farSign = 0;
+    for(let i=0; i<3; i++) {
+      const ax = axes[3*i];
+      const ay = axes[3*i+1];
+      const az = axes[3*i+2];
+      // origin and direction in the frame of the box
+      const localOrigin = ox * ax + oy * ay + oz * az;
+      const localDirection = this.direction.dot(ax, ay, az);
+      const halfExtent = obb.halfExtents.storage[i];
+      if(localDirection === 0) {
+        if(localOrigin < -halfExtent || localOrigin > halfExtent) {
+          return false;
+        }
+        continue;
+      }
+      const t1 = (-halfExtent - localOrigin) / localDirection;
+      const t2 = ( halfExtent - localOrigin) / localDirection;
+      if(Math.min(t1, t2) > tNear) {
+        tNear = Math.min(t1, t2);
+        nearAxis = i;
+        nearSign = -Math.sign(localDirection);
+      }
+      if(Math.max(t1, t2) < tFar) {
+        tFar = Math.max(t1, t2);
+        farAxis = i;
+        farSign = Math.sign(localDirection);
+      }
+    }
+    if(tNear > tFar) {
+      return false;
+    }
+    const axis = (tNear >= 0) ? nearAxis : farAxis;
+    const sign = (tNear >= 0) ? nearSign : farSign;
+    return this.recordHit(hit, (tNear >= 0) ? tNear : tFar,
+      axes[3*axis] * sign, axes[3*axis+1] * sign, axes[3*axis+2] * sign);
+  }
+
+  /**
+   * @method intersectTriangle
+   * @memberof Ray
+   * @description Intersects the ray with a triangle, using the Möller–Trumbore algorithm. Both sides of the triangle are hit.
+   * @param {Triangle} triangle - The triangle.
+   * @param {RayHit} hit - The hit record to update.
+   * @return {Boolean} true if a hit nearer than hit.t was found and recorded
+   */
+  intersectTriangle(triangle, hit) {
+    const a = triangle.a.storage;
+    const b = triangle.b.storage;
+    const c = triangle.c.storage;
+    const d = this.direction.storage;
+    const o = this.origin.storage;
+    const e1x = b[0] - a[0], e1y = b[1] - a[1], e1z = b[2] - a[2];
+    const e2x = c[0] - a[0], e2y = c[1] - a[1], e2z = c[2] - a[2];
+    const px = d[1] * e2z - d[2] * e2y;
+    const py = d[2] * e2x - d[0] * e2z;
+    const pz = d[0] * e2y - d[1] * e2x;
+    const determinant = e1x * px + e1y * py + e1z * pz;
+    if(determinant === 0) {
+      return false;
+    }
+    const invDeterminant = 1 / determinant;
+    const sx = o[0] - a[0], sy = o[1] - a[1], sz = o[2] - a[2];
+    const u = (sx * px + sy * py + sz * pz) * invDeterminant;
+    if(u < 0 || u > 1) {
+      return false;
+    }
+    const qx = sy * e1z - sz * e1y;
+    const qy = sz * e1x - sx * e1z;
+    const qz = sx * e1y - sy * e1x;
+    const v = (d[0] * qx + d[1] * qy + d[2] * qz) * invDeterminant;
+    if(v < 0 || u + v > 1) {
+      return false;
+    }
+    const t = (e2x * qx + e2y * qy + e2z * qz) * invDeterminant;
+    return this.recordHit(hit, t,
+      e1y * e2z - e1z * e2y,
+      e1z * e2x - e1x * e2z,
+      e1x * e2y - e1y * e2x);
+  }
+
+  /**
+   * @method intersect
+   * @memberof Ray
+   * @description Intersects the ray with any primitive, calling the intersection method matching its type.
+   * @param {Plane | Sphere | AABB | OBB | Triangle} primitive - The primitive.
+   * @param {RayHit} hit - The hit record to update.
+   * @return {Boolean} true if a hit nearer than hit.t was found and recorded
+   */
+  intersect(primitive, hit) {
+    if(primitive instanceof Triangle) {
+      return this.intersectTriangle(primitive, hit);
+    } else if(primitive instanceof Sphere) {
+      return this.intersectSphere(primitive, hit);
+    } else if(primitive instanceof AABB) {
+      return this.intersectAABB(primitive, hit);
+    } else if(primitive instanceof OBB) {
+      return this.intersectOBB(primitive, hit);
+    } else if(primitive instanceof Plane) {
+      return this.intersectPlane(primitive, hit);
+    }
+    throw new Error(`Cannot intersect a ray with ${primitive && primitive.constructor && primitive.constructor.name}.`);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Ray;
+}
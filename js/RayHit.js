@@ -0,0 +1,51 @@
+/**
+ * @file WebGLMath {@link RayHit} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported RayHit */
+/**
+ * Output of ray intersection tests, like [Ray#intersectTriangle]{@link Ray#intersectTriangle}: the distance along the ray, the point and the surface normal of the nearest hit found so far.
+ * <BR> Intersection tests only record hits nearer than the current [t]{@link RayHit#t}, so a single RayHit, [reset]{@link RayHit#reset} once, can be passed to the tests against all primitives of a scene to find the nearest hit.
+ */
+class RayHit {
+  /**
+   * Creates a hit record with no hit found.
+   */
+  constructor(){
+    /**
+     * @name RayHit#t
+     * @description Distance of the hit from the ray origin, in units of the ray direction length. Infinity if no hit has been found.
+     * @type Number
+     */
+    this.t = Infinity;
+    /**
+     * @name RayHit#point
+     * @description The hit point.
+     * @type Vec3
+     */
+    this.point = new Vec3();
+    /**
+     * @name RayHit#normal
+     * @description The unit length surface normal at the hit point. For spheres and boxes it points outwards, for planes and triangles it is the normal of the primitive, regardless of which side was hit.
+     * @type Vec3
+     */
+    this.normal = new Vec3();
+  }
+
+  /**
+   * @method reset
+   * @memberof RayHit
+   * @description Forgets the hit found, so that any hit will be recorded.
+   * @return {RayHit} this
+   */
+  reset() {
+    this.t = Infinity;
+    return this;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = RayHit;
+}
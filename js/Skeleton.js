@@ -0,0 +1,132 @@
+/**
+ * @file WebGLMath {@link Skeleton} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Skeleton */
+/**
+ * A joint hierarchy for skeletal animation, providing skin matrices for linear blend skinning.
+ * <BR> Joints are identified by their indices. Every joint has a parent joint with a lower index, or -1 for root joints. The local pose of every joint, relative to its parent, is set in [localMatrices]{@link Skeleton#localMatrices}, after which [update]{@link Skeleton#update} computes [worldMatrices]{@link Skeleton#worldMatrices} and [skinMatrices]{@link Skeleton#skinMatrices}.
+ * <BR> As a {@link UniformProvider}, it reflects the skin matrices as the uniform <code>mat4 skinMatrices[]</code>, declared outside of structs, or as a member of the uniform structs whose names are given to the constructor. The uniform array must have exactly as many elements as the skeleton has joints.
+ * <BR> All matrices assume row vectors. A skin matrix transforms a vertex from its bind pose, i.e. the model space pose the mesh was modelled in, into the model space of the current pose.
+ * @extends UniformProvider
+ */
+class Skeleton extends UniformProvider {
+  /**
+   * Creates a skeleton. All local matrices are initialized to identity.
+   * @param {Number[] | Int32Array} parents - Parent joint index for every joint, or -1 for root joints. Parents must precede their children.
+   * @param {Mat4Array} [inverseBindMatrices] - Matrices transforming from model space to joint space in the bind pose, one for every joint. The array is referenced, not copied. Identity matrices are used if not given.
+   * @param {...String} glslStructNames - The names of the uniform structs in the shaders, which have the skin matrices as their member skinMatrices.
+   */
+  constructor(parents, inverseBindMatrices, ...glslStructNames){
+    super(...glslStructNames);
+    this.glslUniformNames.push("skinMatrices");
+    const jointCount = parents.length;
+    for(let i=0; i<jointCount; i++) {
+      if(parents[i] >= i) {
+        throw new Error(`Joint ${i} has parent ${parents[i]}, but parents must precede their children.`);
+      }
+    }
+    if(inverseBindMatrices && inverseBindMatrices.length !== jointCount) {
+      throw new Error(`Skeleton has ${jointCount} joints, but ${inverseBindMatrices.length} inverse bind matrices were given.`);
+    }
+    /**
+     * @name Skeleton#jointCount
+     * @description The number of joints.
+     * @type Number
+     */
+    this.jointCount = jointCount;
+    /**
+     * @name Skeleton#parents
+     * @description Parent joint index for every joint, or -1 for root joints.
+     * @type Int32Array
+     */
+    this.parents = new Int32Array(parents);
+    /**
+     * @name Skeleton#inverseBindMatrices
+     * @description Matrices transforming from model space to joint space in the bind pose.
+     * @type Mat4Array
+     */
+    this.inverseBindMatrices = inverseBindMatrices || new Mat4Array(jointCount).setIdentity();
+    /**
+     * @name Skeleton#localMatrices
+     * @description Current pose of every joint, relative to its parent joint. To be set before calling [update]{@link Skeleton#update}, e.g. using [Mat4Array#compose]{@link Mat4Array#compose}.
+     * @type Mat4Array
+     */
+    this.localMatrices = new Mat4Array(jointCount).setIdentity();
+    /**
+     * @name Skeleton#worldMatrices
+     * @description Current pose of every joint in model space, computed by [update]{@link Skeleton#update}.
+     * @type Mat4Array
+     */
+    this.worldMatrices = new Mat4Array(jointCount).setIdentity();
+    /**
+     * @name Skeleton#skinMatrices
+     * @description Skin matrices of every joint, computed by [update]{@link Skeleton#update}. Reflects the skinMatrices uniform.
+     * @type Mat4Array
+     */
+    this.skinMatrices = new Mat4Array(jointCount).setIdentity();
+    // views on the world matrices, created once to avoid per-frame allocation
+    this.worldMatrixViews = [];
+    for(let i=0; i<jointCount; i++) {
+      this.worldMatrixViews.push(this.worldMatrices.at(i));
+    }
+  }
+
+  /**
+   * @method update
+   * @memberof Skeleton
+   * @description Computes world matrices from local matrices along the hierarchy, and skin matrices from world matrices and inverse bind matrices.
+   * @return {Skeleton} this
+   */
+  update() {
+    this.worldMatrices.set(this.localMatrices);
+    for(let i=0; i<this.jointCount; i++) {
+      const parent = this.parents[i];
+      if(parent >= 0) {
+        this.worldMatrixViews[i].mul(this.worldMatrixViews[parent]);
+      }
+    }
+    this.skinMatrices.mul(this.inverseBindMatrices, this.worldMatrices);
+    return this;
+  }
+
+  /**
+   * @method skinPositions
+   * @memberof Skeleton
+   * @description Reference implementation of linear blend skinning on the CPU, e.g. for testing shaders. Transforms bind pose positions by the weighted sum of the skin matrices of up to four joints. Uses the skin matrices computed by the last [update]{@link Skeleton#update}.
+   * @param {Vec3Array} result - Array to store the skinned positions in. Its length must be identical to that of positions. May be positions.
+   * @param {Vec3Array} positions - Bind pose positions.
+   * @param {IVec4Array | UVec4Array | Vec4Array} jointIndices - Indices of the four joints influencing every vertex.
+   * @param {Vec4Array} weights - Weights of the four joints influencing every vertex, summing to one.
+   * @return {Vec3Array} result
+   */
+  skinPositions(result, positions, jointIndices, weights) {
+    const m = this.skinMatrices.storage;
+    for(let i=0, j=0; i<positions.storage.length; i+=3, j+=4) {
+      const x = positions.storage[i  ];
+      const y = positions.storage[i+1];
+      const z = positions.storage[i+2];
+      let rx = 0, ry = 0, rz = 0;
+      for(let k=0; k<4; k++) {
+        const w = weights.storage[j+k];
+        if(w === 0) {
+          continue;
+        }
+        const o = jointIndices.storage[j+k] * 16;
+        rx += w * (x * m[o   ] + y * m[o+ 1] + z * m[o+ 2] + m[o+ 3]);
+        ry += w * (x * m[o+ 4] + y * m[o+ 5] + z * m[o+ 6] + m[o+ 7]);
+        rz += w * (x * m[o+ 8] + y * m[o+ 9] + z * m[o+10] + m[o+11]);
+      }
+      result.storage[i  ] = rx;
+      result.storage[i+1] = ry;
+      result.storage[i+2] = rz;
+    }
+    return result;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Skeleton;
+}
@@ -0,0 +1,191 @@
+/**
+ * @file WebGLMath {@link Sphere} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Sphere */
+/**
+ * A solid sphere, given by its center and radius.
+ */
+class Sphere {
+  /**
+   * Creates a sphere. Without parameters, the unit sphere at the origin is created.
+   * @param {Vec3 | Object} [center] - The center (properties x, y, z are used).
+   * @param {Number} [radius=1] - The radius.
+   */
+  constructor(center, radius){
+    /**
+     * @name Sphere#center
+     * @description The center of the sphere.
+     * @type Vec3
+     */
+    this.center = new Vec3(center);
+    /**
+     * @name Sphere#radius
+     * @description The radius of the sphere.
+     * @type Number
+     */
+    this.radius = (radius === undefined) ? 1 : radius;
+  }
+
+  /**
+   * @method clone
+   * @memberof Sphere
+   * @description Creates a copy.
+   * @return {Sphere} A new instance with identical contents.
+   */
+  clone() {
+    return new Sphere(this.center, this.radius);
+  }
+
+  /**
+   * @method set
+   * @memberof Sphere
+   * @description Sets the center and the radius.
+   * @param {Vec3 | Object} center - The center (properties x, y, z are used).
+   * @param {Number} radius - The radius.
+   * @return {Sphere} this
+   */
+  set(center, radius) {
+    this.center.set(center);
+    this.radius = radius;
+    return this;
+  }
+
+  /**
+   * @method transform
+   * @memberof Sphere
+   * @description Transforms the sphere by a transformation composed of scaling, rotation and translation, in place. The radius is multiplied by the largest scale factor, so that the result contains the transformed sphere even if scaling is non-uniform.
+   * @param {Mat4} m - The transformation matrix.
+   * @return {Sphere} this
+   */
+  transform(m) {
+    const s = m.storage;
+    this.center.xyz1mul(m);
+    // the largest factor the linear part stretches any axis with
+    this.radius *= Math.sqrt(Math.max(
+      s[0] * s[0] + s[4] * s[4] + s[ 8] * s[ 8],
+      s[1] * s[1] + s[5] * s[5] + s[ 9] * s[ 9],
+      s[2] * s[2] + s[6] * s[6] + s[10] * s[10]));
+    return this;
+  }
+
+  /**
+   * @method containsPoint
+   * @memberof Sphere
+   * @description Tests whether a point is inside the sphere.
+   * @param {Vec3} p - The point.
+   * @return {Boolean} true if the point is inside or on the boundary
+   */
+  containsPoint(p) {
+    return this.distanceToPoint(p) <= 0;
+  }
+
+  /**
+   * @method distanceToPoint
+   * @memberof Sphere
+   * @description Computes the signed distance of a point from the surface of the sphere, negative inside.
+   * @param {Vec3} p - The point.
+   * @return {Number} the signed distance
+   */
+  distanceToPoint(p) {
+    const dx = p.storage[0] - this.center.storage[0];
+    const dy = p.storage[1] - this.center.storage[1];
+    const dz = p.storage[2] - this.center.storage[2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz) - this.radius;
+  }
+
+  /**
+   * @method closestPoint
+   * @memberof Sphere
+   * @description Finds the point of the solid sphere closest to a given point. Points inside are their own closest points.
+   * @param {Vec3} p - The point.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the closest point
+   */
+  closestPoint(p, result) {
+    result = result || new Vec3();
+    const c = this.center.storage;
+    const dx = p.storage[0] - c[0];
+    const dy = p.storage[1] - c[1];
+    const dz = p.storage[2] - c[2];
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const scale = (distance > this.radius) ? this.radius / distance : 1;
+    result.set(c[0] + dx * scale, c[1] + dy * scale, c[2] + dz * scale);
+    return result;
+  }
+
+  /**
+   * @method distanceTo
+   * @memberof Sphere
+   * @description Computes the distance between the sphere and another primitive, which is zero if they intersect.
+   * @param {Plane | Sphere | AABB | OBB | Triangle} primitive - The other primitive.
+   * @return {Number} the distance
+   */
+  distanceTo(primitive) {
+    if(primitive instanceof Plane) {
+      return Math.max(0, Math.abs(primitive.distanceToPoint(this.center)) - this.radius);
+    }
+    return Math.max(0, primitive.distanceToPoint(this.center) - this.radius);
+  }
+
+  /**
+   * @method intersectsPlane
+   * @memberof Sphere
+   * @description Tests whether the sphere is cut by a plane.
+   * @param {Plane} plane - The plane.
+   * @return {Boolean} true if the sphere intersects the plane
+   */
+  intersectsPlane(plane) {
+    return plane.intersectsSphere(this);
+  }
+
+  /**
+   * @method intersectsSphere
+   * @memberof Sphere
+   * @description Tests whether two spheres overlap.
+   * @param {Sphere} sphere - The other sphere.
+   * @return {Boolean} true if the spheres intersect
+   */
+  intersectsSphere(sphere) {
+    return sphere.distanceToPoint(this.center) <= this.radius;
+  }
+
+  /**
+   * @method intersectsAABB
+   * @memberof Sphere
+   * @description Tests whether the sphere overlaps an axis-aligned box.
+   * @param {AABB} aabb - The box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsAABB(aabb) {
+    return aabb.distanceToPoint(this.center) <= this.radius;
+  }
+
+  /**
+   * @method intersectsOBB
+   * @memberof Sphere
+   * @description Tests whether the sphere overlaps an oriented box.
+   * @param {OBB} obb - The box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsOBB(obb) {
+    return obb.distanceToPoint(this.center) <= this.radius;
+  }
+
+  /**
+   * @method intersectsTriangle
+   * @memberof Sphere
+   * @description Tests whether the sphere overlaps a triangle.
+   * @param {Triangle} triangle - The triangle.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsTriangle(triangle) {
+    return triangle.distanceToPoint(this.center) <= this.radius;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Sphere;
+}
@@ -0,0 +1,185 @@
+/**
+ * @file WebGLMath {@link TransformNode} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported TransformNode */
+/**
+ * A node of a scene graph, with a local transformation relative to its nearest TransformNode ancestor in the component hierarchy.
+ * <BR> The local transformation is a scaling, followed by a rotation, followed by a translation, set through the [position]{@link TransformNode#position}, [orientation]{@link TransformNode#orientation}, and [scale]{@link TransformNode#scale} properties. The world transformation is computed into [modelMatrix]{@link TransformNode#modelMatrix} and [modelMatrixInverse]{@link TransformNode#modelMatrixInverse} when [draw]{@link TransformNode#draw} passes through the node.
+ * <BR> While the subcomponents are drawn, the matrices of the nearest TransformNode ancestor are listed in its [shadowedUniformNames]{@link UniformProvider#shadowedUniformNames}, so that programs below the node get its matrices, not those of its ancestors, while the other uniforms of the ancestors still reach the programs.
+ * <BR> Matrices are only recomputed if the local transformation, or the world transformation of the parent node, has changed since the last draw. Changes are detected by comparing to the values used last time, so the local transformation properties can be modified in place.
+ * <BR> As a {@link UniformProvider}, it reflects the uniforms <code>mat4 modelMatrix</code> and <code>mat4 modelMatrixInverse</code>, declared outside of structs, or as members of the uniform structs whose names are given to the constructor.
+ * @extends UniformProvider
+ */
+class TransformNode extends UniformProvider {
+  /**
+   * Creates a node with identity local transformation.
+   * @param {...String} glslStructNames - The names of the uniform structs in the shaders, which have the matrices as their members modelMatrix and modelMatrixInverse.
+   */
+  constructor(...glslStructNames){
+    super(...glslStructNames);
+    this.glslUniformNames.push("modelMatrix", "modelMatrixInverse");
+    /**
+     * @name TransformNode#position
+     * @description Translation relative to the parent node.
+     * @type Vec3
+     */
+    this.position = new Vec3();
+    /**
+     * @name TransformNode#orientation
+     * @description Rotation relative to the parent node, as a unit quaternion.
+     * @type Quat
+     */
+    this.orientation = new Quat();
+    /**
+     * @name TransformNode#scale
+     * @description Scale factors relative to the parent node. Must be nonzero for the inverse model matrix to be finite.
+     * @type Vec3
+     */
+    this.scale = new Vec3(1, 1, 1);
+    /**
+     * @name TransformNode#modelMatrix
+     * @description World transformation of the node, computed by [updateMatrices]{@link TransformNode#updateMatrices}.
+     * @type Mat4
+     */
+    this.modelMatrix = new Mat4();
+    /**
+     * @name TransformNode#modelMatrixInverse
+     * @description Inverse of the world transformation of the node, computed by [updateMatrices]{@link TransformNode#updateMatrices}.
+     * @type Mat4
+     */
+    this.modelMatrixInverse = new Mat4();
+    /**
+     * @name TransformNode#worldVersion
+     * @description Incremented whenever the world transformation is recomputed. Used by child nodes to detect changes.
+     * @type Number
+     */
+    this.worldVersion = 0;
+    // state the matrices were last computed from
+    this.lastLocal = new Float32Array(10);
+    this.lastParent = null;
+    this.lastParentWorldVersion = -1;
+    this.inverseOrientation = new Quat();
+    this.invalidate();
+  }
+
+  /**
+   * @method invalidate
+   * @memberof TransformNode
+   * @description Forces recomputation of the matrices at the next draw.
+   */
+  invalidate() {
+    this.lastParentWorldVersion = -1;
+  }
+
+  /**
+   * Adds subcomponents and lets programs define properties matching their uniforms, like {@link UniformProvider#addComponentsAndGatherUniforms}. The matrices are recomputed at the next draw, so that they are valid even if the matrix objects have been replaced meanwhile.
+   * @param {...UniformProvider} components - Subcomponents to add.
+   */
+  addComponentsAndGatherUniforms(...components){
+    super.addComponentsAndGatherUniforms(...components);
+    this.invalidate();
+  }
+
+  /**
+   * @method updateMatrices
+   * @memberof TransformNode
+   * @description Recomputes the world transformation matrices if the local transformation or the parent's world transformation has changed. Called by [draw]{@link TransformNode#draw}.
+   * @param {TransformNode} [parent] - The nearest TransformNode ancestor, if there is one.
+   * @return {TransformNode} this
+   */
+  updateMatrices(parent) {
+    const last = this.lastLocal;
+    const p = this.position.storage;
+    const q = this.orientation.storage;
+    const s = this.scale.storage;
+    if(parent === this.lastParent &&
+       (parent ? parent.worldVersion : 0) === this.lastParentWorldVersion &&
+       last[0] === p[0] && last[1] === p[1] && last[2] === p[2] &&
+       last[3] === q[0] && last[4] === q[1] && last[5] === q[2] && last[6] === q[3] &&
+       last[7] === s[0] && last[8] === s[1] && last[9] === s[2]) {
+      return this;
+    }
+    last[0] = p[0]; last[1] = p[1]; last[2] = p[2];
+    last[3] = q[0]; last[4] = q[1]; last[5] = q[2]; last[6] = q[3];
+    last[7] = s[0]; last[8] = s[1]; last[9] = s[2];
+    this.lastParent = parent;
+    this.lastParentWorldVersion = parent ? parent.worldVersion : 0;
+
+    this.modelMatrix.compose(this.position, this.orientation, this.scale);
+    this.inverseOrientation.set(this.orientation).conjugate();
+    this.modelMatrixInverse.set().
+      translate(-p[0], -p[1], -p[2]).
+      rotateByQuat(this.inverseOrientation).
+      scale(1 / s[0], 1 / s[1], 1 / s[2]);
+    if(parent) {
+      this.modelMatrix.mul(parent.modelMatrix);
+      this.modelMatrixInverse.premul(parent.modelMatrixInverse);
+    }
+    this.worldVersion++;
+    return this;
+  }
+
+  /**
+   * Updates the matrices, then recursively calls draw on subcomponents, like {@link UniformProvider#draw}, with the matrices of the nearest TransformNode ancestor shadowed.
+   * @param {...UniformProvider} uniformProviders - Providers along the call path, nearest first.
+   */
+  draw(...uniformProviders){
+    const parent = TransformNode.nearest(uniformProviders);
+    this.updateMatrices(parent);
+    const parentShadowedNames = TransformNode.shadowMatrices(parent);
+    super.draw(...uniformProviders);
+    if(parent) {
+      parent.shadowedUniformNames = parentShadowedNames;
+    }
+  }
+
+  /**
+   * Updates the matrices, then recursively calls drawWithOverrides on subcomponents, like {@link UniformProvider#drawWithOverrides}, with the matrices of the nearest TransformNode ancestor shadowed.
+   * @param {Object} overrides - Map of overriding components by class name.
+   * @param {...UniformProvider} uniformProviders - Providers along the call path, nearest first.
+   */
+  drawWithOverrides(overrides, ...uniformProviders){
+    const parent = TransformNode.nearest(uniformProviders);
+    this.updateMatrices(parent);
+    const parentShadowedNames = TransformNode.shadowMatrices(parent);
+    super.drawWithOverrides(overrides, ...uniformProviders);
+    if(parent) {
+      parent.shadowedUniformNames = parentShadowedNames;
+    }
+  }
+
+  /**
+   * @method nearest
+   * @memberof TransformNode
+   * @static
+   * @description Finds the first TransformNode in a list of providers.
+   * @param {UniformProvider[]} uniformProviders - Providers along the call path, nearest first.
+   * @return {TransformNode | undefined} The nearest TransformNode, if there is one.
+   */
+  static nearest(uniformProviders) {
+    for(const provider of uniformProviders) {
+      if(provider instanceof TransformNode) {
+        return provider;
+      }
+    }
+    return undefined;
+  }
+
+  // makes the parent leave its matrices to the node being drawn, returning its shadowed names to restore
+  static shadowMatrices(parent) {
+    if(!parent) {
+      return undefined;
+    }
+    const shadowedNames = parent.shadowedUniformNames;
+    TransformNode.matrixNames = TransformNode.matrixNames || ["modelMatrix", "modelMatrixInverse"];
+    parent.shadowedUniformNames = shadowedNames.length === 0 ? TransformNode.matrixNames : shadowedNames.concat(TransformNode.matrixNames);
+    return shadowedNames;
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = TransformNode;
+}
@@ -0,0 +1,361 @@
+/**
+ * @file WebGLMath {@link Triangle} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported Triangle */
+/**
+ * A triangle, given by its three vertices. Its normal faces the side from which the vertices appear in counterclockwise order.
+ */
+class Triangle {
+  /**
+   * Creates a triangle. Without parameters, all vertices are at the origin.
+   * @param {Vec3 | Object} [a] - First vertex (properties x, y, z are used).
+   * @param {Vec3 | Object} [b] - Second vertex (properties x, y, z are used).
+   * @param {Vec3 | Object} [c] - Third vertex (properties x, y, z are used).
+   */
+  constructor(a, b, c){
+    /**
+     * @name Triangle#a
+     * @description First vertex.
+     * @type Vec3
+     */
+    this.a = new Vec3(a);
+    /**
+     * @name Triangle#b
+     * @description Second vertex.
+     * @type Vec3
+     */
+    this.b = new Vec3(b);
+    /**
+     * @name Triangle#c
+     * @description Third vertex.
+     * @type Vec3
+     */
+    this.c = new Vec3(c);
+  }
+
+  /**
+   * @method clone
+   * @memberof Triangle
+   * @description Creates a copy.
+   * @return {Triangle} A new instance with identical contents.
+   */
+  clone() {
+    return new Triangle(this.a, this.b, this.c);
+  }
+
+  /**
+   * @method set
+   * @memberof Triangle
+   * @description Sets the vertices.
+   * @param {Vec3 | Object} a - First vertex (properties x, y, z are used).
+   * @param {Vec3 | Object} b - Second vertex (properties x, y, z are used).
+   * @param {Vec3 | Object} c - Third vertex (properties x, y, z are used).
+   * @return {Triangle} this
+   */
+  set(a, b, c) {
+    this.a.set(a);
+    this.b.set(b);
+    this.c.set(c);
+    return this;
+  }
+
+  /**
+   * @method transform
+   * @memberof Triangle
+   * @description Transforms the vertices, in place.
+   * @param {Mat4} m - The transformation matrix.
+   * @return {Triangle} this
+   */
+  transform(m) {
+    this.a.xyz1mul(m);
+    this.b.xyz1mul(m);
+    this.c.xyz1mul(m);
+    return this;
+  }
+
+  /**
+   * @method getNormal
+   * @memberof Triangle
+   * @description Computes the unit length normal of the triangle.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the normal
+   */
+  getNormal(result) {
+    result = result || new Vec3();
+    const a = this.a.storage;
+    const b = this.b.storage;
+    const c = this.c.storage;
+    const e1x = b[0] - a[0], e1y = b[1] - a[1], e1z = b[2] - a[2];
+    const e2x = c[0] - a[0], e2y = c[1] - a[1], e2z = c[2] - a[2];
+    return result.set(
+      e1y * e2z - e1z * e2y,
+      e1z * e2x - e1x * e2z,
+      e1x * e2y - e1y * e2x).normalize();
+  }
+
+  /**
+   * @method closestPoint
+   * @memberof Triangle
+   * @description Finds the point of the triangle closest to a given point, by identifying the Voronoi region of the triangle the point is in.
+   * @param {Vec3} p - The point.
+   * @param {Vec3} [result] - The vector to store the result in. A new Vec3 is created if not given.
+   * @return {Vec3} the closest point
+   */
+  closestPoint(p, result) {
+    result = result || new Vec3();
+    const a = this.a.storage;
+    const b = this.b.storage;
+    const c = this.c.storage;
+    const abx = b[0] - a[0], aby = b[1] - a[1], abz = b[2] - a[2];
+    const acx = c[0] - a[0], acy = c[1] - a[1], acz = c[2] - a[2];
+    const apx = p.storage[0] - a[0], apy = p.storage[1] - a[1], apz = p.storage[2] - a[2];
+    const d1 = abx * apx + aby * apy + abz * apz;
+    const d2 = acx * apx + acy * apy + acz * apz;
+    if(d1 <= 0 && d2 <= 0) { // vertex region of a
+      return result.set(this.a);
+    }
+    const bpx = p.storage[0] - b[0], bpy = p.storage[1] - b[1], bpz = p.storage[2] - b[2];
+    const d3 = abx * bpx + aby * bpy + abz * bpz;
+    const d4 = acx * bpx + acy * bpy + acz * bpz;
+    if(d3 >= 0 && d4 <= d3) { // vertex region of b
+      return result.set(this.b);
+    }
+    const vc = d1 * d4 - d3 * d2;
+    if(vc <= 0 && d1 >= 0 && d3 <= 0) { // edge region of ab
+      const v = d1 / (d1 - d3);
+      return result.set(a[0] + abx * v, a[1] + aby * v, a[2] + abz * v);
+    }
+    const cpx = p.storage[0] - c[0], cpy = p.storage[1] - c[1], cpz = p.storage[2] - c[2];
+    const d5 = abx * cpx + aby * cpy + abz * cpz;
+    const d6 = acx * cpx + acy * cpy + acz * cpz;
+    if(d6 >= 0 && d5 <= d6) { // vertex region of c
+      return result.set(this.c);
+    }
+    const vb = d5 * d2 - d1 * d6;
+    if(vb <= 0 && d2 >= 0 && d6 <= 0) { // edge region of ac
+      const w = d2 / (d2 - d6);
+      return result.set(a[0] + acx * w, a[1] + acy * w, a[2] + acz * w);
+    }
+    const va = d3 * d6 - d5 * d4;
+    if(va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) { // edge region of bc
+      const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+      return result.set(b[0] + (c[0] - b[0]) * w, b[1] + (c[1] - b[1]) * w, b[2] + (c[2] - b[2]) * w);
+    }
+    // face region
+    const denominator = 1 / (va + vb + vc);
+    const v = vb * denominator;
+    const w = vc * denominator;
+    return result.set(
+      a[0] + abx * v + acx * w,
+      a[1] + aby * v + acy * w,
+      a[2] + abz * v + acz * w);
+  }
+
+  /**
+   * @method distanceToPoint
+   * @memberof Triangle
+   * @description Computes the distance of a point from the triangle.
+   * @param {Vec3} p - The point.
+   * @return {Number} the distance
+   */
+  distanceToPoint(p) {
+    Triangle.closest = Triangle.closest || new Vec3();
+    const closest = this.closestPoint(p, Triangle.closest).storage;
+    const dx = p.storage[0] - closest[0];
+    const dy = p.storage[1] - closest[1];
+    const dz = p.storage[2] - closest[2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * @method distanceToPlane
+   * @memberof Triangle
+   * @description Computes the distance between the triangle and a plane, zero if the plane cuts it. See {@link Plane#distanceToConvex} for the signed distance.
+   * @param {Plane} plane - The plane.
+   * @return {Number} the distance
+   */
+  distanceToPlane(plane) {
+    return Math.abs(plane.distanceToConvex(this));
+  }
+
+  /**
+   * @method distanceToSphere
+   * @memberof Triangle
+   * @description Computes the distance between the triangle and a sphere, zero if they intersect.
+   * @param {Sphere} sphere - The sphere.
+   * @return {Number} the distance
+   */
+  distanceToSphere(sphere) {
+    return sphere.distanceTo(this);
+  }
+
+  /**
+   * @method distanceToAABB
+   * @memberof Triangle
+   * @description Computes the distance between the triangle and an axis-aligned box, zero if they intersect.
+   * @param {AABB} aabb - The box.
+   * @return {Number} the distance
+   */
+  distanceToAABB(aabb) {
+    return OBB.convexDistance(this, aabb);
+  }
+
+  /**
+   * @method distanceToOBB
+   * @memberof Triangle
+   * @description Computes the distance between the triangle and an oriented box, zero if they intersect.
+   * @param {OBB} obb - The box.
+   * @return {Number} the distance
+   */
+  distanceToOBB(obb) {
+    return OBB.convexDistance(this, obb);
+  }
+
+  /**
+   * @method distanceToTriangle
+   * @memberof Triangle
+   * @description Computes the distance between two triangles, zero if they intersect.
+   * @param {Triangle} triangle - The other triangle.
+   * @return {Number} the distance
+   */
+  distanceToTriangle(triangle) {
+    return OBB.convexDistance(this, triangle);
+  }
+
+  /**
+   * @method projectionCenter
+   * @memberof Triangle
+   * @description Computes the midpoint of the projection of the triangle onto an axis, for separating axis tests.
+   * @param {Number} x - The x coordinate of the axis direction.
+   * @param {Number} y - The y coordinate of the axis direction.
+   * @param {Number} z - The z coordinate of the axis direction.
+   * @return {Number} the midpoint of the projected interval
+   */
+  projectionCenter(x, y, z) {
+    const pa = this.a.dot(x, y, z);
+    const pb = this.b.dot(x, y, z);
+    const pc = this.c.dot(x, y, z);
+    return (Math.min(pa, pb, pc) + Math.max(pa, pb, pc)) * 0.5;
+  }
+
+  /**
+   * @method projectionRadius
+   * @memberof Triangle
+   * @description Computes half the length of the projection of the triangle onto an axis, for separating axis tests.
+   * @param {Number} x - The x coordinate of the axis direction.
+   * @param {Number} y - The y coordinate of the axis direction.
+   * @param {Number} z - The z coordinate of the axis direction.
+   * @return {Number} the projection radius, in units of the axis direction length
+   */
+  projectionRadius(x, y, z) {
+    const pa = this.a.dot(x, y, z);
+    const pb = this.b.dot(x, y, z);
+    const pc = this.c.dot(x, y, z);
+    return (Math.max(pa, pb, pc) - Math.min(pa, pb, pc)) * 0.5;
+  }
+
+  /**
+   * @method getSeparatingAxes
+   * @memberof Triangle
+   * @description Computes the candidate separating axes of the triangle: the normal and the three in-plane normals of the edges, which serve as face normals, followed by the three edge directions. See {@link OBB.separatingAxisTest}. The returned array is allocated at the first call, and overwritten by later calls.
+   * @return {Float32Array} the coordinates of the axes
+   */
+  getSeparatingAxes() {
+    this.separatingAxes = this.separatingAxes || new Float32Array(21);
+    const axes = this.separatingAxes;
+    const a = this.a.storage;
+    const b = this.b.storage;
+    const c = this.c.storage;
+    for(let i=0; i<3; i++) {
+      axes[12+i] = b[i] - a[i];
+      axes[15+i] = c[i] - b[i];
+      axes[18+i] = a[i] - c[i];
+    }
+    axes[0] = axes[13] * axes[17] - axes[14] * axes[16];
+    axes[1] = axes[14] * axes[15] - axes[12] * axes[17];
+    axes[2] = axes[12] * axes[16] - axes[13] * axes[15];
+    for(let j=12; j<21; j+=3) {
+      const i = j - 9;
+      axes[i  ] = axes[1] * axes[j+2] - axes[2] * axes[j+1];
+      axes[i+1] = axes[2] * axes[j  ] - axes[0] * axes[j+2];
+      axes[i+2] = axes[0] * axes[j+1] - axes[1] * axes[j  ];
+    }
+    return axes;
+  }
+
+  /**
+   * @method getVertices
+   * @memberof Triangle
+   * @description Returns the coordinates of the three vertices in a single array, for distance queries. See {@link OBB.convexDistance}. The returned array is allocated at the first call, and overwritten by later calls.
+   * @return {Float32Array} the coordinates of the vertices
+   */
+  getVertices() {
+    this.vertices = this.vertices || new Float32Array(9);
+    this.vertices.set(this.a.storage, 0);
+    this.vertices.set(this.b.storage, 3);
+    this.vertices.set(this.c.storage, 6);
+    return this.vertices;
+  }
+
+  /**
+   * @method intersectsPlane
+   * @memberof Triangle
+   * @description Tests whether the triangle is cut by a plane.
+   * @param {Plane} plane - The plane.
+   * @return {Boolean} true if the triangle intersects the plane
+   */
+  intersectsPlane(plane) {
+    return plane.intersectsConvex(this);
+  }
+
+  /**
+   * @method intersectsSphere
+   * @memberof Triangle
+   * @description Tests whether the triangle overlaps a sphere.
+   * @param {Sphere} sphere - The sphere.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsSphere(sphere) {
+    return sphere.intersectsTriangle(this);
+  }
+
+  /**
+   * @method intersectsAABB
+   * @memberof Triangle
+   * @description Tests whether the triangle overlaps an axis-aligned box.
+   * @param {AABB} aabb - The box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsAABB(aabb) {
+    return OBB.separatingAxisTest(this, aabb);
+  }
+
+  /**
+   * @method intersectsOBB
+   * @memberof Triangle
+   * @description Tests whether the triangle overlaps an oriented box.
+   * @param {OBB} obb - The box.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsOBB(obb) {
+    return OBB.separatingAxisTest(this, obb);
+  }
+
+  /**
+   * @method intersectsTriangle
+   * @memberof Triangle
+   * @description Tests whether two triangles intersect.
+   * @param {Triangle} triangle - The other triangle.
+   * @return {Boolean} true if they intersect
+   */
+  intersectsTriangle(triangle) {
+    return OBB.separatingAxisTest(this, triangle);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = Triangle;
+}
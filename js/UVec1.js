@@ -0,0 +1,73 @@
+/**
+ * @file WebGLMath {@link UVec1} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported UVec1 */
+/** A 32-bit unsigned integer wrapped as a single-element vector. May reflect an GLSL uint uniform variable. */
+class UVec1{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (0). Values are truncated to unsigned integers.
+   * @param {UVec1 | Object | Number} [u=0] - Any object (property x), or a numerical value.
+   */
+  constructor(u){
+    /**
+     * @name UVec1#storage
+     * @description 1-element typed array for coordinate storage.
+     * @type Uint32Array
+     */
+    this.storage = new Uint32Array([
+      u && u.x || Number(u).valueOf() || 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof UVec1
+   * @description Creates a copy.
+   * @return {UVec1} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(UVec1.prototype);
+    result.storage = new Uint32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof UVec1
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or number values. Without parameters, sets (0). Values are truncated to unsigned integers.
+   * @param {UVec1 | Object | Number} [u=0] - Any object (property x), or a numerical value.
+   * @return {UVec1} this
+   */
+  set(u) {
+    this.storage[0] = u && u.x || Number(u).valueOf() || 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof UVec1
+   * @description Sets the value of the vector to a WebGL uint uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform1uiv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name UVec1#x
+ * @description Alias for storage[0];
+ * @type Number
+ */
+Object.defineProperty(UVec1.prototype, 'x', {
+  get: function() { return this.storage[0]; },
+  set: function(value) { this.storage[0] = value; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = UVec1;
+}
@@ -0,0 +1,89 @@
+/**
+ * @file WebGLMath {@link UVec2} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported UVec2 */
+/**
+ * Two-element vector of 32-bit unsigned integers. May reflect an GLSL uvec2 uniform variable.
+ */
+class UVec2{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (0, 0). Values are truncated to unsigned integers.
+   * @param {UVec2 | Object | Number} [u=0] - Any object (properties x, y are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   */
+  constructor(u, v){
+    /**
+     * @name UVec2#storage
+     * @description 2-element typed array for coordinate storage.
+     * @type Uint32Array
+     */
+    this.storage = new Uint32Array([
+      u && u.x || Number(u).valueOf() || 0,
+      u && u.y || Number(v).valueOf() || 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof UVec2
+   * @description Creates a copy.
+   * @return {UVec2} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(UVec2.prototype);
+    result.storage = new Uint32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof UVec2
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or number values. Without parameters, sets (0, 0). Values are truncated to unsigned integers.
+   * @param {UVec2 | Object | Number} [u=0] - Any object (properties x, y are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @return {UVec2} this
+   */
+  set(u, v) {
+    this.storage[0] = u && u.x || Number(u).valueOf() || 0;
+    this.storage[1] = u && u.y || Number(v).valueOf() || 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof UVec2
+   * @description Sets the value of the vector to a WebGL uvec2 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform2uiv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name UVec2#x
+ * @description Alias for storage[0];
+ * @type Number
+ */
+Object.defineProperty(UVec2.prototype, 'x', {
+  get: function() { return this.storage[0]; },
+  set: function(value) { this.storage[0] = value; }
+});
+
+/**
+ * @name UVec2#y
+ * @description Alias for storage[1];
+ * @type Number
+ */
+Object.defineProperty(UVec2.prototype, 'y', {
+  get: function() { return this.storage[1]; },
+  set: function(value) { this.storage[1] = value; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = UVec2;
+}
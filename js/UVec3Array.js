@@ -0,0 +1,67 @@
+/**
+ * @file WebGLMath UVec3Array class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported UVec3Array */
+/**
+ * Array of three-element vectors of 32-bit unsigned integers. May reflect an GLSL array-of-uvec3s uniform variable.
+ * <BR> Individual [UVec3]{@link UVec3} elements are available through the [at]{@link UVec3Array#at} method.
+ * Bulk methods of {@link VecArray} are available, storing their results as integers, e.g. truncating quotients.
+ * @extends VecArray
+ */
+class UVec3Array extends VecArray{
+  /**
+   * Creates an array of vectors.
+   * @param {Number | Array} size - The number of UVec3 elements in the array, or an array of 3n elements.
+   */
+  constructor(size){
+    super();
+    this.length = size.length/3 || size;
+    this.storage = new Uint32Array(size.length && size || size * 3);
+  }
+
+  /**
+   * @method at
+   * @memberof UVec3Array
+   * @description Returns a new UVec3 object that captures an element of the array. The new vector is a view on the original data, not a copy.
+   * @param index {Number} - Index of the element.
+   * @return {UVec3} new view on one of the array's elements
+   */
+  at(index){
+    const result = Object.create(UVec3.prototype);
+    result.storage = this.storage.subarray(index*3, index*3+3);
+    return result;
+  }
+
+  /**
+   * @method subarray
+   * @memberof UVec3Array
+   * @description Returns a new UVec3Array object that captures a subrange of the array. The new array is a view on the original data, not a copy.
+   * @param {Number} [begin=0] - Element to begin at. The offset is inclusive. The whole array will be cloned if this value is not specified.
+   * @param {Number} [end=length] - Element to end at. The offset is exclusive. If not specified, all elements from the one specified by begin to the end of the array are included in the new view.
+   * @return {UVec3Array} new view on some of the array's elements
+   */
+  subarray(begin, end){
+    const result = Object.create(UVec3Array.prototype);
+    result.storage = this.storage.subarray(begin*3, end*3);
+    result.length  = result.storage.length/3;
+    return result;
+  }
+
+  /**
+   * @method commit
+   * @memberof UVec3Array
+   * @description Sets the value of the vector array to a WebGL uvec3 array uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform3uiv(uniformLocation, this.storage);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = UVec3Array;
+}
@@ -0,0 +1,117 @@
+/**
+ * @file WebGLMath {@link UVec4} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported UVec4 */
+/**
+ * Four-element vector of 32-bit unsigned integers. May reflect an GLSL uvec4 uniform variable.
+ */
+class UVec4{
+  /**
+   * Creates a vector. Without parameters, initializes the vector to (0, 0, 0, 0). Values are truncated to unsigned integers.
+   * @param {UVec4 | Object | Number} [u=0] - Any object (properties x, y, z, w are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @param {Number} [t=0] - Ignored if u.w is defined. Otherwise, the value for coordinate w.
+   */
+  constructor(u, v, s, t){
+    /**
+     * @name UVec4#storage
+     * @description 4-element typed array for coordinate storage.
+     * @type Uint32Array
+     */
+    this.storage = new Uint32Array([
+      u && u.x || Number(u).valueOf() || 0,
+      u && u.y || Number(v).valueOf() || 0,
+      u && u.z || Number(s).valueOf() || 0,
+      u && u.w || Number(t).valueOf() || 0
+    ]);
+  }
+
+  /**
+   * @method clone
+   * @memberof UVec4
+   * @description Creates a copy.
+   * @return {UVec4} A new instance with identical contents.
+   */
+  clone() {
+    const result = Object.create(UVec4.prototype);
+    result.storage = new Uint32Array(this.storage);
+    return result;
+  }
+
+  /**
+   * @method set
+   * @memberof UVec4
+   * @description Simulates operator <code>=</code>. Sets the coordinates from another vector, or number values. Without parameters, sets (0, 0, 0, 0). Values are truncated to unsigned integers.
+   * @param {UVec4 | Object | Number} [u=0] - Any object (properties x, y, z, w are interpreted as coordinates, if given), or a numerical value for coordinate x.
+   * @param {Number} [v=0] - Ignored if u.y is defined. Otherwise, the value for coordinate y.
+   * @param {Number} [s=0] - Ignored if u.z is defined. Otherwise, the value for coordinate z.
+   * @param {Number} [t=0] - Ignored if u.w is defined. Otherwise, the value for coordinate w.
+   * @return {UVec4} this
+   */
+  set(u, v, s, t) {
+    this.storage[0] = u && u.x || Number(u).valueOf() || 0;
+    this.storage[1] = u && u.y || Number(v).valueOf() || 0;
+    this.storage[2] = u && u.z || Number(s).valueOf() || 0;
+    this.storage[3] = u && u.w || Number(t).valueOf() || 0;
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof UVec4
+   * @description Sets the value of the vector to a WebGL uvec4 uniform variable.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {WebGLUniformLocation} uniformLocation - location of the uniform variable in the currently used WebGL program
+   */
+  commit(gl, uniformLocation){
+    gl.uniform4uiv(uniformLocation, this.storage);
+  }
+}
+
+/**
+ * @name UVec4#x
+ * @description Alias for storage[0];
+ * @type Number
+ */
+Object.defineProperty(UVec4.prototype, 'x', {
+  get: function() { return this.storage[0]; },
+  set: function(value) { this.storage[0] = value; }
+});
+
+/**
+ * @name UVec4#y
+ * @description Alias for storage[1];
+ * @type Number
+ */
+Object.defineProperty(UVec4.prototype, 'y', {
+  get: function() { return this.storage[1]; },
+  set: function(value) { this.storage[1] = value; }
+});
+
+/**
+ * @name UVec4#z
+ * @description Alias for storage[2];
+ * @type Number
+ */
+Object.defineProperty(UVec4.prototype, 'z', {
+  get: function() { return this.storage[2]; },
+  set: function(value) { this.storage[2] = value; }
+});
+
+/**
+ * @name UVec4#w
+ * @description Alias for storage[3];
+ * @type Number
+ */
+Object.defineProperty(UVec4.prototype, 'w', {
+  get: function() { return this.storage[3]; },
+  set: function(value) { this.storage[3] = value; }
+});
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = UVec4;
+}
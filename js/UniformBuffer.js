@@ -0,0 +1,125 @@
+/**
+ * @file WebGLMath {@link UniformBuffer} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported UniformBuffer */
+/**
+ * The data of a uniform block, owned by a {@link UniformProvider}, and uploaded into a WebGL uniform buffer object.
+ * <BR> Created by [ProgramReflection]{@link ProgramReflection} for uniform blocks with the std140 layout. Reflection variables whose layout in the block matches their storage, e.g. vec4, mat4, or arrays of them, are turned into views of [data]{@link UniformBuffer#data}, so setting them sets the buffer contents directly. Others, e.g. mat3 or arrays of floats, which are padded in the block, keep their storage, and are copied into the buffer before uploading.
+ * <BR> The buffer is only uploaded if its contents have changed since the last upload. Changes are detected by comparing to the values uploaded last time, so the reflection variables can be modified in place.
+ */
+class UniformBuffer {
+  /**
+   * Creates a zero-filled buffer. The WebGL buffer object is created at the first commit.
+   * @param {Number} size - The size of the uniform block, in bytes.
+   */
+  constructor(size){
+    /**
+     * @name UniformBuffer#data
+     * @description The contents of the uniform block.
+     * @type ArrayBuffer
+     */
+    this.data = new ArrayBuffer(size);
+    /**
+     * @name UniformBuffer#glBuffer
+     * @description The WebGL buffer object, created by the first [commit]{@link UniformBuffer#commit}.
+     * @type WebGLBuffer
+     */
+    this.glBuffer = null;
+    // typed views for copying padded variables, and for change detection
+    this.floats = new Float32Array(this.data);
+    this.ints = new Int32Array(this.data);
+    this.uints = new Uint32Array(this.data);
+    this.uploadedUints = new Uint32Array(size / 4);
+    // variables not viewing the buffer, with the layout to copy them with
+    this.paddedVariables = [];
+  }
+
+  /**
+   * @method attach
+   * @memberof UniformBuffer
+   * @description Places the contents of a reflection variable in the buffer, as described by a uniform descriptor. If the layout in the block matches the storage of the variable, the storage is replaced by a view of the buffer, initialized with the current value. References to the old storage, or views of it, e.g. ones kept from an earlier <code>variable.storage</code>, or elements returned by <code>at</code> of an array variable before attaching, are not updated, so changes made through them do not reach the buffer. Otherwise, the variable is copied into the buffer at every [commit]{@link UniformBuffer#commit}. Attaching a variable again has no effect.
+   * @param {Vec1 | Vec2 | Vec3 | Vec4 | Mat2 | Mat3 | Mat4 | Object} variable - The reflection variable, with a typed array storage.
+   * @param {Object} uniformDesc - The uniform descriptor, with byte offset, array stride and matrix stride in the block, as extracted by {@link ProgramReflection}.
+   * @return {UniformBuffer} this
+   */
+  attach(variable, uniformDesc) {
+    const storage = variable.storage;
+    const elementLength = storage.length / uniformDesc.size;
+    // matrices are stored as columns, array elements after each other, both padded in the block
+    const chunkLength = uniformDesc.matrixStride ? elementLength / uniformDesc.columnCount : elementLength;
+    const chunkStride = (uniformDesc.matrixStride || uniformDesc.arrayStride) / 4;
+    if(chunkLength === storage.length || chunkLength === chunkStride) {
+      if(storage.buffer === this.data && storage.byteOffset === uniformDesc.offset) {
+        return this;
+      }
+      const view = new storage.constructor(this.data, uniformDesc.offset, storage.length);
+      view.set(storage);
+      variable.storage = view;
+      return this;
+    }
+    for(const padded of this.paddedVariables) {
+      if(padded.variable === variable) {
+        return this;
+      }
+    }
+    this.paddedVariables.push({
+      variable : variable,
+      offset : uniformDesc.offset / 4,
+      chunkLength : chunkLength,
+      chunkStride : chunkStride
+    });
+    return this;
+  }
+
+  /**
+   * @method commit
+   * @memberof UniformBuffer
+   * @description Copies padded variables into the buffer, uploads the contents into the WebGL buffer object if they have changed, and binds it to a uniform buffer binding point.
+   * @param {WebGL2RenderingContext} gl - rendering context
+   * @param {Number} binding - The index of the uniform buffer binding point.
+   */
+  commit(gl, binding) {
+    for(const padded of this.paddedVariables) {
+      const source = padded.variable.storage;
+      const target = source instanceof Float32Array ? this.floats : source instanceof Uint32Array ? this.uints : this.ints;
+      for(let i=0, j=padded.offset; i<source.length; i+=padded.chunkLength, j+=padded.chunkStride) {
+        for(let k=0; k<padded.chunkLength; k++) {
+          target[j+k] = source[i+k];
+        }
+      }
+    }
+    if(this.glBuffer === null) {
+      this.glBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.UNIFORM_BUFFER, this.glBuffer);
+      gl.bufferData(gl.UNIFORM_BUFFER, this.data.byteLength, gl.DYNAMIC_DRAW);
+      this.upload(gl);
+    } else if(this.hasChanged()) {
+      gl.bindBuffer(gl.UNIFORM_BUFFER, this.glBuffer);
+      this.upload(gl);
+    }
+    gl.bindBufferBase(gl.UNIFORM_BUFFER, binding, this.glBuffer);
+  }
+
+  // returns true if the contents differ from the ones uploaded last time
+  hasChanged() {
+    for(let i=0; i<this.uints.length; i++) {
+      if(this.uints[i] !== this.uploadedUints[i]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // uploads the contents into the bound buffer, and records them for change detection
+  upload(gl) {
+    gl.bufferSubData(gl.UNIFORM_BUFFER, 0, this.uints);
+    this.uploadedUints.set(this.uints);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = UniformBuffer;
+}
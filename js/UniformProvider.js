@@ -11,6 +11,30 @@ class UniformProvider {
    */
   constructor(...glslStructNames){
     this.glslStructNames = glslStructNames;
+    /**
+     * @name UniformProvider#glslUniformNames
+     * @description The names of uniforms declared outside of structs in the shaders that should be reflected in ---and their values provided by--- this object. Empty by default, subclasses should add names before calling [addComponentsAndGatherUniforms]{addComponentsAndGatherUniforms}.
+     * @type String[]
+     */
+    this.glslUniformNames = [];
+    /**
+     * @name UniformProvider#visible
+     * @description If false, [draw]{@link UniformProvider#draw} and [drawWithOverrides]{@link UniformProvider#drawWithOverrides} skip this provider and its whole subtree, e.g. when its bounding volume is found to be outside of the view {@link Frustum}. Values written by [Frustum#computeVisibility]{@link Frustum#computeVisibility} into a mask can be assigned directly. True by default.
+     * @type Boolean | Number
+     */
+    this.visible = true;
+    /**
+     * @name UniformProvider#uniformBuffers
+     * @description The contents of uniform blocks provided by this object, by block name. Created by [ProgramReflection]{ProgramReflection.html}.
+     * @type Object
+     */
+    this.uniformBuffers = {};
+    /**
+     * @name UniformProvider#shadowedUniformNames
+     * @description The names of uniforms, declared outside of structs or as struct members, that [ProgramReflection#draw]{@link ProgramReflection#draw} should not set from this object, as a provider nearer to the program is responsible for them. Uniform blocks with such a member are not bound from this object either. Empty by default.
+     * @type String[]
+     */
+    this.shadowedUniformNames = [];
     this.components = new Set();
   }
 
@@ -43,8 +67,12 @@ class UniformProvider {
    * Recursively calls draw on subcomponents, inserting all providers along the call path into the parameter list.
    * [ProgramReflection]{ProgramReflection.html} instances at the leaves of the component hierarchy can then set uniform values from all providers in the parent chain.
    * Other drawable objects (notably geometries) at the leaves of the node hierarchy can draw contents.
+   * Does nothing if [visible]{@link UniformProvider#visible} is false.
    */
   draw(...uniformProviders){
+    if(!this.visible) {
+      return;
+    }
     for(const component of this.components){
       component.draw(this, ...uniformProviders);
     }
@@ -77,8 +105,12 @@ class UniformProvider {
    * Recursively calls drawWithOverrides on subcomponents, but if there is
    * an object of matching type in overrides, drawWithOverrides is called
    * on it instead of the subcomponent.
+   * Does nothing if [visible]{@link UniformProvider#visible} is false.
    */
   drawWithOverrides(overrides, ...uniformProviders){
+    if(!this.visible) {
+      return;
+    }
     for(let component of this.components){
       if(component.constructor.name in overrides){
         component = overrides[component.constructor.name];
@@ -400,6 +400,567 @@ class Vec1{
     return this;
   }
 
+  /**
+   * @method mix
+   * @memberof Vec1
+   * @description Simulates GLSL <code>mix</code>. Linearly interpolates between this vector and another one, and returns the result in a new instance.
+   * @param {Vec1} b - The vector to interpolate towards.
+   * @param {Vec1 | Number} t - Interpolation weight of b. Values outside [0, 1] extrapolate.
+   * @return {Vec1} the interpolated vector
+   */
+  mix(b, t) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setMix(this, b, t);
+  }
+
+  /**
+   * @method setMix
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>mix</code>. Linearly interpolates between two vectors, computing <code>b * (1 - t) + c * t</code>, storing the result in this vector.
+   * @param {Vec1} b - The vector at weight 0.
+   * @param {Vec1} c - The vector at weight 1.
+   * @param {Vec1 | Number} t - Interpolation weight of c. Values outside [0, 1] extrapolate.
+   * @return {Vec1} this
+   */
+  setMix(b, c, t) {
+    const tX = t.storage ? t.storage[0] : t;
+    this.storage[0] = b.storage[0] * (1 - tX) + c.storage[0] * tX;
+    return this;
+  }
+
+  /**
+   * @method step
+   * @memberof Vec1
+   * @description Simulates GLSL <code>step</code>. Compares this vector to an edge and returns a new instance with 0 where this vector is less than the edge, and 1 elsewhere.
+   * @param {Vec1 | Number} edge - The location of the edge.
+   * @return {Vec1} the step function values
+   */
+  step(edge) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setStep(edge, this);
+  }
+
+  /**
+   * @method setStep
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>step</code>. Compares a vector to an edge, storing 0 in this vector where x is less than the edge, and 1 elsewhere.
+   * @param {Vec1 | Number} edge - The location of the edge.
+   * @param {Vec1} x - The vector to compare.
+   * @return {Vec1} this
+   */
+  setStep(edge, x) {
+    const edgeX = edge.storage ? edge.storage[0] : edge;
+    this.storage[0] = x.storage[0] < edgeX ? 0 : 1;
+    return this;
+  }
+
+  /**
+   * @method smoothstep
+   * @memberof Vec1
+   * @description Simulates GLSL <code>smoothstep</code>. Performs Hermite interpolation between 0 and 1 as this vector goes from edge0 to edge1, and returns the result in a new instance. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {Vec1 | Number} edge0 - The location of the lower edge.
+   * @param {Vec1 | Number} edge1 - The location of the upper edge.
+   * @return {Vec1} the interpolated values
+   */
+  smoothstep(edge0, edge1) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setSmoothstep(edge0, edge1, this);
+  }
+
+  /**
+   * @method setSmoothstep
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>smoothstep</code>. Performs Hermite interpolation between 0 and 1 as x goes from edge0 to edge1, storing the result in this vector. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {Vec1 | Number} edge0 - The location of the lower edge.
+   * @param {Vec1 | Number} edge1 - The location of the upper edge.
+   * @param {Vec1} x - The source value for interpolation.
+   * @return {Vec1} this
+   */
+  setSmoothstep(edge0, edge1, x) {
+    const edge0X = edge0.storage ? edge0.storage[0] : edge0;
+    const edge1X = edge1.storage ? edge1.storage[0] : edge1;
+    let t = Math.min(Math.max((x.storage[0] - edge0X) / (edge1X - edge0X), 0), 1);
+    this.storage[0] = t * t * (3 - 2 * t);
+    return this;
+  }
+
+  /**
+   * @method fract
+   * @memberof Vec1
+   * @description Simulates GLSL <code>fract</code>. Computes the fractional part of this vector, <code>x - floor(x)</code>, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  fract() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setFract(this);
+  }
+
+  /**
+   * @method setFract
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>fract</code>. Computes the fractional part of the argument, <code>x - floor(x)</code>, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setFract(b) {
+    this.storage[0] = b.storage[0] - Math.floor(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method sign
+   * @memberof Vec1
+   * @description Simulates GLSL <code>sign</code>. Computes the sign of this vector: -1, 0 or 1, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  sign() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setSign(this);
+  }
+
+  /**
+   * @method setSign
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>sign</code>. Computes the sign of the argument: -1, 0 or 1, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setSign(b) {
+    this.storage[0] = Math.sign(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method abs
+   * @memberof Vec1
+   * @description Simulates GLSL <code>abs</code>. Computes the absolute value of this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  abs() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setAbs(this);
+  }
+
+  /**
+   * @method setAbs
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>abs</code>. Computes the absolute value of the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setAbs(b) {
+    this.storage[0] = Math.abs(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method floor
+   * @memberof Vec1
+   * @description Simulates GLSL <code>floor</code>. Computes the nearest integer less than or equal to this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  floor() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setFloor(this);
+  }
+
+  /**
+   * @method setFloor
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>floor</code>. Computes the nearest integer less than or equal to the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setFloor(b) {
+    this.storage[0] = Math.floor(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method ceil
+   * @memberof Vec1
+   * @description Simulates GLSL <code>ceil</code>. Computes the nearest integer greater than or equal to this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  ceil() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setCeil(this);
+  }
+
+  /**
+   * @method setCeil
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>ceil</code>. Computes the nearest integer greater than or equal to the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setCeil(b) {
+    this.storage[0] = Math.ceil(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method exp
+   * @memberof Vec1
+   * @description Simulates GLSL <code>exp</code>. Computes the natural exponentiation of this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  exp() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setExp(this);
+  }
+
+  /**
+   * @method setExp
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>exp</code>. Computes the natural exponentiation of the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setExp(b) {
+    this.storage[0] = Math.exp(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method log
+   * @memberof Vec1
+   * @description Simulates GLSL <code>log</code>. Computes the natural logarithm of this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  log() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setLog(this);
+  }
+
+  /**
+   * @method setLog
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>log</code>. Computes the natural logarithm of the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setLog(b) {
+    this.storage[0] = Math.log(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method sqrt
+   * @memberof Vec1
+   * @description Simulates GLSL <code>sqrt</code>. Computes the square root of this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  sqrt() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setSqrt(this);
+  }
+
+  /**
+   * @method setSqrt
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>sqrt</code>. Computes the square root of the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setSqrt(b) {
+    this.storage[0] = Math.sqrt(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method inversesqrt
+   * @memberof Vec1
+   * @description Simulates GLSL <code>inversesqrt</code>. Computes the inverse of the square root of this vector, and returns the result in a new instance.
+   * @return {Vec1} the result
+   */
+  inversesqrt() {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setInversesqrt(this);
+  }
+
+  /**
+   * @method setInversesqrt
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>inversesqrt</code>. Computes the inverse of the square root of the argument, storing the result in this vector.
+   * @param {Vec1} b - The argument.
+   * @return {Vec1} this
+   */
+  setInversesqrt(b) {
+    this.storage[0] = 1 / Math.sqrt(b.storage[0]);
+    return this;
+  }
+
+  /**
+   * @method mod
+   * @memberof Vec1
+   * @description Simulates GLSL <code>mod</code>. Computes this vector modulo y, as <code>x - y * floor(x / y)</code>, and returns the result in a new instance. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {Vec1 | Number} y - The divisor.
+   * @return {Vec1} the remainder
+   */
+  mod(y) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setMod(this, y);
+  }
+
+  /**
+   * @method setMod
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>mod</code>. Computes b modulo y, as <code>b - y * floor(b / y)</code>, storing the result in this vector. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {Vec1} b - The dividend.
+   * @param {Vec1 | Number} y - The divisor.
+   * @return {Vec1} this
+   */
+  setMod(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    this.storage[0] = b.storage[0] - yX * Math.floor(b.storage[0] / yX);
+    return this;
+  }
+
+  /**
+   * @method min
+   * @memberof Vec1
+   * @description Simulates GLSL <code>min</code>. Computes the minimum of this vector and y, and returns the result in a new instance.
+   * @param {Vec1 | Number} y - The other operand.
+   * @return {Vec1} the result
+   */
+  min(y) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setMin(this, y);
+  }
+
+  /**
+   * @method setMin
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>min</code>. Computes the minimum of b and y, storing the result in this vector.
+   * @param {Vec1} b - The first operand.
+   * @param {Vec1 | Number} y - The other operand.
+   * @return {Vec1} this
+   */
+  setMin(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    this.storage[0] = Math.min(b.storage[0], yX);
+    return this;
+  }
+
+  /**
+   * @method max
+   * @memberof Vec1
+   * @description Simulates GLSL <code>max</code>. Computes the maximum of this vector and y, and returns the result in a new instance.
+   * @param {Vec1 | Number} y - The other operand.
+   * @return {Vec1} the result
+   */
+  max(y) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setMax(this, y);
+  }
+
+  /**
+   * @method setMax
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>max</code>. Computes the maximum of b and y, storing the result in this vector.
+   * @param {Vec1} b - The first operand.
+   * @param {Vec1 | Number} y - The other operand.
+   * @return {Vec1} this
+   */
+  setMax(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    this.storage[0] = Math.max(b.storage[0], yX);
+    return this;
+  }
+
+  /**
+   * @method pow
+   * @memberof Vec1
+   * @description Simulates GLSL <code>pow</code>. Computes this vector raised to the power y, and returns the result in a new instance.
+   * @param {Vec1 | Number} y - The exponent.
+   * @return {Vec1} the result
+   */
+  pow(y) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setPow(this, y);
+  }
+
+  /**
+   * @method setPow
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>pow</code>. Computes b raised to the power y, storing the result in this vector.
+   * @param {Vec1} b - The base.
+   * @param {Vec1 | Number} y - The exponent.
+   * @return {Vec1} this
+   */
+  setPow(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    this.storage[0] = Math.pow(b.storage[0], yX);
+    return this;
+  }
+
+  /**
+   * @method reflect
+   * @memberof Vec1
+   * @description Simulates GLSL <code>reflect</code>. Computes the reflection direction of this incident vector, and returns the result in a new instance.
+   * @param {Vec1} n - The surface normal. Should be normalized for the desired result.
+   * @return {Vec1} the reflected vector
+   */
+  reflect(n) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setReflect(this, n);
+  }
+
+  /**
+   * @method setReflect
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>reflect</code>. Computes the reflection direction of an incident vector, <code>i - 2 * dot(n, i) * n</code>, storing the result in this vector.
+   * @param {Vec1} i - The incident vector.
+   * @param {Vec1} n - The surface normal. Should be normalized for the desired result.
+   * @return {Vec1} this
+   */
+  setReflect(i, n) {
+    const d2 = 2 * (n.storage[0] * i.storage[0]);
+    this.storage[0] = i.storage[0] - d2 * n.storage[0];
+    return this;
+  }
+
+  /**
+   * @method refract
+   * @memberof Vec1
+   * @description Simulates GLSL <code>refract</code>. Computes the refraction direction of this incident vector, and returns the result in a new instance. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec1} n - The surface normal. This vector and n should be normalized for the desired result.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec1} the refracted vector
+   */
+  refract(n, eta) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setRefract(this, n, eta);
+  }
+
+  /**
+   * @method setRefract
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>refract</code>. Computes the refraction direction of an incident vector, storing the result in this vector. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec1} i - The incident vector. Should be normalized for the desired result.
+   * @param {Vec1} n - The surface normal. Should be normalized for the desired result.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec1} this
+   */
+  setRefract(i, n, eta) {
+    const d = n.storage[0] * i.storage[0];
+    const k = 1 - eta * eta * (1 - d * d);
+    if(k < 0) {
+      this.storage[0] = 0;
+      return this;
+    }
+    const s = eta * d + Math.sqrt(k);
+    this.storage[0] = eta * i.storage[0] - s * n.storage[0];
+    return this;
+  }
+
+  /**
+   * @method faceforward
+   * @memberof Vec1
+   * @description Simulates GLSL <code>faceforward</code>. Returns this normal vector in a new instance, negated if needed to point away from the incident vector, as decided by a reference normal.
+   * @param {Vec1} i - The incident vector.
+   * @param {Vec1} nref - The reference normal.
+   * @return {Vec1} the oriented normal
+   */
+  faceforward(i, nref) {
+    const result = Object.create(Vec1.prototype);
+    result.storage = new Float32Array(1);
+    return result.setFaceforward(this, i, nref);
+  }
+
+  /**
+   * @method setFaceforward
+   * @memberof Vec1
+   * @description Fast. Simulates GLSL <code>faceforward</code>. Stores the normal vector n in this vector if <code>dot(nref, i) < 0</code>, or its negation otherwise.
+   * @param {Vec1} n - The normal vector to orient.
+   * @param {Vec1} i - The incident vector.
+   * @param {Vec1} nref - The reference normal.
+   * @return {Vec1} this
+   */
+  setFaceforward(n, i, nref) {
+    const s = (nref.storage[0] * i.storage[0]) < 0 ? 1 : -1;
+    this.storage[0] = s * n.storage[0];
+    return this;
+  }
+
+  /**
+   * @method distance
+   * @memberof Vec1
+   * @description Simulates GLSL <code>distance</code>. Computes the distance between this value and another one.
+   * @param {Vec1} b - The other value.
+   * @return {Number} the distance
+   */
+  distance(b) {
+    return Math.abs(this.storage[0] - b.storage[0]);
+  }
+
+  /**
+   * @method setDistanceOfVec2s
+   * @memberof Vec1
+   * @description Simulates GLSL <code>distance</code>. Computes the distance of two two-element vectors, and stores the result.
+   * @param {Vec2} b - The first point.
+   * @param {Vec2} c - The second point.
+   * @return this
+   */
+  setDistanceOfVec2s(b, c) {
+    const dx = b.storage[0] - c.storage[0];
+    const dy = b.storage[1] - c.storage[1];
+    this.storage[0] = Math.sqrt(dx * dx + dy * dy);
+    return this;
+  }
+
+  /**
+   * @method setDistanceOfVec3s
+   * @memberof Vec1
+   * @description Simulates GLSL <code>distance</code>. Computes the distance of two three-element vectors, and stores the result.
+   * @param {Vec3} b - The first point.
+   * @param {Vec3} c - The second point.
+   * @return this
+   */
+  setDistanceOfVec3s(b, c) {
+    const dx = b.storage[0] - c.storage[0];
+    const dy = b.storage[1] - c.storage[1];
+    const dz = b.storage[2] - c.storage[2];
+    this.storage[0] = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    return this;
+  }
+
+  /**
+   * @method setDistanceOfVec4s
+   * @memberof Vec1
+   * @description Simulates GLSL <code>distance</code>. Computes the distance of two four-element vectors, and stores the result.
+   * @param {Vec4} b - The first point.
+   * @param {Vec4} c - The second point.
+   * @return this
+   */
+  setDistanceOfVec4s(b, c) {
+    const dx = b.storage[0] - c.storage[0];
+    const dy = b.storage[1] - c.storage[1];
+    const dz = b.storage[2] - c.storage[2];
+    const dw = b.storage[3] - c.storage[3];
+    this.storage[0] = Math.sqrt(dx * dx + dy * dy + dz * dz + dw * dw);
+    return this;
+  }
+
   /**
    * @method commit
    * @memberof Vec1  
@@ -210,6 +210,119 @@ class Vec1Array extends VecArray {
     return this;
   }
 
+  /**
+   * @method setReflect
+   * @memberof Vec1Array
+   * @description Simulates GLSL <code>reflect</code>. Computes the reflection directions of incident vectors, <code>i - 2 * dot(n, i) * n</code>, storing the result in this array.
+   * @param {Vec1Array} i - Array of incident vectors. Its length must be identical to this array's length.
+   * @param {Vec1Array} n - Array of surface normals. Should be normalized for the desired result. Its length must be identical to this array's length.
+   * @return {Vec1Array} this
+   */
+  setReflect(i, n) {
+    for(let j=0; j<this.storage.length; j+=1) {
+      const d2 = 2 * (n.storage[j] * i.storage[j]);
+      this.storage[j] = i.storage[j] - d2 * n.storage[j];
+    }
+    return this;
+  }
+
+  /**
+   * @method setRefract
+   * @memberof Vec1Array
+   * @description Simulates GLSL <code>refract</code>. Computes the refraction directions of incident vectors, storing the result in this array. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec1Array} i - Array of incident vectors. Should be normalized for the desired result. Its length must be identical to this array's length.
+   * @param {Vec1Array} n - Array of surface normals. Should be normalized for the desired result. Its length must be identical to this array's length.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec1Array} this
+   */
+  setRefract(i, n, eta) {
+    for(let j=0; j<this.storage.length; j+=1) {
+      const d = n.storage[j] * i.storage[j];
+      const k = 1 - eta * eta * (1 - d * d);
+      if(k < 0) {
+        this.storage[j] = 0;
+        continue;
+      }
+      const s = eta * d + Math.sqrt(k);
+      this.storage[j] = eta * i.storage[j] - s * n.storage[j];
+    }
+    return this;
+  }
+
+  /**
+   * @method setFaceforward
+   * @memberof Vec1Array
+   * @description Simulates GLSL <code>faceforward</code>. Stores the normal vectors n in this array where <code>dot(nref, i) < 0</code>, and their negations elsewhere.
+   * @param {Vec1Array} n - Array of normal vectors to orient. Its length must be identical to this array's length.
+   * @param {Vec1Array} i - Array of incident vectors. Its length must be identical to this array's length.
+   * @param {Vec1Array} nref - Array of reference normals. Its length must be identical to this array's length.
+   * @return {Vec1Array} this
+   */
+  setFaceforward(n, i, nref) {
+    for(let j=0; j<this.storage.length; j+=1) {
+      const s = (nref.storage[j] * i.storage[j]) < 0 ? 1 : -1;
+      this.storage[j] = s * n.storage[j];
+    }
+    return this;
+  }
+
+  /**
+   * @method distanceVec2s
+   * @memberof Vec1Array
+   * @description Simulates GLSL <code>distance</code>. Computes the distances of two-element vectors in arrays, and stores the result.
+   * @param {Vec2Array} b - Array of first points.
+   * @param {Vec2Array} c - Array of second points.
+   * @return {Vec1Array} this
+   */
+  distanceVec2s(b, c) {
+    let j=0;
+    for(let i=0; i<this.storage.length; i++, j+=2) {
+      const dx = b.storage[j] - c.storage[j];
+      const dy = b.storage[j+1] - c.storage[j+1];
+      this.storage[i] = Math.sqrt(dx * dx + dy * dy);
+    }
+    return this;
+  }
+
+  /**
+   * @method distanceVec3s
+   * @memberof Vec1Array
+   * @description Simulates GLSL <code>distance</code>. Computes the distances of three-element vectors in arrays, and stores the result.
+   * @param {Vec3Array} b - Array of first points.
+   * @param {Vec3Array} c - Array of second points.
+   * @return {Vec1Array} this
+   */
+  distanceVec3s(b, c) {
+    let j=0;
+    for(let i=0; i<this.storage.length; i++, j+=3) {
+      const dx = b.storage[j] - c.storage[j];
+      const dy = b.storage[j+1] - c.storage[j+1];
+      const dz = b.storage[j+2] - c.storage[j+2];
+      this.storage[i] = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+    return this;
+  }
+
+  /**
+   * @method distanceVec4s
+   * @memberof Vec1Array
+   * @description Simulates GLSL <code>distance</code>. Computes the distances of four-element vectors in arrays, and stores the result.
+   * @param {Vec4Array} b - Array of first points.
+   * @param {Vec4Array} c - Array of second points.
+   * @return {Vec1Array} this
+   */
+  distanceVec4s(b, c) {
+    let j=0;
+    for(let i=0; i<this.storage.length; i++, j+=4) {
+      const dx = b.storage[j] - c.storage[j];
+      const dy = b.storage[j+1] - c.storage[j+1];
+      const dz = b.storage[j+2] - c.storage[j+2];
+      const dw = b.storage[j+3] - c.storage[j+3];
+      this.storage[i] = Math.sqrt(dx * dx + dy * dy + dz * dz + dw * dw);
+    }
+    return this;
+  }
+
   /**
    * @method commit
    * @memberof Vec1Array  
@@ -576,6 +576,550 @@ class Vec2{
     return this;
   }
 
+  /**
+   * @method mix
+   * @memberof Vec2
+   * @description Simulates GLSL <code>mix</code>. Linearly interpolates, elementwise, between this vector and another one, and returns the result in a new instance.
+   * @param {Vec2} b - The vector to interpolate towards.
+   * @param {Vec2 | Number} t - Interpolation weight of b. Values outside [0, 1] extrapolate. If a number is given, it applies to all channels.
+   * @return {Vec2} the interpolated vector
+   */
+  mix(b, t) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setMix(this, b, t);
+  }
+
+  /**
+   * @method setMix
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>mix</code>. Linearly interpolates, elementwise, between two vectors, computing <code>b * (1 - t) + c * t</code>, storing the result in this vector.
+   * @param {Vec2} b - The vector at weight 0.
+   * @param {Vec2} c - The vector at weight 1.
+   * @param {Vec2 | Number} t - Interpolation weight of c. Values outside [0, 1] extrapolate. If a number is given, it applies to all channels.
+   * @return {Vec2} this
+   */
+  setMix(b, c, t) {
+    const tX = t.storage ? t.storage[0] : t;
+    const tY = t.storage ? t.storage[1] : t;
+    this.storage[0] = b.storage[0] * (1 - tX) + c.storage[0] * tX;
+    this.storage[1] = b.storage[1] * (1 - tY) + c.storage[1] * tY;
+    return this;
+  }
+
+  /**
+   * @method step
+   * @memberof Vec2
+   * @description Simulates GLSL <code>step</code>. Compares this vector to an edge, elementwise, and returns a new instance with 0 where this vector is less than the edge, and 1 elsewhere.
+   * @param {Vec2 | Number} edge - The location of the edge. If a number is given, it applies to all channels.
+   * @return {Vec2} the step function values
+   */
+  step(edge) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setStep(edge, this);
+  }
+
+  /**
+   * @method setStep
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>step</code>. Compares, elementwise, a vector to an edge, storing 0 in this vector where x is less than the edge, and 1 elsewhere.
+   * @param {Vec2 | Number} edge - The location of the edge. If a number is given, it applies to all channels.
+   * @param {Vec2} x - The vector to compare.
+   * @return {Vec2} this
+   */
+  setStep(edge, x) {
+    const edgeX = edge.storage ? edge.storage[0] : edge;
+    const edgeY = edge.storage ? edge.storage[1] : edge;
+    this.storage[0] = x.storage[0] < edgeX ? 0 : 1;
+    this.storage[1] = x.storage[1] < edgeY ? 0 : 1;
+    return this;
+  }
+
+  /**
+   * @method smoothstep
+   * @memberof Vec2
+   * @description Simulates GLSL <code>smoothstep</code>. Performs, elementwise, Hermite interpolation between 0 and 1 as this vector goes from edge0 to edge1, and returns the result in a new instance. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {Vec2 | Number} edge0 - The location of the lower edge. If a number is given, it applies to all channels.
+   * @param {Vec2 | Number} edge1 - The location of the upper edge. If a number is given, it applies to all channels.
+   * @return {Vec2} the interpolated values
+   */
+  smoothstep(edge0, edge1) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setSmoothstep(edge0, edge1, this);
+  }
+
+  /**
+   * @method setSmoothstep
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>smoothstep</code>. Performs, elementwise, Hermite interpolation between 0 and 1 as x goes from edge0 to edge1, storing the result in this vector. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {Vec2 | Number} edge0 - The location of the lower edge. If a number is given, it applies to all channels.
+   * @param {Vec2 | Number} edge1 - The location of the upper edge. If a number is given, it applies to all channels.
+   * @param {Vec2} x - The source value for interpolation.
+   * @return {Vec2} this
+   */
+  setSmoothstep(edge0, edge1, x) {
+    const edge0X = edge0.storage ? edge0.storage[0] : edge0;
+    const edge0Y = edge0.storage ? edge0.storage[1] : edge0;
+    const edge1X = edge1.storage ? edge1.storage[0] : edge1;
+    const edge1Y = edge1.storage ? edge1.storage[1] : edge1;
+    let t = Math.min(Math.max((x.storage[0] - edge0X) / (edge1X - edge0X), 0), 1);
+    this.storage[0] = t * t * (3 - 2 * t);
+    t = Math.min(Math.max((x.storage[1] - edge0Y) / (edge1Y - edge0Y), 0), 1);
+    this.storage[1] = t * t * (3 - 2 * t);
+    return this;
+  }
+
+  /**
+   * @method fract
+   * @memberof Vec2
+   * @description Simulates GLSL <code>fract</code>. Computes, elementwise, the fractional part of this vector, <code>x - floor(x)</code>, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  fract() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setFract(this);
+  }
+
+  /**
+   * @method setFract
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>fract</code>. Computes, elementwise, the fractional part of the argument, <code>x - floor(x)</code>, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setFract(b) {
+    this.storage[0] = b.storage[0] - Math.floor(b.storage[0]);
+    this.storage[1] = b.storage[1] - Math.floor(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method sign
+   * @memberof Vec2
+   * @description Simulates GLSL <code>sign</code>. Computes, elementwise, the sign of this vector: -1, 0 or 1, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  sign() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setSign(this);
+  }
+
+  /**
+   * @method setSign
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>sign</code>. Computes, elementwise, the sign of the argument: -1, 0 or 1, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setSign(b) {
+    this.storage[0] = Math.sign(b.storage[0]);
+    this.storage[1] = Math.sign(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method abs
+   * @memberof Vec2
+   * @description Simulates GLSL <code>abs</code>. Computes, elementwise, the absolute value of this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  abs() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setAbs(this);
+  }
+
+  /**
+   * @method setAbs
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>abs</code>. Computes, elementwise, the absolute value of the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setAbs(b) {
+    this.storage[0] = Math.abs(b.storage[0]);
+    this.storage[1] = Math.abs(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method floor
+   * @memberof Vec2
+   * @description Simulates GLSL <code>floor</code>. Computes, elementwise, the nearest integer less than or equal to this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  floor() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setFloor(this);
+  }
+
+  /**
+   * @method setFloor
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>floor</code>. Computes, elementwise, the nearest integer less than or equal to the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setFloor(b) {
+    this.storage[0] = Math.floor(b.storage[0]);
+    this.storage[1] = Math.floor(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method ceil
+   * @memberof Vec2
+   * @description Simulates GLSL <code>ceil</code>. Computes, elementwise, the nearest integer greater than or equal to this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  ceil() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setCeil(this);
+  }
+
+  /**
+   * @method setCeil
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>ceil</code>. Computes, elementwise, the nearest integer greater than or equal to the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setCeil(b) {
+    this.storage[0] = Math.ceil(b.storage[0]);
+    this.storage[1] = Math.ceil(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method exp
+   * @memberof Vec2
+   * @description Simulates GLSL <code>exp</code>. Computes, elementwise, the natural exponentiation of this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  exp() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setExp(this);
+  }
+
+  /**
+   * @method setExp
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>exp</code>. Computes, elementwise, the natural exponentiation of the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setExp(b) {
+    this.storage[0] = Math.exp(b.storage[0]);
+    this.storage[1] = Math.exp(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method log
+   * @memberof Vec2
+   * @description Simulates GLSL <code>log</code>. Computes, elementwise, the natural logarithm of this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  log() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setLog(this);
+  }
+
+  /**
+   * @method setLog
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>log</code>. Computes, elementwise, the natural logarithm of the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setLog(b) {
+    this.storage[0] = Math.log(b.storage[0]);
+    this.storage[1] = Math.log(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method sqrt
+   * @memberof Vec2
+   * @description Simulates GLSL <code>sqrt</code>. Computes, elementwise, the square root of this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  sqrt() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setSqrt(this);
+  }
+
+  /**
+   * @method setSqrt
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>sqrt</code>. Computes, elementwise, the square root of the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setSqrt(b) {
+    this.storage[0] = Math.sqrt(b.storage[0]);
+    this.storage[1] = Math.sqrt(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method inversesqrt
+   * @memberof Vec2
+   * @description Simulates GLSL <code>inversesqrt</code>. Computes, elementwise, the inverse of the square root of this vector, and returns the result in a new instance.
+   * @return {Vec2} the result
+   */
+  inversesqrt() {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setInversesqrt(this);
+  }
+
+  /**
+   * @method setInversesqrt
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>inversesqrt</code>. Computes, elementwise, the inverse of the square root of the argument, storing the result in this vector.
+   * @param {Vec2} b - The argument.
+   * @return {Vec2} this
+   */
+  setInversesqrt(b) {
+    this.storage[0] = 1 / Math.sqrt(b.storage[0]);
+    this.storage[1] = 1 / Math.sqrt(b.storage[1]);
+    return this;
+  }
+
+  /**
+   * @method mod
+   * @memberof Vec2
+   * @description Simulates GLSL <code>mod</code>. Computes, elementwise, this vector modulo y, as <code>x - y * floor(x / y)</code>, and returns the result in a new instance. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {Vec2 | Number} y - The divisor. If a number is given, it applies to all channels.
+   * @return {Vec2} the remainder
+   */
+  mod(y) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setMod(this, y);
+  }
+
+  /**
+   * @method setMod
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>mod</code>. Computes, elementwise, b modulo y, as <code>b - y * floor(b / y)</code>, storing the result in this vector. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {Vec2} b - The dividend.
+   * @param {Vec2 | Number} y - The divisor. If a number is given, it applies to all channels.
+   * @return {Vec2} this
+   */
+  setMod(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    this.storage[0] = b.storage[0] - yX * Math.floor(b.storage[0] / yX);
+    this.storage[1] = b.storage[1] - yY * Math.floor(b.storage[1] / yY);
+    return this;
+  }
+
+  /**
+   * @method min
+   * @memberof Vec2
+   * @description Simulates GLSL <code>min</code>. Computes, elementwise, the minimum of this vector and y, and returns the result in a new instance.
+   * @param {Vec2 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec2} the result
+   */
+  min(y) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setMin(this, y);
+  }
+
+  /**
+   * @method setMin
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>min</code>. Computes, elementwise, the minimum of b and y, storing the result in this vector.
+   * @param {Vec2} b - The first operand.
+   * @param {Vec2 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec2} this
+   */
+  setMin(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    this.storage[0] = Math.min(b.storage[0], yX);
+    this.storage[1] = Math.min(b.storage[1], yY);
+    return this;
+  }
+
+  /**
+   * @method max
+   * @memberof Vec2
+   * @description Simulates GLSL <code>max</code>. Computes, elementwise, the maximum of this vector and y, and returns the result in a new instance.
+   * @param {Vec2 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec2} the result
+   */
+  max(y) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setMax(this, y);
+  }
+
+  /**
+   * @method setMax
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>max</code>. Computes, elementwise, the maximum of b and y, storing the result in this vector.
+   * @param {Vec2} b - The first operand.
+   * @param {Vec2 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec2} this
+   */
+  setMax(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    this.storage[0] = Math.max(b.storage[0], yX);
+    this.storage[1] = Math.max(b.storage[1], yY);
+    return this;
+  }
+
+  /**
+   * @method pow
+   * @memberof Vec2
+   * @description Simulates GLSL <code>pow</code>. Computes, elementwise, this vector raised to the power y, and returns the result in a new instance.
+   * @param {Vec2 | Number} y - The exponent. If a number is given, it applies to all channels.
+   * @return {Vec2} the result
+   */
+  pow(y) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setPow(this, y);
+  }
+
+  /**
+   * @method setPow
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>pow</code>. Computes, elementwise, b raised to the power y, storing the result in this vector.
+   * @param {Vec2} b - The base.
+   * @param {Vec2 | Number} y - The exponent. If a number is given, it applies to all channels.
+   * @return {Vec2} this
+   */
+  setPow(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    this.storage[0] = Math.pow(b.storage[0], yX);
+    this.storage[1] = Math.pow(b.storage[1], yY);
+    return this;
+  }
+
+  /**
+   * @method reflect
+   * @memberof Vec2
+   * @description Simulates GLSL <code>reflect</code>. Computes the reflection direction of this incident vector, and returns the result in a new instance.
+   * @param {Vec2} n - The surface normal. Should be normalized for the desired result.
+   * @return {Vec2} the reflected vector
+   */
+  reflect(n) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setReflect(this, n);
+  }
+
+  /**
+   * @method setReflect
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>reflect</code>. Computes the reflection direction of an incident vector, <code>i - 2 * dot(n, i) * n</code>, storing the result in this vector.
+   * @param {Vec2} i - The incident vector.
+   * @param {Vec2} n - The surface normal. Should be normalized for the desired result.
+   * @return {Vec2} this
+   */
+  setReflect(i, n) {
+    const d2 = 2 * (n.storage[0] * i.storage[0] + n.storage[1] * i.storage[1]);
+    this.storage[0] = i.storage[0] - d2 * n.storage[0];
+    this.storage[1] = i.storage[1] - d2 * n.storage[1];
+    return this;
+  }
+
+  /**
+   * @method refract
+   * @memberof Vec2
+   * @description Simulates GLSL <code>refract</code>. Computes the refraction direction of this incident vector, and returns the result in a new instance. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec2} n - The surface normal. This vector and n should be normalized for the desired result.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec2} the refracted vector
+   */
+  refract(n, eta) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setRefract(this, n, eta);
+  }
+
+  /**
+   * @method setRefract
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>refract</code>. Computes the refraction direction of an incident vector, storing the result in this vector. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec2} i - The incident vector. Should be normalized for the desired result.
+   * @param {Vec2} n - The surface normal. Should be normalized for the desired result.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec2} this
+   */
+  setRefract(i, n, eta) {
+    const d = n.storage[0] * i.storage[0] + n.storage[1] * i.storage[1];
+    const k = 1 - eta * eta * (1 - d * d);
+    if(k < 0) {
+      this.storage[0] = 0;
+      this.storage[1] = 0;
+      return this;
+    }
+    const s = eta * d + Math.sqrt(k);
+    this.storage[0] = eta * i.storage[0] - s * n.storage[0];
+    this.storage[1] = eta * i.storage[1] - s * n.storage[1];
+    return this;
+  }
+
+  /**
+   * @method faceforward
+   * @memberof Vec2
+   * @description Simulates GLSL <code>faceforward</code>. Returns this normal vector in a new instance, negated if needed to point away from the incident vector, as decided by a reference normal.
+   * @param {Vec2} i - The incident vector.
+   * @param {Vec2} nref - The reference normal.
+   * @return {Vec2} the oriented normal
+   */
+  faceforward(i, nref) {
+    const result = Object.create(Vec2.prototype);
+    result.storage = new Float32Array(2);
+    return result.setFaceforward(this, i, nref);
+  }
+
+  /**
+   * @method setFaceforward
+   * @memberof Vec2
+   * @description Fast. Simulates GLSL <code>faceforward</code>. Stores the normal vector n in this vector if <code>dot(nref, i) < 0</code>, or its negation otherwise.
+   * @param {Vec2} n - The normal vector to orient.
+   * @param {Vec2} i - The incident vector.
+   * @param {Vec2} nref - The reference normal.
+   * @return {Vec2} this
+   */
+  setFaceforward(n, i, nref) {
+    const s = (nref.storage[0] * i.storage[0] + nref.storage[1] * i.storage[1]) < 0 ? 1 : -1;
+    this.storage[0] = s * n.storage[0];
+    this.storage[1] = s * n.storage[1];
+    return this;
+  }
+
+  /**
+   * @method distance
+   * @memberof Vec2
+   * @description Simulates GLSL <code>distance</code>. Computes the distance between this vector and another one.
+   * @param {Vec2} b - The other point.
+   * @return {Number} the distance
+   */
+  distance(b) {
+    const dx = this.storage[0] - b.storage[0];
+    const dy = this.storage[1] - b.storage[1];
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
   /**
    * @method commit
    * @memberof Vec2  
@@ -702,6 +702,734 @@ class Vec3{
     return this;
   }
 
+  /**
+   * @method rotateByQuat
+   * @memberof Vec3
+   * @description Rotates the vector by a unit quaternion. The contents of this are overwritten with the result. Equivalent to {@link Vec3#xyz0mul} with the rotation matrix of the quaternion.
+   * @param q {Quat} The rotation quaternion.
+   * @return {Vec3} this
+   */
+  rotateByQuat(q) {
+    return this.setRotatedByQuat(this, q);
+  }
+
+  /**
+   * @method setRotatedByQuat
+   * @memberof Vec3
+   * @description Rotates the argument vector by a unit quaternion. The contents of this are overwritten with the result.
+   * @param v {Vec3} The vector to be rotated.
+   * @param q {Quat} The rotation quaternion.
+   * @return {Vec3} this
+   */
+  setRotatedByQuat(v, q) {
+    const qx = q.storage[0];
+    const qy = q.storage[1];
+    const qz = q.storage[2];
+    const qw = q.storage[3];
+    const x = v.storage[0];
+    const y = v.storage[1];
+    const z = v.storage[2];
+    // t = 2 * cross(q.xyz, v); result = v + q.w * t + cross(q.xyz, t)
+    const tx = 2 * (qy * z - qz * y);
+    const ty = 2 * (qz * x - qx * z);
+    const tz = 2 * (qx * y - qy * x);
+    this.storage[0] = x + qw * tx + qy * tz - qz * ty;
+    this.storage[1] = y + qw * ty + qz * tx - qx * tz;
+    this.storage[2] = z + qw * tz + qx * ty - qy * tx;
+    return this;
+  }
+
+  /**
+   * @method transformByDualQuat
+   * @memberof Vec3
+   * @description Transforms the vector, considered a point, by the rigid transformation of a unit dual quaternion. The contents of this are overwritten with the result. Equivalent to {@link Vec3#xyz1mul} with the matrix of the dual quaternion.
+   * @param dq {DualQuat} The rigid transformation.
+   * @return {Vec3} this
+   */
+  transformByDualQuat(dq) {
+    return this.setTransformedByDualQuat(this, dq);
+  }
+
+  /**
+   * @method setTransformedByDualQuat
+   * @memberof Vec3
+   * @description Transforms the argument vector, considered a point, by the rigid transformation of a unit dual quaternion. The contents of this are overwritten with the result.
+   * @param v {Vec3} The point to be transformed.
+   * @param dq {DualQuat} The rigid transformation.
+   * @return {Vec3} this
+   */
+  setTransformedByDualQuat(v, dq) {
+    this.setRotatedByQuat(v, dq.real);
+    Vec3.dualQuatTranslation = Vec3.dualQuatTranslation || new Vec3();
+    return this.add(dq.getTranslation(Vec3.dualQuatTranslation));
+  }
+
+  /**
+   * @method project
+   * @memberof Vec3
+   * @description Projects the vector, considered a world space point, to normalized device coordinates, or to pixel coordinates if a viewport is given. The contents of this are overwritten with the result.
+   * @param m {Mat4} The view-projection matrix, perspective or orthographic.
+   * @param {Vec4 | Number[]} [viewport] - The x, y, width and height of the viewport, in pixel coordinates with the origin in the upper left corner and y pointing downwards, as in mouse events, e.g. [0, 0, canvas.clientWidth, canvas.clientHeight]. If not given, the result is in normalized device coordinates.
+   * @return {Vec3} this
+   */
+  project(m, viewport) {
+    return this.setProjected(this, m, viewport);
+  }
+
+  /**
+   * @method setProjected
+   * @memberof Vec3
+   * @description Projects the argument vector, considered a world space point, to normalized device coordinates, or to pixel coordinates if a viewport is given, performing the homogeneous division. The contents of this are overwritten with the result. With a viewport, z is the depth in the [0, 1] range, as in the depth buffer.
+   * @param v {Vec3} The point to be projected.
+   * @param m {Mat4} The view-projection matrix, perspective or orthographic.
+   * @param {Vec4 | Number[]} [viewport] - The x, y, width and height of the viewport, in pixel coordinates with the origin in the upper left corner and y pointing downwards, as in mouse events. If not given, the result is in normalized device coordinates.
+   * @return {Vec3} this
+   */
+  setProjected(v, m, viewport) {
+    this.setxyz1Transformed(v, m);
+    if(viewport) {
+      Vec3.ndcToViewport(this.storage, viewport);
+    }
+    return this;
+  }
+
+  /**
+   * @method unproject
+   * @memberof Vec3
+   * @description Transforms the vector, given in normalized device coordinates, or in pixel coordinates if a viewport is given, to a world space point. The contents of this are overwritten with the result.
+   * @param m {Mat4} The inverse of the view-projection matrix, perspective or orthographic.
+   * @param {Vec4 | Number[]} [viewport] - The x, y, width and height of the viewport, in pixel coordinates with the origin in the upper left corner and y pointing downwards, as in mouse events. If not given, the vector is in normalized device coordinates.
+   * @return {Vec3} this
+   */
+  unproject(m, viewport) {
+    return this.setUnprojected(this, m, viewport);
+  }
+
+  /**
+   * @method setUnprojected
+   * @memberof Vec3
+   * @description Transforms the argument vector, given in normalized device coordinates, or in pixel coordinates if a viewport is given, to a world space point, performing the homogeneous division. The contents of this are overwritten with the result. With a viewport, z is the depth in the [0, 1] range, as in the depth buffer.
+   * @param v {Vec3} The point to be unprojected.
+   * @param m {Mat4} The inverse of the view-projection matrix, perspective or orthographic.
+   * @param {Vec4 | Number[]} [viewport] - The x, y, width and height of the viewport, in pixel coordinates with the origin in the upper left corner and y pointing downwards, as in mouse events. If not given, the vector is in normalized device coordinates.
+   * @return {Vec3} this
+   */
+  setUnprojected(v, m, viewport) {
+    this.set(v);
+    if(viewport) {
+      Vec3.viewportToNdc(this.storage, viewport);
+    }
+    return this.xyz1mul(m);
+  }
+
+  /**
+   * @method ndcToViewport
+   * @memberof Vec3
+   * @static
+   * @description Converts normalized device coordinates to pixel coordinates and depth, in place. Used by [setProjected]{@link Vec3#setProjected} and {@link Vec4#setProjected}.
+   * @param {Float32Array | Number[]} coordinates - The x, y and z coordinates, followed by any other elements, which are left unchanged.
+   * @param {Vec4 | Number[]} viewport - The x, y, width and height of the viewport, in pixel coordinates with the origin in the upper left corner and y pointing downwards, as in mouse events. The depth is in the [0, 1] range, as in the depth buffer.
+   * @return {Float32Array | Number[]} coordinates
+   */
+  static ndcToViewport(coordinates, viewport) {
+    const vp = viewport.storage || viewport;
+    coordinates[0] = vp[0] + (coordinates[0] + 1) * 0.5 * vp[2];
+    coordinates[1] = vp[1] + (1 - coordinates[1]) * 0.5 * vp[3];
+    coordinates[2] = (coordinates[2] + 1) * 0.5;
+    return coordinates;
+  }
+
+  /**
+   * @method viewportToNdc
+   * @memberof Vec3
+   * @static
+   * @description Converts pixel coordinates and depth to normalized device coordinates, in place. The inverse of {@link Vec3.ndcToViewport}.
+   * @param {Float32Array | Number[]} coordinates - The x, y and z coordinates, followed by any other elements, which are left unchanged.
+   * @param {Vec4 | Number[]} viewport - The x, y, width and height of the viewport, in pixel coordinates with the origin in the upper left corner and y pointing downwards, as in mouse events. The depth is in the [0, 1] range, as in the depth buffer.
+   * @return {Float32Array | Number[]} coordinates
+   */
+  static viewportToNdc(coordinates, viewport) {
+    const vp = viewport.storage || viewport;
+    coordinates[0] = (coordinates[0] - vp[0]) / vp[2] * 2 - 1;
+    coordinates[1] = 1 - (coordinates[1] - vp[1]) / vp[3] * 2;
+    coordinates[2] = coordinates[2] * 2 - 1;
+    return coordinates;
+  }
+
+  /**
+   * @method mix
+   * @memberof Vec3
+   * @description Simulates GLSL <code>mix</code>. Linearly interpolates, elementwise, between this vector and another one, and returns the result in a new instance.
+   * @param {Vec3} b - The vector to interpolate towards.
+   * @param {Vec3 | Number} t - Interpolation weight of b. Values outside [0, 1] extrapolate. If a number is given, it applies to all channels.
+   * @return {Vec3} the interpolated vector
+   */
+  mix(b, t) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setMix(this, b, t);
+  }
+
+  /**
+   * @method setMix
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>mix</code>. Linearly interpolates, elementwise, between two vectors, computing <code>b * (1 - t) + c * t</code>, storing the result in this vector.
+   * @param {Vec3} b - The vector at weight 0.
+   * @param {Vec3} c - The vector at weight 1.
+   * @param {Vec3 | Number} t - Interpolation weight of c. Values outside [0, 1] extrapolate. If a number is given, it applies to all channels.
+   * @return {Vec3} this
+   */
+  setMix(b, c, t) {
+    const tX = t.storage ? t.storage[0] : t;
+    const tY = t.storage ? t.storage[1] : t;
+    const tZ = t.storage ? t.storage[2] : t;
+    this.storage[0] = b.storage[0] * (1 - tX) + c.storage[0] * tX;
+    this.storage[1] = b.storage[1] * (1 - tY) + c.storage[1] * tY;
+    this.storage[2] = b.storage[2] * (1 - tZ) + c.storage[2] * tZ;
+    return this;
+  }
+
+  /**
+   * @method step
+   * @memberof Vec3
+   * @description Simulates GLSL <code>step</code>. Compares this vector to an edge, elementwise, and returns a new instance with 0 where this vector is less than the edge, and 1 elsewhere.
+   * @param {Vec3 | Number} edge - The location of the edge. If a number is given, it applies to all channels.
+   * @return {Vec3} the step function values
+   */
+  step(edge) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setStep(edge, this);
+  }
+
+  /**
+   * @method setStep
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>step</code>. Compares, elementwise, a vector to an edge, storing 0 in this vector where x is less than the edge, and 1 elsewhere.
+   * @param {Vec3 | Number} edge - The location of the edge. If a number is given, it applies to all channels.
+   * @param {Vec3} x - The vector to compare.
+   * @return {Vec3} this
+   */
+  setStep(edge, x) {
+    const edgeX = edge.storage ? edge.storage[0] : edge;
+    const edgeY = edge.storage ? edge.storage[1] : edge;
+    const edgeZ = edge.storage ? edge.storage[2] : edge;
+    this.storage[0] = x.storage[0] < edgeX ? 0 : 1;
+    this.storage[1] = x.storage[1] < edgeY ? 0 : 1;
+    this.storage[2] = x.storage[2] < edgeZ ? 0 : 1;
+    return this;
+  }
+
+  /**
+   * @method smoothstep
+   * @memberof Vec3
+   * @description Simulates GLSL <code>smoothstep</code>. Performs, elementwise, Hermite interpolation between 0 and 1 as this vector goes from edge0 to edge1, and returns the result in a new instance. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {Vec3 | Number} edge0 - The location of the lower edge. If a number is given, it applies to all channels.
+   * @param {Vec3 | Number} edge1 - The location of the upper edge. If a number is given, it applies to all channels.
+   * @return {Vec3} the interpolated values
+   */
+  smoothstep(edge0, edge1) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setSmoothstep(edge0, edge1, this);
+  }
+
+  /**
+   * @method setSmoothstep
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>smoothstep</code>. Performs, elementwise, Hermite interpolation between 0 and 1 as x goes from edge0 to edge1, storing the result in this vector. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {Vec3 | Number} edge0 - The location of the lower edge. If a number is given, it applies to all channels.
+   * @param {Vec3 | Number} edge1 - The location of the upper edge. If a number is given, it applies to all channels.
+   * @param {Vec3} x - The source value for interpolation.
+   * @return {Vec3} this
+   */
+  setSmoothstep(edge0, edge1, x) {
+    const edge0X = edge0.storage ? edge0.storage[0] : edge0;
+    const edge0Y = edge0.storage ? edge0.storage[1] : edge0;
+    const edge0Z = edge0.storage ? edge0.storage[2] : edge0;
+    const edge1X = edge1.storage ? edge1.storage[0] : edge1;
+    const edge1Y = edge1.storage ? edge1.storage[1] : edge1;
+    const edge1Z = edge1.storage ? edge1.storage[2] : edge1;
+    let t = Math.min(Math.max((x.storage[0] - edge0X) / (edge1X - edge0X), 0), 1);
+    this.storage[0] = t * t * (3 - 2 * t);
+    t = Math.min(Math.max((x.storage[1] - edge0Y) / (edge1Y - edge0Y), 0), 1);
+    this.storage[1] = t * t * (3 - 2 * t);
+    t = Math.min(Math.max((x.storage[2] - edge0Z) / (edge1Z - edge0Z), 0), 1);
+    this.storage[2] = t * t * (3 - 2 * t);
+    return this;
+  }
+
+  /**
+   * @method fract
+   * @memberof Vec3
+   * @description Simulates GLSL <code>fract</code>. Computes, elementwise, the fractional part of this vector, <code>x - floor(x)</code>, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  fract() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setFract(this);
+  }
+
+  /**
+   * @method setFract
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>fract</code>. Computes, elementwise, the fractional part of the argument, <code>x - floor(x)</code>, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setFract(b) {
+    this.storage[0] = b.storage[0] - Math.floor(b.storage[0]);
+    this.storage[1] = b.storage[1] - Math.floor(b.storage[1]);
+    this.storage[2] = b.storage[2] - Math.floor(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method sign
+   * @memberof Vec3
+   * @description Simulates GLSL <code>sign</code>. Computes, elementwise, the sign of this vector: -1, 0 or 1, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  sign() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setSign(this);
+  }
+
+  /**
+   * @method setSign
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>sign</code>. Computes, elementwise, the sign of the argument: -1, 0 or 1, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setSign(b) {
+    this.storage[0] = Math.sign(b.storage[0]);
+    this.storage[1] = Math.sign(b.storage[1]);
+    this.storage[2] = Math.sign(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method abs
+   * @memberof Vec3
+   * @description Simulates GLSL <code>abs</code>. Computes, elementwise, the absolute value of this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  abs() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setAbs(this);
+  }
+
+  /**
+   * @method setAbs
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>abs</code>. Computes, elementwise, the absolute value of the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setAbs(b) {
+    this.storage[0] = Math.abs(b.storage[0]);
+    this.storage[1] = Math.abs(b.storage[1]);
+    this.storage[2] = Math.abs(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method floor
+   * @memberof Vec3
+   * @description Simulates GLSL <code>floor</code>. Computes, elementwise, the nearest integer less than or equal to this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  floor() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setFloor(this);
+  }
+
+  /**
+   * @method setFloor
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>floor</code>. Computes, elementwise, the nearest integer less than or equal to the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setFloor(b) {
+    this.storage[0] = Math.floor(b.storage[0]);
+    this.storage[1] = Math.floor(b.storage[1]);
+    this.storage[2] = Math.floor(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method ceil
+   * @memberof Vec3
+   * @description Simulates GLSL <code>ceil</code>. Computes, elementwise, the nearest integer greater than or equal to this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  ceil() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setCeil(this);
+  }
+
+  /**
+   * @method setCeil
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>ceil</code>. Computes, elementwise, the nearest integer greater than or equal to the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setCeil(b) {
+    this.storage[0] = Math.ceil(b.storage[0]);
+    this.storage[1] = Math.ceil(b.storage[1]);
+    this.storage[2] = Math.ceil(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method exp
+   * @memberof Vec3
+   * @description Simulates GLSL <code>exp</code>. Computes, elementwise, the natural exponentiation of this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  exp() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setExp(this);
+  }
+
+  /**
+   * @method setExp
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>exp</code>. Computes, elementwise, the natural exponentiation of the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setExp(b) {
+    this.storage[0] = Math.exp(b.storage[0]);
+    this.storage[1] = Math.exp(b.storage[1]);
+    this.storage[2] = Math.exp(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method log
+   * @memberof Vec3
+   * @description Simulates GLSL <code>log</code>. Computes, elementwise, the natural logarithm of this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  log() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setLog(this);
+  }
+
+  /**
+   * @method setLog
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>log</code>. Computes, elementwise, the natural logarithm of the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setLog(b) {
+    this.storage[0] = Math.log(b.storage[0]);
+    this.storage[1] = Math.log(b.storage[1]);
+    this.storage[2] = Math.log(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method sqrt
+   * @memberof Vec3
+   * @description Simulates GLSL <code>sqrt</code>. Computes, elementwise, the square root of this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  sqrt() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setSqrt(this);
+  }
+
+  /**
+   * @method setSqrt
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>sqrt</code>. Computes, elementwise, the square root of the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setSqrt(b) {
+    this.storage[0] = Math.sqrt(b.storage[0]);
+    this.storage[1] = Math.sqrt(b.storage[1]);
+    this.storage[2] = Math.sqrt(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method inversesqrt
+   * @memberof Vec3
+   * @description Simulates GLSL <code>inversesqrt</code>. Computes, elementwise, the inverse of the square root of this vector, and returns the result in a new instance.
+   * @return {Vec3} the result
+   */
+  inversesqrt() {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setInversesqrt(this);
+  }
+
+  /**
+   * @method setInversesqrt
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>inversesqrt</code>. Computes, elementwise, the inverse of the square root of the argument, storing the result in this vector.
+   * @param {Vec3} b - The argument.
+   * @return {Vec3} this
+   */
+  setInversesqrt(b) {
+    this.storage[0] = 1 / Math.sqrt(b.storage[0]);
+    this.storage[1] = 1 / Math.sqrt(b.storage[1]);
+    this.storage[2] = 1 / Math.sqrt(b.storage[2]);
+    return this;
+  }
+
+  /**
+   * @method mod
+   * @memberof Vec3
+   * @description Simulates GLSL <code>mod</code>. Computes, elementwise, this vector modulo y, as <code>x - y * floor(x / y)</code>, and returns the result in a new instance. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {Vec3 | Number} y - The divisor. If a number is given, it applies to all channels.
+   * @return {Vec3} the remainder
+   */
+  mod(y) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setMod(this, y);
+  }
+
+  /**
+   * @method setMod
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>mod</code>. Computes, elementwise, b modulo y, as <code>b - y * floor(b / y)</code>, storing the result in this vector. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {Vec3} b - The dividend.
+   * @param {Vec3 | Number} y - The divisor. If a number is given, it applies to all channels.
+   * @return {Vec3} this
+   */
+  setMod(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    const yZ = y.storage ? y.storage[2] : y;
+    this.storage[0] = b.storage[0] - yX * Math.floor(b.storage[0] / yX);
+    this.storage[1] = b.storage[1] - yY * Math.floor(b.storage[1] / yY);
+    this.storage[2] = b.storage[2] - yZ * Math.floor(b.storage[2] / yZ);
+    return this;
+  }
+
+  /**
+   * @method min
+   * @memberof Vec3
+   * @description Simulates GLSL <code>min</code>. Computes, elementwise, the minimum of this vector and y, and returns the result in a new instance.
+   * @param {Vec3 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec3} the result
+   */
+  min(y) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setMin(this, y);
+  }
+
+  /**
+   * @method setMin
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>min</code>. Computes, elementwise, the minimum of b and y, storing the result in this vector.
+   * @param {Vec3} b - The first operand.
+   * @param {Vec3 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec3} this
+   */
+  setMin(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    const yZ = y.storage ? y.storage[2] : y;
+    this.storage[0] = Math.min(b.storage[0], yX);
+    this.storage[1] = Math.min(b.storage[1], yY);
+    this.storage[2] = Math.min(b.storage[2], yZ);
+    return this;
+  }
+
+  /**
+   * @method max
+   * @memberof Vec3
+   * @description Simulates GLSL <code>max</code>. Computes, elementwise, the maximum of this vector and y, and returns the result in a new instance.
+   * @param {Vec3 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec3} the result
+   */
+  max(y) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setMax(this, y);
+  }
+
+  /**
+   * @method setMax
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>max</code>. Computes, elementwise, the maximum of b and y, storing the result in this vector.
+   * @param {Vec3} b - The first operand.
+   * @param {Vec3 | Number} y - The other operand. If a number is given, it applies to all channels.
+   * @return {Vec3} this
+   */
+  setMax(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    const yZ = y.storage ? y.storage[2] : y;
+    this.storage[0] = Math.max(b.storage[0], yX);
+    this.storage[1] = Math.max(b.storage[1], yY);
+    this.storage[2] = Math.max(b.storage[2], yZ);
+    return this;
+  }
+
+  /**
+   * @method pow
+   * @memberof Vec3
+   * @description Simulates GLSL <code>pow</code>. Computes, elementwise, this vector raised to the power y, and returns the result in a new instance.
+   * @param {Vec3 | Number} y - The exponent. If a number is given, it applies to all channels.
+   * @return {Vec3} the result
+   */
+  pow(y) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setPow(this, y);
+  }
+
+  /**
+   * @method setPow
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>pow</code>. Computes, elementwise, b raised to the power y, storing the result in this vector.
+   * @param {Vec3} b - The base.
+   * @param {Vec3 | Number} y - The exponent. If a number is given, it applies to all channels.
+   * @return {Vec3} this
+   */
+  setPow(b, y) {
+    const yX = y.storage ? y.storage[0] : y;
+    const yY = y.storage ? y.storage[1] : y;
+    const yZ = y.storage ? y.storage[2] : y;
+    this.storage[0] = Math.pow(b.storage[0], yX);
+    this.storage[1] = Math.pow(b.storage[1], yY);
+    this.storage[2] = Math.pow(b.storage[2], yZ);
+    return this;
+  }
+
+  /**
+   * @method reflect
+   * @memberof Vec3
+   * @description Simulates GLSL <code>reflect</code>. Computes the reflection direction of this incident vector, and returns the result in a new instance.
+   * @param {Vec3} n - The surface normal. Should be normalized for the desired result.
+   * @return {Vec3} the reflected vector
+   */
+  reflect(n) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setReflect(this, n);
+  }
+
+  /**
+   * @method setReflect
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>reflect</code>. Computes the reflection direction of an incident vector, <code>i - 2 * dot(n, i) * n</code>, storing the result in this vector.
+   * @param {Vec3} i - The incident vector.
+   * @param {Vec3} n - The surface normal. Should be normalized for the desired result.
+   * @return {Vec3} this
+   */
+  setReflect(i, n) {
+    const d2 = 2 * (n.storage[0] * i.storage[0] + n.storage[1] * i.storage[1] + n.storage[2] * i.storage[2]);
+    this.storage[0] = i.storage[0] - d2 * n.storage[0];
+    this.storage[1] = i.storage[1] - d2 * n.storage[1];
+    this.storage[2] = i.storage[2] - d2 * n.storage[2];
+    return this;
+  }
+
+  /**
+   * @method refract
+   * @memberof Vec3
+   * @description Simulates GLSL <code>refract</code>. Computes the refraction direction of this incident vector, and returns the result in a new instance. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec3} n - The surface normal. This vector and n should be normalized for the desired result.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec3} the refracted vector
+   */
+  refract(n, eta) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setRefract(this, n, eta);
+  }
+
+  /**
+   * @method setRefract
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>refract</code>. Computes the refraction direction of an incident vector, storing the result in this vector. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec3} i - The incident vector. Should be normalized for the desired result.
+   * @param {Vec3} n - The surface normal. Should be normalized for the desired result.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec3} this
+   */
+  setRefract(i, n, eta) {
+    const d = n.storage[0] * i.storage[0] + n.storage[1] * i.storage[1] + n.storage[2] * i.storage[2];
+    const k = 1 - eta * eta * (1 - d * d);
+    if(k < 0) {
+      this.storage[0] = 0;
+      this.storage[1] = 0;
+      this.storage[2] = 0;
+      return this;
+    }
+    const s = eta * d + Math.sqrt(k);
+    this.storage[0] = eta * i.storage[0] - s * n.storage[0];
+    this.storage[1] = eta * i.storage[1] - s * n.storage[1];
+    this.storage[2] = eta * i.storage[2] - s * n.storage[2];
+    return this;
+  }
+
+  /**
+   * @method faceforward
+   * @memberof Vec3
+   * @description Simulates GLSL <code>faceforward</code>. Returns this normal vector in a new instance, negated if needed to point away from the incident vector, as decided by a reference normal.
+   * @param {Vec3} i - The incident vector.
+   * @param {Vec3} nref - The reference normal.
+   * @return {Vec3} the oriented normal
+   */
+  faceforward(i, nref) {
+    const result = Object.create(Vec3.prototype);
+    result.storage = new Float32Array(3);
+    return result.setFaceforward(this, i, nref);
+  }
+
+  /**
+   * @method setFaceforward
+   * @memberof Vec3
+   * @description Fast. Simulates GLSL <code>faceforward</code>. Stores the normal vector n in this vector if <code>dot(nref, i) < 0</code>, or its negation otherwise.
+   * @param {Vec3} n - The normal vector to orient.
+   * @param {Vec3} i - The incident vector.
+   * @param {Vec3} nref - The reference normal.
+   * @return {Vec3} this
+   */
+  setFaceforward(n, i, nref) {
+    const s = (nref.storage[0] * i.storage[0] + nref.storage[1] * i.storage[1] + nref.storage[2] * i.storage[2]) < 0 ? 1 : -1;
+    this.storage[0] = s * n.storage[0];
+    this.storage[1] = s * n.storage[1];
+    this.storage[2] = s * n.storage[2];
+    return this;
+  }
+
+  /**
+   * @method distance
+   * @memberof Vec3
+   * @description Simulates GLSL <code>distance</code>. Computes the distance between this vector and another one.
+   * @param {Vec3} b - The other point.
+   * @return {Number} the distance
+   */
+  distance(b) {
+    const dx = this.storage[0] - b.storage[0];
+    const dy = this.storage[1] - b.storage[1];
+    const dz = this.storage[2] - b.storage[2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
   /**
    * @method commit
    * @memberof Vec3  
@@ -104,6 +104,74 @@ class Vec4Array extends VecArray {
     return this;  
   }
 
+  /**
+   * @method setReflect
+   * @memberof Vec4Array
+   * @description Simulates GLSL <code>reflect</code>. Computes the reflection directions of incident vectors, <code>i - 2 * dot(n, i) * n</code>, storing the result in this array.
+   * @param {Vec4Array} i - Array of incident vectors. Its length must be identical to this array's length.
+   * @param {Vec4Array} n - Array of surface normals. Should be normalized for the desired result. Its length must be identical to this array's length.
+   * @return {Vec4Array} this
+   */
+  setReflect(i, n) {
+    for(let j=0; j<this.storage.length; j+=4) {
+      const d2 = 2 * (n.storage[j] * i.storage[j] + n.storage[j+1] * i.storage[j+1] + n.storage[j+2] * i.storage[j+2] + n.storage[j+3] * i.storage[j+3]);
+      this.storage[j] = i.storage[j] - d2 * n.storage[j];
+      this.storage[j+1] = i.storage[j+1] - d2 * n.storage[j+1];
+      this.storage[j+2] = i.storage[j+2] - d2 * n.storage[j+2];
+      this.storage[j+3] = i.storage[j+3] - d2 * n.storage[j+3];
+    }
+    return this;
+  }
+
+  /**
+   * @method setRefract
+   * @memberof Vec4Array
+   * @description Simulates GLSL <code>refract</code>. Computes the refraction directions of incident vectors, storing the result in this array. In case of total internal reflection, the result is the zero vector.
+   * @param {Vec4Array} i - Array of incident vectors. Should be normalized for the desired result. Its length must be identical to this array's length.
+   * @param {Vec4Array} n - Array of surface normals. Should be normalized for the desired result. Its length must be identical to this array's length.
+   * @param {Number} eta - The ratio of indices of refraction.
+   * @return {Vec4Array} this
+   */
+  setRefract(i, n, eta) {
+    for(let j=0; j<this.storage.length; j+=4) {
+      const d = n.storage[j] * i.storage[j] + n.storage[j+1] * i.storage[j+1] + n.storage[j+2] * i.storage[j+2] + n.storage[j+3] * i.storage[j+3];
+      const k = 1 - eta * eta * (1 - d * d);
+      if(k < 0) {
+        this.storage[j] = 0;
+        this.storage[j+1] = 0;
+        this.storage[j+2] = 0;
+        this.storage[j+3] = 0;
+        continue;
+      }
+      const s = eta * d + Math.sqrt(k);
+      this.storage[j] = eta * i.storage[j] - s * n.storage[j];
+      this.storage[j+1] = eta * i.storage[j+1] - s * n.storage[j+1];
+      this.storage[j+2] = eta * i.storage[j+2] - s * n.storage[j+2];
+      this.storage[j+3] = eta * i.storage[j+3] - s * n.storage[j+3];
+    }
+    return this;
+  }
+
+  /**
+   * @method setFaceforward
+   * @memberof Vec4Array
+   * @description Simulates GLSL <code>faceforward</code>. Stores the normal vectors n in this array where <code>dot(nref, i) < 0</code>, and their negations elsewhere.
+   * @param {Vec4Array} n - Array of normal vectors to orient. Its length must be identical to this array's length.
+   * @param {Vec4Array} i - Array of incident vectors. Its length must be identical to this array's length.
+   * @param {Vec4Array} nref - Array of reference normals. Its length must be identical to this array's length.
+   * @return {Vec4Array} this
+   */
+  setFaceforward(n, i, nref) {
+    for(let j=0; j<this.storage.length; j+=4) {
+      const s = (nref.storage[j] * i.storage[j] + nref.storage[j+1] * i.storage[j+1] + nref.storage[j+2] * i.storage[j+2] + nref.storage[j+3] * i.storage[j+3]) < 0 ? 1 : -1;
+      this.storage[j] = s * n.storage[j];
+      this.storage[j+1] = s * n.storage[j+1];
+      this.storage[j+2] = s * n.storage[j+2];
+      this.storage[j+3] = s * n.storage[j+3];
+    }
+    return this;
+  }
+
   /**
    * @method commit
    * @memberof Vec4Array  
@@ -266,6 +266,248 @@ class VecArray{
     }
     return this;  
   }
+
+  /**
+   * @method setMix
+   * @memberof VecArray
+   * @description Simulates GLSL <code>mix</code>. Linearly interpolates, elementwise, between vectors from the two argument arrays, computing <code>b * (1 - t) + c * t</code>, storing the result in this array.
+   * @param {VecArray} b - Array of vectors at weight 0. Its length must be identical to this array's length.
+   * @param {VecArray} c - Array of vectors at weight 1. Its length must be identical to this array's length.
+   * @param {VecArray | Number} t - Interpolation weights of c. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setMix(b, c, t) {
+    for(let i=0; i<this.storage.length; i++) {
+      const ti = t.storage ? t.storage[i] : t;
+      this.storage[i] = b.storage[i] * (1 - ti) + c.storage[i] * ti;
+    }
+    return this;
+  }
+
+  /**
+   * @method setStep
+   * @memberof VecArray
+   * @description Simulates GLSL <code>step</code>. Compares, elementwise, vectors from the argument array to an edge, storing 0 in this array where x is less than the edge, and 1 elsewhere.
+   * @param {VecArray | Number} edge - Locations of the edge. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @param {VecArray} x - Array of vectors to compare. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setStep(edge, x) {
+    for(let i=0; i<this.storage.length; i++) {
+      const edgei = edge.storage ? edge.storage[i] : edge;
+      this.storage[i] = x.storage[i] < edgei ? 0 : 1;
+    }
+    return this;
+  }
+
+  /**
+   * @method setSmoothstep
+   * @memberof VecArray
+   * @description Simulates GLSL <code>smoothstep</code>. Performs, elementwise, Hermite interpolation between 0 and 1 as vectors from the argument array go from edge0 to edge1, storing the result in this array. The result is undefined if edge0 is not less than edge1, as in GLSL.
+   * @param {VecArray | Number} edge0 - Locations of the lower edge. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @param {VecArray | Number} edge1 - Locations of the upper edge. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @param {VecArray} x - Array of source values for interpolation. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setSmoothstep(edge0, edge1, x) {
+    for(let i=0; i<this.storage.length; i++) {
+      const edge0i = edge0.storage ? edge0.storage[i] : edge0;
+      const edge1i = edge1.storage ? edge1.storage[i] : edge1;
+      const t = Math.min(Math.max((x.storage[i] - edge0i) / (edge1i - edge0i), 0), 1);
+      this.storage[i] = t * t * (3 - 2 * t);
+    }
+    return this;
+  }
+
+  /**
+   * @method setFract
+   * @memberof VecArray
+   * @description Simulates GLSL <code>fract</code>. Computes, elementwise, the fractional parts, <code>x - floor(x)</code>, of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setFract(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = b.storage[i] - Math.floor(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setSign
+   * @memberof VecArray
+   * @description Simulates GLSL <code>sign</code>. Computes, elementwise, the signs of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setSign(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.sign(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setAbs
+   * @memberof VecArray
+   * @description Simulates GLSL <code>abs</code>. Computes, elementwise, the absolute values of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setAbs(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.abs(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setFloor
+   * @memberof VecArray
+   * @description Simulates GLSL <code>floor</code>. Computes, elementwise, the nearest integers less than or equal to the values of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setFloor(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.floor(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setCeil
+   * @memberof VecArray
+   * @description Simulates GLSL <code>ceil</code>. Computes, elementwise, the nearest integers greater than or equal to the values of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setCeil(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.ceil(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setExp
+   * @memberof VecArray
+   * @description Simulates GLSL <code>exp</code>. Computes, elementwise, the natural exponentiation of vectors from the argument array, storing the result in this array. For raising to a scalar power, see [exp]{@link VecArray#exp}.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setExp(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.exp(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setLog
+   * @memberof VecArray
+   * @description Simulates GLSL <code>log</code>. Computes, elementwise, the natural logarithms of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setLog(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.log(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setSqrt
+   * @memberof VecArray
+   * @description Simulates GLSL <code>sqrt</code>. Computes, elementwise, the square roots of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setSqrt(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = Math.sqrt(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setInversesqrt
+   * @memberof VecArray
+   * @description Simulates GLSL <code>inversesqrt</code>. Computes, elementwise, the inverse square roots of vectors from the argument array, storing the result in this array.
+   * @param {VecArray} b - Array of arguments. Its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setInversesqrt(b) {
+    for(let i=0; i<this.storage.length; i++) {
+      this.storage[i] = 1 / Math.sqrt(b.storage[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @method setMod
+   * @memberof VecArray
+   * @description Simulates GLSL <code>mod</code>. Computes, elementwise, vectors from the argument array modulo y, as <code>b - y * floor(b / y)</code>, storing the result in this array. Unlike the JavaScript <code>%</code> operator, the result has the sign of y.
+   * @param {VecArray} b - Array of dividends. Its length must be identical to this array's length.
+   * @param {VecArray | Number} y - Divisors. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setMod(b, y) {
+    for(let i=0; i<this.storage.length; i++) {
+      const yi = y.storage ? y.storage[i] : y;
+      this.storage[i] = b.storage[i] - yi * Math.floor(b.storage[i] / yi);
+    }
+    return this;
+  }
+
+  /**
+   * @method setMin
+   * @memberof VecArray
+   * @description Simulates GLSL <code>min</code>. Computes, elementwise, the minimum of vectors from the argument array and y, storing the result in this array.
+   * @param {VecArray} b - Array of first operands. Its length must be identical to this array's length.
+   * @param {VecArray | Number} y - Second operands. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setMin(b, y) {
+    for(let i=0; i<this.storage.length; i++) {
+      const yi = y.storage ? y.storage[i] : y;
+      this.storage[i] = Math.min(b.storage[i], yi);
+    }
+    return this;
+  }
+
+  /**
+   * @method setMax
+   * @memberof VecArray
+   * @description Simulates GLSL <code>max</code>. Computes, elementwise, the maximum of vectors from the argument array and y, storing the result in this array.
+   * @param {VecArray} b - Array of first operands. Its length must be identical to this array's length.
+   * @param {VecArray | Number} y - Second operands. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setMax(b, y) {
+    for(let i=0; i<this.storage.length; i++) {
+      const yi = y.storage ? y.storage[i] : y;
+      this.storage[i] = Math.max(b.storage[i], yi);
+    }
+    return this;
+  }
+
+  /**
+   * @method setPow
+   * @memberof VecArray
+   * @description Simulates GLSL <code>pow</code>. Computes, elementwise, vectors from the argument array raised to the power y, storing the result in this array.
+   * @param {VecArray} b - Array of bases. Its length must be identical to this array's length.
+   * @param {VecArray | Number} y - Exponents. If a number is given, it applies to all elements. Otherwise, its length must be identical to this array's length.
+   * @return {VecArray} this
+   */
+  setPow(b, y) {
+    for(let i=0; i<this.storage.length; i++) {
+      const yi = y.storage ? y.storage[i] : y;
+      this.storage[i] = Math.pow(b.storage[i], yi);
+    }
+    return this;
+  }
 }
 
 // CommonJS style export to allow file to be required in server side node.js
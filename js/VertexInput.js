@@ -0,0 +1,371 @@
+/**
+ * @file WebGLMath {@link VertexInput} class
+ * @copyright Laszlo Szecsi 2017
+ */
+"use strict";
+/* exported VertexInput */
+/**
+ * Vertex data of a geometry, given as named WebGLMath arrays, e.g. <code>Vec3Array</code> for positions, bound to the matching vertex attributes of programs reflected by {@link ProgramReflection}.
+ * <BR> Vertex data can also be given as an {@link InterleavedBuffer}, under any name, whose attributes are then bound by their own names.
+ * <BR> The WebGL buffer objects are created, and the arrays uploaded, when the vertex input is first bound. After modifying the contents of an array in place, [update]{@link VertexInput#update} schedules it for uploading at the next binding. A vertex array object is created for every program, at the first binding with it, so that binding needs only a single WebGL call afterwards.
+ * <BR> The number of components of an array must not exceed that of the attribute, e.g. a <code>Vec3Array</code> can provide a <code>vec4</code> attribute, whose w component is then 1, but a <code>Vec4Array</code> cannot provide a <code>vec3</code>. Integer attributes need integer arrays, e.g. <code>IVec2Array</code> or <code>UVec4Array</code>, and float attributes need float arrays. Attributes used by the program, but missing from the vertex input, are reported with a warning, once for every attribute name, are listed in [missingAttributes]{@link VertexInput#missingAttributes}, and take their current generic values.
+ * <BR> Per-instance data, e.g. a <code>Mat4Array</code> of model matrices, or a <code>Vec4Array</code> of colors, can be given in [instanceArrays]{@link VertexInput#instanceArrays}. These advance once per instance, instead of once per vertex, and the primitives are then drawn for every instance. Their buffers are created for dynamic use, as they are typically updated every frame. Arrays whose size has not changed since the last upload are uploaded into the existing buffer. A matrix attribute occupies one attribute location for each of its columns. Unlike uniform arrays, instance arrays are not limited in size by the number of uniforms.
+ * <BR> It can be a component of a {@link UniformProvider}, after a program, which it is then bound to and drawn with. The program can also be a component of a provider above it in the hierarchy.
+ * @example
+ * const quad = new VertexInput({
+ *   vertexPosition : new Vec3Array([-1, -1, 0,  1, -1, 0,  -1, 1, 0,  1, 1, 0]),
+ *   vertexTexCoord : new Vec2Array([0, 1,  1, 1,  0, 0,  1, 0])
+ * }, new Uint16Array([0, 1, 2,  2, 1, 3]));
+ * material.addComponentsAndGatherUniforms(program, quad);
+ * @example
+ * const trees = new VertexInput(treeMeshArrays, treeIndices, {
+ *   instanceModelMatrix : new Mat4Array(1000)
+ * });
+ * trees.instanceArrays.instanceModelMatrix.at(0).set().translate(10, 0, 5);
+ * trees.update("instanceModelMatrix");
+ */
+class VertexInput {
+  /**
+   * Creates a vertex input from vertex arrays, without creating WebGL objects.
+   * @param {Object} vertexArrays - WebGLMath vector or matrix arrays, e.g. <code>Vec3Array</code>, by vertex attribute name, or interleaved buffers.
+   * @param {UVec1Array | Uint16Array | Uint32Array} [indices] - Vertex indices for indexed drawing. If not given, vertices are drawn in order.
+   * @param {Object} [instanceArrays] - WebGLMath vector or matrix arrays, e.g. <code>Mat4Array</code>, by vertex attribute name, or interleaved buffers, with an element for every instance.
+   */
+  constructor(vertexArrays, indices, instanceArrays){
+    /**
+     * @name VertexInput#vertexArrays
+     * @description Vertex data by attribute name, or interleaved buffers. Use [setVertexArray]{@link VertexInput#setVertexArray} to replace or add arrays.
+     * @type Object
+     */
+    this.vertexArrays = vertexArrays || {};
+    /**
+     * @name VertexInput#indices
+     * @description Vertex indices for indexed drawing, or null for drawing vertices in order. Use [setIndices]{@link VertexInput#setIndices} to replace them.
+     * @type UVec1Array | Uint16Array | Uint32Array
+     */
+    this.indices = indices || null;
+    /**
+     * @name VertexInput#instanceArrays
+     * @description Per-instance data by attribute name, or interleaved buffers. Use [setInstanceArray]{@link VertexInput#setInstanceArray} to replace or add arrays.
+     * @type Object
+     */
+    this.instanceArrays = instanceArrays || {};
+    /**
+     * @name VertexInput#instanceCount
+     * @description The number of instances to draw. If undefined, it is the number of elements in the shortest instance array, and instancing is not used if there are no instance arrays. Can be set lower to draw only the first instances, e.g. the visible ones.
+     * @type Number
+     */
+    this.instanceCount = undefined;
+    /**
+     * @name VertexInput#mode
+     * @description The primitive type to draw, e.g. <code>gl.TRIANGLE_STRIP</code>. Triangles are drawn if undefined.
+     * @type Number
+     */
+    this.mode = undefined;
+    /**
+     * @name VertexInput#missingAttributes
+     * @description Names of the vertex attributes that programs this vertex input has been bound to used, but it had no arrays for, which have been reported with a warning. Filled when vertex array objects are created, e.g. for checking after the first frame.
+     * @type Set
+     */
+    this.missingAttributes = new Set();
+    // WebGL objects, created at the first binding
+    this.glBuffers = {};
+    this.glBufferSizes = {};
+    this.indexBuffer = null;
+    this.vaos = new Map();
+    // contents to upload at the next binding
+    this.changedNames = new Set(Object.keys(this.vertexArrays).concat(Object.keys(this.instanceArrays)));
+    this.indicesChanged = true;
+    // vertex array objects to recreate, as their buffers or formats have changed
+    this.vaosOutdated = false;
+  }
+
+  /**
+   * @method setVertexArray
+   * @memberof VertexInput
+   * @description Replaces or adds the array for a vertex attribute, or an interleaved buffer. It is uploaded at the next binding.
+   * @param {String} name - The name of the vertex attribute, or of the interleaved buffer.
+   * @param {Object | InterleavedBuffer} vertexArray - The WebGLMath vector or matrix array, e.g. <code>Vec3Array</code>, or the interleaved buffer.
+   * @return {VertexInput} this
+   */
+  setVertexArray(name, vertexArray) {
+    this.vertexArrays[name] = vertexArray;
+    this.changedNames.add(name);
+    this.vaosOutdated = true;
+    return this;
+  }
+
+  /**
+   * @method setInstanceArray
+   * @memberof VertexInput
+   * @description Replaces or adds the per-instance array for a vertex attribute, or an interleaved buffer of per-instance attributes. It is uploaded at the next binding.
+   * @param {String} name - The name of the vertex attribute, or of the interleaved buffer.
+   * @param {Object | InterleavedBuffer} instanceArray - The WebGLMath vector or matrix array, e.g. <code>Mat4Array</code>, or the interleaved buffer.
+   * @return {VertexInput} this
+   */
+  setInstanceArray(name, instanceArray) {
+    this.instanceArrays[name] = instanceArray;
+    this.changedNames.add(name);
+    this.vaosOutdated = true;
+    return this;
+  }
+
+  /**
+   * @method setIndices
+   * @memberof VertexInput
+   * @description Replaces the vertex indices. They are uploaded at the next binding.
+   * @param {UVec1Array | Uint16Array | Uint32Array} indices - Vertex indices, or null for drawing vertices in order.
+   * @return {VertexInput} this
+   */
+  setIndices(indices) {
+    this.indices = indices;
+    this.indicesChanged = true;
+    return this;
+  }
+
+  /**
+   * @method update
+   * @memberof VertexInput
+   * @description Schedules arrays modified in place for uploading at the next binding.
+   * @param {...String} names - The names of the vertex attributes or interleaved buffers whose data have been modified. If none are given, all arrays and the indices are uploaded again.
+   * @return {VertexInput} this
+   */
+  update(...names) {
+    if(names.length === 0) {
+      names = Object.keys(this.vertexArrays).concat(Object.keys(this.instanceArrays));
+      this.indicesChanged = true;
+    }
+    for(const name of names) {
+      this.changedNames.add(name);
+    }
+    return this;
+  }
+
+  /**
+   * @method getVertexCount
+   * @memberof VertexInput
+   * @description Returns the number of vertices, i.e. the number of elements in the shortest vertex array.
+   * @return {Number} The number of vertices.
+   */
+  getVertexCount() {
+    return VertexInput.getElementCount(this.vertexArrays);
+  }
+
+  /**
+   * @method getInstanceCount
+   * @memberof VertexInput
+   * @description Returns the number of instances to draw, i.e. [instanceCount]{@link VertexInput#instanceCount} if defined, or the number of elements in the shortest instance array.
+   * @return {Number} The number of instances.
+   */
+  getInstanceCount() {
+    return this.instanceCount === undefined ? VertexInput.getElementCount(this.instanceArrays) : this.instanceCount;
+  }
+
+  // returns the number of elements in the shortest array, or 0 if there are none
+  static getElementCount(arrays) {
+    let elementCount = Infinity;
+    for(const name of Object.keys(arrays)) {
+      const array = arrays[name];
+      if(array instanceof InterleavedBuffer) {
+        elementCount = Math.min(elementCount, array.vertexCount);
+        continue;
+      }
+      const typeInfo = BufferLayout.getTypeInfo(array.constructor);
+      elementCount = Math.min(elementCount, array.storage.length / typeInfo.elementLength);
+    }
+    return elementCount === Infinity ? 0 : elementCount;
+  }
+
+  /**
+   * @method bind
+   * @memberof VertexInput
+   * @description Uploads changed arrays, and binds the vertex array object for a program, creating it if needed.
+   * @param {ProgramReflection} programReflection - The reflection of the program to bind the arrays to the attributes of.
+   * @return {VertexInput} this
+   */
+  bind(programReflection) {
+    const gl = programReflection.gl;
+    this.upload(gl);
+    if(this.vaosOutdated) {
+      for(const vao of this.vaos.values()) {
+        gl.deleteVertexArray(vao);
+      }
+      this.vaos.clear();
+      this.vaosOutdated = false;
+    }
+    const vao = this.vaos.get(programReflection);
+    if(vao === undefined) {
+      this.vaos.set(programReflection, this.createVertexArray(programReflection));
+    } else {
+      gl.bindVertexArray(vao);
+    }
+    return this;
+  }
+
+  // creates buffer objects if needed, and uploads the changed arrays into them
+  upload(gl) {
+    for(const name of this.changedNames) {
+      const vertexArray = this.vertexArrays[name] || this.instanceArrays[name];
+      if(vertexArray === undefined) {
+        continue;
+      }
+      if(this.glBuffers[name] === undefined) {
+        this.glBuffers[name] = gl.createBuffer();
+        this.vaosOutdated = true;
+      }
+      const data = vertexArray.storage || vertexArray.data;
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.glBuffers[name]);
+      // buffers of unchanged size are overwritten, instead of reallocated
+      if(this.glBufferSizes[name] === data.byteLength) {
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, data);
+      } else {
+        gl.bufferData(gl.ARRAY_BUFFER, data, name in this.instanceArrays ? gl.DYNAMIC_DRAW : gl.STATIC_DRAW);
+        this.glBufferSizes[name] = data.byteLength;
+      }
+    }
+    this.changedNames.clear();
+    if(this.indicesChanged && this.indices) {
+      if(this.indexBuffer === null) {
+        this.indexBuffer = gl.createBuffer();
+        this.vaosOutdated = true;
+      }
+      // the element array buffer binding is part of the bound vertex array object
+      gl.bindVertexArray(null);
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+      gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, this.indices.storage || this.indices, gl.STATIC_DRAW);
+    }
+    this.indicesChanged = false;
+  }
+
+  // creates and binds a vertex array object, with the arrays bound to the attributes of a program
+  createVertexArray(programReflection) {
+    const gl = programReflection.gl;
+    const vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+    for(const name of Object.keys(programReflection.attributeDescriptors)) {
+      const attributeDesc = programReflection.attributeDescriptors[name];
+      const bufferName = this.getBufferName(name);
+      if(bufferName === undefined) {
+        if(!this.missingAttributes.has(name)) {
+          console.warn(`Vertex attribute ${name} is used by the program, but the vertex input has no array for it. Its current generic value is used for all vertices.`);
+          this.missingAttributes.add(name);
+        }
+        continue;
+      }
+      const isPerInstance = bufferName in this.instanceArrays;
+      const vertexArray = isPerInstance ? this.instanceArrays[bufferName] : this.vertexArrays[bufferName];
+      if(vertexArray instanceof InterleavedBuffer) {
+        const attribute = vertexArray.attributes[name];
+        VertexInput.checkFormat(attributeDesc, attribute.type.name, 1, attribute.componentCount, attribute.isInteger);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.glBuffers[bufferName]);
+        vertexArray.vertexAttribPointer(gl, name, attributeDesc.location);
+        if(isPerInstance) {
+          gl.vertexAttribDivisor(attributeDesc.location, 1);
+        }
+        continue;
+      }
+      const typeInfo = BufferLayout.getTypeInfo(vertexArray.constructor);
+      const componentCount = typeInfo.elementLength / typeInfo.columnCount;
+      VertexInput.checkFormat(attributeDesc, vertexArray.constructor.name, typeInfo.columnCount, componentCount, typeInfo.storageType !== "Float32Array");
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.glBuffers[name]);
+      // matrix columns occupy consecutive attribute locations
+      for(let c=0; c<typeInfo.columnCount; c++) {
+        const location = attributeDesc.location + c;
+        gl.enableVertexAttribArray(location);
+        if(attributeDesc.isInteger) {
+          gl.vertexAttribIPointer(location, componentCount,
+            typeInfo.storageType === "Uint32Array" ? gl.UNSIGNED_INT : gl.INT,
+            typeInfo.elementLength * 4, c * componentCount * 4);
+        } else {
+          gl.vertexAttribPointer(location, componentCount, gl.FLOAT, false,
+            typeInfo.elementLength * 4, c * componentCount * 4);
+        }
+        if(isPerInstance) {
+          gl.vertexAttribDivisor(location, 1);
+        }
+      }
+    }
+    if(this.indexBuffer !== null) {
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    }
+    return vao;
+  }
+
+  // returns the program reflection to draw with, see draw, or undefined if there is none
+  findProgramReflection(uniformProviders) {
+    for(const provider of uniformProviders) {
+      if(provider instanceof ProgramReflection) {
+        return provider;
+      }
+      for(const component of provider.components || []) {
+        if(component === this) {
+          break;
+        }
+        if(component instanceof ProgramReflection) {
+          return component;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  // returns the name of the array or interleaved buffer providing an attribute, or undefined if there is none
+  getBufferName(attributeName) {
+    if(this.vertexArrays[attributeName] !== undefined || this.instanceArrays[attributeName] !== undefined) {
+      return attributeName;
+    }
+    for(const arrays of [this.vertexArrays, this.instanceArrays]) {
+      for(const name of Object.keys(arrays)) {
+        if(arrays[name] instanceof InterleavedBuffer && attributeName in arrays[name].attributes) {
+          return name;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  // throws an error if vertex data does not fit a reflected attribute
+  static checkFormat(attributeDesc, typeName, columnCount, componentCount, isInteger) {
+    if(columnCount !== attributeDesc.columnCount ||
+      componentCount > attributeDesc.componentCount ||
+      isInteger !== attributeDesc.isInteger) {
+      throw new Error(`Trying to bind ${typeName} data to vertex attribute ${attributeDesc.name}, which has ${attributeDesc.columnCount} column(s) of ${attributeDesc.componentCount} ${attributeDesc.isInteger ? "integer" : "float"} components. Use data of the same kind, with at most as many components.`);
+    }
+  }
+
+  /**
+   * @method draw
+   * @memberof VertexInput
+   * @description Binds the vertex input to a program, and draws its primitives, for every instance if there are instance arrays or an [instanceCount]{@link VertexInput#instanceCount}. Called with the uniform providers by the {@link UniformProvider} owning it. The program is the first {@link ProgramReflection} added before the vertex input to the components of the nearest provider that has one, or a program reflection given among the arguments.
+   * @param {...UniformProvider | ProgramReflection} uniformProviders - The providers along the call path, nearest first, or the program reflection to draw with.
+   */
+  draw(...uniformProviders) {
+    const programReflection = this.findProgramReflection(uniformProviders);
+    if(programReflection === undefined) {
+      throw new Error("Trying to draw a vertex input without a program. Add a ProgramReflection before the vertex input to the same UniformProvider, or to one above it.");
+    }
+    const gl = programReflection.gl;
+    this.bind(programReflection);
+    const mode = this.mode === undefined ? gl.TRIANGLES : this.mode;
+    const isInstanced = this.instanceCount !== undefined || Object.keys(this.instanceArrays).length > 0;
+    if(this.indices) {
+      const indices = this.indices.storage || this.indices;
+      const indexType = indices instanceof Uint16Array ? gl.UNSIGNED_SHORT : indices instanceof Uint8Array ? gl.UNSIGNED_BYTE : gl.UNSIGNED_INT;
+      if(isInstanced) {
+        gl.drawElementsInstanced(mode, indices.length, indexType, 0, this.getInstanceCount());
+      } else {
+        gl.drawElements(mode, indices.length, indexType, 0);
+      }
+    } else if(isInstanced) {
+      gl.drawArraysInstanced(mode, 0, this.getVertexCount(), this.getInstanceCount());
+    } else {
+      gl.drawArrays(mode, 0, this.getVertexCount());
+    }
+    gl.bindVertexArray(null);
+  }
+}
+
+// CommonJS style export to allow file to be required in server side node.js
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined'){
+  module.exports = VertexInput;
+}
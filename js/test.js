@@ -323,4 +323,618 @@ console.log(Array.prototype.slice.call(ca2.storage));
 console.log(Array.prototype.slice.call(aa2.storage));
 
 
-console.log(new Vec2(3, 4).addScaled(0.5, new Vec2(2, 4)));
\ No newline at end of file
+console.log(new Vec2(3, 4).addScaled(0.5, new Vec2(2, 4)));
+
+//======================================================
+var m3 = new Mat3([
+  1, 2, 0,
+  0, 1, 0,
+  3, 4, 1,
+]);
+var m3i = m3.clone().invert();
+m3.mul(m3i);
+for(var i = 0; i<9; i++){
+  console.assert( approx(m3[i], (i % 4 === 0) ? 1 : 0) );
+}
+m3.set().rotate(Math.PI/2);
+console.assert( approx(m3[1], 1) );
+console.assert( approx(m3[3], -1) );
+m3.set().translate(3, 4);
+console.assert( m3[6] === 3 );
+console.assert( m3[7] === 4 );
+
+var m2 = new Mat2(2, 1, 1, 1);
+m2.premul(m2.clone().invert());
+console.assert( approx(m2[0], 1) );
+console.assert( approx(m2[1], 0) );
+console.assert( approx(m2[2], 0) );
+console.assert( approx(m2[3], 1) );
+
+var proj = new Mat4().setPerspective(Math.PI/2, 1, 1, 10);
+var p4 = new Vec4(1, 1, -1, 1).transform(proj);
+console.assert( approx(p4.x / p4.w, 1) );
+console.assert( approx(p4.z / p4.w, -1) );
+p4 = new Vec4(0, 0, -10, 1).transform(proj);
+console.assert( approx(p4.z / p4.w, 1) );
+proj.setOrthographicReversedZ(-1, 1, -1, 1, 1, 10);
+p4 = new Vec4(0, 0, -1, 1).transform(proj);
+console.assert( approx(p4.z / p4.w, 1) );
+
+var view = new Mat4().setLookAt(new Vec3(1, 2, 3), new Vec3(1, 2, -7), new Vec3(0, 1, 0));
+a = new Vec3(1, 2, -7).xyz1mul(view);
+console.assert( approx(a.x, 0) );
+console.assert( approx(a.y, 0) );
+console.assert( approx(a.z, -10) );
+a = view.getViewPosition();
+console.assert( approx(a.x, 1) );
+console.assert( approx(a.y, 2) );
+console.assert( approx(a.z, 3) );
+a = view.getViewAhead();
+console.assert( approx(a.z, -1) );
+
+var q = new Quat().setAxisAngle(Math.PI/2, {z:1});
+a = new Vec3(1, 0, 0).rotateByQuat(q);
+console.assert( approx(a.x, 0) );
+console.assert( approx(a.y, 1) );
+var mq = new Mat4().setFromQuat(q);
+console.assert( approx(mq.storage[1], new Mat4().rotate(Math.PI/2, {z:1}).storage[1]) );
+q.mul(new Quat().setAxisAngle(Math.PI/2, {x:1}));
+a = new Vec3(1, 0, 0).rotateByQuat(q);
+console.assert( approx(a.y, 0) );
+console.assert( approx(a.z, 1) );
+var q2 = new Quat().setFromMat4(new Mat4().rotateByQuat(q));
+console.assert( approx(q2.dot(q), 1) );
+q2 = new Quat().setFromEuler(Math.PI/2, Math.PI/2, 0, 'ZXY');
+console.assert( approx(q2.dot(q), 1) );
+q2.setSlerp(new Quat(), new Quat().setAxisAngle(1, {y:1}), 0.5);
+console.assert( approx(q2.y, Math.sin(0.25)) );
+
+var dq = new DualQuat(new Quat().setAxisAngle(Math.PI/2, {z:1}), new Vec3(1, 2, 3));
+a = new Vec3(1, 0, 0).transformByDualQuat(dq);
+console.assert( approx(a.x, 1) );
+console.assert( approx(a.y, 3) );
+console.assert( approx(a.z, 3) );
+a = new Vec3(1, 0, 0).xyz1mul(new Mat4().setFromDualQuat(dq));
+console.assert( approx(a.y, 3) );
+var dq2 = new DualQuat(new Mat4().rotate(Math.PI/2, {z:1}).translate(1, 2, 3));
+console.assert( approx(dq2.real.dot(dq.real), 1) );
+dq2.setSclerp(new DualQuat(), dq, 0.5);
+a = new Vec3(1, 0, 0).transformByDualQuat(dq2.mul(dq2));
+console.assert( approx(a.y, 3) );
+
+var euler = new Mat4().setFromEuler(0.1, 0.2, 0.3, 'ZYX').getEuler('ZYX');
+console.assert( approx(euler.x, 0.1) );
+console.assert( approx(euler.y, 0.2) );
+console.assert( approx(euler.z, 0.3) );
+euler = new Mat4().setFromEuler(0.1, 0.2, 0.3, 'ZXZ').getEuler('ZXZ');
+console.assert( approx(euler.x, 0.1) );
+console.assert( approx(euler.y, 0.2) );
+console.assert( approx(euler.z, 0.3) );
+euler = new Mat4().setFromEuler(0.1, Math.PI/2, 0.3, 'YXZ').getEuler('YXZ');
+console.assert( approx(euler.y, Math.PI/2) );
+console.assert( euler.z === 0 );
+a = new Vec3(1, 0, 0).xyz0mul(new Mat4().setFromEuler(euler.x, euler.y, euler.z, 'YXZ'));
+b = new Vec3(1, 0, 0).xyz0mul(new Mat4().setFromEuler(0.1, Math.PI/2, 0.3, 'YXZ'));
+console.assert( approx(a.x, b.x) && approx(a.y, b.y) && approx(a.z, b.z) );
+
+var trs = new Mat4().scale(2, 3, 4).rotate(Math.PI/2, {z:1}).translate(1, 2, 3);
+var translation = new Vec3();
+var rotation = new Quat();
+var scale = new Vec3();
+console.assert( trs.decompose(translation, rotation, scale) );
+console.assert( approx(translation.z, 3) );
+console.assert( approx(scale.y, 3) );
+console.assert( approx(rotation.dot(new Quat().setAxisAngle(Math.PI/2, {z:1})), 1) );
+a = new Vec3(1, 1, 1).xyz1mul(new Mat4().compose(translation, rotation, scale));
+b = new Vec3(1, 1, 1).xyz1mul(trs);
+console.assert( approx(a.x, b.x) && approx(a.y, b.y) && approx(a.z, b.z) );
+console.assert( !new Mat4().scale(1, 2, 1).rotate(0.5).scale(2, 1, 1).decompose(translation, rotation, scale) );
+console.assert( !new Mat4().setPerspective(1, 1, 1, 10).decompose(translation, rotation, scale) );
+
+var model = new Mat4().scale(1, 2, 4).rotate(0.5, {x:1, y:1}).translate(1, 2, 3);
+console.assert( approx(model.determinant(), 8) );
+console.assert( approx(new Mat4().scale(1, 2, 4).trace(), 8) );
+var adjugate = model.clone().adjugate();
+var inverse = model.clone().invert();
+console.assert( approx(adjugate.storage[5] / 8, inverse.storage[5]) );
+var normalMatrix = new Mat3().setNormalMatrix(model);
+var tangent = new Vec3(0, 1, 1).xyz0mul(model);
+var normal = new Vec3(0, 1, -1).xyz0mul(new Mat4().setNormalMatrix(model));
+console.assert( approx(tangent.dot(normal), 0) );
+console.assert( approx(normalMatrix.storage[4], new Mat4().setNormalMatrix(model).storage[5]) );
+var singular = new Mat4().scale(1, 1, 0);
+var consoleWarn = console.warn;
+var singularWarnings = [];
+console.warn = function(message){ singularWarnings.push(message); };
+console.assert( singular.tryInvert() === false && singularWarnings.length === 0 );
+console.assert( singular.invert().storage[10] === 0 && singular.storage[0] === 1 );
+console.assert( singular.invert().storage[10] === 0 );
+var invertible = model.clone();
+console.assert( invertible.tryInvert() === true && approx(invertible.determinant(), 1/8) );
+console.assert( new Mat3(0, 0, 0, 0, 1, 0, 0, 0, 1).tryInvert() === false );
+console.assert( new Mat2(0, 1, 0, 1).invert().storage[2] === 1 );
+console.warn = consoleWarn;
+console.assert( singularWarnings.length === 2 && singularWarnings[0].startsWith("Trying to invert a singular Mat4") && singularWarnings[1].startsWith("Trying to invert a singular Mat2") );
+
+var instances = new Mat4Array(3);
+var positions = new Vec3Array(3);
+var orientations = new Vec3Array(3);
+positions.at(2).set(1, 2, 3);
+orientations.at(2).set(0, 0, Math.PI/2);
+instances.compose(positions, orientations);
+instances.mulAll(instances, new Mat4().translate(1, 0, 0));
+a = new Vec3(1, 0, 0).xyz1mul(instances.at(2));
+console.assert( approx(a.x, 2) );
+console.assert( approx(a.y, 3) );
+var instanceInverses = new Mat4Array(3).invert(instances);
+instanceInverses.mul(instanceInverses, instances);
+console.assert( approx(instanceInverses.at(2).storage[0], 1) );
+console.assert( approx(instanceInverses.at(2).storage[3], 0) );
+instances.at(1).set().scale(0);
+console.assert( new Mat4Array(3).invert(instances).at(1).storage[5] === 0 );
+
+var inverseBindMatrices = new Mat4Array(2);
+inverseBindMatrices.at(0).set();
+inverseBindMatrices.at(1).set().translate(-1, 0, 0);
+var skeleton = new Skeleton([-1, 0], inverseBindMatrices);
+skeleton.localMatrices.at(1).set().rotate(Math.PI/2).translate(1, 0, 0);
+skeleton.update();
+var skinned = skeleton.skinPositions(new Vec3Array(1), new Vec3Array([2, 0, 0]), new IVec4Array([1, 0, 0, 0]), new Vec4Array([1, 0, 0, 0]));
+console.assert( approx(skinned.storage[0], 1) );
+console.assert( approx(skinned.storage[1], 1) );
+
+var parentNode = new TransformNode();
+var childNode = new TransformNode();
+parentNode.addComponentsAndGatherUniforms(childNode);
+parentNode.position.set(1, 0, 0);
+parentNode.orientation.setAxisAngle(Math.PI/2, {z:1});
+childNode.position.set(1, 0, 0);
+parentNode.draw();
+a = new Vec3(0, 0, 0).xyz1mul(childNode.modelMatrix);
+console.assert( approx(a.x, 1) );
+console.assert( approx(a.y, 1) );
+a.xyz1mul(childNode.modelMatrixInverse);
+console.assert( approx(a.x, 0) && approx(a.y, 0) );
+var version = childNode.worldVersion;
+parentNode.draw();
+console.assert( childNode.worldVersion === version );
+parentNode.position.x = 2;
+parentNode.draw();
+console.assert( childNode.worldVersion === version + 1 );
+
+var camera = new PerspectiveCamera("camera");
+camera.position.set(0, 0, 5);
+camera.resize(800, 400);
+camera.update();
+a = new Vec4(0, 0, 0, 1).mul(camera.viewProjMatrix);
+console.assert( approx(a.x / a.w, 0) && approx(a.y / a.w, 0) );
+a = new Vec4(1, 1, 1, 1).mul(camera.rayDirMatrix);
+console.assert( approx(a.x / -a.z, 2 * Math.tan(Math.PI / 6)) );
+console.assert( approx(a.y / -a.z, Math.tan(Math.PI / 6)) );
+var orbit = new OrbitController(camera);
+orbit.rotate(Math.PI/2, 0).update();
+console.assert( approx(camera.position.x, 5) && approx(camera.position.z, 0) );
+console.assert( approx(camera.ahead.x, -1) );
+var fly = new FreeFlyController(camera);
+fly.move(1).update();
+console.assert( approx(camera.position.x, 4) );
+camera = new OrthographicCamera("camera");
+camera.resize(2, 1);
+camera.update();
+a = new Vec4(2, 1, -1, 1).mul(camera.viewProjMatrix);
+console.assert( approx(a.x, 1) && approx(a.y, 1) );
+camera.resize(0, 1).update();
+console.assert( camera.aspect === 2 && camera.viewProjMatrix.storage.every(isFinite) );
+camera.ahead.set(0, 2, 0);
+camera.update();
+console.assert( camera.viewMatrix.storage.every(isFinite) && camera.frustum.planes[0].normal.storage.every(isFinite) );
+
+var hit = new RayHit();
+var ray = new Ray({z:5}, {z:-1});
+console.assert( ray.intersectSphere(new Sphere(), hit) );
+console.assert( approx(hit.t, 4) && approx(hit.normal.z, 1) );
+var box = new AABB({x:-1, y:-1, z:-1}, {x:1, y:1, z:1});
+ray.set({x:5, y:0.5}, {x:-1});
+console.assert( ray.intersectAABB(box, hit.reset()) );
+console.assert( approx(hit.t, 4) && approx(hit.normal.x, 1) );
+var triangle = new Triangle({x:-1, y:-1}, {x:1, y:-1}, {y:1});
+ray.set({x:0.1, z:3}, {z:-1});
+console.assert( ray.intersectTriangle(triangle, hit.reset()) );
+console.assert( approx(hit.point.x, 0.1) && approx(hit.normal.z, 1) );
+console.assert( !ray.intersectTriangle(triangle, hit) ); // not nearer than the recorded hit
+var obb = new OBB({x:2.3}, {x:1, y:1, z:1}, new Quat().setAxisAngle(Math.PI/4, {z:1}));
+console.assert( box.intersectsOBB(obb) );
+obb.center.set(2.5, 2.5, 0);
+console.assert( !box.intersectsOBB(obb) );
+console.assert( box.intersectsTriangle(triangle) );
+console.assert( !triangle.intersectsTriangle(new Triangle({x:2}, {x:3}, {x:3, y:1})) );
+console.assert( new Plane().intersectsAABB(box) );
+console.assert( approx(new Plane({y:1}, -2).distanceToConvex(box), -1) );
+console.assert( new Sphere({z:0.5}, 0.6).intersectsTriangle(triangle) );
+console.assert( approx(triangle.distanceToPoint(new Vec3(0, 3, 0)), 2) );
+console.assert( approx(box.distanceToOBB(obb), 3 / Math.SQRT2 - 1) && approx(obb.distanceToAABB(box), 3 / Math.SQRT2 - 1) );
+console.assert( approx(obb.distanceToOBB(new OBB()), 3 / Math.SQRT2 - 1) && new OBB().distanceToOBB(new OBB({x:1.5})) === 0 );
+console.assert( approx(triangle.distanceToOBB(obb), 2 * Math.SQRT2 - 1) && approx(obb.distanceToTriangle(triangle), 2 * Math.SQRT2 - 1) );
+console.assert( approx(triangle.distanceToAABB(new AABB({x:-1, y:-1, z:2}, {x:1, y:1, z:4})), 2) && triangle.distanceToAABB(box) === 0 );
+console.assert( approx(triangle.distanceToTriangle(new Triangle({x:2}, {x:3}, {x:3, y:1})), 3 / Math.sqrt(5)) );
+console.assert( approx(triangle.distanceToPlane(new Plane({z:1}, -2)), 2) && approx(triangle.distanceToSphere(new Sphere({z:3}, 1)), 2) );
+var plane = new Plane({x:1}, -2).transform(new Mat4().scale(2, 1, 1));
+console.assert( approx(plane.distanceToPoint(new Vec3(4, 1, 1)), 0) );
+
+var viewProj = new Mat4().setLookAt({x:1, y:2, z:5}, {x:0, y:0, z:0}, {x:0, y:1, z:0}).mul(new Mat4().setPerspective(1, 2, 0.5, 100));
+var viewProjInverse = viewProj.clone().invert();
+var pixel = new Vec3(0.3, -0.2, 0.4).project(viewProj, [0, 0, 800, 400]);
+a = pixel.clone().unproject(viewProjInverse, [0, 0, 800, 400]);
+console.assert( approx(a.x, 0.3) && approx(a.y, -0.2) && approx(a.z, 0.4) );
+ray = new Ray().setFromPixel(pixel.x, pixel.y, viewProjInverse, [0, 0, 800, 400]);
+console.assert( ray.distanceToPoint(new Vec3(0.3, -0.2, 0.4)) < 0.001 );
+b = new Vec4(0, 0, 0, 1).project(viewProj);
+console.assert( b.w > 0 );
+b.unproject(viewProjInverse);
+console.assert( approx(b.x, 0) && approx(b.y, 0) && approx(b.w, 1) );
+b = new Vec4(5, 6, 7, 0).setProjected(new Vec3(0.3, -0.2, 0.4), viewProj, [0, 0, 800, 400]);
+console.assert( approx(b.x, pixel.x) && approx(b.y, pixel.y) && approx(b.z, pixel.z) && b.w > 0 );
+console.assert( approx(Vec3.viewportToNdc(Vec3.ndcToViewport([0.5, -0.5, 0], [10, 20, 800, 400]), [10, 20, 800, 400])[1], -0.5) );
+viewProj.setOrthographic(-4, 4, -2, 2, 0.5, 100);
+ray.setFromNdc(0.5, 0.5, viewProj.clone().invert());
+console.assert( approx(ray.origin.x, 2) && approx(ray.origin.y, 1) && approx(ray.direction.z, -1) );
+
+var frustum = new Frustum(new Mat4().setLookAt({x:0, y:0, z:5}, {x:0, y:0, z:0}, {x:0, y:1, z:0}).mul(new Mat4().setPerspective(Math.PI/3, 1, 0.1, 100)));
+console.assert( frustum.classifySphere(new Sphere({x:0, y:0, z:0}, 1)) === Frustum.INSIDE );
+console.assert( frustum.classifySphere(new Sphere({x:0, y:0, z:5}, 1)) === Frustum.INTERSECTING );
+console.assert( frustum.classifySphere(new Sphere({x:10, y:0, z:0}, 1)) === Frustum.OUTSIDE );
+console.assert( frustum.classifyAABB(new AABB({x:-100, y:-1, z:-1}, {x:100, y:1, z:1})) === Frustum.INTERSECTING );
+console.assert( frustum.classifyAABB(new AABB({x:-1, y:-1, z:200}, {x:1, y:1, z:201})) === Frustum.OUTSIDE );
+a = new Vec3Array(2);
+a.at(1).set(0, 0, 10);
+console.assert( frustum.classifyPoints(a) === Frustum.INTERSECTING );
+b = new Vec4Array(3);
+b.at(0).set(0, 0, 0, 1);
+b.at(1).set(100, 0, 0, 1);
+b.at(2).set(0, 0, -200, 1);
+var mask = new Uint8Array(3);
+console.assert( frustum.computeVisibility(mask, b) === 1 && mask[0] === 1 && mask[1] === 0 && mask[2] === 0 );
+frustum.setFromMatrix(new Mat4().setPerspectiveReversedZ(Math.PI/3, 1, 0.1, 100), true);
+console.assert( frustum.containsPoint(new Vec3(0, 0, -50)) && !frustum.containsPoint(new Vec3(0, 0, -200)) );
+
+a = new Vec3(-1.25, 0.5, 2.75);
+console.assert( approx(a.mod(1).x, 0.75) && approx(a.fract().x, 0.75) );
+console.assert( new Vec2(3, 0).mod(-2).x === -1 );
+console.assert( a.mix(new Vec3(1, 1, 1), 0.5).x === -0.125 );
+console.assert( a.step(0.5).x === 0 && a.step(0.5).y === 1 );
+console.assert( approx(new Vec1(0.25).smoothstep(0, 1).x, 0.15625) );
+b = new Vec3(1, -1, 0).normalize();
+console.assert( approx(b.reflect(new Vec3(0, 1, 0)).y, Math.SQRT1_2) );
+console.assert( b.refract(new Vec3(0, 1, 0), 1.5).length() === 0 ); // total internal reflection
+console.assert( new Vec3(0, 1, 0).faceforward(b, new Vec3(0, -1, 0)).y === -1 );
+console.assert( new Vec2(1, 1).distance(new Vec2(4, 5)) === 5 );
+var vs = new Vec2Array([-1.5, 2, 0.5, -3]);
+console.assert( new Vec2Array(2).setMod(vs, 2).storage[0] === 0.5 );
+console.assert( new Vec2Array(2).setInversesqrt(new Vec2Array([4, 16, 1, 0.25])).storage[3] === 2 );
+
+var uniformBuffer = new UniformBuffer(112);
+var blockMatrix = new Mat4().translate(1, 2, 3);
+uniformBuffer.attach(blockMatrix, {size:1, offset:0, arrayStride:0, matrixStride:16, columnCount:4});
+console.assert( blockMatrix.storage.buffer === uniformBuffer.data && uniformBuffer.floats[3] === 1 );
+blockMatrix.translate(1, 0, 0);
+console.assert( uniformBuffer.floats[3] === 2 );
+uniformBuffer.attach(new Mat3(), {size:1, offset:64, arrayStride:0, matrixStride:16, columnCount:3});
+console.assert( uniformBuffer.paddedVariables.length === 1 ); // mat3 columns are padded to vec4
+
+var bufferLayout = new BufferLayout({ a: Number, b: Vec3, c: Number, d: Mat3, e: [Vec1Array, 2], f: [{ p: Vec3, q: Number }, 2] });
+console.assert( bufferLayout.getMember("c").offset === 28 && bufferLayout.getMember("d").matrixStride === 16 );
+console.assert( bufferLayout.getMember("e").offset === 80 && bufferLayout.getMember("e").arrayStride === 16 );
+console.assert( bufferLayout.getMember("f.q").offset === 12 && bufferLayout.byteLength === 144 );
+console.assert( new BufferLayout({ e: [Vec1Array, 2], f: Mat2 }, "std430").getMember("f").offset === 8 );
+b = new Float32Array(bufferLayout.pack({ c: 2, e: new Vec1Array([3, 4]), f: [{}, { p: new Vec3(5, 6, 7) }] }));
+console.assert( b[7] === 2 && b[24] === 4 && b[32] === 5 );
+b = new Float32Array(bufferLayout.pack({ a: null, f: [undefined, { p: new Vec3(5, 6, 7), q: 8 }] }));
+console.assert( b[0] === 0 && b[28] === 0 && b[32] === 5 && b[35] === 8 );
+b = new Float32Array(bufferLayout.pack({ f: [null] }));
+console.assert( b[28] === 0 );
+
+var vertexInput = new VertexInput({ vertexPosition: new Vec3Array(4), vertexTexCoord: new Vec2Array(6) });
+console.assert( vertexInput.getVertexCount() === 4 );
+vertexInput.setVertexArray("vertexNormal", new Vec3Array(3)).update("vertexPosition");
+console.assert( vertexInput.getVertexCount() === 3 && vertexInput.changedNames.size === 3 );
+
+var interleavedBuffer = new InterleavedBuffer({ vertexPosition: Vec3, vertexNormal: Vec3, vertexTexCoord: Vec2, vertexColor: [Vec4, Uint8Array] }, 3);
+console.assert( interleavedBuffer.stride === 36 && interleavedBuffer.attributes.vertexColor.offset === 32 );
+interleavedBuffer.setStream("vertexNormal", new Vec3Array([0, 1, 0,  0, 0, 1,  1, 0, 0]));
+interleavedBuffer.setStream("vertexColor", [1, 0.5, 0, 1,  0, 0, 0, 1,  1, 1, 1, 1]);
+console.assert( interleavedBuffer.at("vertexNormal", 1).z === 1 && interleavedBuffer.at("vertexColor", 0).y === 128 );
+console.assert( new Uint8Array(interleavedBuffer.data)[36 + 32 + 3] === 255 );
+var color = interleavedBuffer.at("vertexColor", 1).set(255, 128, 0, 255);
+console.assert( color instanceof UVec4 && interleavedBuffer.at("vertexNormal", 1) instanceof Vec3 );
+console.assert( new Uint8Array(interleavedBuffer.data)[36 + 32 + 1] === 128 && color.clone().w === 255 );
+console.assert( new InterleavedBuffer({ vertexTangent: [Vec3, Int16Array] }, 1).at("vertexTangent", 0) instanceof IVec3 );
+console.assert( interleavedBuffer.getVertexAttribPointer({ UNSIGNED_BYTE: 0x1401 }, "vertexColor").normalized === true );
+console.assert( new VertexInput({ mesh: interleavedBuffer }).getVertexCount() === 3 );
+
+var instancedInput = new VertexInput({ vertexPosition: new Vec3Array(3) }, null, { instanceModelMatrix: new Mat4Array(100), instanceColor: new Vec4Array(80) });
+console.assert( instancedInput.getVertexCount() === 3 && instancedInput.getInstanceCount() === 80 );
+instancedInput.instanceCount = 10;
+console.assert( instancedInput.getInstanceCount() === 10 && instancedInput.changedNames.has("instanceModelMatrix") );
+
+// minimal WebGL context for reflection, recording the calls of other methods
+var makeFakeGl = function(uniforms, attributes, blocks){
+  attributes = attributes || [];
+  blocks = blocks || [];
+  var constants = { FLOAT: 0x1406, FLOAT_VEC3: 0x8B51, FLOAT_VEC4: 0x8B52, FLOAT_MAT4: 0x8B5C, INT: 0x1404, INT_VEC2: 0x8B53, UNSIGNED_INT_VEC3: 0x8DC7, BOOL_VEC4: 0x8B59, ACTIVE_UNIFORMS: 0x8B86, ACTIVE_ATTRIBUTES: 0x8B89,
+    TRIANGLES: 0x0004, UNSIGNED_SHORT: 0x1403, ARRAY_BUFFER: 0x8892, ELEMENT_ARRAY_BUFFER: 0x8893, STATIC_DRAW: 0x88E4, DYNAMIC_DRAW: 0x88E8,
+    ACTIVE_UNIFORM_BLOCKS: 0x8A36, UNIFORM_BUFFER: 0x8A11, UNIFORM_BLOCK_INDEX: 0x8A3A, UNIFORM_OFFSET: 0x8A3B, UNIFORM_ARRAY_STRIDE: 0x8A3C, UNIFORM_MATRIX_STRIDE: 0x8A3D,
+    UNIFORM_BLOCK_DATA_SIZE: 0x8A40, MAX_UNIFORM_BUFFER_BINDINGS: 0x8A2F };
+  var gl = Object.assign({ calls: [], maxUniformBufferBindings: 24 }, constants);
+  gl.getParameter = function(pname){ return pname === gl.MAX_UNIFORM_BUFFER_BINDINGS ? gl.maxUniformBufferBindings : 0; };
+  gl.getProgramParameter = function(program, pname){ return pname === gl.ACTIVE_UNIFORMS ? uniforms.length : pname === gl.ACTIVE_ATTRIBUTES ? attributes.length : pname === gl.ACTIVE_UNIFORM_BLOCKS ? blocks.length : 0; };
+  gl.getActiveUniform = function(program, i){ return uniforms[i]; };
+  gl.getUniformLocation = function(program, name){ return name; };
+  // block members give their blockIndex, offset, arrayStride and matrixStride, other uniforms are outside of blocks
+  gl.getActiveUniforms = function(program, indices, pname){
+    var key = { 0x8A3A: "blockIndex", 0x8A3B: "offset", 0x8A3C: "arrayStride", 0x8A3D: "matrixStride" }[pname];
+    return indices.map(i => key in uniforms[i] ? uniforms[i][key] : -1);
+  };
+  gl.getActiveUniformBlockName = function(program, b){ return blocks[b].name; };
+  gl.getActiveUniformBlockParameter = function(program, b){ return blocks[b].size; };
+  gl.getUniformBlockIndex = function(program, name){ return blocks.findIndex(block => block.name === name); };
+  gl.getActiveAttrib = function(program, i){ return attributes[i]; };
+  gl.getAttribLocation = function(program, name){ return attributes.find(attribute => attribute.name === name).location; };
+  gl.createBuffer = function(){ return {}; };
+  gl.createVertexArray = function(){ return {}; };
+  gl.useProgram = function(){};
+  return new Proxy(gl, { get: function(target, key){
+    if(key in target || !/^[a-z]/.test(key)) { return target[key]; }
+    return function(){ target.calls.push([key].concat(Array.from(arguments))); };
+  } });
+};
+
+var gl = makeFakeGl([
+  { name: "scene.material.albedo", type: 0x8B51, size: 1 },
+  { name: "lights[0].position", type: 0x8B52, size: 1 },
+  { name: "lights[1].position", type: 0x8B52, size: 1 },
+  { name: "lights[1].power", type: 0x1406, size: 1 },
+  { name: "scene.weights[0][0]", type: 0x1406, size: 3 } ]);
+var reflection = new ProgramReflection(gl, {});
+var provider = new UniformProvider("scene", "lights");
+reflection.definePropertiesMatchingUniforms(provider);
+console.assert( provider.material.albedo instanceof Vec3 && provider.weights === undefined );
+console.assert( provider.lights.length === 2 && provider.lights[1].position instanceof Vec4 && provider.lights[0].power === undefined );
+provider.material.albedo.set(1, 2, 3);
+provider.lights[1].power = 5;
+reflection.draw(provider);
+console.assert( gl.calls.some(call => call[0] === "uniform3fv" && call[1] === "scene.material.albedo" && call[2][2] === 3) );
+console.assert( gl.calls.some(call => call[0] === "uniform1f" && call[1] === "lights[1].power" && call[2] === 5) );
+
+gl = makeFakeGl([
+  { name: "time", type: 0x1406, size: 1 },
+  { name: "modelMatrix", type: 0x8B5C, size: 1 },
+  { name: "unused", type: 0x8B51, size: 1 } ]);
+reflection = new ProgramReflection(gl, {});
+provider = new UniformProvider();
+provider.glslUniformNames.push("time", "modelMatrix");
+var keptMatrix = provider.modelMatrix = new Mat4().translate(4, 0, 0);
+reflection.definePropertiesMatchingUniforms(provider);
+console.assert( provider.modelMatrix === keptMatrix && provider.modelMatrix.storage[3] === 4 && provider.time === 0 && provider.unused === undefined );
+provider.time = 1.5;
+provider.modelMatrix.set().translate(1, 2, 3);
+reflection.draw(provider);
+console.assert( gl.calls.some(call => call[0] === "uniform1f" && call[1] === "time" && call[2] === 1.5) );
+console.assert( gl.calls.some(call => call[0] === "uniformMatrix4fv" && call[1] === "modelMatrix" && call[3][3] === 1) );
+
+var iv = new IVec2(2.7, -3.2);
+console.assert( iv.storage instanceof Int32Array && iv.x === 2 && iv.y === -3 );
+console.assert( iv.clone().set({x: 5, y: 6}).y === 6 && iv.y === -3 );
+var uv = new UVec3(1, 2, 3);
+console.assert( uv.storage instanceof Uint32Array && uv.set(-1).x === 4294967295 );
+var bv = new BVec4(true, 0, 5, false);
+console.assert( bv.storage instanceof Int32Array && bv.storage[2] === 1 && bv.x === true && bv.y === false && bv.z === true && bv.w === false );
+var uva = new UVec3Array(2);
+uva.set([1, 2, 3, 4, 5, 6]);
+console.assert( uva.storage instanceof Uint32Array && uva.at(1).y === 5 );
+uva.at(0).set(7, 8, 9);
+console.assert( uva.storage[2] === 9 );
+console.assert( uva instanceof VecArray && new IVec2Array(2) instanceof VecArray && new BVec1Array(1) instanceof VecArray );
+var iva = new IVec2Array([7, -7, 3, 4]).div(new IVec2Array([7, -7, 3, 4]), new IVec2Array([2, 2, 2, 2]));
+console.assert( iva.storage[0] === 3 && iva.storage[1] === -3 && iva.storage[3] === 2 );
+console.assert( new UVec3Array(2).addAll(uva, new UVec3(1, 1, 1)).at(1).z === 7 );
+var bva = new BVec2Array(2);
+bva.set([true, 0, 2, false]);
+console.assert( bva.storage[2] === 1 && bva.at(1).x === true );
+gl = makeFakeGl([
+  { name: "grid.cell", type: 0x8B53, size: 1 },
+  { name: "grid.ids", type: 0x8DC7, size: 2 },
+  { name: "grid.mask", type: 0x8B59, size: 1 } ]);
+reflection = new ProgramReflection(gl, {});
+provider = new UniformProvider("grid");
+reflection.definePropertiesMatchingUniforms(provider);
+console.assert( provider.cell instanceof IVec2 && provider.ids instanceof UVec3Array && provider.mask instanceof BVec4 );
+provider.cell.set(-1, 2);
+provider.ids.set(uva);
+provider.mask.set(1, 0, 1, 0);
+reflection.draw(provider);
+console.assert( gl.calls.some(call => call[0] === "uniform2iv" && call[2][0] === -1) );
+console.assert( gl.calls.some(call => call[0] === "uniform3uiv" && call[2].length === 6 && call[2][5] === 6) );
+console.assert( gl.calls.some(call => call[0] === "uniform4iv" && call[2][2] === 1) );
+
+var m23 = new Mat2x3(1, 2,
+                     3, 4,
+                     5, 6);
+console.assert( m23.rowCount === 3 && m23.columnCount === 2 && m23[4] === 5 && m23.storage[1] === 3 );
+m23.mul(new Mat2(0, 1,
+                 1, 0));
+console.assert( m23[0] === 2 && m23[1] === 1 && m23[5] === 5 );
+m23.premul(new Mat3(1, 0, 0,
+                    0, 1, 0,
+                    1, 0, 0));
+console.assert( m23[4] === 2 && m23[5] === 1 && m23[2] === 4 );
+var m32 = m23.transposed();
+console.assert( m32 instanceof Mat3x2 && m32.rowCount === 2 && m32[1] === 4 && m32[3] === 1 );
+var m34 = new Mat3x4().setProduct(new Mat2x4(1, 0,  0, 1,  1, 1,  2, 0), new Mat3x2(1, 2, 3,  4, 5, 6));
+console.assert( m34[6] === 5 && m34[9] === 2 && m34[11] === 6 );
+var m43s = new Mat4x3Array(2);
+m43s.at(1).set([1, 2, 3, 4,  5, 6, 7, 8,  9, 10, 11, 12]);
+console.assert( m43s.storage.length === 24 && m43s.at(1) instanceof Mat4x3 && m43s.at(1)[7] === 8 && m43s.storage[12] === 1 && m43s.storage[13] === 5 );
+gl = makeFakeGl([]);
+m43s.commit(gl, "bones");
+console.assert( gl.calls[0][0] === "uniformMatrix4x3fv" && gl.calls[0][3].length === 24 );
+
+gl = makeFakeGl([ { name: "modelMatrix", type: 0x8B5C, size: 1 } ]);
+reflection = new ProgramReflection(gl, {});
+parentNode = new TransformNode();
+childNode = new TransformNode();
+childNode.addComponentsAndGatherUniforms(reflection);
+parentNode.addComponentsAndGatherUniforms(childNode);
+parentNode.position.set(3, 0, 0);
+childNode.position.set(0, 2, 0);
+parentNode.draw();
+var modelMatrixCalls = gl.calls.filter(call => call[1] === "modelMatrix");
+console.assert( modelMatrixCalls.length === 1 && modelMatrixCalls[0][3] === childNode.modelMatrix.storage );
+console.assert( approx(childNode.modelMatrix.storage[3], 3) && approx(childNode.modelMatrix.storage[7], 2) );
+
+gl = makeFakeGl([ { name: "gameObject.modelMatrix", type: 0x8B5C, size: 1 }, { name: "material.albedo", type: 0x8B51, size: 1 }, { name: "modelMatrixInverse", type: 0x8B5C, size: 1 } ]);
+reflection = new ProgramReflection(gl, {});
+parentNode = new TransformNode("gameObject", "material");
+childNode = new TransformNode("gameObject");
+childNode.addComponentsAndGatherUniforms(reflection);
+parentNode.addComponentsAndGatherUniforms(childNode);
+parentNode.albedo.set(1, 0.5, 0);
+parentNode.draw();
+console.assert( gl.calls.some(call => call[1] === "material.albedo" && call[2] === parentNode.albedo.storage) );
+modelMatrixCalls = gl.calls.filter(call => call[1] === "gameObject.modelMatrix");
+console.assert( modelMatrixCalls.length === 1 && modelMatrixCalls[0][3] === childNode.modelMatrix.storage );
+modelMatrixCalls = gl.calls.filter(call => call[1] === "modelMatrixInverse");
+console.assert( modelMatrixCalls.length === 1 && modelMatrixCalls[0][3] === childNode.modelMatrixInverse.storage );
+console.assert( parentNode.shadowedUniformNames.length === 0 );
+gl = makeFakeGl([ { name: "modelMatrix", type: 0x8B5C, size: 1, blockIndex: 0, offset: 0, arrayStride: 0, matrixStride: 16 } ], [], [ { name: "Transform", size: 64 } ]);
+reflection = new ProgramReflection(gl, {});
+parentNode = new TransformNode("Transform");
+childNode = new TransformNode("Transform");
+childNode.addComponentsAndGatherUniforms(reflection);
+parentNode.addComponentsAndGatherUniforms(childNode);
+parentNode.draw();
+var bindCalls = gl.calls.filter(call => call[0] === "bindBufferBase");
+console.assert( bindCalls.length === 1 && bindCalls[0][3] === childNode.uniformBuffers.Transform.glBuffer );
+
+gl = makeFakeGl([ { name: "material.albedo", type: 0x8B51, size: 1 } ]);
+reflection = new ProgramReflection(gl, {});
+provider = new UniformProvider("material");
+var albedo = provider.albedo = new Vec3(0.5, 0.25, 1);
+reflection.definePropertiesMatchingUniforms(provider);
+console.assert( provider.albedo === albedo && provider.albedo.y === 0.25 );
+new ProgramReflection(gl, {}).definePropertiesMatchingUniforms(provider);
+provider.albedo = new Vec3(1, 0, 0);
+console.assert( provider.albedo === albedo && albedo.x === 1 );
+provider = new UniformProvider("material");
+provider.albedo = new Vec4();
+try {
+  reflection.definePropertiesMatchingUniforms(provider);
+  console.assert( false );
+} catch(e) {
+  console.assert( e.message.startsWith("Trying to reflect uniform albedo") );
+}
+
+gl = makeFakeGl([ { name: "bone.orientation", type: 0x8B52, size: 1 } ]);
+reflection = new ProgramReflection(gl, {});
+provider = new UniformProvider("bone");
+var orientation = provider.orientation = new Quat().setAxisAngle(Math.PI/2, {z:1});
+reflection.definePropertiesMatchingUniforms(provider);
+console.assert( provider.orientation === orientation );
+reflection.draw(provider);
+console.assert( gl.calls.some(call => call[0] === "uniform4fv" && call[1] === "bone.orientation" && approx(call[2][3], Math.SQRT1_2)) );
+gl = makeFakeGl([ { name: "bone.pose[0]", type: 0x8B52, size: 2 }, { name: "bone.scale[0]", type: 0x8B52, size: 3 } ]);
+reflection = new ProgramReflection(gl, {});
+provider = new UniformProvider("bone");
+var pose = provider.pose = new DualQuat(new Quat().setAxisAngle(Math.PI/2, {z:1}), {x:1, y:2, z:3});
+reflection.definePropertiesMatchingUniforms(provider);
+console.assert( provider.pose === pose );
+reflection.draw(provider);
+console.assert( gl.calls.some(call => call[0] === "uniform4fv" && call[1] === "bone.pose[0]" && call[2] === pose.storage) );
+provider = new UniformProvider("bone");
+provider.scale = new DualQuat();
+try {
+  reflection.definePropertiesMatchingUniforms(provider);
+  console.assert( false );
+} catch(e) {
+  console.assert( e.message.startsWith("Trying to reflect uniform scale") );
+}
+
+gl = makeFakeGl([], [
+  { name: "vertexPosition", type: 0x8B51, size: 1, location: 0 },
+  { name: "vertexColor", type: 0x8B52, size: 1, location: 1 },
+  { name: "instanceModelMatrix", type: 0x8B5C, size: 1, location: 2 } ]);
+reflection = new ProgramReflection(gl, {});
+var quad = new VertexInput({ vertexPosition : new Vec3Array(4) }, new Uint16Array([0, 1, 2, 2, 1, 3]), { instanceModelMatrix : new Mat4Array(5) });
+quad.instanceCount = 3;
+parentNode = new UniformProvider();
+childNode = new UniformProvider();
+parentNode.addComponentsAndGatherUniforms(reflection, childNode);
+childNode.addComponentsAndGatherUniforms(quad);
+var warn = console.warn;
+var warnings = [];
+console.warn = function(message){ warnings.push(message); };
+parentNode.draw();
+var pointerCalls = gl.calls.filter(call => call[0] === "vertexAttribPointer");
+console.assert( pointerCalls.length === 5 && pointerCalls[0][1] === 0 && pointerCalls[0][2] === 3 && pointerCalls[0][5] === 12 );
+console.assert( pointerCalls[4][1] === 5 && pointerCalls[4][2] === 4 && pointerCalls[4][5] === 64 && pointerCalls[4][6] === 48 );
+console.assert( gl.calls.filter(call => call[0] === "vertexAttribDivisor").map(call => call[1]).join() === "2,3,4,5" );
+console.assert( gl.calls.some(call => call[0] === "drawElementsInstanced" && call[1] === gl.TRIANGLES && call[2] === 6 && call[3] === gl.UNSIGNED_SHORT && call[5] === 3) );
+quad.setVertexArray("vertexPosition", new Vec3Array(4));
+parentNode.draw();
+console.warn = warn;
+console.assert( warnings.length === 1 && warnings[0].startsWith("Vertex attribute vertexColor") );
+console.assert( quad.missingAttributes.has("vertexColor") && quad.missingAttributes.size === 1 );
+var childGl = makeFakeGl([], [ { name: "vertexPosition", type: 0x8B51, size: 1, location: 0 } ]);
+childNode.components.clear();
+childNode.addComponentsAndGatherUniforms(new ProgramReflection(childGl, {}), reflection, quad);
+gl.calls.length = 0;
+parentNode.draw();
+console.assert( childGl.calls.some(call => call[0] === "drawElementsInstanced") && !gl.calls.some(call => call[0] === "drawElementsInstanced") );
+var instances = new VertexInput({ vertexPosition : new Vec3Array(4) }, null, { instanceModelMatrix : new Mat4Array(2) });
+var childReflection = new ProgramReflection(childGl, {});
+childGl.calls.length = 0;
+instances.bind(childReflection);
+console.assert( childGl.calls.filter(call => call[0] === "bufferData").map(call => call[3]).join() === [childGl.STATIC_DRAW, childGl.DYNAMIC_DRAW].join() );
+instances.instanceArrays.instanceModelMatrix.at(1).translate(1, 0, 0);
+instances.update("instanceModelMatrix");
+instances.bind(childReflection);
+console.assert( childGl.calls.filter(call => call[0] === "bufferData").length === 2 );
+console.assert( childGl.calls.some(call => call[0] === "bufferSubData" && call[1] === childGl.ARRAY_BUFFER && call[3] === instances.instanceArrays.instanceModelMatrix.storage) );
+instances.setInstanceArray("instanceModelMatrix", new Mat4Array(3));
+instances.bind(childReflection);
+console.assert( childGl.calls.filter(call => call[0] === "bufferData").length === 3 );
+gl.calls.length = 0;
+new VertexInput({ vertexPosition : new Vec3Array(4) }).draw(reflection);
+console.assert( gl.calls.some(call => call[0] === "drawArrays" && call[1] === gl.TRIANGLES && call[3] === 4) );
+try {
+  new VertexInput().draw(new UniformProvider());
+  console.assert( false );
+} catch(e) {
+  console.assert( e.message.startsWith("Trying to draw a vertex input without a program") );
+}
+
+gl = makeFakeGl([
+  { name: "Camera.viewProjMatrix", type: 0x8B5C, size: 1, blockIndex: 0, offset: 0, arrayStride: 0, matrixStride: 16 },
+  { name: "Camera.position", type: 0x8B51, size: 1, blockIndex: 0, offset: 64, arrayStride: 0, matrixStride: 0 },
+  { name: "time", type: 0x1406, size: 1 } ], [], [ { name: "Camera", size: 80 } ]);
+reflection = new ProgramReflection(gl, {});
+var cameraBinding = reflection.uniformBlockDescriptors.Camera.binding;
+console.assert( gl.calls.some(call => call[0] === "uniformBlockBinding" && call[2] === 0 && call[3] === cameraBinding) );
+provider = new UniformProvider("Camera");
+reflection.definePropertiesMatchingUniforms(provider);
+var cameraBuffer = provider.uniformBuffers.Camera;
+console.assert( provider.viewProjMatrix instanceof Mat4 && provider.viewProjMatrix.storage.buffer === cameraBuffer.data && provider.viewProjMatrix.storage.byteOffset === 0 );
+console.assert( provider.position instanceof Vec3 && provider.position.storage.buffer === cameraBuffer.data && provider.position.storage.byteOffset === 64 );
+provider.position.set(1, 2, 3);
+reflection.draw(provider, new UniformProvider("Camera"));
+console.assert( cameraBuffer.floats[17] === 2 );
+console.assert( gl.calls.some(call => call[0] === "bufferSubData" && call[1] === gl.UNIFORM_BUFFER && call[3] === cameraBuffer.uints) );
+console.assert( gl.calls.filter(call => call[0] === "bindBufferBase").length === 1 );
+console.assert( gl.calls.some(call => call[0] === "bindBufferBase" && call[1] === gl.UNIFORM_BUFFER && call[2] === cameraBinding) );
+gl = makeFakeGl([ { name: "Overflow.value", type: 0x8B52, size: 1, blockIndex: 0, offset: 0, arrayStride: 0, matrixStride: 0 } ], [], [ { name: "Overflow", size: 16 } ]);
+gl.maxUniformBufferBindings = cameraBinding + 1;
+try {
+  new ProgramReflection(gl, {});
+  console.assert( false );
+} catch(e) {
+  console.assert( e.message.includes("uniform block Overflow") );
+}